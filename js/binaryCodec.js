@@ -0,0 +1,773 @@
+/**
+ * Binary Codec - Encodes JSON as MessagePack or CBOR and decodes them back
+ * Integers keep every digit (64-bit, or CBOR bignums), other numbers are doubles. Values JSON has no
+ * equivalent for (binary data, extension types, tags, non-string map keys, undefined, NaN) are turned into
+ * the nearest JSON value and reported as warnings
+ */
+
+class BinaryCodec {
+    /**
+     * Create a codec
+     * @param {Object} options - Options
+     * @param {string} options.format - 'msgpack' or 'cbor' (default 'msgpack')
+     * @param {number} options.maxDepth - Deepest nesting accepted (default 512)
+     */
+    constructor(options = {}) {
+        this.format = options.format || 'msgpack';
+        this.maxDepth = options.maxDepth || 512;
+
+        if (!BinaryCodec.FORMATS[this.format]) {
+            throw new Error(`Unknown binary format: ${this.format}`);
+        }
+    }
+
+    /**
+     * Encode JSON data
+     * @param {*} data - JSON data; LosslessNumber instances keep their digits
+     * @returns {Object} - { bytes: Uint8Array, warnings: Array of strings }
+     */
+    encode(data) {
+        this.output = [];
+        this.warnings = [];
+        this.writeValue(data, '', 0);
+        return { bytes: Uint8Array.from(this.output), warnings: this.warnings };
+    }
+
+    /**
+     * Decode one value
+     * @param {Uint8Array} bytes - The encoded value, and nothing after it
+     * @returns {Object} - { data, warnings: Array of strings }; big integers are LosslessNumber instances
+     */
+    decode(bytes) {
+        if (bytes.length === 0) {
+            throw new Error('There is no data to decode');
+        }
+
+        this.input = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.position = 0;
+        this.warnings = [];
+
+        const data = this.format === 'cbor' ? this.readCBOR('', 0) : this.readMessagePack('', 0);
+        if (this.position < bytes.length) {
+            throw new Error(`Unexpected data after the end of the value at byte ${this.position} (${bytes.length - this.position} byte(s) left)`);
+        }
+        return { data, warnings: this.warnings };
+    }
+
+    /**
+     * Record a lossy conversion
+     * @param {string} path - JSON Pointer of the value
+     */
+    warn(path, message) {
+        this.warnings.push(`${path || '/'}: ${message}`);
+    }
+
+    /**
+     * Stop before deeply nested data overflows the stack
+     */
+    checkDepth(depth) {
+        if (depth > this.maxDepth) {
+            throw new Error(`The data is nested more than ${this.maxDepth} levels deep`);
+        }
+    }
+
+    /**
+     * Append a value
+     */
+    writeValue(value, path, depth) {
+        this.checkDepth(depth);
+
+        if (value === null || value === undefined) {
+            this.writeByte(this.format === 'cbor' ? 0xf6 : 0xc0);
+        } else if (value === false || value === true) {
+            if (this.format === 'cbor') {
+                this.writeByte(value ? 0xf5 : 0xf4);
+            } else {
+                this.writeByte(value ? 0xc3 : 0xc2);
+            }
+        } else if (typeof value === 'number' || value instanceof LosslessNumber) {
+            this.writeNumber(value, path);
+        } else if (typeof value === 'string') {
+            const bytes = new TextEncoder().encode(value);
+            this.writeHeader('string', bytes.length);
+            bytes.forEach(byte => this.writeByte(byte));
+        } else if (Array.isArray(value)) {
+            this.writeHeader('array', value.length);
+            value.forEach((item, index) => this.writeValue(item, `${path}/${index}`, depth + 1));
+        } else if (typeof value === 'object') {
+            const keys = Object.keys(value);
+            this.writeHeader('map', keys.length);
+            keys.forEach(key => {
+                this.writeValue(key, path, depth + 1);
+                this.writeValue(value[key], `${path}/${BinaryCodec.escapePointer(key)}`, depth + 1);
+            });
+        } else {
+            throw new Error(`Cannot encode a value of type ${typeof value}`);
+        }
+    }
+
+    /**
+     * Append a number: integer lexemes as integers, everything else as a double
+     */
+    writeNumber(value, path) {
+        const raw = value instanceof LosslessNumber ? value.raw : null;
+        const text = raw !== null ? raw : String(value);
+        const isInteger = raw !== null ? /^-?\d+$/.test(raw) : Number.isInteger(value);
+
+        if (isInteger) {
+            const integer = BigInt(raw !== null ? raw : value);
+            const min = this.format === 'cbor' ? -(2n ** 64n) : -(2n ** 63n);
+            if (integer >= min && integer < 2n ** 64n) {
+                this.writeInteger(integer);
+                return;
+            }
+            if (this.format === 'cbor') {
+                this.writeBignum(integer);
+                return;
+            }
+            this.warn(path, `${text} does not fit in 64 bits and was written as the double ${Number(text)}`);
+        } else if (raw !== null && !value.isExact()) {
+            this.warn(path, `${raw} cannot be represented exactly as a double and was written as ${Number(raw)}`);
+        }
+
+        const number = Number(text);
+        if (!Number.isFinite(number)) {
+            throw new Error(`${path || 'The document'} is ${text}, which is too large for a double`);
+        }
+
+        const buffer = new DataView(new ArrayBuffer(8));
+        buffer.setFloat64(0, number);
+        this.writeByte(this.format === 'cbor' ? 0xfb : 0xcb);
+        for (let i = 0; i < 8; i++) {
+            this.writeByte(buffer.getUint8(i));
+        }
+    }
+
+    /**
+     * Append an integer in the smallest encoding that holds it
+     * @param {bigint} integer - Within the 64-bit range of the format
+     */
+    writeInteger(integer) {
+        if (this.format === 'cbor') {
+            if (integer >= 0n) {
+                this.writeCBORHead(0, integer);
+            } else {
+                this.writeCBORHead(1, -1n - integer);
+            }
+            return;
+        }
+
+        if (integer >= 0n) {
+            if (integer < 128n) {
+                this.writeByte(Number(integer));
+            } else {
+                const size = [1, 2, 4, 8].find(bytes => integer < 2n ** BigInt(bytes * 8));
+                this.writeByte({ 1: 0xcc, 2: 0xcd, 4: 0xce, 8: 0xcf }[size]);
+                this.writeUint(integer, size);
+            }
+        } else if (integer >= -32n) {
+            this.writeByte(Number(integer) & 0xff);
+        } else {
+            const size = [1, 2, 4, 8].find(bytes => integer >= -(2n ** BigInt(bytes * 8 - 1)));
+            this.writeByte({ 1: 0xd0, 2: 0xd1, 4: 0xd2, 8: 0xd3 }[size]);
+            this.writeUint(BigInt.asUintN(size * 8, integer), size);
+        }
+    }
+
+    /**
+     * Append an integer beyond 64 bits as a CBOR bignum (tag 2, or tag 3 for negative numbers)
+     */
+    writeBignum(integer) {
+        const magnitude = integer >= 0n ? integer : -1n - integer;
+        let hex = magnitude.toString(16);
+        if (hex.length % 2) hex = `0${hex}`;
+
+        this.writeCBORHead(6, BigInt(integer >= 0n ? 2 : 3));
+        this.writeCBORHead(2, BigInt(hex.length / 2));
+        for (let i = 0; i < hex.length; i += 2) {
+            this.writeByte(parseInt(hex.slice(i, i + 2), 16));
+        }
+    }
+
+    /**
+     * Append the type and length of a string, array or map
+     * @param {string} kind - 'string', 'array' or 'map'
+     */
+    writeHeader(kind, length) {
+        if (this.format === 'cbor') {
+            this.writeCBORHead({ string: 3, array: 4, map: 5 }[kind], BigInt(length));
+            return;
+        }
+
+        const types = {
+            string: { fixed: 0xa0, fixedLimit: 32, 1: 0xd9, 2: 0xda, 4: 0xdb },
+            array: { fixed: 0x90, fixedLimit: 16, 2: 0xdc, 4: 0xdd },
+            map: { fixed: 0x80, fixedLimit: 16, 2: 0xde, 4: 0xdf }
+        }[kind];
+
+        if (length < types.fixedLimit) {
+            this.writeByte(types.fixed | length);
+            return;
+        }
+        const size = [1, 2, 4].find(bytes => types[bytes] && length < 2 ** (bytes * 8));
+        if (!size) {
+            throw new Error(`A ${kind} of length ${length} is too long for MessagePack`);
+        }
+        this.writeByte(types[size]);
+        this.writeUint(BigInt(length), size);
+    }
+
+    /**
+     * Append a CBOR initial byte and its argument
+     * @param {number} major - Major type, 0-7
+     * @param {bigint} argument - Value, length or tag number, below 2^64
+     */
+    writeCBORHead(major, argument) {
+        if (argument < 24n) {
+            this.writeByte((major << 5) | Number(argument));
+            return;
+        }
+        const size = [1, 2, 4, 8].find(bytes => argument < 2n ** BigInt(bytes * 8));
+        this.writeByte((major << 5) | { 1: 24, 2: 25, 4: 26, 8: 27 }[size]);
+        this.writeUint(argument, size);
+    }
+
+    /**
+     * Append an unsigned big-endian integer
+     * @param {bigint} value - The integer
+     * @param {number} size - Number of bytes
+     */
+    writeUint(value, size) {
+        for (let i = size - 1; i >= 0; i--) {
+            this.writeByte(Number((value >> BigInt(i * 8)) & 0xffn));
+        }
+    }
+
+    /**
+     * Append a byte
+     */
+    writeByte(byte) {
+        this.output.push(byte);
+    }
+
+    /**
+     * Read one MessagePack value
+     * @param {string} path - JSON Pointer of the value, for warnings
+     */
+    readMessagePack(path, depth) {
+        this.checkDepth(depth);
+        const offset = this.position;
+        const type = this.readByte();
+        const readItem = (itemPath, itemDepth) => this.readMessagePack(itemPath, itemDepth);
+
+        if (type <= 0x7f) return type;
+        if (type >= 0xe0) return type - 0x100;
+        if (type <= 0x8f) return this.readMap(type & 0x0f, path, depth, readItem);
+        if (type <= 0x9f) return this.readArray(type & 0x0f, path, depth, readItem);
+        if (type <= 0xbf) return this.readString(type & 0x1f);
+
+        switch (type) {
+            case 0xc0: return null;
+            case 0xc2: return false;
+            case 0xc3: return true;
+            case 0xc4: case 0xc5: case 0xc6:
+                return this.toBase64Value(this.take(this.readLength(2 ** (type - 0xc4))), path);
+            case 0xc7: case 0xc8: case 0xc9: {
+                const length = this.readLength(2 ** (type - 0xc7));
+                return this.readExtension(length, path);
+            }
+            case 0xca: return this.toJSONNumber(this.readFloat(4), path);
+            case 0xcb: return this.toJSONNumber(this.readFloat(8), path);
+            case 0xcc: case 0xcd: case 0xce: case 0xcf:
+                return this.toInteger(this.readUint(2 ** (type - 0xcc)));
+            case 0xd0: case 0xd1: case 0xd2: case 0xd3: {
+                const size = 2 ** (type - 0xd0);
+                return this.toInteger(BigInt.asIntN(size * 8, BigInt(this.readUint(size))));
+            }
+            case 0xd4: case 0xd5: case 0xd6: case 0xd7: case 0xd8:
+                return this.readExtension(2 ** (type - 0xd4), path);
+            case 0xd9: case 0xda: case 0xdb:
+                return this.readString(this.readLength(2 ** (type - 0xd9)));
+            case 0xdc: case 0xdd:
+                return this.readArray(this.readLength(type === 0xdc ? 2 : 4), path, depth, readItem);
+            case 0xde: case 0xdf:
+                return this.readMap(this.readLength(type === 0xde ? 2 : 4), path, depth, readItem);
+            default:
+                throw new Error(`Invalid MessagePack type byte 0x${type.toString(16)} at byte ${offset}`);
+        }
+    }
+
+    /**
+     * Read a MessagePack extension: timestamps (type -1) become ISO strings, others an object with
+     * the type and base64 data
+     */
+    readExtension(length, path) {
+        const type = BigInt.asIntN(8, BigInt(this.readByte()));
+        const data = this.take(length);
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+        if (type === -1n && [4, 8, 12].includes(length)) {
+            let seconds;
+            let nanoseconds = 0;
+            if (length === 4) {
+                seconds = view.getUint32(0);
+            } else if (length === 8) {
+                const value = view.getBigUint64(0);
+                nanoseconds = Number(value >> 34n);
+                seconds = Number(value & 0x3ffffffffn);
+            } else {
+                nanoseconds = view.getUint32(0);
+                seconds = Number(view.getBigInt64(4));
+            }
+            const date = new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6));
+            if (!Number.isNaN(date.getTime())) {
+                const iso = date.toISOString();
+                this.warn(path, `Timestamp became the string "${iso}"`);
+                return iso;
+            }
+        }
+
+        this.warn(path, `Extension type ${type} (${length} byte(s)) became an object with its type and base64 data`);
+        return { type: Number(type), data: BinaryCodec.toBase64(data) };
+    }
+
+    /**
+     * Read one CBOR data item
+     * @param {string} path - JSON Pointer of the value, for warnings
+     */
+    readCBOR(path, depth) {
+        this.checkDepth(depth);
+        const offset = this.position;
+        const initial = this.readByte();
+        const major = initial >> 5;
+        const info = initial & 0x1f;
+        const readItem = (itemPath, itemDepth) => this.readCBOR(itemPath, itemDepth);
+
+        if (major === 7) return this.readSimple(info, path, offset);
+        if (info === 31) {
+            switch (major) {
+                case 2:
+                    return this.toBase64Value(this.readChunks(2, offset), path);
+                case 3:
+                    return this.decodeText(this.readChunks(3, offset), offset);
+                case 4:
+                    return this.readArray(null, path, depth, readItem);
+                case 5:
+                    return this.readMap(null, path, depth, readItem);
+                default:
+                    throw new Error(`Invalid indefinite length for major type ${major} at byte ${offset}`);
+            }
+        }
+
+        const argument = this.readArgument(info, offset);
+        switch (major) {
+            case 0:
+                return this.toInteger(argument);
+            case 1:
+                return this.toInteger(-1n - BigInt(argument));
+            case 2:
+                return this.toBase64Value(this.take(this.toLength(argument)), path);
+            case 3:
+                return this.readString(this.toLength(argument));
+            case 4:
+                return this.readArray(this.toLength(argument), path, depth, readItem);
+            case 5:
+                return this.readMap(this.toLength(argument), path, depth, readItem);
+            default:
+                return this.readTag(argument, path, depth);
+        }
+    }
+
+    /**
+     * Read the argument of a CBOR initial byte; 8-byte arguments are bigints
+     */
+    readArgument(info, offset) {
+        if (info < 24) return info;
+        switch (info) {
+            case 24: return this.readUint(1);
+            case 25: return this.readUint(2);
+            case 26: return this.readUint(4);
+            case 27: return this.readUint(8);
+            default:
+                throw new Error(`Invalid CBOR additional information ${info} at byte ${offset}`);
+        }
+    }
+
+    /**
+     * Read the chunks of an indefinite-length byte or text string up to its break
+     * @param {number} major - 2 for bytes, 3 for text; every chunk must have this type and a definite length
+     */
+    readChunks(major, offset) {
+        const chunks = [];
+        while (this.peekByte() !== 0xff) {
+            const chunkOffset = this.position;
+            const initial = this.readByte();
+            if (initial >> 5 !== major || (initial & 0x1f) === 31) {
+                throw new Error(`Invalid chunk in the indefinite-length string at byte ${offset} (byte ${chunkOffset})`);
+            }
+            chunks.push(this.take(this.toLength(this.readArgument(initial & 0x1f, chunkOffset))));
+        }
+        this.position++;
+
+        const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        chunks.reduce((position, chunk) => {
+            bytes.set(chunk, position);
+            return position + chunk.length;
+        }, 0);
+        return bytes;
+    }
+
+    /**
+     * Read a CBOR simple value or float
+     */
+    readSimple(info, path, offset) {
+        switch (info) {
+            case 20: return false;
+            case 21: return true;
+            case 22: return null;
+            case 23:
+                this.warn(path, 'undefined became null');
+                return null;
+            case 24: {
+                const value = this.readByte();
+                if (value < 32) {
+                    throw new Error(`Invalid two-byte simple value ${value} at byte ${offset}`);
+                }
+                this.warn(path, `Simple value ${value} became the number ${value}`);
+                return value;
+            }
+            case 25: return this.toJSONNumber(this.readFloat16(), path);
+            case 26: return this.toJSONNumber(this.readFloat(4), path);
+            case 27: return this.toJSONNumber(this.readFloat(8), path);
+            case 31:
+                throw new Error(`Unexpected break at byte ${offset}`);
+            default:
+                if (info < 20) {
+                    this.warn(path, `Simple value ${info} became the number ${info}`);
+                    return info;
+                }
+                throw new Error(`Invalid CBOR additional information ${info} at byte ${offset}`);
+        }
+    }
+
+    /**
+     * Read a half-precision float
+     */
+    readFloat16() {
+        const half = this.readUint(2);
+        const exponent = (half >> 10) & 0x1f;
+        const fraction = half & 0x3ff;
+        const sign = half & 0x8000 ? -1 : 1;
+
+        if (exponent === 0) return sign * fraction * 2 ** -24;
+        if (exponent === 31) return fraction ? NaN : sign * Infinity;
+        return sign * (1 + fraction / 1024) * 2 ** (exponent - 15);
+    }
+
+    /**
+     * Read a tagged CBOR item: bignums (tags 2 and 3) become exact numbers, other tags are dropped and
+     * their content kept
+     */
+    readTag(tag, path, depth) {
+        const number = BigInt(tag);
+
+        if ((number === 2n || number === 3n) && this.peekByte() >> 5 === 2) {
+            const offset = this.position;
+            const initial = this.readByte();
+            const bytes = (initial & 0x1f) === 31
+                ? this.readChunks(2, offset)
+                : this.take(this.toLength(this.readArgument(initial & 0x1f, offset)));
+            const magnitude = bytes.reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+            return this.toInteger(number === 2n ? magnitude : -1n - magnitude);
+        }
+
+        const value = this.readCBOR(path, depth + 1);
+        // Tag 55799 only marks the data as CBOR
+        if (number !== 55799n) {
+            const name = BinaryCodec.CBOR_TAGS[String(number)];
+            this.warn(path, `Tag ${number}${name ? ` (${name})` : ''} was dropped; its content was kept`);
+        }
+        return value;
+    }
+
+    /**
+     * Read an array
+     * @param {number|null} length - Number of items, or null to read up to a CBOR break
+     * @param {Function} readItem - Reads one item given its path and depth
+     */
+    readArray(length, path, depth, readItem) {
+        this.checkLength(length);
+
+        const items = [];
+        while (length === null ? this.peekByte() !== 0xff : items.length < length) {
+            items.push(readItem(`${path}/${items.length}`, depth + 1));
+        }
+        if (length === null) this.position++;
+        return items;
+    }
+
+    /**
+     * Read a map; keys that are not strings are turned into strings
+     * @param {number|null} length - Number of entries, or null to read up to a CBOR break
+     * @param {Function} readItem - Reads one item given its path and depth
+     */
+    readMap(length, path, depth, readItem) {
+        this.checkLength(length === null ? null : length * 2);
+
+        const object = {};
+        for (let count = 0; length === null ? this.peekByte() !== 0xff : count < length; count++) {
+            const key = readItem(path, depth + 1);
+            const name = this.toKey(key, path);
+            const value = readItem(`${path}/${BinaryCodec.escapePointer(name)}`, depth + 1);
+
+            if (Object.prototype.hasOwnProperty.call(object, name)) {
+                this.warn(`${path}/${BinaryCodec.escapePointer(name)}`, `Duplicate key "${name}"; only the last value is kept`);
+            }
+            Object.defineProperty(object, name, { value, writable: true, enumerable: true, configurable: true });
+        }
+        if (length === null) this.position++;
+        return object;
+    }
+
+    /**
+     * Turn a decoded map key into a string
+     */
+    toKey(key, path) {
+        if (typeof key === 'string') return key;
+
+        const name = key instanceof LosslessNumber ? key.raw
+            : key === null || typeof key !== 'object' ? String(key)
+                : new JSONSerializer({ indent: 0 }).stringify(key);
+        const kind = key === null ? 'null' : Array.isArray(key) ? 'array' : key instanceof LosslessNumber ? 'number' : typeof key;
+        this.warn(path, `Map key ${name} (${kind}) became the string "${name}"`);
+        return name;
+    }
+
+    /**
+     * Read a UTF-8 string
+     */
+    readString(length) {
+        const offset = this.position;
+        return this.decodeText(this.take(length), offset);
+    }
+
+    /**
+     * Decode UTF-8 bytes
+     */
+    decodeText(bytes, offset) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            throw new Error(`Invalid UTF-8 in the string at byte ${offset}`);
+        }
+    }
+
+    /**
+     * Binary data has no JSON type, so it becomes a base64 string
+     */
+    toBase64Value(bytes, path) {
+        this.warn(path, `Binary data (${bytes.length} byte(s)) became a base64 string`);
+        return BinaryCodec.toBase64(bytes);
+    }
+
+    /**
+     * JSON has no NaN or Infinity, so they become null
+     */
+    toJSONNumber(number, path) {
+        if (Number.isFinite(number)) return number;
+        this.warn(path, `${number} became null`);
+        return null;
+    }
+
+    /**
+     * Integers beyond the safe range keep their digits as LosslessNumber instances
+     * @param {number|bigint} value - The integer
+     */
+    toInteger(value) {
+        if (typeof value === 'number') return value;
+        if (value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)) {
+            return Number(value);
+        }
+        return new LosslessNumber(value.toString());
+    }
+
+    /**
+     * A CBOR length as a number
+     */
+    toLength(argument) {
+        const length = Number(argument);
+        this.checkLength(length);
+        return length;
+    }
+
+    /**
+     * Every item takes at least one byte, so a length beyond the remaining bytes is truncated data
+     */
+    checkLength(length) {
+        if (length !== null && length > this.input.length - this.position) {
+            throw new Error(`Unexpected end of data at byte ${this.input.length}: a length of ${length} needs more bytes`);
+        }
+    }
+
+    /**
+     * Read a length of some size
+     */
+    readLength(size) {
+        return this.toLength(this.readUint(size));
+    }
+
+    /**
+     * Read an unsigned big-endian integer; 8-byte integers are bigints
+     */
+    readUint(size) {
+        this.take(size);
+        const position = this.position - size;
+        switch (size) {
+            case 1: return this.view.getUint8(position);
+            case 2: return this.view.getUint16(position);
+            case 4: return this.view.getUint32(position);
+            default: return this.view.getBigUint64(position);
+        }
+    }
+
+    /**
+     * Read a single- or double-precision float
+     */
+    readFloat(size) {
+        this.take(size);
+        return size === 4 ? this.view.getFloat32(this.position - 4) : this.view.getFloat64(this.position - 8);
+    }
+
+    /**
+     * Read a byte
+     */
+    readByte() {
+        return this.take(1)[0];
+    }
+
+    /**
+     * Look at the next byte without reading it
+     */
+    peekByte() {
+        if (this.position >= this.input.length) {
+            throw new Error(`Unexpected end of data at byte ${this.position}: a break (0xff) was expected`);
+        }
+        return this.input[this.position];
+    }
+
+    /**
+     * Read some bytes
+     * @returns {Uint8Array} - A view of the input
+     */
+    take(length) {
+        if (this.position + length > this.input.length) {
+            throw new Error(`Unexpected end of data at byte ${this.input.length}: ${this.position + length - this.input.length} more byte(s) were expected`);
+        }
+        this.position += length;
+        return this.input.subarray(this.position - length, this.position);
+    }
+
+    /**
+     * Escape a key for a JSON Pointer
+     */
+    static escapePointer(key) {
+        return key.replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    /**
+     * Base64 of bytes
+     */
+    static toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Hex dump of bytes: offset, 16 bytes in two groups of 8, and their printable ASCII
+     */
+    static toHexDump(bytes) {
+        const lines = [];
+        for (let offset = 0; offset < bytes.length; offset += 16) {
+            const row = Array.from(bytes.subarray(offset, offset + 16));
+            const hex = row.map(byte => byte.toString(16).padStart(2, '0'));
+            const groups = `${hex.slice(0, 8).join(' ')}  ${hex.slice(8).join(' ')}`;
+            const ascii = row.map(byte => byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.').join('');
+            lines.push(`${offset.toString(16).padStart(8, '0')}  ${groups.padEnd(48)}  |${ascii}|`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Read bytes pasted as a hex dump (as written by toHexDump), plain hex or base64
+     * @param {string} text - The text
+     * @returns {Uint8Array} - The bytes
+     */
+    static parseBytes(text) {
+        const lines = text.trim().split(/\r?\n/).filter(line => line.trim());
+        if (lines.length === 0) {
+            throw new Error('There is no data to decode');
+        }
+
+        let hex = null;
+        if (/^0{8}\s/.test(lines[0]) && lines.every(line => /^[0-9a-f]{8}\s.*\|/i.test(line))) {
+            hex = lines.map(line => line.replace(/\|.*$/, '').slice(8)).join(' ').replace(/\s+/g, '');
+        } else {
+            const compact = text.replace(/0x|[\s,:]/gi, '');
+            if (/^([0-9a-f]{2})+$/i.test(compact)) {
+                hex = compact;
+            }
+        }
+
+        if (hex !== null) {
+            if (!/^([0-9a-f]{2})*$/i.test(hex)) {
+                throw new Error('The hex dump has an odd number of digits or characters that are not hex');
+            }
+            return Uint8Array.from(hex.match(/../g) || [], pair => parseInt(pair, 16));
+        }
+
+        const base64 = text.replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+        if (!/^[A-Za-z0-9+/]+={0,2}$/.test(base64) || base64.replace(/=+$/, '').length % 4 === 1) {
+            throw new Error('Paste the data as hex or base64');
+        }
+        const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+        return Uint8Array.from(binary, character => character.charCodeAt(0));
+    }
+}
+
+// Names of the formats for messages and menus
+BinaryCodec.FORMATS = {
+    msgpack: 'MessagePack',
+    cbor: 'CBOR'
+};
+
+// How encoded bytes are shown in the editor
+BinaryCodec.ENCODINGS = {
+    hex: 'Hex dump',
+    base64: 'Base64'
+};
+
+// Names of common CBOR tags, for warnings
+BinaryCodec.CBOR_TAGS = {
+    0: 'date/time string',
+    1: 'epoch date/time',
+    4: 'decimal fraction',
+    5: 'bigfloat',
+    21: 'expected base64url',
+    22: 'expected base64',
+    23: 'expected base16',
+    24: 'encoded CBOR',
+    32: 'URI',
+    33: 'base64url',
+    34: 'base64',
+    36: 'MIME message',
+    37: 'UUID'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BinaryCodec;
+}
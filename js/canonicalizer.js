@@ -0,0 +1,78 @@
+/**
+ * JSON Canonicalizer - RFC 8785 JSON Canonicalization Scheme (JCS)
+ * Produces byte-identical output for equal data: keys sorted by UTF-16 code units,
+ * ECMAScript number serialization and no whitespace
+ */
+
+class JSONCanonicalizer {
+    /**
+     * Canonicalize parsed data
+     * @param {*} value - Parsed data, possibly containing LosslessNumber instances
+     * @returns {string} - Canonical JSON text
+     */
+    canonicalize(value) {
+        if (value === null) {
+            return 'null';
+        }
+
+        // JCS numbers are IEEE 754 doubles, so big lexemes are rounded like JSON.parse would
+        if (value instanceof LosslessNumber) {
+            return this.serializeNumber(value.valueOf());
+        }
+
+        switch (typeof value) {
+            case 'boolean':
+                return String(value);
+            case 'number':
+                return this.serializeNumber(value);
+            case 'string':
+                return JSON.stringify(value);
+            case 'object':
+                return Array.isArray(value) ? this.serializeArray(value) : this.serializeObject(value);
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * Serialize a number the way ECMAScript's Number.prototype.toString does (-0 becomes 0)
+     */
+    serializeNumber(value) {
+        if (!Number.isFinite(value)) {
+            throw new Error(`${value} cannot be represented in canonical JSON`);
+        }
+        return String(value);
+    }
+
+    /**
+     * Serialize an array; values JSON cannot represent become null
+     */
+    serializeArray(array) {
+        const items = array.map(item => {
+            const serialized = this.canonicalize(item);
+            return serialized === undefined ? 'null' : serialized;
+        });
+        return `[${items.join(',')}]`;
+    }
+
+    /**
+     * Serialize an object with its keys sorted by UTF-16 code units (the default Array sort order)
+     */
+    serializeObject(object) {
+        const members = [];
+
+        Object.keys(object).sort().forEach(key => {
+            const serialized = this.canonicalize(object[key]);
+            if (serialized !== undefined) {
+                members.push(`${JSON.stringify(key)}:${serialized}`);
+            }
+        });
+
+        return `{${members.join(',')}}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JSONCanonicalizer;
+}
@@ -0,0 +1,229 @@
+/**
+ * CSV Exporter - Writes JSON as CSV or TSV
+ * Headers are the union of the keys of all rows, nested objects become dotted columns (address.city),
+ * and arrays are joined into one cell, exploded into one row per item, or kept as JSON. A key containing a
+ * dot that names the same column as a nested key is an error rather than a lost value
+ */
+
+class CSVExporter {
+    /**
+     * Create an exporter
+     * @param {Object} options - Options
+     * @param {string} options.delimiter - Field delimiter, e.g. ',', '\t', ';' or '|' (default ',')
+     * @param {string} options.quoting - 'minimal' (only cells that need it), 'all' or 'strings' (default 'minimal')
+     * @param {string} options.arrays - 'join', 'explode' or 'json' (default 'join')
+     * @param {string} options.arraySeparator - Separator of joined array items (default '; ')
+     * @param {Array} options.columns - Columns to write, in order; all columns in order of appearance if omitted
+     * @param {string} options.lineEnding - Line ending (default '\r\n', as RFC 4180 asks)
+     */
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || ',';
+        this.quoting = options.quoting || 'minimal';
+        this.arrays = options.arrays || 'join';
+        this.arraySeparator = options.arraySeparator !== undefined ? options.arraySeparator : '; ';
+        this.columns = options.columns || null;
+        this.lineEnding = options.lineEnding || '\r\n';
+
+        if (this.delimiter.length !== 1 || /["\r\n]/.test(this.delimiter)) {
+            throw new Error('The delimiter must be a single character other than a quote or line break');
+        }
+        if (!CSVExporter.QUOTING[this.quoting]) {
+            throw new Error(`Unknown quoting: ${this.quoting}`);
+        }
+        if (!CSVExporter.ARRAYS[this.arrays]) {
+            throw new Error(`Unknown array handling: ${this.arrays}`);
+        }
+    }
+
+    /**
+     * Write data as CSV
+     * @param {*} data - An array of objects (or of values, written to a 'value' column) or a single object
+     * @returns {string} - CSV text with a header row
+     */
+    export(data) {
+        const rows = this.getRows(data);
+        const columns = this.columns || this.getColumnsOfRows(rows);
+        if (columns.length === 0) {
+            throw new Error('There are no columns to export');
+        }
+
+        const lines = [columns.map(column => this.formatCell(column)).join(this.delimiter)];
+        rows.forEach(row => {
+            lines.push(columns.map(column => this.formatCell(row.has(column) ? row.get(column) : null)).join(this.delimiter));
+        });
+        return lines.join(this.lineEnding) + this.lineEnding;
+    }
+
+    /**
+     * Get the columns of data in order of first appearance
+     * @param {*} data - Data as accepted by export()
+     * @returns {Array} - Column names
+     */
+    getColumns(data) {
+        return this.getColumnsOfRows(this.getRows(data));
+    }
+
+    /**
+     * Union of the columns of flattened rows
+     */
+    getColumnsOfRows(rows) {
+        const columns = new Set();
+        rows.forEach(row => row.forEach((value, column) => columns.add(column)));
+        return Array.from(columns);
+    }
+
+    /**
+     * Flatten data into rows, each a Map from column to a cell value
+     */
+    getRows(data) {
+        let records;
+        if (Array.isArray(data)) {
+            records = data;
+        } else if (this.isObject(data)) {
+            records = [data];
+        } else {
+            throw new Error('CSV export needs an array of objects or an object');
+        }
+
+        const rows = [];
+        records.forEach(record => {
+            const recordRows = this.isObject(record)
+                ? this.flatten(record, '', [new Map()])
+                : this.flatten(record, 'value', [new Map()]);
+            recordRows.forEach(row => rows.push(row));
+            this.checkRowCount(rows.length);
+        });
+        return rows;
+    }
+
+    /**
+     * Stop exploding arrays before the rows fill memory
+     */
+    checkRowCount(count) {
+        if (count > CSVExporter.MAX_ROWS) {
+            throw new Error(`The export would have more than ${CSVExporter.MAX_ROWS} rows; join the arrays or keep them as JSON instead`);
+        }
+    }
+
+    /**
+     * Write a value into rows under a column path
+     * @param {*} value - The value
+     * @param {string} path - Dotted column name
+     * @param {Array} rows - Rows the value belongs to
+     * @returns {Array} - The rows, more of them if an array was exploded
+     */
+    flatten(value, path, rows) {
+        if (this.isObject(value)) {
+            const keys = Object.keys(value);
+            if (keys.length === 0) {
+                if (path) rows.forEach(row => this.setCell(row, path, null));
+                return rows;
+            }
+            return keys.reduce((result, key) => this.flatten(value[key], path ? `${path}.${key}` : key, result), rows);
+        }
+
+        if (Array.isArray(value)) {
+            switch (this.arrays) {
+                case 'json':
+                    rows.forEach(row => this.setCell(row, path, this.toJSON(value)));
+                    return rows;
+                case 'join': {
+                    const cell = value.map(item => this.isScalar(item) ? this.toText(item) : this.toJSON(item)).join(this.arraySeparator);
+                    rows.forEach(row => this.setCell(row, path, cell));
+                    return rows;
+                }
+                default:
+                    if (value.length === 0) {
+                        rows.forEach(row => this.setCell(row, path, null));
+                        return rows;
+                    }
+                    // One copy of every row per item; several arrays give every combination of their items
+                    return rows.reduce((result, row) => {
+                        value.forEach(item => {
+                            this.flatten(item, path, [new Map(row)]).forEach(itemRow => result.push(itemRow));
+                            this.checkRowCount(result.length);
+                        });
+                        return result;
+                    }, []);
+            }
+        }
+
+        rows.forEach(row => this.setCell(row, path, value));
+        return rows;
+    }
+
+    /**
+     * Set a cell of a row; a key with a dot can name the same column as a nested key ({"a.b": 1, "a": {"b": 2}})
+     */
+    setCell(row, path, value) {
+        if (row.has(path)) {
+            throw new Error(`More than one value would go to the column "${path}"; rename the keys that contain dots`);
+        }
+        row.set(path, value);
+    }
+
+    /**
+     * Whether a value is a JSON object
+     */
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof LosslessNumber);
+    }
+
+    /**
+     * Whether a value is a string, number, boolean or null
+     */
+    isScalar(value) {
+        return value === null || typeof value !== 'object' || value instanceof LosslessNumber;
+    }
+
+    /**
+     * Compact JSON of a value, keeping number lexemes
+     */
+    toJSON(value) {
+        return new JSONSerializer({ indent: 0 }).stringify(value);
+    }
+
+    /**
+     * Text of a scalar cell; null is an empty cell
+     */
+    toText(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof LosslessNumber) return value.raw;
+        return String(value);
+    }
+
+    /**
+     * Format a cell, quoting it as the quoting option asks and whenever its text needs it
+     */
+    formatCell(value) {
+        const text = this.toText(value);
+        const needsQuotes = text.includes(this.delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+        const quote = needsQuotes ||
+            this.quoting === 'all' ||
+            (this.quoting === 'strings' && typeof value === 'string');
+
+        return quote ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Quoting choices for menus
+CSVExporter.QUOTING = {
+    minimal: 'Only when needed',
+    all: 'All cells',
+    strings: 'Text cells'
+};
+
+// Array handling choices for menus
+CSVExporter.ARRAYS = {
+    join: 'Join into one cell',
+    explode: 'One row per item',
+    json: 'Keep as JSON'
+};
+
+// Limit on rows created by exploding arrays
+CSVExporter.MAX_ROWS = 100000;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CSVExporter;
+}
@@ -0,0 +1,88 @@
+/**
+ * Diagnostic Formatter - Renders diagnostic objects as human readable text
+ * Diagnostics have the shape {code, message, severity, start: {line, column, offset}, end, hint}
+ */
+
+class DiagnosticFormatter {
+    /**
+     * Create a diagnostic that is not tied to a position in the input
+     * @param {string} code - Machine readable diagnostic code
+     * @param {string} message - Human readable message
+     * @param {string} severity - 'error' or 'warning'
+     * @returns {Object} - Diagnostic object
+     */
+    static create(code, message, severity = 'error') {
+        return {
+            code,
+            message,
+            severity,
+            start: null,
+            end: null,
+            hint: null
+        };
+    }
+
+    /**
+     * Format the location part of a diagnostic
+     * @param {Object} diagnostic - The diagnostic
+     * @returns {string} - e.g. "line 3, column 7", or an empty string when there is no position
+     */
+    formatLocation(diagnostic) {
+        if (!diagnostic.start) return '';
+        return `line ${diagnostic.start.line}, column ${diagnostic.start.column}`;
+    }
+
+    /**
+     * Format a diagnostic as a single line
+     * @param {Object} diagnostic - The diagnostic
+     * @returns {string} - Single line message
+     */
+    formatShort(diagnostic) {
+        const label = diagnostic.severity === 'warning' ? 'Warning' : 'Parse error';
+        const location = this.formatLocation(diagnostic);
+        return location ? `${label} at ${location}: ${diagnostic.message}` : diagnostic.message;
+    }
+
+    /**
+     * Format a diagnostic with the offending line and a caret pointing at the column
+     * @param {Object} diagnostic - The diagnostic
+     * @param {string} source - The text the diagnostic refers to
+     * @returns {string} - Multi-line message
+     */
+    format(diagnostic, source) {
+        let text = this.formatShort(diagnostic);
+
+        if (diagnostic.start && typeof source === 'string') {
+            const lines = source.split('\n');
+            const lineContent = lines[diagnostic.start.line - 1] || '';
+            const column = diagnostic.start.column;
+            const contextStart = Math.max(0, column - 25);
+            const contextEnd = Math.min(lineContent.length, column + 25);
+            const context = lineContent.substring(contextStart, contextEnd);
+            const pointer = ' '.repeat(Math.max(0, column - contextStart - 1)) + '^';
+
+            text += `\n\nContext:\n${context}\n${pointer}`;
+        }
+
+        if (diagnostic.hint) {
+            text += `\nHint: ${diagnostic.hint}`;
+        }
+
+        return text;
+    }
+
+    /**
+     * Format a list of diagnostics
+     * @param {Array} diagnostics - The diagnostics
+     * @param {string} source - The text the diagnostics refer to
+     * @returns {string} - All diagnostics separated by blank lines
+     */
+    formatAll(diagnostics, source) {
+        return diagnostics.map(diagnostic => this.format(diagnostic, source)).join('\n\n');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiagnosticFormatter;
+}
@@ -0,0 +1,238 @@
+/**
+ * Content Digest - SHA-256, SHA-1 and MD5 hex digests of text (hashed as UTF-8)
+ * Uses Web Crypto where available; MD5 (which Web Crypto does not offer) and pages without
+ * a secure context fall back to the implementations below
+ */
+
+class ContentDigest {
+    /**
+     * Hash text
+     * @param {string} text - Text to hash
+     * @param {string} algorithm - 'SHA-256', 'SHA-1' or 'MD5'
+     * @returns {Promise<string>} - Lowercase hex digest
+     */
+    static async digest(text, algorithm = 'SHA-256') {
+        const bytes = new TextEncoder().encode(text);
+        const subtle = typeof crypto !== 'undefined' && crypto.subtle;
+
+        if (subtle && algorithm !== 'MD5') {
+            const buffer = await subtle.digest(algorithm, bytes);
+            return ContentDigest.toHex(new Uint8Array(buffer));
+        }
+
+        switch (algorithm) {
+            case 'SHA-256':
+                return ContentDigest.toHex(ContentDigest.sha256(bytes));
+            case 'SHA-1':
+                return ContentDigest.toHex(ContentDigest.sha1(bytes));
+            case 'MD5':
+                return ContentDigest.toHex(ContentDigest.md5(bytes));
+            default:
+                throw new Error(`Unsupported digest algorithm: ${algorithm}`);
+        }
+    }
+
+    /**
+     * SHA-256 (FIPS 180-4)
+     * @param {Uint8Array} bytes - Message
+     * @returns {Uint8Array} - 32-byte digest
+     */
+    static sha256(bytes) {
+        const k = [
+            0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+            0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+            0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+            0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+            0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+            0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+            0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+            0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+        ];
+        const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const words = ContentDigest.pad(bytes, false);
+        const w = new Array(64);
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+        for (let block = 0; block < words.length; block += 16) {
+            for (let t = 0; t < 64; t++) {
+                if (t < 16) {
+                    w[t] = words[block + t];
+                } else {
+                    const s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+                    const s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+                    w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0;
+                }
+            }
+
+            let [a, b, c, d, e, f, g, h] = hash;
+            for (let t = 0; t < 64; t++) {
+                const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + k[t] + w[t]) | 0;
+                const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+
+            [a, b, c, d, e, f, g, h].forEach((value, i) => {
+                hash[i] = (hash[i] + value) | 0;
+            });
+        }
+
+        return ContentDigest.wordsToBytes(hash, false);
+    }
+
+    /**
+     * SHA-1 (FIPS 180-4)
+     * @param {Uint8Array} bytes - Message
+     * @returns {Uint8Array} - 20-byte digest
+     */
+    static sha1(bytes) {
+        const hash = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+        const words = ContentDigest.pad(bytes, false);
+        const w = new Array(80);
+        const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+
+        for (let block = 0; block < words.length; block += 16) {
+            for (let t = 0; t < 80; t++) {
+                w[t] = t < 16 ? words[block + t] : rotl(w[t - 3] ^ w[t - 8] ^ w[t - 14] ^ w[t - 16], 1);
+            }
+
+            let [a, b, c, d, e] = hash;
+            for (let t = 0; t < 80; t++) {
+                let f;
+                let k;
+                if (t < 20) {
+                    f = (b & c) | (~b & d);
+                    k = 0x5a827999;
+                } else if (t < 40) {
+                    f = b ^ c ^ d;
+                    k = 0x6ed9eba1;
+                } else if (t < 60) {
+                    f = (b & c) | (b & d) | (c & d);
+                    k = 0x8f1bbcdc;
+                } else {
+                    f = b ^ c ^ d;
+                    k = 0xca62c1d6;
+                }
+
+                const temp = (rotl(a, 5) + f + e + k + w[t]) | 0;
+                e = d;
+                d = c;
+                c = rotl(b, 30);
+                b = a;
+                a = temp;
+            }
+
+            [a, b, c, d, e].forEach((value, i) => {
+                hash[i] = (hash[i] + value) | 0;
+            });
+        }
+
+        return ContentDigest.wordsToBytes(hash, false);
+    }
+
+    /**
+     * MD5 (RFC 1321)
+     * @param {Uint8Array} bytes - Message
+     * @returns {Uint8Array} - 16-byte digest
+     */
+    static md5(bytes) {
+        const shifts = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+        const k = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0);
+        const hash = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+        const words = ContentDigest.pad(bytes, true);
+        const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+
+        for (let block = 0; block < words.length; block += 16) {
+            let [a, b, c, d] = hash;
+
+            for (let i = 0; i < 64; i++) {
+                const round = i >> 4;
+                let f;
+                let g;
+                if (round === 0) {
+                    f = (b & c) | (~b & d);
+                    g = i;
+                } else if (round === 1) {
+                    f = (d & b) | (~d & c);
+                    g = (5 * i + 1) % 16;
+                } else if (round === 2) {
+                    f = b ^ c ^ d;
+                    g = (3 * i + 5) % 16;
+                } else {
+                    f = c ^ (b | ~d);
+                    g = (7 * i) % 16;
+                }
+
+                const sum = (a + f + k[i] + words[block + g]) | 0;
+                a = d;
+                d = c;
+                c = b;
+                b = (b + rotl(sum, shifts[round * 4 + (i % 4)])) | 0;
+            }
+
+            [a, b, c, d].forEach((value, i) => {
+                hash[i] = (hash[i] + value) | 0;
+            });
+        }
+
+        return ContentDigest.wordsToBytes(hash, true);
+    }
+
+    /**
+     * Pad a message to whole 64-byte blocks with its bit length at the end, and split it into 32-bit words
+     * @param {boolean} littleEndian - MD5 is little-endian, the SHA family big-endian
+     * @returns {Array<number>} - Message words
+     */
+    static pad(bytes, littleEndian) {
+        const blockCount = ((bytes.length + 8) >> 6) + 1;
+        const padded = new Uint8Array(blockCount * 64);
+        padded.set(bytes);
+        padded[bytes.length] = 0x80;
+
+        const view = new DataView(padded.buffer);
+        const bitLength = bytes.length * 8;
+        const high = Math.floor(bitLength / 0x100000000);
+        const low = bitLength >>> 0;
+        if (littleEndian) {
+            view.setUint32(padded.length - 8, low, true);
+            view.setUint32(padded.length - 4, high, true);
+        } else {
+            view.setUint32(padded.length - 8, high, false);
+            view.setUint32(padded.length - 4, low, false);
+        }
+
+        const words = new Array(padded.length / 4);
+        for (let i = 0; i < words.length; i++) {
+            words[i] = view.getInt32(i * 4, littleEndian);
+        }
+        return words;
+    }
+
+    /**
+     * Write 32-bit words out as bytes
+     */
+    static wordsToBytes(words, littleEndian) {
+        const bytes = new Uint8Array(words.length * 4);
+        const view = new DataView(bytes.buffer);
+        words.forEach((word, i) => view.setInt32(i * 4, word, littleEndian));
+        return bytes;
+    }
+
+    /**
+     * Format bytes as lowercase hex
+     */
+    static toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContentDigest;
+}
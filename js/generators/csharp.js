@@ -0,0 +1,210 @@
+/**
+ * C# Class Generator
+ * Renders classes or positional records with System.Text.Json or Newtonsoft.Json attributes, in one file
+ * with nullable reference types enabled. System.Text.Json names enum members from .NET 9.
+ */
+
+class CSharpGenerator {
+    /**
+     * @param {Object} options - kind: 'class' or 'record'; serializer: 'system-text-json' or 'newtonsoft'
+     */
+    constructor(options = {}) {
+        this.kind = options.kind || 'class';
+        this.serializer = options.serializer || 'system-text-json';
+    }
+
+    /**
+     * Render a TypeModel as C# types
+     * @param {Object} options - namespace: the file-scoped namespace, or empty for none
+     */
+    generate(model, options = {}) {
+        const namespace = options.namespace || '';
+        if (namespace && !CSharpGenerator.NAMESPACE.test(namespace)) {
+            throw new Error(`Invalid namespace: ${namespace}`);
+        }
+        this.model = model;
+        this.usings = new Set();
+
+        const blocks = model.definitions.map(definition => definition.kind === 'enum'
+            ? this.renderEnum(definition)
+            : this.renderClass(definition));
+
+        // C# has no type aliases within a namespace, so a root that is not an object is only described
+        if (model.root.kind !== 'record') {
+            blocks.unshift(`// ${model.rootName}: ${this.getType(model.root)}`);
+        }
+
+        if (namespace) {
+            blocks.unshift(`namespace ${namespace};`);
+        }
+        if (this.usings.size > 0) {
+            blocks.unshift(this.renderUsings());
+        }
+
+        return blocks.join('\n\n');
+    }
+
+    /**
+     * Render the using directives, System ones first
+     */
+    renderUsings() {
+        const isSystem = name => name === 'System' || name.startsWith('System.');
+        const names = [...this.usings].sort();
+        return names.filter(isSystem).concat(names.filter(name => !isSystem(name)))
+            .map(name => `using ${name};`)
+            .join('\n');
+    }
+
+    /**
+     * Render a record as a class or a positional record
+     */
+    renderClass(record) {
+        const fields = this.getFields(record);
+        return this.kind === 'record' ? this.renderRecord(record, fields) : this.renderProperties(record, fields);
+    }
+
+    /**
+     * Render a class with a property per field; fields every sample has are required
+     */
+    renderProperties(record, fields) {
+        const properties = fields.map(field => {
+            const attributes = this.getAttributes(field).map(attribute => `    [${attribute}]\n`).join('');
+            const required = field.optional ? '' : 'required ';
+            return `${attributes}    public ${required}${field.type} ${field.name} { get; set; }`;
+        });
+        return `public class ${record.name}\n{\n${properties.join('\n\n')}\n}`;
+    }
+
+    /**
+     * Render a positional record; parameters with a default must come last
+     */
+    renderRecord(record, fields) {
+        const ordered = fields.filter(field => !field.optional).concat(fields.filter(field => field.optional));
+        const parameters = ordered.map(field => {
+            const attributes = this.getAttributes(field).map(attribute => `[property: ${attribute}] `).join('');
+            const defaultValue = field.optional ? ' = null' : '';
+            return `    ${attributes}${field.type} ${field.name}${defaultValue}`;
+        });
+        return `public record ${record.name}(\n${parameters.join(',\n')});`;
+    }
+
+    /**
+     * Render an enum that is written as its JSON values
+     */
+    renderEnum(definition) {
+        const names = TypeModel.uniqueNames(definition.values.map(value => TypeModel.toPascalCase(value)));
+        const newtonsoft = this.serializer === 'newtonsoft';
+
+        let converter;
+        if (newtonsoft) {
+            this.usings.add('Newtonsoft.Json');
+            this.usings.add('Newtonsoft.Json.Converters');
+            this.usings.add('System.Runtime.Serialization');
+            converter = 'StringEnumConverter';
+        } else {
+            this.usings.add('System.Text.Json.Serialization');
+            converter = 'JsonStringEnumConverter';
+        }
+
+        const members = definition.values.map((value, index) => {
+            const attribute = newtonsoft
+                ? `EnumMember(Value = ${JSON.stringify(value)})`
+                : `JsonStringEnumMemberName(${JSON.stringify(value)})`;
+            return `    [${attribute}]\n    ${names[index]}`;
+        });
+        return `[JsonConverter(typeof(${converter}))]\npublic enum ${definition.name}\n{\n${members.join(',\n')}\n}`;
+    }
+
+    /**
+     * Serializer attributes of a field; missing keys are left out when serializing
+     */
+    getAttributes(field) {
+        const key = JSON.stringify(field.key);
+
+        if (this.serializer === 'newtonsoft') {
+            this.usings.add('Newtonsoft.Json');
+            return field.optional
+                ? [`JsonProperty(${key}, NullValueHandling = NullValueHandling.Ignore)`]
+                : [`JsonProperty(${key})`];
+        }
+
+        this.usings.add('System.Text.Json.Serialization');
+        const attributes = [`JsonPropertyName(${key})`];
+        if (field.optional) {
+            attributes.push('JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)');
+        }
+        return attributes;
+    }
+
+    /**
+     * Fields of a record with PascalCase names and their types; fields that may be missing are nullable
+     */
+    getFields(record) {
+        // A member cannot have the name of its type
+        const names = TypeModel.uniqueNames(record.fields.map(field => {
+            const name = TypeModel.toPascalCase(field.key);
+            return name === record.name ? `${name}Value` : name;
+        }));
+        return record.fields.map((field, index) => {
+            const csharpType = this.getType(field.type);
+            return {
+                key: field.key,
+                name: names[index],
+                type: field.optional && !csharpType.endsWith('?') ? `${csharpType}?` : csharpType,
+                optional: field.optional
+            };
+        });
+    }
+
+    /**
+     * Get the C# type of a model type; nullable types end in ?
+     */
+    getType(type) {
+        const baseType = this.getBaseType(type);
+        return type.nullable || (type.kind === 'primitive' && type.type === 'null') ? `${baseType}?` : baseType;
+    }
+
+    /**
+     * Get the C# type of a model type, ignoring null
+     */
+    getBaseType(type) {
+        switch (type.kind) {
+            case 'primitive':
+                if (CSharpGenerator.FORMATS[type.format]) {
+                    this.usings.add('System');
+                    return CSharpGenerator.FORMATS[type.format];
+                }
+                return CSharpGenerator.PRIMITIVES[type.format === 'int64' ? 'int64' : type.type];
+            case 'array':
+                this.usings.add('System.Collections.Generic');
+                return `List<${this.getType(type.items)}>`;
+            case 'map':
+                this.usings.add('System.Collections.Generic');
+                return `Dictionary<string, ${this.getType(type.values)}>`;
+            case 'union':
+                return 'object';
+            default:
+                return type.name;
+        }
+    }
+}
+
+// Namespaces: dot-separated identifiers
+CSharpGenerator.NAMESPACE = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+// C# types of string formats that both serializers parse
+CSharpGenerator.FORMATS = {
+    'date-time': 'DateTimeOffset',
+    uuid: 'Guid'
+};
+
+// C# types of primitives
+CSharpGenerator.PRIMITIVES = {
+    string: 'string',
+    integer: 'int',
+    int64: 'long',
+    number: 'double',
+    boolean: 'bool',
+    null: 'object',
+    any: 'object'
+};
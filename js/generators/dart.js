@@ -0,0 +1,160 @@
+/**
+ * Dart Class Generator
+ * Renders json_serializable classes; build_runner writes the part file with the _$...FromJson and
+ * _$...ToJson functions.
+ */
+
+class DartGenerator {
+    /**
+     * Render a TypeModel as Dart classes
+     */
+    generate(model) {
+        this.model = model;
+
+        const blocks = model.definitions.map(definition => definition.kind === 'enum'
+            ? this.renderEnum(definition)
+            : this.renderClass(definition));
+
+        // Arrays and other values at the top level get an alias
+        if (model.root.kind !== 'record') {
+            blocks.push(`typedef ${model.rootName} = ${this.getType(model.root)};`);
+        }
+
+        const fileName = TypeModel.toSnakeCase(model.rootName);
+        blocks.unshift(`import 'package:json_annotation/json_annotation.dart';\n\npart '${fileName}.g.dart';`);
+        return blocks.join('\n\n');
+    }
+
+    /**
+     * Render a record as a class with final fields, a named constructor and the JSON factories
+     */
+    renderClass(record) {
+        const names = TypeModel.uniqueNames(record.fields.map(field => this.toFieldName(field.key)));
+        const fields = record.fields.map((field, index) => {
+            const dartType = this.getType(field.type);
+            const nullable = field.optional && !this.isNullable(dartType) ? '?' : '';
+            return `${this.getJsonKey(field, names[index])}  final ${dartType}${nullable} ${names[index]};`;
+        });
+        const parameters = record.fields.map((field, index) => field.optional
+            ? `this.${names[index]}`
+            : `required this.${names[index]}`);
+        const constructor = parameters.length > 0
+            ? `  ${record.name}({\n${parameters.map(parameter => `    ${parameter},`).join('\n')}\n  });`
+            : `  ${record.name}();`;
+
+        const members = [
+            ...(fields.length > 0 ? [fields.join('\n')] : []),
+            constructor,
+            `  factory ${record.name}.fromJson(Map<String, dynamic> json) => _$${record.name}FromJson(json);`,
+            `  Map<String, dynamic> toJson() => _$${record.name}ToJson(this);`
+        ];
+        return `@JsonSerializable()\nclass ${record.name} {\n${members.join('\n\n')}\n}`;
+    }
+
+    /**
+     * Render an enum with the JSON value of each member
+     */
+    renderEnum(definition) {
+        const names = TypeModel.uniqueNames(definition.values.map(value => {
+            const name = this.toFieldName(value);
+            return DartGenerator.ENUM_MEMBERS.includes(name) ? `${name}_` : name;
+        }));
+        const members = definition.values.map((value, index) => `  @JsonValue(${this.quote(value)})\n  ${names[index]},`);
+        return `enum ${definition.name} {\n${members.join('\n')}\n}`;
+    }
+
+    /**
+     * JsonKey annotation of a field whose name differs from its key, or that is left out when missing
+     */
+    getJsonKey(field, name) {
+        const settings = [];
+        if (name !== field.key) {
+            settings.push(`name: ${this.quote(field.key)}`);
+        }
+        if (field.optional) {
+            settings.push('includeIfNull: false');
+        }
+        return settings.length > 0 ? `  @JsonKey(${settings.join(', ')})\n` : '';
+    }
+
+    /**
+     * Get the Dart type of a model type; nullable types end in ?, except dynamic, which can already be null
+     */
+    getType(type) {
+        const baseType = this.getBaseType(type);
+        return type.nullable && !this.isNullable(baseType) ? `${baseType}?` : baseType;
+    }
+
+    /**
+     * Get the Dart type of a model type, ignoring null
+     */
+    getBaseType(type) {
+        switch (type.kind) {
+            case 'primitive':
+                return DartGenerator.FORMATS[type.format] || DartGenerator.PRIMITIVES[type.type];
+            case 'array':
+                return `List<${this.getType(type.items)}>`;
+            case 'map':
+                return `Map<String, ${this.getType(type.values)}>`;
+            case 'union':
+                return 'dynamic';
+            default:
+                return type.name;
+        }
+    }
+
+    /**
+     * Whether a Dart type already holds null
+     */
+    isNullable(dartType) {
+        return dartType === 'dynamic' || dartType.endsWith('?');
+    }
+
+    /**
+     * camelCase field name; reserved words and the members of Object get a trailing _
+     */
+    toFieldName(key) {
+        const name = TypeModel.toCamelCase(key);
+        const reserved = DartGenerator.KEYWORDS.includes(name) || DartGenerator.OBJECT_MEMBERS.includes(name);
+        return reserved ? `${name}_` : name;
+    }
+
+    /**
+     * A single-quoted Dart string; $ would otherwise start an interpolation
+     */
+    quote(value) {
+        const escaped = JSON.stringify(value).slice(1, -1)
+            .replace(/\\"/g, '"')
+            .replace(/'/g, "\\'")
+            .replace(/\$/g, '\\$');
+        return `'${escaped}'`;
+    }
+}
+
+// Dart types of string formats that json_serializable parses
+DartGenerator.FORMATS = {
+    'date-time': 'DateTime'
+};
+
+// Dart types of primitives
+DartGenerator.PRIMITIVES = {
+    string: 'String',
+    integer: 'int',
+    number: 'double',
+    boolean: 'bool',
+    null: 'dynamic',
+    any: 'dynamic'
+};
+
+// Members of Object, which a field cannot override with another type
+DartGenerator.OBJECT_MEMBERS = ['hashCode', 'noSuchMethod', 'runtimeType', 'toString'];
+
+// Members every enum has
+DartGenerator.ENUM_MEMBERS = ['index', 'name', 'values'];
+
+// Reserved words, which cannot name a field
+DartGenerator.KEYWORDS = [
+    'assert', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do', 'else', 'enum', 'extends',
+    'false', 'final', 'finally', 'for', 'if', 'in', 'is', 'new', 'null', 'rethrow', 'return', 'super', 'switch',
+    'this', 'throw', 'true', 'try', 'var', 'void', 'while', 'with'
+];
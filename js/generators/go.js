@@ -3,119 +3,99 @@
  */
 
 class GoGenerator {
-    constructor() {
-        this.structNames = new Set();
-        this.generatedStructs = [];
-    }
-
     /**
-     * Generate Go structs from JSON data
+     * Render a TypeModel as Go structs
      */
-    generate(jsonData, rootName = 'Root') {
-        this.structNames.clear();
-        this.generatedStructs = [];
-        
-        this.generateStruct(jsonData, rootName);
-        
-        return this.generatedStructs.join('\n\n');
-    }
+    generate(model) {
+        this.model = model;
 
-    /**
-     * Generate a single struct
-     */
-    generateStruct(data, structName) {
-        if (this.structNames.has(structName)) {
-            return structName;
-        }
+        const blocks = model.definitions.map(definition => definition.kind === 'enum'
+            ? this.renderEnum(definition)
+            : this.renderStruct(definition));
 
-        this.structNames.add(structName);
-        
-        const fields = [];
-        
-        if (Array.isArray(data)) {
-            // Handle arrays - get the type of array elements
-            if (data.length > 0) {
-                const elementType = this.getTypeFromValue(data[0], `${structName}Item`);
-                return `[]${elementType}`;
-            }
-            return '[]interface{}';
+        // Arrays and other values at the top level get a named type
+        if (model.root.kind !== 'record') {
+            blocks.push(`type ${model.rootName} ${this.getType(model.root)}`);
         }
-        
-        if (typeof data === 'object' && data !== null) {
-            for (const [key, value] of Object.entries(data)) {
-                const goType = this.getTypeFromValue(value, this.capitalize(key));
-                const fieldName = this.capitalize(key);
-                const jsonTag = this.getJsonTag(key, value);
-                fields.push(`\t${fieldName} ${goType} ${jsonTag}`);
-            }
+
+        if (model.uses(type => type.kind === 'primitive' && type.format === 'date-time')) {
+            blocks.unshift('import "time"');
         }
 
-        const structCode = `type ${structName} struct {\n${fields.join('\n')}\n}`;
-        this.generatedStructs.push(structCode);
-        
-        return structName;
+        return blocks.join('\n\n');
     }
 
     /**
-     * Get Go type from a value
+     * Render a record as a struct
      */
-    getTypeFromValue(value, suggestedName) {
-        if (value === null) {
-            return '*interface{}';
-        }
-        
-        if (Array.isArray(value)) {
-            if (value.length === 0) {
-                return '[]interface{}';
-            }
-            
-            // Get type of first element
-            const elementType = this.getTypeFromValue(value[0], `${suggestedName}Item`);
-            return `[]${elementType}`;
-        }
-        
-        if (typeof value === 'object') {
-            return this.generateStruct(value, suggestedName);
-        }
-        
-        if (typeof value === 'string') {
-            return 'string';
-        }
-        
-        if (typeof value === 'number') {
-            // Check if it's an integer or float
-            if (Number.isInteger(value)) {
-                return 'int';
-            }
-            return 'float64';
-        }
-        
-        if (typeof value === 'boolean') {
-            return 'bool';
-        }
-        
-        return 'interface{}';
+    renderStruct(record) {
+        const names = TypeModel.uniqueNames(record.fields.map(field => TypeModel.toPascalCase(field.key)));
+        const fields = record.fields.map((field, index) => {
+            const goType = this.getFieldType(field);
+            return `\t${names[index]} ${goType} ${this.getJsonTag(field)}`;
+        });
+
+        return `type ${record.name} struct {\n${fields.join('\n')}\n}`;
     }
 
     /**
-     * Generate JSON tag for struct field
+     * Render an enum as a string type with a constant per value
      */
-    getJsonTag(key, value) {
-        const omitEmpty = this.shouldOmitEmpty(value) ? ',omitempty' : '';
-        return `\`json:"${key}${omitEmpty}"\``;
+    renderEnum(definition) {
+        const names = TypeModel.uniqueNames(definition.values.map(value => `${definition.name}${TypeModel.toPascalCase(value)}`));
+        const constants = definition.values.map((value, index) => `\t${names[index]} ${definition.name} = ${JSON.stringify(value)}`);
+        return `type ${definition.name} string\n\nconst (\n${constants.join('\n')}\n)`;
     }
 
     /**
-     * Determine if field should have omitempty tag
+     * Get the Go type of a field; fields that may be null or missing are pointers, except slices, maps
+     * and interface{}, which can already be nil
      */
-    shouldOmitEmpty(value) {
-        return value === null || value === undefined || value === '';
+    getFieldType(field) {
+        const goType = this.getType(field.type);
+        const mayBeNil = field.type.nullable || field.optional;
+        return mayBeNil && !/^(\[\]|map\[|interface\{\})/.test(goType) ? `*${goType}` : goType;
     }
 
     /**
-     * Capitalize first letter of a string
+     * Get the Go type of a model type, ignoring null
      */
-    capitalize(str) {
-        return str.charAt(0).toUpperCase() + str.slice(1);
+    getType(type) {
+        switch (type.kind) {
+            case 'primitive':
+                return GoGenerator.FORMATS[type.format] || GoGenerator.PRIMITIVES[type.type];
+            case 'array':
+                return `[]${this.getType(type.items)}`;
+            case 'map':
+                return `map[string]${this.getType(type.values)}`;
+            case 'union':
+                return 'interface{}';
+            default:
+                return type.name;
+        }
+    }
+
+    /**
+     * Generate JSON tag for struct field
+     */
+    getJsonTag(field) {
+        const omitEmpty = field.optional ? ',omitempty' : '';
+        return `\`json:"${field.key}${omitEmpty}"\``;
     }
 }
+
+// Go types of primitive formats that need their own type
+GoGenerator.FORMATS = {
+    'date-time': 'time.Time',
+    int64: 'int64'
+};
+
+// Go types of primitives
+GoGenerator.PRIMITIVES = {
+    string: 'string',
+    integer: 'int',
+    number: 'float64',
+    boolean: 'bool',
+    null: 'interface{}',
+    any: 'interface{}'
+};
@@ -0,0 +1,227 @@
+/**
+ * Java Class Generator
+ * Renders Jackson POJOs, Java 17 records or Lombok classes, one public type per file. Dates need Jackson's
+ * JavaTimeModule, which Spring Boot registers by default.
+ */
+
+class JavaGenerator {
+    /**
+     * @param {Object} options - style: 'pojo', 'record' or 'lombok'
+     */
+    constructor(options = {}) {
+        this.style = options.style || 'pojo';
+    }
+
+    /**
+     * Render a TypeModel as Java files
+     * @param {Object} options - namespace: the package of every file, or empty for none
+     */
+    generate(model, options = {}) {
+        const packageName = options.namespace || '';
+        if (packageName && !JavaGenerator.PACKAGE_NAME.test(packageName)) {
+            throw new Error(`Invalid package name: ${packageName}`);
+        }
+        this.model = model;
+
+        const files = model.definitions.map(definition => {
+            this.imports = new Set();
+            const body = definition.kind === 'enum' ? this.renderEnum(definition) : this.renderClass(definition);
+            return this.renderFile(definition.name, packageName, body);
+        });
+
+        // Java has no type aliases, so a root that is not an object is only described
+        if (model.root.kind !== 'record') {
+            this.imports = new Set();
+            files.unshift(`// ${model.rootName}: ${this.getType(model.root, true)}`);
+        }
+
+        return files.join('\n\n');
+    }
+
+    /**
+     * Render one file: its name, package, imports and type
+     */
+    renderFile(name, packageName, body) {
+        const parts = [`// ${name}.java`];
+        if (packageName) {
+            parts.push(`package ${packageName};`);
+        }
+        if (this.imports.size > 0) {
+            parts.push([...this.imports].sort().map(name => `import ${name};`).join('\n'));
+        }
+        parts.push(body);
+        return parts.join('\n\n');
+    }
+
+    /**
+     * Render a record in the chosen style
+     */
+    renderClass(record) {
+        const fields = this.getFields(record);
+        switch (this.style) {
+            case 'record':
+                return this.renderRecord(record, fields);
+            case 'lombok':
+                return this.renderLombok(record, fields);
+            default:
+                return this.renderPojo(record, fields);
+        }
+    }
+
+    /**
+     * Render a class with private fields, getters and setters
+     */
+    renderPojo(record, fields) {
+        const declarations = fields.map(field => this.renderField(field));
+        const accessors = fields.map(field => {
+            const suffix = field.name.charAt(0).toUpperCase() + field.name.slice(1);
+            const getter = field.type === 'boolean' ? `is${suffix}` : `get${suffix}`;
+            return [
+                `    public ${field.type} ${getter}() {\n        return ${field.name};\n    }`,
+                `    public void set${suffix}(${field.type} ${field.name}) {\n        this.${field.name} = ${field.name};\n    }`
+            ].join('\n\n');
+        });
+
+        return `public class ${record.name} {\n${declarations.concat(accessors).join('\n\n')}\n}`;
+    }
+
+    /**
+     * Render a record with an annotated component per field
+     */
+    renderRecord(record, fields) {
+        const components = fields.map(field => `    ${this.getAnnotations(field).join(' ')} ${field.type} ${field.name}`);
+        return `public record ${record.name}(\n${components.join(',\n')}\n) {\n}`;
+    }
+
+    /**
+     * Render a class whose accessors and constructors Lombok generates
+     */
+    renderLombok(record, fields) {
+        ['lombok.AllArgsConstructor', 'lombok.Data', 'lombok.NoArgsConstructor'].forEach(name => this.imports.add(name));
+        const declarations = fields.map(field => this.renderField(field));
+        return `@Data\n@NoArgsConstructor\n@AllArgsConstructor\npublic class ${record.name} {\n${declarations.join('\n\n')}\n}`;
+    }
+
+    /**
+     * Render a private field with its annotations on the lines before it
+     */
+    renderField(field) {
+        const annotations = this.getAnnotations(field).map(annotation => `    ${annotation}\n`).join('');
+        return `${annotations}    private ${field.type} ${field.name};`;
+    }
+
+    /**
+     * Render an enum with the JSON value of each constant
+     */
+    renderEnum(definition) {
+        this.imports.add('com.fasterxml.jackson.annotation.JsonProperty');
+        const names = TypeModel.uniqueNames(definition.values.map(value => TypeModel.toConstantCase(value)));
+        const constants = definition.values.map((value, index) => `    @JsonProperty(${JSON.stringify(value)})\n    ${names[index]}`);
+        return `public enum ${definition.name} {\n${constants.join(',\n')}\n}`;
+    }
+
+    /**
+     * Jackson annotations of a field; missing keys are left out when serializing
+     */
+    getAnnotations(field) {
+        this.imports.add('com.fasterxml.jackson.annotation.JsonProperty');
+        const annotations = [`@JsonProperty(${JSON.stringify(field.key)})`];
+        if (field.optional) {
+            this.imports.add('com.fasterxml.jackson.annotation.JsonInclude');
+            annotations.push('@JsonInclude(JsonInclude.Include.NON_NULL)');
+        }
+        return annotations;
+    }
+
+    /**
+     * Fields of a record with camelCase names and their types; fields that may be null or missing are boxed
+     */
+    getFields(record) {
+        const names = TypeModel.uniqueNames(record.fields.map(field => this.toFieldName(field.key)));
+        return record.fields.map((field, index) => ({
+            key: field.key,
+            name: names[index],
+            type: this.getType(field.type, field.type.nullable || field.optional),
+            optional: field.optional
+        }));
+    }
+
+    /**
+     * Get the Java type of a model type
+     * @param {boolean} boxed - Whether a primitive must be an object, to hold null or to be a type argument
+     */
+    getType(type, boxed) {
+        switch (type.kind) {
+            case 'primitive':
+                return this.getPrimitiveType(type, boxed);
+            case 'array':
+                this.imports.add('java.util.List');
+                return `List<${this.getType(type.items, true)}>`;
+            case 'map':
+                this.imports.add('java.util.Map');
+                return `Map<String, ${this.getType(type.values, true)}>`;
+            case 'union':
+                return 'Object';
+            default:
+                return type.name;
+        }
+    }
+
+    /**
+     * Get the Java type of a primitive; formats with a class of their own are imported
+     */
+    getPrimitiveType(type, boxed) {
+        const format = JavaGenerator.FORMATS[type.format];
+        if (format) {
+            this.imports.add(format);
+            return format.slice(format.lastIndexOf('.') + 1);
+        }
+
+        const key = type.format === 'int64' ? 'int64' : type.type;
+        const [primitive, object] = JavaGenerator.PRIMITIVES[key];
+        return boxed ? object : primitive;
+    }
+
+    /**
+     * camelCase field name; keywords get a trailing _, and so do the names a record cannot use
+     */
+    toFieldName(key) {
+        const name = TypeModel.toCamelCase(key);
+        const reserved = JavaGenerator.KEYWORDS.includes(name)
+            || (this.style === 'record' && JavaGenerator.OBJECT_METHODS.includes(name));
+        return reserved ? `${name}_` : name;
+    }
+}
+
+// Package names: dot-separated identifiers
+JavaGenerator.PACKAGE_NAME = /^[A-Za-z_$][A-Za-z0-9_$]*(\.[A-Za-z_$][A-Za-z0-9_$]*)*$/;
+
+// Java classes of string formats that Jackson parses
+JavaGenerator.FORMATS = {
+    'date-time': 'java.time.OffsetDateTime',
+    date: 'java.time.LocalDate',
+    uuid: 'java.util.UUID'
+};
+
+// Java primitive and boxed types of primitives
+JavaGenerator.PRIMITIVES = {
+    string: ['String', 'String'],
+    integer: ['int', 'Integer'],
+    int64: ['long', 'Long'],
+    number: ['double', 'Double'],
+    boolean: ['boolean', 'Boolean'],
+    null: ['Object', 'Object'],
+    any: ['Object', 'Object']
+};
+
+// Methods of Object, which a record component cannot be named after
+JavaGenerator.OBJECT_METHODS = ['clone', 'finalize', 'getClass', 'hashCode', 'notify', 'notifyAll', 'toString', 'wait'];
+
+// Reserved words, which cannot name a field
+JavaGenerator.KEYWORDS = [
+    'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const', 'continue',
+    'default', 'do', 'double', 'else', 'enum', 'extends', 'false', 'final', 'finally', 'float', 'for', 'goto',
+    'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native', 'new', 'null', 'package',
+    'private', 'protected', 'public', 'return', 'short', 'static', 'strictfp', 'super', 'switch',
+    'synchronized', 'this', 'throw', 'throws', 'transient', 'true', 'try', 'void', 'volatile', 'while'
+];
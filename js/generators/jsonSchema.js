@@ -5,18 +5,27 @@
 class JsonSchemaGenerator {
     constructor() {
         this.definitions = new Map();
-        this.rootSchema = null;
     }
 
     /**
-     * Generate JSON Schema from JSON data
+     * Render a TypeModel as a JSON Schema; records and enums other than the root go under $defs
      */
-    generate(jsonData, rootName = 'Root') {
+    generate(model) {
+        if (!(model instanceof TypeModel)) {
+            throw new Error('A JSON Schema is generated from a TypeModel, not from JSON data');
+        }
         this.definitions.clear();
-        this.rootSchema = null;
-        
-        const schema = this.generateSchema(jsonData, rootName);
-        
+        this.model = model;
+
+        const rootName = model.rootName;
+        const schema = model.root.kind === 'record'
+            ? this.generateNullable(this.generateDefinition(model.getDefinition(rootName)), model.root.nullable)
+            : this.generateSchema(model.root);
+
+        model.definitions
+            .filter(definition => definition.name !== rootName)
+            .forEach(definition => this.definitions.set(definition.name, this.generateDefinition(definition)));
+
         // Create the complete JSON Schema
         const jsonSchema = {
             "$schema": "https://json-schema.org/draft/2020-12/schema",
@@ -35,162 +44,84 @@ class JsonSchemaGenerator {
     }
 
     /**
-     * Generate schema for a value
+     * Generate schema for a model type; nullable types also accept null
      */
-    generateSchema(data, name = 'Root') {
-        if (data === null) {
-            return { "type": "null" };
-        }
-        
-        if (Array.isArray(data)) {
-            return this.generateArraySchema(data, name);
-        }
-        
-        if (typeof data === 'object') {
-            return this.generateObjectSchema(data, name);
-        }
-        
-        if (typeof data === 'string') {
-            return { "type": "string" };
-        }
-        
-        if (typeof data === 'number') {
-            if (Number.isInteger(data)) {
-                return { "type": "integer" };
-            }
-            return { "type": "number" };
-        }
-        
-        if (typeof data === 'boolean') {
-            return { "type": "boolean" };
-        }
-        
-        return {};
+    generateSchema(type) {
+        return this.generateNullable(this.generateBaseSchema(type), type.nullable);
     }
 
     /**
-     * Generate schema for an array
+     * Let a schema accept null as well
      */
-    generateArraySchema(data, name) {
-        const schema = {
-            "type": "array"
-        };
-
-        if (data.length === 0) {
-            schema.items = {};
+    generateNullable(schema, nullable) {
+        if (!nullable) {
             return schema;
         }
-
-        // Analyze all items to determine if they have the same schema
-        const itemSchemas = data.map((item, index) => 
-            this.generateSchema(item, `${name}Item`)
-        );
-
-        // Check if all items have the same type
-        const firstType = itemSchemas[0].type;
-        const allSameType = itemSchemas.every(schema => schema.type === firstType);
-
-        if (allSameType && firstType !== 'object') {
-            schema.items = itemSchemas[0];
-        } else if (allSameType && firstType === 'object') {
-            // All objects - merge properties to create a comprehensive schema
-            schema.items = this.mergeObjectSchemas(itemSchemas);
-        } else {
-            // Mixed types - use anyOf
-            schema.items = {
-                "anyOf": itemSchemas
-            };
+        if (typeof schema.type === 'string') {
+            return { ...schema, "type": [schema.type, "null"] };
         }
-
-        return schema;
+        return { "anyOf": [...(schema.anyOf || [schema]), { "type": "null" }] };
     }
 
     /**
-     * Generate schema for an object
+     * Generate schema for a model type, ignoring null
      */
-    generateObjectSchema(data, name) {
-        const schema = {
-            "type": "object",
-            "properties": {},
-            "required": []
-        };
-
-        for (const [key, value] of Object.entries(data)) {
-            const propertyName = this.capitalize(key);
-            schema.properties[key] = this.generateSchema(value, propertyName);
-            
-            // Add to required if not null/undefined
-            if (value !== null && value !== undefined) {
-                schema.required.push(key);
-            }
+    generateBaseSchema(type) {
+        switch (type.kind) {
+            case 'primitive':
+                return this.generatePrimitiveSchema(type);
+            case 'array':
+                return { "type": "array", "items": this.generateSchema(type.items) };
+            case 'map':
+                return { "type": "object", "additionalProperties": this.generateSchema(type.values) };
+            case 'union':
+                return { "anyOf": type.types.map(member => this.generateBaseSchema(member)) };
+            default:
+                return { "$ref": `#/$defs/${type.name}` };
         }
+    }
 
-        // Remove required array if empty
-        if (schema.required.length === 0) {
-            delete schema.required;
+    /**
+     * Generate schema for a primitive; string formats are kept, number formats have no JSON Schema name
+     */
+    generatePrimitiveSchema(type) {
+        switch (type.type) {
+            case 'any':
+                return {};
+            case 'string':
+                return type.format ? { "type": "string", "format": type.format } : { "type": "string" };
+            default:
+                return { "type": type.type };
         }
-
-        return schema;
     }
 
     /**
-     * Merge multiple object schemas into one
+     * Generate schema for a record or enum definition; keys every sample has are required
      */
-    mergeObjectSchemas(schemas) {
-        const merged = {
+    generateDefinition(definition) {
+        if (definition.kind === 'enum') {
+            return { "type": "string", "enum": definition.values };
+        }
+
+        const schema = {
             "type": "object",
             "properties": {},
             "required": []
         };
 
-        const allProperties = new Set();
-        const requiredCounts = new Map();
-
-        // Collect all properties and count required occurrences
-        schemas.forEach(schema => {
-            if (schema.properties) {
-                Object.keys(schema.properties).forEach(prop => {
-                    allProperties.add(prop);
-                    if (schema.required && schema.required.includes(prop)) {
-                        requiredCounts.set(prop, (requiredCounts.get(prop) || 0) + 1);
-                    }
-                });
-            }
-        });
-
-        // Merge properties
-        allProperties.forEach(prop => {
-            const propSchemas = schemas
-                .filter(schema => schema.properties && schema.properties[prop])
-                .map(schema => schema.properties[prop]);
-
-            if (propSchemas.length === 1) {
-                merged.properties[prop] = propSchemas[0];
-            } else {
-                // Multiple schemas for same property - use anyOf
-                merged.properties[prop] = {
-                    "anyOf": propSchemas
-                };
-            }
+        definition.fields.forEach(field => {
+            schema.properties[field.key] = this.generateSchema(field.type);
 
-            // Property is required if it appears in more than half the schemas
-            if (requiredCounts.get(prop) > schemas.length / 2) {
-                merged.required.push(prop);
+            if (!field.optional) {
+                schema.required.push(field.key);
             }
         });
 
         // Remove required array if empty
-        if (merged.required.length === 0) {
-            delete merged.required;
+        if (schema.required.length === 0) {
+            delete schema.required;
         }
 
-        return merged;
-    }
-
-    /**
-     * Capitalize first letter of a string
-     */
-    capitalize(str) {
-        return str.charAt(0).toUpperCase() + str.slice(1);
+        return schema;
     }
 }
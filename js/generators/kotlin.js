@@ -3,122 +3,109 @@
  */
 
 class KotlinGenerator {
-    constructor() {
-        this.classNames = new Set();
-        this.generatedClasses = [];
-    }
-
     /**
-     * Generate Kotlin data classes from JSON data
+     * Render a TypeModel as Kotlin data classes
      */
-    generate(jsonData, rootName = 'Root') {
-        this.classNames.clear();
-        this.generatedClasses = [];
-        
-        this.generateDataClass(jsonData, rootName);
-        
-        return this.generatedClasses.join('\n\n');
+    generate(model) {
+        this.model = model;
+
+        const blocks = model.definitions.map(definition => definition.kind === 'enum'
+            ? this.renderEnum(definition)
+            : this.renderDataClass(definition));
+
+        // Arrays and other values at the top level get an alias
+        if (model.root.kind !== 'record') {
+            blocks.push(`typealias ${model.rootName} = ${this.getType(model.root)}`);
+        }
+
+        return blocks.join('\n\n');
     }
 
     /**
-     * Generate a single data class
+     * Render a record as a data class
      */
-    generateDataClass(data, className) {
-        if (this.classNames.has(className)) {
-            return className;
-        }
+    renderDataClass(record) {
+        const names = TypeModel.uniqueNames(record.fields.map(field => TypeModel.toCamelCase(field.key)));
+        const properties = record.fields.map((field, index) => {
+            const kotlinType = this.getType(field.type);
+            const nullable = field.optional && !kotlinType.endsWith('?') ? '?' : '';
+            // Missing keys need a default to deserialize
+            const defaultValue = field.optional ? ' = null' : '';
+            const annotation = this.getSerialNameAnnotation(field.key, names[index]);
+            return `    ${annotation}val ${this.escapeName(names[index])}: ${kotlinType}${nullable}${defaultValue}`;
+        });
 
-        this.classNames.add(className);
-        
-        const properties = [];
-        
-        if (Array.isArray(data)) {
-            // Handle arrays - get the type of array elements
-            if (data.length > 0) {
-                const elementType = this.getTypeFromValue(data[0], `${className}Item`);
-                return `List<${elementType}>`;
-            }
-            return 'List<Any>';
-        }
-        
-        if (typeof data === 'object' && data !== null) {
-            for (const [key, value] of Object.entries(data)) {
-                const kotlinType = this.getTypeFromValue(value, this.capitalize(key));
-                const nullable = this.shouldBeNullable(value) ? '?' : '';
-                const annotation = this.getSerialNameAnnotation(key);
-                properties.push(`    ${annotation}val ${key}: ${kotlinType}${nullable}`);
-            }
-        }
+        return `@Serializable\ndata class ${record.name}(\n${properties.join(',\n')}\n)`;
+    }
 
-        const classCode = `@Serializable\ndata class ${className}(\n${properties.join(',\n')}\n)`;
-        this.generatedClasses.push(classCode);
-        
-        return className;
+    /**
+     * Render an enum class with the JSON value of each constant
+     */
+    renderEnum(definition) {
+        const names = TypeModel.uniqueNames(definition.values.map(value => TypeModel.toConstantCase(value)));
+        const constants = definition.values.map((value, index) => `    @SerialName(${JSON.stringify(value)}) ${names[index]}`);
+        return `@Serializable\nenum class ${definition.name} {\n${constants.join(',\n')}\n}`;
     }
 
     /**
-     * Get Kotlin type from a value
+     * Get the Kotlin type of a model type; nullable types end in ?
      */
-    getTypeFromValue(value, suggestedName) {
-        if (value === null) {
-            return 'Any';
-        }
-        
-        if (Array.isArray(value)) {
-            if (value.length === 0) {
-                return 'List<Any>';
-            }
-            
-            // Get type of first element
-            const elementType = this.getTypeFromValue(value[0], `${suggestedName}Item`);
-            return `List<${elementType}>`;
-        }
-        
-        if (typeof value === 'object') {
-            return this.generateDataClass(value, suggestedName);
-        }
-        
-        if (typeof value === 'string') {
-            return 'String';
-        }
-        
-        if (typeof value === 'number') {
-            // Check if it's an integer or float
-            if (Number.isInteger(value)) {
-                return 'Int';
-            }
-            return 'Double';
-        }
-        
-        if (typeof value === 'boolean') {
-            return 'Boolean';
-        }
-        
-        return 'Any';
+    getType(type) {
+        const baseType = this.getBaseType(type);
+        return type.nullable || (type.kind === 'primitive' && type.type === 'null') ? `${baseType}?` : baseType;
     }
 
     /**
-     * Generate SerialName annotation for property
+     * Get the Kotlin type of a model type, ignoring null
      */
-    getSerialNameAnnotation(key) {
-        // Only add SerialName if the key contains special characters or starts with uppercase
-        if (key.includes('_') || key.includes('-') || /^[A-Z]/.test(key)) {
-            return `@SerialName("${key}") `;
+    getBaseType(type) {
+        switch (type.kind) {
+            case 'primitive':
+                return KotlinGenerator.FORMATS[type.format] || KotlinGenerator.PRIMITIVES[type.type];
+            case 'array':
+                return `List<${this.getType(type.items)}>`;
+            case 'map':
+                return `Map<String, ${this.getType(type.values)}>`;
+            case 'union':
+                return 'Any';
+            default:
+                return type.name;
         }
-        return '';
     }
 
     /**
-     * Determine if a property should be nullable
+     * Generate SerialName annotation for a property whose name differs from its key
      */
-    shouldBeNullable(value) {
-        return value === null || value === undefined;
+    getSerialNameAnnotation(key, name) {
+        return name !== key ? `@SerialName(${JSON.stringify(key)}) ` : '';
     }
 
     /**
-     * Capitalize first letter of a string
+     * Keywords are escaped with backticks
      */
-    capitalize(str) {
-        return str.charAt(0).toUpperCase() + str.slice(1);
+    escapeName(name) {
+        return KotlinGenerator.KEYWORDS.includes(name) ? `\`${name}\`` : name;
     }
 }
+
+// Kotlin types of primitive formats that need their own type
+KotlinGenerator.FORMATS = {
+    int64: 'Long'
+};
+
+// Kotlin types of primitives
+KotlinGenerator.PRIMITIVES = {
+    string: 'String',
+    integer: 'Int',
+    number: 'Double',
+    boolean: 'Boolean',
+    null: 'Any',
+    any: 'Any'
+};
+
+// Hard keywords, which cannot name a property without backticks
+KotlinGenerator.KEYWORDS = [
+    'as', 'break', 'class', 'continue', 'do', 'else', 'false', 'for', 'fun', 'if', 'in', 'interface', 'is',
+    'null', 'object', 'package', 'return', 'super', 'this', 'throw', 'true', 'try', 'typealias', 'typeof',
+    'val', 'var', 'when', 'while'
+];
@@ -0,0 +1,288 @@
+/**
+ * Python Class Generator
+ * Renders dataclasses, Pydantic v2 models or TypedDicts. Only Pydantic converts values while parsing, so
+ * dates, UUIDs and enums become Python types there; the other styles keep the JSON strings.
+ */
+
+class PythonGenerator {
+    /**
+     * @param {Object} options - style: 'dataclass', 'pydantic' or 'typeddict'
+     */
+    constructor(options = {}) {
+        this.style = options.style || 'dataclass';
+    }
+
+    /**
+     * Render a TypeModel as Python classes
+     */
+    generate(model) {
+        this.model = model;
+        this.imports = new Map();
+
+        const blocks = model.definitions.map(definition => definition.kind === 'enum'
+            ? this.renderEnum(definition)
+            : this.renderClass(definition));
+
+        // Arrays and other values at the top level get an alias
+        if (model.root.kind !== 'record') {
+            blocks.push(`${model.rootName} = ${this.getType(model.root)}`);
+        }
+
+        // Imports are only known once every block has been rendered
+        blocks.unshift(this.renderImports());
+
+        return blocks.filter(block => block).join('\n\n\n');
+    }
+
+    /**
+     * Render a record in the chosen style
+     */
+    renderClass(record) {
+        switch (this.style) {
+            case 'pydantic':
+                return this.renderModel(record);
+            case 'typeddict':
+                return this.renderTypedDict(record);
+            default:
+                return this.renderDataclass(record);
+        }
+    }
+
+    /**
+     * Render a record as a dataclass; fields with a default must come last, and renamed keys are noted
+     */
+    renderDataclass(record) {
+        this.addImport('dataclasses', 'dataclass');
+
+        const fields = this.getFields(record).map(field => {
+            const defaultValue = field.optional ? ' = None' : '';
+            const comment = field.name !== field.key ? `  # ${JSON.stringify(field.key)}` : '';
+            return { optional: field.optional, line: `    ${field.name}: ${field.type}${defaultValue}${comment}` };
+        });
+        const lines = fields.filter(field => !field.optional).concat(fields.filter(field => field.optional));
+
+        return `@dataclass\nclass ${record.name}:\n${this.renderBody(lines.map(field => field.line))}`;
+    }
+
+    /**
+     * Render a record as a Pydantic model; renamed keys are aliases, which the model also accepts by name
+     */
+    renderModel(record) {
+        this.addImport('pydantic', 'BaseModel');
+
+        const fields = this.getFields(record);
+        const lines = fields.map(field => {
+            const renamed = field.name !== field.key;
+            if (renamed) {
+                this.addImport('pydantic', 'Field');
+            }
+
+            const alias = `alias=${JSON.stringify(field.key)}`;
+            let value = '';
+            if (renamed) {
+                value = field.optional ? ` = Field(default=None, ${alias})` : ` = Field(${alias})`;
+            } else if (field.optional) {
+                value = ' = None';
+            }
+            return `    ${field.name}: ${field.type}${value}`;
+        });
+
+        const settings = [];
+        if (fields.some(field => field.name !== field.key)) {
+            settings.push('populate_by_name=True');
+        }
+        // Pydantic warns about fields in its own model_ namespace
+        if (fields.some(field => field.name.startsWith('model_'))) {
+            settings.push('protected_namespaces=()');
+        }
+        if (settings.length > 0) {
+            this.addImport('pydantic', 'ConfigDict');
+            lines.unshift(`    model_config = ConfigDict(${settings.join(', ')})`, '');
+        }
+
+        return `class ${record.name}(BaseModel):\n${this.renderBody(lines)}`;
+    }
+
+    /**
+     * Render a record as a TypedDict, which keeps the JSON keys; keys that cannot be written as class
+     * attributes need the functional syntax
+     */
+    renderTypedDict(record) {
+        this.addImport('typing', 'TypedDict');
+
+        const fields = record.fields.map(field => {
+            let pythonType = this.getType(field.type);
+            if (field.optional) {
+                this.addImport('typing', 'NotRequired');
+                pythonType = `NotRequired[${pythonType}]`;
+            }
+            return { key: field.key, type: pythonType };
+        });
+
+        if (fields.every(field => this.isIdentifier(field.key))) {
+            return `class ${record.name}(TypedDict):\n${this.renderBody(fields.map(field => `    ${field.key}: ${field.type}`))}`;
+        }
+
+        const entries = fields.map(field => `    ${JSON.stringify(field.key)}: ${field.type},`);
+        return `${record.name} = TypedDict(${JSON.stringify(record.name)}, {\n${entries.join('\n')}\n})`;
+    }
+
+    /**
+     * Render an enum: a str Enum for Pydantic, otherwise a Literal of its values
+     */
+    renderEnum(definition) {
+        const values = definition.values.map(value => JSON.stringify(value));
+
+        if (this.style !== 'pydantic') {
+            this.addImport('typing', 'Literal');
+            return `${definition.name} = Literal[${values.join(', ')}]`;
+        }
+
+        this.addImport('enum', 'Enum');
+        const names = TypeModel.uniqueNames(definition.values.map(value => TypeModel.toConstantCase(value)));
+        const members = names.map((name, index) => `    ${name} = ${values[index]}`);
+        return `class ${definition.name}(str, Enum):\n${members.join('\n')}`;
+    }
+
+    /**
+     * Render the lines of a class body; an empty class needs pass
+     */
+    renderBody(lines) {
+        return lines.length > 0 ? lines.join('\n') : '    pass';
+    }
+
+    /**
+     * Render the imports used by the blocks: the standard library first, then Pydantic
+     */
+    renderImports() {
+        const modules = [...this.imports.keys()].sort();
+        const render = group => group
+            .map(module => `from ${module} import ${[...this.imports.get(module)].sort().join(', ')}`)
+            .join('\n');
+
+        return [
+            render(modules.filter(module => module !== 'pydantic')),
+            render(modules.filter(module => module === 'pydantic'))
+        ].filter(group => group).join('\n\n');
+    }
+
+    /**
+     * Note a name to import from a module
+     */
+    addImport(module, name) {
+        if (!this.imports.has(module)) {
+            this.imports.set(module, new Set());
+        }
+        this.imports.get(module).add(name);
+    }
+
+    /**
+     * Fields of a record with snake_case attribute names and their types; missing keys are Optional
+     */
+    getFields(record) {
+        const names = TypeModel.uniqueNames(record.fields.map(field => this.toFieldName(field.key)));
+        return record.fields.map((field, index) => {
+            let pythonType = this.getType(field.type);
+            if (field.optional && !field.type.nullable && !['None', 'Any'].includes(pythonType)) {
+                this.addImport('typing', 'Optional');
+                pythonType = `Optional[${pythonType}]`;
+            }
+            return { key: field.key, name: names[index], type: pythonType, optional: field.optional };
+        });
+    }
+
+    /**
+     * Get the Python type of a model type; nullable types are Optional
+     */
+    getType(type) {
+        if (type.kind === 'primitive' && type.type === 'null') {
+            return 'None';
+        }
+
+        const baseType = this.getBaseType(type);
+        if (!type.nullable || baseType === 'Any') {
+            return baseType;
+        }
+        this.addImport('typing', 'Optional');
+        return `Optional[${baseType}]`;
+    }
+
+    /**
+     * Get the Python type of a model type, ignoring None
+     */
+    getBaseType(type) {
+        switch (type.kind) {
+            case 'primitive':
+                return this.getPrimitiveType(type);
+            case 'array':
+                return `list[${this.getType(type.items)}]`;
+            case 'map':
+                return `dict[str, ${this.getType(type.values)}]`;
+            case 'union':
+                this.addImport('typing', 'Union');
+                return `Union[${type.types.map(member => this.getBaseType(member)).join(', ')}]`;
+            default:
+                return type.name;
+        }
+    }
+
+    /**
+     * Get the Python type of a primitive; Pydantic parses dates and UUIDs into their own types
+     */
+    getPrimitiveType(type) {
+        const format = this.style === 'pydantic' ? PythonGenerator.FORMATS[type.format] : null;
+        if (format) {
+            this.addImport(format.module, format.name);
+            return format.name;
+        }
+
+        if (type.type === 'any') {
+            this.addImport('typing', 'Any');
+        }
+        return PythonGenerator.PRIMITIVES[type.type];
+    }
+
+    /**
+     * snake_case attribute name; keywords and the type names used in annotations get a trailing _, since
+     * a field with a default would otherwise hide the type from the fields after it
+     */
+    toFieldName(key) {
+        const name = TypeModel.toSnakeCase(key);
+        const reserved = PythonGenerator.KEYWORDS.includes(name) || PythonGenerator.TYPE_NAMES.includes(name);
+        return reserved ? `${name}_` : name;
+    }
+
+    /**
+     * Whether a key can be written as a class attribute
+     */
+    isIdentifier(key) {
+        return /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) && !PythonGenerator.KEYWORDS.includes(key);
+    }
+}
+
+// Python types of primitives
+PythonGenerator.PRIMITIVES = {
+    string: 'str',
+    integer: 'int',
+    number: 'float',
+    boolean: 'bool',
+    null: 'None',
+    any: 'Any'
+};
+
+// Types Pydantic parses string formats into, and where they are imported from
+PythonGenerator.FORMATS = {
+    'date-time': { module: 'datetime', name: 'datetime' },
+    date: { module: 'datetime', name: 'date' },
+    uuid: { module: 'uuid', name: 'UUID' }
+};
+
+// Lower case names used in annotations
+PythonGenerator.TYPE_NAMES = ['bool', 'date', 'datetime', 'dict', 'float', 'int', 'list', 'str'];
+
+// Keywords, which cannot name an attribute
+PythonGenerator.KEYWORDS = [
+    'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def',
+    'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda',
+    'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+];
@@ -3,152 +3,148 @@
  */
 
 class RustGenerator {
-    constructor() {
-        this.structNames = new Set();
-        this.generatedStructs = [];
+    /**
+     * Render a TypeModel as Rust structs
+     */
+    generate(model) {
+        this.model = model;
+
+        const blocks = model.definitions.map(definition => definition.kind === 'enum'
+            ? this.renderEnum(definition)
+            : this.renderStruct(definition));
+
+        // Arrays and other values at the top level get an alias
+        if (model.root.kind !== 'record') {
+            blocks.push(`pub type ${model.rootName} = ${this.getType(model.root)};`);
+        }
+
+        if (model.uses(type => type.kind === 'map')) {
+            blocks.unshift('use std::collections::HashMap;');
+        }
+
+        return blocks.join('\n\n');
     }
 
     /**
-     * Generate Rust structs from JSON data
+     * Render a record as a struct
      */
-    generate(jsonData, rootName = 'Root') {
-        this.structNames.clear();
-        this.generatedStructs = [];
-        
-        this.generateStruct(jsonData, rootName);
-        
-        return this.generatedStructs.join('\n\n');
+    renderStruct(record) {
+        const names = TypeModel.uniqueNames(record.fields.map(field => this.toFieldName(field.key)));
+        const fields = record.fields.map((field, index) => {
+            const rustType = this.getFieldType(field);
+            const serdeAttribute = this.getSerdeAttribute(field, names[index]);
+            return `    ${serdeAttribute}pub ${this.escapeName(names[index])}: ${rustType},`;
+        });
+
+        return `${RustGenerator.DERIVES}\npub struct ${record.name} {\n${fields.join('\n')}\n}`;
     }
 
     /**
-     * Generate a single struct
+     * Render an enum with the JSON value of each variant
      */
-    generateStruct(data, structName) {
-        if (this.structNames.has(structName)) {
-            return structName;
-        }
-
-        this.structNames.add(structName);
-        
-        const fields = [];
-        
-        if (Array.isArray(data)) {
-            // Handle arrays - get the type of array elements
-            if (data.length > 0) {
-                const elementType = this.getTypeFromValue(data[0], `${structName}Item`);
-                return `Vec<${elementType}>`;
-            }
-            return 'Vec<serde_json::Value>';
-        }
-        
-        if (typeof data === 'object' && data !== null) {
-            for (const [key, value] of Object.entries(data)) {
-                const rustType = this.getTypeFromValue(value, this.toPascalCase(key));
-                const fieldName = this.toSnakeCase(key);
-                const serdeAttribute = this.getSerdeAttribute(key, value);
-                fields.push(`    ${serdeAttribute}pub ${fieldName}: ${rustType},`);
-            }
-        }
+    renderEnum(definition) {
+        const names = TypeModel.uniqueNames(definition.values.map(value => TypeModel.toPascalCase(value)));
+        const variants = definition.values.map((value, index) => `    #[serde(rename = ${JSON.stringify(value)})]\n    ${names[index]},`);
+        return `${RustGenerator.DERIVES}\npub enum ${definition.name} {\n${variants.join('\n')}\n}`;
+    }
 
-        const derives = '#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]';
-        const structCode = `${derives}\npub struct ${structName} {\n${fields.join('\n')}\n}`;
-        this.generatedStructs.push(structCode);
-        
-        return structName;
+    /**
+     * Get the Rust type of a field; fields that may be missing are Option as well
+     */
+    getFieldType(field) {
+        const rustType = this.getType(field.type);
+        return field.optional && !rustType.startsWith('Option<') ? `Option<${rustType}>` : rustType;
     }
 
     /**
-     * Get Rust type from a value
+     * Get the Rust type of a model type; nullable types are Option
      */
-    getTypeFromValue(value, suggestedName) {
-        if (value === null) {
+    getType(type) {
+        if (type.kind === 'primitive' && type.type === 'null') {
             return 'Option<serde_json::Value>';
         }
-        
-        if (Array.isArray(value)) {
-            if (value.length === 0) {
-                return 'Vec<serde_json::Value>';
-            }
-            
-            // Get type of first element
-            const elementType = this.getTypeFromValue(value[0], `${suggestedName}Item`);
-            return `Vec<${elementType}>`;
-        }
-        
-        if (typeof value === 'object') {
-            return this.generateStruct(value, suggestedName);
-        }
-        
-        if (typeof value === 'string') {
-            return 'String';
-        }
-        
-        if (typeof value === 'number') {
-            // Check if it's an integer or float
-            if (Number.isInteger(value)) {
-                if (value >= -2147483648 && value <= 2147483647) {
-                    return 'i32';
-                }
-                return 'i64';
-            }
-            return 'f64';
-        }
-        
-        if (typeof value === 'boolean') {
-            return 'bool';
+
+        const rustType = this.getBaseType(type);
+        return type.nullable ? `Option<${rustType}>` : rustType;
+    }
+
+    /**
+     * Get the Rust type of a model type, ignoring null
+     */
+    getBaseType(type) {
+        switch (type.kind) {
+            case 'primitive':
+                return RustGenerator.FORMATS[type.format] || RustGenerator.PRIMITIVES[type.type];
+            case 'array':
+                return `Vec<${this.getType(type.items)}>`;
+            case 'map':
+                return `HashMap<String, ${this.getType(type.values)}>`;
+            case 'union':
+                return 'serde_json::Value';
+            default:
+                return type.name;
         }
-        
-        return 'serde_json::Value';
     }
 
     /**
      * Generate serde attribute for field
      */
-    getSerdeAttribute(key, value) {
-        const snakeKey = this.toSnakeCase(key);
+    getSerdeAttribute(field, name) {
         const attributes = [];
-        
+
         // Add rename attribute if field name differs from JSON key
-        if (snakeKey !== key) {
-            attributes.push(`rename = "${key}"`);
+        if (name !== field.key) {
+            attributes.push(`rename = ${JSON.stringify(field.key)}`);
         }
-        
-        // Add skip_serializing_if for optional fields
-        if (this.shouldBeOptional(value)) {
-            attributes.push('skip_serializing_if = "Option::is_none"');
+
+        // Leave out missing fields when serializing
+        if (field.optional) {
+            attributes.push('default', 'skip_serializing_if = "Option::is_none"');
         }
-        
+
         if (attributes.length > 0) {
             return `#[serde(${attributes.join(', ')})]\n    `;
         }
-        
-        return '';
-    }
 
-    /**
-     * Determine if a field should be optional
-     */
-    shouldBeOptional(value) {
-        return value === null || value === undefined;
+        return '';
     }
 
     /**
-     * Convert string to snake_case
+     * snake_case field name; self, super and crate cannot be raw identifiers, so they get a trailing _
      */
-    toSnakeCase(str) {
-        return str
-            .replace(/([A-Z])/g, '_$1')
-            .toLowerCase()
-            .replace(/^_/, '');
+    toFieldName(key) {
+        const name = TypeModel.toSnakeCase(key);
+        return ['crate', 'self', 'super'].includes(name) ? `${name}_` : name;
     }
 
     /**
-     * Convert string to PascalCase
+     * Keywords are written as raw identifiers, which serde reads without the r#
      */
-    toPascalCase(str) {
-        return str
-            .split(/[-_\s]/)
-            .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-            .join('');
+    escapeName(name) {
+        return RustGenerator.KEYWORDS.includes(name) ? `r#${name}` : name;
     }
 }
+
+// Derives of every struct and enum
+RustGenerator.DERIVES = '#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]';
+
+// Rust types of primitive formats that need their own type
+RustGenerator.FORMATS = {
+    int32: 'i32',
+    int64: 'i64'
+};
+
+// Rust types of primitives
+RustGenerator.PRIMITIVES = {
+    string: 'String',
+    number: 'f64',
+    boolean: 'bool',
+    any: 'serde_json::Value'
+};
+
+// Keywords that need the r# prefix to name a field
+RustGenerator.KEYWORDS = [
+    'as', 'async', 'await', 'break', 'const', 'continue', 'dyn', 'else', 'enum', 'extern', 'false', 'fn',
+    'for', 'if', 'impl', 'in', 'let', 'loop', 'match', 'mod', 'move', 'mut', 'pub', 'ref', 'return',
+    'static', 'struct', 'trait', 'true', 'type', 'unsafe', 'use', 'where', 'while', 'yield'
+];
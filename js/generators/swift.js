@@ -0,0 +1,178 @@
+/**
+ * Swift Codable Generator
+ * Dates stay strings, since JSONDecoder does not read ISO 8601 by default; UUIDs and URLs decode as is.
+ */
+
+class SwiftGenerator {
+    /**
+     * Render a TypeModel as Codable structs
+     */
+    generate(model) {
+        this.model = model;
+        this.usesValue = false;
+
+        const blocks = model.definitions.map(definition => definition.kind === 'enum'
+            ? this.renderEnum(definition)
+            : this.renderStruct(definition));
+
+        // Arrays and other values at the top level get an alias
+        if (model.root.kind !== 'record') {
+            blocks.push(`typealias ${model.rootName} = ${this.getType(model.root)}`);
+        }
+
+        // Values of mixed type need a Codable type of their own
+        if (this.usesValue) {
+            blocks.push(SwiftGenerator.JSON_VALUE);
+        }
+
+        blocks.unshift('import Foundation');
+        return blocks.join('\n\n');
+    }
+
+    /**
+     * Render a record as a struct, with CodingKeys when a property name differs from its key
+     */
+    renderStruct(record) {
+        const names = TypeModel.uniqueNames(record.fields.map(field => this.toPropertyName(field.key)));
+        const properties = record.fields.map((field, index) => {
+            const swiftType = this.getType(field.type);
+            const optional = field.optional && !swiftType.endsWith('?') ? '?' : '';
+            return `    let ${this.escapeName(names[index])}: ${swiftType}${optional}`;
+        });
+
+        let body = properties.join('\n');
+        if (record.fields.some((field, index) => names[index] !== field.key)) {
+            const cases = record.fields.map((field, index) => {
+                const rawValue = names[index] !== field.key ? ` = ${JSON.stringify(field.key)}` : '';
+                return `        case ${this.escapeName(names[index])}${rawValue}`;
+            });
+            body += `\n\n    enum CodingKeys: String, CodingKey {\n${cases.join('\n')}\n    }`;
+        }
+
+        return `struct ${record.name}: Codable {\n${body}\n}`;
+    }
+
+    /**
+     * Render an enum with a String raw value per case
+     */
+    renderEnum(definition) {
+        const names = TypeModel.uniqueNames(definition.values.map(value => this.toPropertyName(value)));
+        const cases = definition.values.map((value, index) => {
+            const rawValue = names[index] !== value ? ` = ${JSON.stringify(value)}` : '';
+            return `    case ${this.escapeName(names[index])}${rawValue}`;
+        });
+        return `enum ${definition.name}: String, Codable {\n${cases.join('\n')}\n}`;
+    }
+
+    /**
+     * Get the Swift type of a model type; nullable types end in ?
+     */
+    getType(type) {
+        const baseType = this.getBaseType(type);
+        return type.nullable || (type.kind === 'primitive' && type.type === 'null') ? `${baseType}?` : baseType;
+    }
+
+    /**
+     * Get the Swift type of a model type, ignoring null
+     */
+    getBaseType(type) {
+        switch (type.kind) {
+            case 'primitive':
+                if (SwiftGenerator.FORMATS[type.format]) {
+                    return SwiftGenerator.FORMATS[type.format];
+                }
+                if (type.type === 'null' || type.type === 'any') {
+                    this.usesValue = true;
+                }
+                return SwiftGenerator.PRIMITIVES[type.type];
+            case 'array':
+                return `[${this.getType(type.items)}]`;
+            case 'map':
+                return `[String: ${this.getType(type.values)}]`;
+            case 'union':
+                this.usesValue = true;
+                return 'JSONValue';
+            default:
+                return type.name;
+        }
+    }
+
+    /**
+     * camelCase property name; self cannot be escaped with backticks, so it gets a trailing _
+     */
+    toPropertyName(key) {
+        const name = TypeModel.toCamelCase(key);
+        return name === 'self' ? 'self_' : name;
+    }
+
+    /**
+     * Keywords are escaped with backticks
+     */
+    escapeName(name) {
+        return SwiftGenerator.KEYWORDS.includes(name) ? `\`${name}\`` : name;
+    }
+}
+
+// Swift types of string formats that Codable decodes from strings
+SwiftGenerator.FORMATS = {
+    uuid: 'UUID',
+    uri: 'URL'
+};
+
+// Swift types of primitives; Int is 64-bit
+SwiftGenerator.PRIMITIVES = {
+    string: 'String',
+    integer: 'Int',
+    number: 'Double',
+    boolean: 'Bool',
+    null: 'JSONValue',
+    any: 'JSONValue'
+};
+
+// Keywords, which need backticks to name a property or case
+SwiftGenerator.KEYWORDS = [
+    'as', 'associatedtype', 'break', 'case', 'catch', 'class', 'continue', 'default', 'defer', 'deinit', 'do',
+    'else', 'enum', 'extension', 'fallthrough', 'false', 'fileprivate', 'for', 'func', 'guard', 'if', 'import',
+    'in', 'init', 'inout', 'internal', 'is', 'let', 'nil', 'open', 'operator', 'private', 'protocol', 'public',
+    'repeat', 'rethrows', 'return', 'static', 'struct', 'subscript', 'super', 'switch', 'throw', 'throws',
+    'true', 'try', 'typealias', 'var', 'where', 'while'
+];
+
+// Codable value of any JSON type, for unions and values only seen as null
+SwiftGenerator.JSON_VALUE = `enum JSONValue: Codable {
+    case string(String)
+    case number(Double)
+    case bool(Bool)
+    case array([JSONValue])
+    case object([String: JSONValue])
+    case null
+
+    init(from decoder: Decoder) throws {
+        let container = try decoder.singleValueContainer()
+        if container.decodeNil() {
+            self = .null
+        } else if let value = try? container.decode(Bool.self) {
+            self = .bool(value)
+        } else if let value = try? container.decode(Double.self) {
+            self = .number(value)
+        } else if let value = try? container.decode(String.self) {
+            self = .string(value)
+        } else if let value = try? container.decode([JSONValue].self) {
+            self = .array(value)
+        } else {
+            self = .object(try container.decode([String: JSONValue].self))
+        }
+    }
+
+    func encode(to encoder: Encoder) throws {
+        var container = encoder.singleValueContainer()
+        switch self {
+        case .string(let value): try container.encode(value)
+        case .number(let value): try container.encode(value)
+        case .bool(let value): try container.encode(value)
+        case .array(let value): try container.encode(value)
+        case .object(let value): try container.encode(value)
+        case .null: try container.encodeNil()
+        }
+    }
+}`;
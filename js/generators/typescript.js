@@ -3,131 +3,130 @@
  */
 
 class TypeScriptGenerator {
-    constructor() {
-        this.interfaceNames = new Set();
-        this.generatedInterfaces = [];
+    /**
+     * Render a TypeModel as TypeScript interfaces
+     */
+    generate(model) {
+        this.model = model;
+
+        const blocks = model.definitions.map(definition => definition.kind === 'enum'
+            ? this.renderEnum(definition)
+            : this.renderInterface(definition));
+
+        // Arrays and other values at the top level get an alias
+        if (model.root.kind !== 'record') {
+            blocks.push(`export type ${model.rootName} = ${this.getType(model.root)};`);
+        }
+
+        return blocks.join('\n\n');
     }
 
     /**
-     * Generate TypeScript interfaces from JSON data
+     * Render a record as an interface
      */
-    generate(jsonData, rootName = 'Root') {
-        this.interfaceNames.clear();
-        this.generatedInterfaces = [];
-        
-        this.generateInterface(jsonData, rootName);
-        
-        return this.generatedInterfaces.join('\n\n');
+    renderInterface(record) {
+        return `export interface ${record.name} ${this.renderBody(record, '')}`;
     }
 
     /**
-     * Generate a single interface
+     * Render the members of a record between braces
      */
-    generateInterface(data, interfaceName) {
-        if (this.interfaceNames.has(interfaceName)) {
-            return interfaceName;
-        }
+    renderBody(record, indent) {
+        const properties = record.fields.map(field => {
+            const optional = field.optional ? '?' : '';
+            return `${indent}  ${this.formatKey(field.key)}${optional}: ${this.getType(field.type, `${indent}  `)};`;
+        });
+        return `{\n${properties.join('\n')}\n${indent}}`;
+    }
 
-        this.interfaceNames.add(interfaceName);
-        
-        const properties = [];
-        
-        if (Array.isArray(data)) {
-            // Handle arrays - get the type of array elements
-            if (data.length > 0) {
-                const elementType = this.getTypeFromValue(data[0], `${interfaceName}Item`);
-                return `${elementType}[]`;
-            }
-            return 'any[]';
-        }
-        
-        if (typeof data === 'object' && data !== null) {
-            for (const [key, value] of Object.entries(data)) {
-                const type = this.getTypeFromValue(value, this.capitalize(key));
-                const optional = this.shouldBeOptional(value) ? '?' : '';
-                properties.push(`  ${key}${optional}: ${type};`);
-            }
-        }
+    /**
+     * Render an enum as a union of string literals
+     */
+    renderEnum(definition) {
+        return `export type ${definition.name} = ${definition.values.map(value => JSON.stringify(value)).join(' | ')};`;
+    }
 
-        const interfaceCode = `export interface ${interfaceName} {\n${properties.join('\n')}\n}`;
-        this.generatedInterfaces.push(interfaceCode);
-        
-        return interfaceName;
+    /**
+     * Get the TypeScript type of a model type; nullable types add `| null`
+     */
+    getType(type, indent = '') {
+        const baseType = this.getBaseType(type, indent);
+        return type.nullable ? `${baseType} | null` : baseType;
     }
 
     /**
-     * Get TypeScript type from a value
+     * Get the TypeScript type of a model type, ignoring null
      */
-    getTypeFromValue(value, suggestedName) {
-        if (value === null) {
-            return 'null';
-        }
-        
-        if (Array.isArray(value)) {
-            if (value.length === 0) {
-                return 'any[]';
+    getBaseType(type, indent) {
+        switch (type.kind) {
+            case 'primitive':
+                return TypeScriptGenerator.PRIMITIVES[type.type];
+            case 'array': {
+                const itemType = this.getType(type.items, indent);
+                return this.isUnion(type.items) ? `(${itemType})[]` : `${itemType}[]`;
             }
-            
-            // Check if all elements have the same type
-            const firstElementType = this.getTypeFromValue(value[0], `${suggestedName}Item`);
-            const allSameType = value.every(item => 
-                this.getTypeFromValue(item, `${suggestedName}Item`) === firstElementType
-            );
-            
-            if (allSameType) {
-                return `${firstElementType}[]`;
-            } else {
-                // Mixed types in array
-                const types = [...new Set(value.map(item => this.getTypeFromValue(item, `${suggestedName}Item`)))];
-                return `(${types.join(' | ')})[]`;
-            }
-        }
-        
-        if (typeof value === 'object') {
-            return this.generateInterface(value, suggestedName);
-        }
-        
-        if (typeof value === 'string') {
-            return 'string';
-        }
-        
-        if (typeof value === 'number') {
-            return 'number';
-        }
-        
-        if (typeof value === 'boolean') {
-            return 'boolean';
+            case 'map':
+                return `Record<string, ${this.getType(type.values, indent)}>`;
+            case 'union':
+                return type.types.map(member => this.getBaseType(member, indent)).join(' | ');
+            default:
+                return type.name;
         }
-        
-        return 'any';
     }
 
     /**
-     * Determine if a property should be optional
+     * Whether a type is written as a union, which needs parentheses before []
      */
-    shouldBeOptional(value) {
-        return value === null || value === undefined;
+    isUnion(type) {
+        return type.nullable || type.kind === 'union';
     }
 
     /**
-     * Capitalize first letter of a string
+     * Keys that are not identifiers are quoted
      */
-    capitalize(str) {
-        return str.charAt(0).toUpperCase() + str.slice(1);
+    formatKey(key) {
+        return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? key : JSON.stringify(key);
     }
 }
 
+// TypeScript types of primitives
+TypeScriptGenerator.PRIMITIVES = {
+    string: 'string',
+    integer: 'number',
+    number: 'number',
+    boolean: 'boolean',
+    null: 'null',
+    any: 'any'
+};
+
 /**
  * TypeScript Combined Generator - generates all interfaces in a single type
  */
 class TypeScriptCombinedGenerator extends TypeScriptGenerator {
-    generate(jsonData, rootName = 'Root') {
-        this.interfaceNames.clear();
-        this.generatedInterfaces = [];
-        
-        this.generateInterface(jsonData, rootName);
-        
-        // Combine all interfaces into a single string
-        return this.generatedInterfaces.join('\n\n');
+    generate(model) {
+        this.model = model;
+
+        // Nested records and enums are written inline
+        return `export type ${model.rootName} = ${this.getType(model.root)};`;
+    }
+
+    /**
+     * Enums are written as unions of their values
+     */
+    isUnion(type) {
+        return super.isUnion(type) || (type.kind === 'enum' && this.model.getDefinition(type.name).values.length > 1);
+    }
+
+    /**
+     * Records and enums are written out where they are used
+     */
+    getBaseType(type, indent) {
+        if (type.kind === 'record') {
+            return this.renderBody(this.model.getDefinition(type.name), indent);
+        }
+        if (type.kind === 'enum') {
+            return this.model.getDefinition(type.name).values.map(value => JSON.stringify(value)).join(' | ');
+        }
+        return super.getBaseType(type, indent);
     }
 }
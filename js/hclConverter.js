@@ -0,0 +1,194 @@
+/**
+ * HCL Converter - Writes JSON as HCL attributes, in the form of a Terraform variables file (terraform.tfvars)
+ *
+ * Each top-level key becomes an attribute; objects are written as maps and arrays as lists. Map keys that
+ * are not valid HCL identifiers are quoted; top-level names cannot be, so they must be identifiers.
+ * Strings escape '${' and '%{' so Terraform does not read them as templates. Multi-line strings that
+ * end with a newline are written as heredocs outside lists; others stay quoted, since a heredoc always
+ * ends with one.
+ * Consecutive single-line attributes have their '=' aligned, as `terraform fmt` does
+ */
+
+class HCLConverter {
+    /**
+     * Create a converter
+     * @param {Object} options - Options
+     * @param {number} options.indent - Spaces per nesting level (default 2)
+     * @param {number} options.lineWidth - Lists of plain values up to this width stay on one line (default 80)
+     */
+    constructor(options = {}) {
+        this.indent = options.indent || 2;
+        this.lineWidth = options.lineWidth || 80;
+    }
+
+    /**
+     * Write data as HCL attributes
+     * @param {Object} data - An object; its keys become the attribute names
+     * @returns {string} - The HCL text
+     */
+    stringify(data) {
+        if (!this.isObject(data)) {
+            throw new Error('HCL needs an object at the top level');
+        }
+
+        const invalid = Object.keys(data).find(key => !this.isIdentifier(key));
+        if (invalid !== undefined) {
+            throw new Error(`"${invalid}" is not a valid HCL attribute name; top-level names must be identifiers`);
+        }
+
+        const lines = this.formatEntries(data, 0, key => key);
+        return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+    }
+
+    /**
+     * Lines of the entries of an object, with '=' aligned within runs of single-line values
+     * @param {Object} object - The object
+     * @param {number} depth - Nesting level of the entries
+     * @param {Function} formatKey - Writes a key as it appears before '='
+     */
+    formatEntries(object, depth, formatKey) {
+        const padding = ' '.repeat(depth * this.indent);
+        const entries = Object.keys(object).map(key => ({
+            key: formatKey(key),
+            lines: this.formatValue(object[key], depth)
+        }));
+
+        const lines = [];
+        let run = [];
+        const flush = () => {
+            const width = Math.max(...run.map(entry => entry.key.length));
+            run.forEach(entry => lines.push(`${padding}${entry.key.padEnd(width)} = ${entry.lines[0]}`));
+            run = [];
+        };
+
+        entries.forEach(entry => {
+            if (entry.lines.length === 1) {
+                run.push(entry);
+                return;
+            }
+            if (run.length > 0) flush();
+            lines.push(`${padding}${entry.key} = ${entry.lines[0]}`, ...entry.lines.slice(1));
+        });
+        if (run.length > 0) flush();
+        return lines;
+    }
+
+    /**
+     * Lines of a value; the first continues the line of its key, the others carry their own indentation
+     * @param {*} value - The value
+     * @param {number} depth - Nesting level of the line the value starts on
+     */
+    formatValue(value, depth) {
+        if (Array.isArray(value)) return this.formatList(value, depth);
+        if (this.isObject(value)) return this.formatMap(value, depth);
+        if (typeof value === 'string') return this.formatString(value, depth);
+        if (value instanceof LosslessNumber) return [value.raw];
+        if (value === null) return ['null'];
+        return [String(value)];
+    }
+
+    /**
+     * A map: { key = value } with one entry per line
+     */
+    formatMap(object, depth) {
+        if (Object.keys(object).length === 0) return ['{}'];
+
+        const closing = ' '.repeat(depth * this.indent);
+        return ['{', ...this.formatEntries(object, depth + 1, key => this.formatKey(key)), `${closing}}`];
+    }
+
+    /**
+     * A list: on one line when it only holds single-line plain values and fits, else one item per line.
+     * Strings stay quoted, since the comma after an item cannot follow a heredoc's closing marker
+     */
+    formatList(array, depth) {
+        if (array.length === 0) return ['[]'];
+
+        const items = array.map(item => typeof item === 'string' ? [this.quote(item)] : this.formatValue(item, depth + 1));
+        const inline = `[${items.map(lines => lines[0]).join(', ')}]`;
+        const isPlain = array.every(item => !Array.isArray(item) && !this.isObject(item));
+        if (isPlain && items.every(lines => lines.length === 1) && depth * this.indent + inline.length <= this.lineWidth) {
+            return [inline];
+        }
+
+        const padding = ' '.repeat((depth + 1) * this.indent);
+        const lines = ['['];
+        items.forEach(itemLines => {
+            lines.push(`${padding}${itemLines[0]}`, ...itemLines.slice(1));
+            lines[lines.length - 1] += ',';
+        });
+        lines.push(`${' '.repeat(depth * this.indent)}]`);
+        return lines;
+    }
+
+    /**
+     * A string: a heredoc when it has several lines and ends with a newline, else a quoted string
+     */
+    formatString(text, depth) {
+        const isMultiline = text.endsWith('\n') && text.slice(0, -1).includes('\n');
+        // Heredoc lines are verbatim, so other control characters keep the quoted form
+        if (!isMultiline || /[\u0000-\u0008\u000b-\u001f\u007f]/.test(text)) {
+            return [this.quote(text)];
+        }
+
+        const body = this.escapeTemplate(text).slice(0, -1).split('\n');
+        let marker = 'EOT';
+        for (let index = 1; body.some(line => line.trim() === marker); index++) {
+            marker = `EOT${index}`;
+        }
+        return [`<<${marker}`, ...body, `${' '.repeat(depth * this.indent)}${marker}`];
+    }
+
+    /**
+     * A double-quoted string literal
+     */
+    quote(text) {
+        const escaped = this.escapeTemplate(text).replace(/[\\"\u0000-\u001f\u007f]/g, character => {
+            switch (character) {
+                case '\\': return '\\\\';
+                case '"': return '\\"';
+                case '\n': return '\\n';
+                case '\r': return '\\r';
+                case '\t': return '\\t';
+                default: return `\\u${character.charCodeAt(0).toString(16).padStart(4, '0')}`;
+            }
+        });
+        return `"${escaped}"`;
+    }
+
+    /**
+     * Double '$' and '%' before '{', which otherwise start an interpolation or directive
+     */
+    escapeTemplate(text) {
+        return text.replace(/([$%])\{/g, '$1$1{');
+    }
+
+    /**
+     * A map key: bare if it is an identifier, else quoted
+     */
+    formatKey(key) {
+        return this.isIdentifier(key) && !HCLConverter.KEYWORDS.includes(key) ? key : this.quote(key);
+    }
+
+    /**
+     * Whether a name is an HCL identifier: a letter or '_', then letters, digits, '_' or '-'
+     */
+    isIdentifier(name) {
+        return /^[A-Za-z_][A-Za-z0-9_-]*$/.test(name);
+    }
+
+    /**
+     * Whether a value is a JSON object
+     */
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof LosslessNumber);
+    }
+}
+
+// Identifiers that read as literals rather than names, so they are quoted as map keys
+HCLConverter.KEYWORDS = ['true', 'false', 'null'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HCLConverter;
+}
@@ -0,0 +1,346 @@
+/**
+ * Format Importer - Detects and parses YAML, TOML, XML, CSV/TSV, NDJSON, .properties, .env, INI, query
+ * strings, and MessagePack or CBOR pasted as hex or base64, into JSON-compatible data
+ * YAML with several documents becomes an array of documents, XML is read by XMLConverter with its
+ * conventions, CSV/TSV columns are typed as a whole, and NDJSON becomes an array with one item per line
+ */
+
+class FormatImporter {
+    /**
+     * Create an importer
+     * @param {Object} options - Options
+     * @param {Object} options.xml - XMLConverter options used to read XML
+     * @param {Object} options.query - QueryStringConverter options used to read query strings
+     * @param {string} options.dialect - Dialect used to recognize JSON input (default 'json')
+     */
+    constructor(options = {}) {
+        this.xmlOptions = options.xml || {};
+        this.queryOptions = options.query || {};
+        this.dialect = options.dialect || 'json';
+        // Values of the last import that could not be kept exactly, e.g. MessagePack binary data
+        this.warnings = [];
+    }
+
+    /**
+     * Guess the format of some text
+     * @param {string} text - The text
+     * @returns {string|null} - 'json', 'xml', 'ndjson', 'query', 'toml', 'env', 'ini', 'properties', 'tsv', 'csv',
+     *                        'yaml', or null if none fits
+     */
+    detect(text) {
+        const trimmed = text.trim();
+        if (!trimmed) return null;
+
+        if (new JSONLinter().validate(text, { dialect: this.dialect }).isValid) return 'json';
+        if (trimmed.startsWith('<')) return 'xml';
+
+        const lines = trimmed.split(/\r?\n/).filter(line => line.trim());
+        if (lines.length > 1 && lines.every(line => /^[[{]/.test(line.trim()) && new JSONLinter().validate(line).isValid)) {
+            return 'ndjson';
+        }
+        if (this.looksLikeQueryString(trimmed)) return 'query';
+        if (this.looksLikeTOML(trimmed)) return 'toml';
+
+        const keyValue = this.detectKeyValue(lines);
+        if (keyValue) return keyValue;
+
+        const delimited = this.detectDelimited(lines);
+        if (delimited) return delimited;
+
+        if (this.looksLikeYAML(text)) return 'yaml';
+        return null;
+    }
+
+    /**
+     * A URL with a query, or one line without spaces of several key=value pairs or a bracketed key; a
+     * single plain `key=value` line is left to TOML and .properties
+     */
+    looksLikeQueryString(text) {
+        if (/^[a-z][a-z0-9+.-]*:\/\/[^\s?]*\?\S*$/i.test(text)) return true;
+        if (/\s/.test(text) || !/^\??[^=&]+=/.test(text)) return false;
+        return text.startsWith('?') || text.includes('&') || /^[^=]*(\[|%5B)/i.test(text);
+    }
+
+    /**
+     * TOML has `[table]` headers or `key = value` lines, and must parse
+     */
+    looksLikeTOML(text) {
+        if (typeof TOML === 'undefined') return false;
+        if (!/^\s*(\[[^\]]+\]|[A-Za-z0-9_."'-]+\s*=\s*\S)/m.test(text)) return false;
+
+        try {
+            TOML.parse(text);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * .env, INI or .properties: every line that is not a comment is an entry (or an INI section), and
+     * the text reads back without errors
+     * @returns {string|null} - 'env', 'ini', 'properties' or null
+     */
+    detectKeyValue(lines) {
+        const entries = lines.map(line => line.trim()).filter(line => !/^[#;!]/.test(line));
+        if (entries.length === 0) return null;
+
+        const candidates = [
+            ['env', entries.every(line => /^(export\s+)?[A-Za-z_][A-Za-z0-9_]*=/.test(line)) && entries.some(line => /^(export\s+)?[A-Z_][A-Z0-9_]*=/.test(line))],
+            ['ini', entries.some(line => /^\[[^\]]*\]$/.test(line)) && entries.every(line => /^\[[^\]]*\]$|^[^=:[]*[=:]/.test(line))],
+            // ':' also separates .properties keys, but would take YAML mappings
+            ['properties', entries.every(line => /^([^=:\s\\]|\\.)+\s*=/.test(line))]
+        ];
+        const match = candidates.find(([format, fits]) => {
+            if (!fits) return false;
+            try {
+                new KeyValueConverter({ format }).parse(lines.join('\n'));
+                return true;
+            } catch (error) {
+                return false;
+            }
+        });
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Tab- or comma-separated rows with the same number of fields (at least two) on every line
+     * @returns {string|null} - 'tsv', 'csv' or null
+     */
+    detectDelimited(lines) {
+        if (typeof Papa === 'undefined' || lines.length < 2) return null;
+        // YAML mappings, sequences and documents are not tables
+        if (/^(-\s|#|---|[\w\s"'-]+:(\s|$))/.test(lines[0])) return null;
+
+        const sample = lines.slice(0, 20).join('\n');
+        for (const [delimiter, format] of [['\t', 'tsv'], [',', 'csv']]) {
+            if (!lines[0].includes(delimiter)) continue;
+
+            const result = Papa.parse(sample, { delimiter });
+            const widths = new Set(result.data.map(row => row.length));
+            if (result.errors.length === 0 && widths.size === 1 && result.data[0].length > 1) {
+                return format;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * YAML parses almost any text as a string, so require a mapping or sequence
+     */
+    looksLikeYAML(text) {
+        if (typeof jsyaml === 'undefined') return false;
+
+        try {
+            return jsyaml.loadAll(text).some(document => document !== null && typeof document === 'object');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Parse text in a format into JSON-compatible data
+     * @param {string} text - The text
+     * @param {string} format - 'yaml', 'toml', 'xml', 'csv', 'tsv', 'ndjson', 'properties', 'env', 'ini', 'query',
+     *                          'msgpack' or 'cbor'
+     * @returns {*} - Parsed data; CSV numbers and NDJSON numbers are LosslessNumber instances
+     */
+    import(text, format) {
+        this.warnings = [];
+
+        switch (format) {
+            case 'yaml':
+                return this.parseYAML(text);
+            case 'toml':
+                return this.parseTOML(text);
+            case 'xml':
+                return this.parseXML(text);
+            case 'csv':
+                return this.parseDelimited(text, ',');
+            case 'tsv':
+                return this.parseDelimited(text, '\t');
+            case 'ndjson':
+                return this.parseNDJSON(text);
+            case 'properties':
+            case 'env':
+            case 'ini':
+                return new KeyValueConverter({ format }).parse(text);
+            case 'query':
+                return new QueryStringConverter(this.queryOptions).parse(text);
+            case 'msgpack':
+            case 'cbor':
+                return this.parseBinary(text, format);
+            default:
+                throw new Error(`Unsupported import format: ${format}`);
+        }
+    }
+
+    /**
+     * Parse YAML; a stream of several documents becomes an array
+     */
+    parseYAML(text) {
+        let documents;
+        try {
+            documents = jsyaml.loadAll(text);
+        } catch (error) {
+            throw new Error(error.mark ? `${error.reason} (line ${error.mark.line + 1}, column ${error.mark.column + 1})` : error.message);
+        }
+
+        const data = documents.map(document => this.toJSONValue(document, ''));
+        if (data.length === 0) return null;
+        return data.length === 1 ? data[0] : data;
+    }
+
+    /**
+     * Parse TOML
+     */
+    parseTOML(text) {
+        try {
+            return this.toJSONValue(TOML.parse(text), '');
+        } catch (error) {
+            throw new Error(error.message.split('\n')[0]);
+        }
+    }
+
+    /**
+     * Parse XML with the configured convention; see XMLConverter.parse()
+     */
+    parseXML(text) {
+        return new XMLConverter(this.xmlOptions).parse(text);
+    }
+
+    /**
+     * Parse CSV or TSV with a header row; a column whose cells are all numbers (or all booleans) is typed,
+     * and empty cells in typed columns become null
+     */
+    parseDelimited(text, delimiter) {
+        const result = Papa.parse(text, { delimiter, header: true, skipEmptyLines: 'greedy' });
+
+        const error = result.errors.find(item => item.code !== 'TooFewFields');
+        if (error) {
+            const row = error.row !== undefined ? ` (row ${error.row + 2})` : '';
+            throw new Error(error.code === 'TooManyFields' ? `A row has more fields than the header${row}` : `${error.message}${row}`);
+        }
+
+        const columns = result.meta.fields || [];
+        const types = {};
+        columns.forEach(column => {
+            const cells = result.data.map(row => row[column]).filter(cell => cell !== undefined && cell !== '');
+            if (cells.length === 0) {
+                types[column] = 'string';
+            } else if (cells.every(cell => /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(cell.trim()))) {
+                types[column] = 'number';
+            } else if (cells.every(cell => /^(true|false)$/i.test(cell.trim()))) {
+                types[column] = 'boolean';
+            } else {
+                types[column] = 'string';
+            }
+        });
+
+        return result.data.map(row => {
+            const item = {};
+            columns.forEach(column => {
+                const cell = row[column];
+                let value;
+                if (cell === undefined || (cell === '' && types[column] !== 'string')) {
+                    value = null;
+                } else if (types[column] === 'number') {
+                    value = new LosslessNumber(cell.trim());
+                } else if (types[column] === 'boolean') {
+                    value = cell.trim().toLowerCase() === 'true';
+                } else {
+                    value = cell;
+                }
+                Object.defineProperty(item, column, { value, writable: true, enumerable: true, configurable: true });
+            });
+            return item;
+        });
+    }
+
+    /**
+     * Parse newline-delimited JSON into an array, one item per non-empty line
+     */
+    parseNDJSON(text) {
+        const linter = new JSONLinter();
+
+        return text.split(/\r?\n/).reduce((items, line, index) => {
+            if (!line.trim()) return items;
+
+            const result = linter.validate(line, { losslessNumbers: true });
+            if (!result.isValid) {
+                throw new Error(`Line ${index + 1}: ${result.errors[0].message}`);
+            }
+            items.push(result.data);
+            return items;
+        }, []);
+    }
+
+    /**
+     * Decode MessagePack or CBOR pasted as a hex dump, plain hex or base64; lossy values are listed in
+     * this.warnings
+     */
+    parseBinary(text, format) {
+        const result = new BinaryCodec({ format }).decode(BinaryCodec.parseBytes(text));
+        this.warnings = result.warnings;
+        return result.data;
+    }
+
+    /**
+     * Convert YAML/TOML values to JSON: dates become ISO strings, binary becomes base64 and big integers
+     * keep their digits
+     * @param {*} value - The value
+     * @param {string} path - Where the value is, for error messages
+     */
+    toJSONValue(value, path) {
+        if (value === null || value === undefined) return null;
+        if (value instanceof Date) {
+            return Number.isNaN(value.getTime()) ? null : value.toISOString();
+        }
+        if (typeof value === 'bigint') {
+            return new LosslessNumber(value.toString());
+        }
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            throw new Error(`${path || 'The document'} is ${value}, which JSON cannot represent`);
+        }
+        if (value instanceof Uint8Array) {
+            return btoa(Array.from(value, byte => String.fromCharCode(byte)).join(''));
+        }
+        if (Array.isArray(value)) {
+            return value.map((item, index) => this.toJSONValue(item, `${path}[${index}]`));
+        }
+        if (typeof value === 'object') {
+            const result = {};
+            Object.keys(value).forEach(key => {
+                Object.defineProperty(result, key, {
+                    value: this.toJSONValue(value[key], path ? `${path}.${key}` : key),
+                    writable: true,
+                    enumerable: true,
+                    configurable: true
+                });
+            });
+            return result;
+        }
+        return value;
+    }
+}
+
+// Names of the formats for messages and menus
+FormatImporter.FORMATS = {
+    yaml: 'YAML',
+    toml: 'TOML',
+    xml: 'XML',
+    csv: 'CSV',
+    tsv: 'TSV',
+    ndjson: 'NDJSON',
+    properties: '.properties',
+    env: '.env',
+    ini: 'INI',
+    query: 'Query string',
+    msgpack: 'MessagePack',
+    cbor: 'CBOR'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FormatImporter;
+}
@@ -0,0 +1,837 @@
+/**
+ * JMESPath - Evaluates JMESPath expressions (as used by the AWS CLI's --query), such as
+ * `Reservations[].Instances[?State.Name=='running'].InstanceId`
+ * Supports sub-expressions, indexes, slices, projections ([*], *, [], filters), multi-select lists and hashes,
+ * pipes, ||, &&, !, comparisons, literals, raw strings, expression references (&) and the built-in functions
+ */
+
+class JMESPath {
+    /**
+     * Compile an expression
+     * @param {string} expression - The expression
+     */
+    constructor(expression) {
+        this.expression = expression;
+        this.tokens = this.tokenize(expression);
+        this.index = 0;
+        this.ast = this.parseExpression(0);
+
+        if (this.lookahead() !== 'eof') {
+            this.fail(`Unexpected ${this.describeToken(this.lookaheadToken())}`);
+        }
+    }
+
+    /**
+     * Evaluate the expression against parsed data
+     * @param {*} data - Parsed data, possibly containing LosslessNumber instances
+     * @returns {*} - The result (null when nothing matches)
+     */
+    search(data) {
+        return this.visit(this.ast, data);
+    }
+
+    // ---- Tokenizing ----
+
+    /**
+     * Split an expression into tokens
+     * @returns {Array<Object>} - Tokens as { type, value, start }, ending with an eof token
+     */
+    tokenize(expression) {
+        const tokens = [];
+        const simple = {
+            '.': 'dot', '*': 'star', ',': 'comma', ':': 'colon', '{': 'lbrace', '}': 'rbrace',
+            ']': 'rbracket', '(': 'lparen', ')': 'rparen', '@': 'current'
+        };
+        let pos = 0;
+
+        while (pos < expression.length) {
+            const ch = expression[pos];
+            const rest = expression.slice(pos);
+            const start = pos;
+
+            if (/\s/.test(ch)) {
+                pos++;
+            } else if (simple[ch]) {
+                tokens.push({ type: simple[ch], value: ch, start });
+                pos++;
+            } else if (/[A-Za-z_]/.test(ch)) {
+                const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest)[0];
+                tokens.push({ type: 'identifier', value: name, start });
+                pos += name.length;
+            } else if (/[-0-9]/.test(ch)) {
+                const number = /^-?\d+/.exec(rest);
+                if (!number) this.fail("Expected a digit after '-'", start);
+                tokens.push({ type: 'number', value: parseInt(number[0], 10), start });
+                pos += number[0].length;
+            } else if (ch === '[') {
+                const type = rest.startsWith('[]') ? 'flatten' : rest.startsWith('[?') ? 'filter' : 'lbracket';
+                tokens.push({ type, value: type === 'lbracket' ? '[' : rest.slice(0, 2), start });
+                pos += type === 'lbracket' ? 1 : 2;
+            } else if (ch === '"') {
+                const end = this.findClosing(expression, pos, '"');
+                try {
+                    tokens.push({ type: 'quotedIdentifier', value: JSON.parse(expression.slice(pos, end + 1)), start });
+                } catch (error) {
+                    this.fail('Invalid quoted identifier', start);
+                }
+                pos = end + 1;
+            } else if (ch === '\'') {
+                const end = this.findClosing(expression, pos, '\'');
+                tokens.push({ type: 'literal', value: expression.slice(pos + 1, end).replace(/\\'/g, '\''), start });
+                pos = end + 1;
+            } else if (ch === '`') {
+                const end = this.findClosing(expression, pos, '`');
+                tokens.push({ type: 'literal', value: this.parseLiteral(expression.slice(pos + 1, end).replace(/\\`/g, '`'), start), start });
+                pos = end + 1;
+            } else {
+                const operator = /^(\|\||&&|==|!=|<=|>=|<|>|\||&|!)/.exec(rest);
+                if (!operator) this.fail(`Unexpected '${ch}'`, start);
+                const types = {
+                    '||': 'or', '&&': 'and', '==': 'eq', '!=': 'ne', '<=': 'lte', '>=': 'gte', '<': 'lt', '>': 'gt',
+                    '|': 'pipe', '&': 'expref', '!': 'not'
+                };
+                tokens.push({ type: types[operator[0]], value: operator[0], start });
+                pos += operator[0].length;
+            }
+        }
+
+        tokens.push({ type: 'eof', value: '', start: expression.length });
+        return tokens;
+    }
+
+    /**
+     * Find the closing quote of a quoted identifier, raw string or literal, skipping escapes
+     */
+    findClosing(expression, start, quote) {
+        for (let pos = start + 1; pos < expression.length; pos++) {
+            if (expression[pos] === '\\') {
+                pos++;
+            } else if (expression[pos] === quote) {
+                return pos;
+            }
+        }
+        this.fail(`Unterminated ${quote === '`' ? 'literal' : quote === '"' ? 'quoted identifier' : 'raw string'}`, start);
+    }
+
+    /**
+     * Parse the JSON in a `literal`; like other implementations, text that is not JSON is taken as a string
+     */
+    parseLiteral(text, start) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            try {
+                return JSON.parse(`"${text.trim()}"`);
+            } catch (stringError) {
+                this.fail(`Invalid literal \`${text}\``, start);
+            }
+        }
+    }
+
+    // ---- Parsing (top-down operator precedence) ----
+
+    /**
+     * Parse an expression whose operators bind tighter than rbp
+     */
+    parseExpression(rbp) {
+        const token = this.lookaheadToken();
+        this.advance();
+        let left = this.nud(token);
+
+        while (rbp < JMESPath.BINDING_POWER[this.lookahead()]) {
+            const next = this.lookaheadToken();
+            this.advance();
+            left = this.led(next, left);
+        }
+        return left;
+    }
+
+    /**
+     * Parse a token at the start of an expression
+     */
+    nud(token) {
+        switch (token.type) {
+            case 'literal':
+                return { type: 'literal', value: token.value };
+            case 'identifier':
+                return { type: 'field', name: token.value, start: token.start };
+            case 'quotedIdentifier':
+                if (this.lookahead() === 'lparen') {
+                    this.fail('Quoted identifiers cannot be function names', token.start);
+                }
+                return { type: 'field', name: token.value };
+            case 'not':
+                return { type: 'not', expression: this.parseExpression(JMESPath.BINDING_POWER.not) };
+            case 'star': {
+                const right = this.lookahead() === 'rbracket' ? { type: 'identity' } : this.parseProjectionRHS(JMESPath.BINDING_POWER.star);
+                return { type: 'valueProjection', left: { type: 'identity' }, right };
+            }
+            case 'filter':
+                return this.led(token, { type: 'identity' });
+            case 'lbrace':
+                return this.parseMultiSelectHash();
+            case 'flatten':
+                return {
+                    type: 'projection',
+                    left: { type: 'flatten', expression: { type: 'identity' } },
+                    right: this.parseProjectionRHS(JMESPath.BINDING_POWER.flatten)
+                };
+            case 'lbracket':
+                if (this.lookahead() === 'number' || this.lookahead() === 'colon') {
+                    return this.projectIfSlice({ type: 'identity' }, this.parseIndexExpression());
+                }
+                if (this.lookahead() === 'star' && this.lookahead(1) === 'rbracket') {
+                    this.advance();
+                    this.advance();
+                    return { type: 'projection', left: { type: 'identity' }, right: this.parseProjectionRHS(JMESPath.BINDING_POWER.star) };
+                }
+                return this.parseMultiSelectList();
+            case 'current':
+                return { type: 'current' };
+            case 'expref':
+                return { type: 'expref', expression: this.parseExpression(JMESPath.BINDING_POWER.expref) };
+            case 'lparen': {
+                const expression = this.parseExpression(0);
+                this.expect('rparen');
+                return expression;
+            }
+            default:
+                this.fail(token.type === 'eof' ? 'Unexpected end of expression' : `Unexpected ${this.describeToken(token)}`, token.start);
+        }
+    }
+
+    /**
+     * Parse a token that continues an expression
+     */
+    led(token, left) {
+        const power = JMESPath.BINDING_POWER;
+
+        switch (token.type) {
+            case 'dot':
+                if (this.lookahead() === 'star') {
+                    this.advance();
+                    return { type: 'valueProjection', left, right: this.parseProjectionRHS(power.dot) };
+                }
+                return { type: 'subexpression', left, right: this.parseDotRHS(power.dot) };
+            case 'pipe':
+                return { type: 'pipe', left, right: this.parseExpression(power.pipe) };
+            case 'or':
+                return { type: 'or', left, right: this.parseExpression(power.or) };
+            case 'and':
+                return { type: 'and', left, right: this.parseExpression(power.and) };
+            case 'lparen': {
+                if (left.type !== 'field') {
+                    this.fail('Only names can be called as functions', token.start);
+                }
+                const args = [];
+                while (this.lookahead() !== 'rparen') {
+                    args.push(this.parseExpression(0));
+                    if (this.lookahead() === 'comma') {
+                        this.expect('comma');
+                    } else if (this.lookahead() !== 'rparen') {
+                        this.fail(`Expected ',' or ')' but found ${this.describeToken(this.lookaheadToken())}`);
+                    }
+                }
+                this.expect('rparen');
+                this.checkFunction(left.name, args.length, left.start);
+                return { type: 'function', name: left.name, args };
+            }
+            case 'filter': {
+                const condition = this.parseExpression(0);
+                this.expect('rbracket');
+                const right = this.lookahead() === 'flatten' ? { type: 'identity' } : this.parseProjectionRHS(power.filter);
+                return { type: 'filterProjection', left, right, condition };
+            }
+            case 'flatten':
+                return {
+                    type: 'projection',
+                    left: { type: 'flatten', expression: left },
+                    right: this.parseProjectionRHS(power.flatten)
+                };
+            case 'eq':
+            case 'ne':
+            case 'lt':
+            case 'lte':
+            case 'gt':
+            case 'gte':
+                return { type: 'comparator', operator: token.type, left, right: this.parseExpression(power[token.type]) };
+            case 'lbracket':
+                if (this.lookahead() === 'number' || this.lookahead() === 'colon') {
+                    return this.projectIfSlice(left, this.parseIndexExpression());
+                }
+                this.expect('star');
+                this.expect('rbracket');
+                return { type: 'projection', left, right: this.parseProjectionRHS(power.star) };
+            default:
+                this.fail(`Unexpected ${this.describeToken(token)}`, token.start);
+        }
+    }
+
+    /**
+     * Parse `[n]` or `[start:stop:step]` after the opening bracket
+     */
+    parseIndexExpression() {
+        if (this.lookahead() === 'colon' || this.lookahead(1) === 'colon') {
+            return this.parseSliceExpression();
+        }
+
+        const token = this.lookaheadToken();
+        this.advance();
+        this.expect('rbracket');
+        return { type: 'index', value: token.value };
+    }
+
+    /**
+     * Parse the parts of a slice up to the closing bracket
+     */
+    parseSliceExpression() {
+        const parts = [null, null, null];
+        let part = 0;
+
+        while (this.lookahead() !== 'rbracket') {
+            const token = this.lookaheadToken();
+            if (token.type === 'colon') {
+                part++;
+                if (part > 2) this.fail('Too many colons in slice', token.start);
+            } else if (token.type === 'number') {
+                parts[part] = token.value;
+            } else {
+                this.fail(`Unexpected ${this.describeToken(token)} in slice`, token.start);
+            }
+            this.advance();
+        }
+        this.expect('rbracket');
+
+        if (parts[2] === 0) {
+            this.fail('Slice step cannot be 0');
+        }
+        return { type: 'slice', start: parts[0], stop: parts[1], step: parts[2] };
+    }
+
+    /**
+     * An index applies to one value; a slice starts a projection over the selected items
+     */
+    projectIfSlice(left, right) {
+        const indexExpression = { type: 'indexExpression', left, right };
+        if (right.type === 'slice') {
+            return { type: 'projection', left: indexExpression, right: this.parseProjectionRHS(JMESPath.BINDING_POWER.star) };
+        }
+        return indexExpression;
+    }
+
+    /**
+     * Parse what follows a dot: a name, *, a multi-select list or a multi-select hash
+     */
+    parseDotRHS(rbp) {
+        const next = this.lookahead();
+        if (next === 'identifier' || next === 'quotedIdentifier' || next === 'star') {
+            return this.parseExpression(rbp);
+        }
+        if (next === 'lbracket') {
+            this.expect('lbracket');
+            return this.parseMultiSelectList();
+        }
+        if (next === 'lbrace') {
+            this.expect('lbrace');
+            return this.parseMultiSelectHash();
+        }
+        this.fail(`Expected a name, '*', '[' or '{' after '.' but found ${this.describeToken(this.lookaheadToken())}`);
+    }
+
+    /**
+     * Parse the expression applied to each item of a projection
+     */
+    parseProjectionRHS(rbp) {
+        const next = this.lookahead();
+        if (JMESPath.BINDING_POWER[next] < 10) {
+            return { type: 'identity' };
+        }
+        if (next === 'lbracket' || next === 'filter') {
+            return this.parseExpression(rbp);
+        }
+        if (next === 'dot') {
+            this.expect('dot');
+            return this.parseDotRHS(rbp);
+        }
+        this.fail(`Unexpected ${this.describeToken(this.lookaheadToken())} after a projection`);
+    }
+
+    /**
+     * Parse `[a, b, ...]` after the opening bracket
+     */
+    parseMultiSelectList() {
+        const expressions = [this.parseExpression(0)];
+        while (this.lookahead() === 'comma') {
+            this.advance();
+            expressions.push(this.parseExpression(0));
+        }
+        this.expect('rbracket');
+        return { type: 'multiSelectList', expressions };
+    }
+
+    /**
+     * Parse `{key: expression, ...}` after the opening brace
+     */
+    parseMultiSelectHash() {
+        const entries = [];
+        for (;;) {
+            const token = this.lookaheadToken();
+            if (token.type !== 'identifier' && token.type !== 'quotedIdentifier') {
+                this.fail(`Expected a key name but found ${this.describeToken(token)}`, token.start);
+            }
+            this.advance();
+            this.expect('colon');
+            entries.push({ key: token.value, value: this.parseExpression(0) });
+
+            if (this.lookahead() !== 'comma') break;
+            this.advance();
+        }
+        this.expect('rbrace');
+        return { type: 'multiSelectHash', entries };
+    }
+
+    /**
+     * Get the type of an upcoming token
+     */
+    lookahead(offset = 0) {
+        return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)].type;
+    }
+
+    /**
+     * Get the upcoming token
+     */
+    lookaheadToken() {
+        return this.tokens[this.index];
+    }
+
+    /**
+     * Move to the next token
+     */
+    advance() {
+        if (this.index < this.tokens.length - 1) {
+            this.index++;
+        }
+    }
+
+    /**
+     * Consume a token of the given type
+     */
+    expect(type) {
+        const token = this.lookaheadToken();
+        if (token.type !== type) {
+            const expected = { rbracket: "']'", rparen: "')'", rbrace: "'}'", colon: "':'", comma: "','", star: "'*'", lbracket: "'['", lbrace: "'{'", dot: "'.'" };
+            this.fail(`Expected ${expected[type] || type} but found ${this.describeToken(token)}`, token.start);
+        }
+        this.advance();
+    }
+
+    /**
+     * Describe a token for error messages
+     */
+    describeToken(token) {
+        if (token.type === 'eof') return 'end of expression';
+        const text = this.expression.slice(token.start).match(/^(?:[A-Za-z_][A-Za-z0-9_]*|-?\d+|\S{1,2})/);
+        return `'${text ? text[0] : token.value}'`;
+    }
+
+    /**
+     * Throw a syntax error pointing at a column of the expression
+     */
+    fail(message, position) {
+        const at = position === undefined ? this.lookaheadToken().start : position;
+        throw new Error(`${message} at column ${at + 1}`);
+    }
+
+    // ---- Evaluation ----
+
+    /**
+     * Evaluate a node against a value
+     */
+    visit(node, value) {
+        switch (node.type) {
+            case 'field':
+                return this.isObject(value) && Object.prototype.hasOwnProperty.call(value, node.name) ? value[node.name] : null;
+            case 'subexpression':
+            case 'indexExpression':
+            case 'pipe':
+                return this.visit(node.right, this.visit(node.left, value));
+            case 'index': {
+                if (!Array.isArray(value)) return null;
+                const index = node.value < 0 ? value.length + node.value : node.value;
+                return index >= 0 && index < value.length ? value[index] : null;
+            }
+            case 'slice':
+                return Array.isArray(value) ? this.slice(value, node.start, node.stop, node.step) : null;
+            case 'projection': {
+                const base = this.visit(node.left, value);
+                if (!Array.isArray(base)) return null;
+                return this.project(base, node.right);
+            }
+            case 'valueProjection': {
+                const base = this.visit(node.left, value);
+                if (!this.isObject(base)) return null;
+                return this.project(Object.keys(base).map(key => base[key]), node.right);
+            }
+            case 'filterProjection': {
+                const base = this.visit(node.left, value);
+                if (!Array.isArray(base)) return null;
+                return this.project(base.filter(item => this.isTruthy(this.visit(node.condition, item))), node.right);
+            }
+            case 'flatten': {
+                const base = this.visit(node.expression, value);
+                if (!Array.isArray(base)) return null;
+                return base.reduce((flat, item) => (Array.isArray(item) ? flat.concat(item) : [...flat, item]), []);
+            }
+            case 'comparator':
+                return this.compare(node.operator, this.visit(node.left, value), this.visit(node.right, value));
+            case 'identity':
+            case 'current':
+                return value;
+            case 'literal':
+                return node.value;
+            case 'multiSelectList':
+                if (value === null) return null;
+                return node.expressions.map(expression => this.visit(expression, value));
+            case 'multiSelectHash': {
+                if (value === null) return null;
+                const result = {};
+                node.entries.forEach(entry => {
+                    Object.defineProperty(result, entry.key, { value: this.visit(entry.value, value), writable: true, enumerable: true, configurable: true });
+                });
+                return result;
+            }
+            case 'or': {
+                const left = this.visit(node.left, value);
+                return this.isTruthy(left) ? left : this.visit(node.right, value);
+            }
+            case 'and': {
+                const left = this.visit(node.left, value);
+                return this.isTruthy(left) ? this.visit(node.right, value) : left;
+            }
+            case 'not':
+                return !this.isTruthy(this.visit(node.expression, value));
+            case 'expref':
+                return { expref: node.expression };
+            case 'function':
+                return this.callFunction(node.name, node.args.map(arg =>
+                    (arg.type === 'expref' ? { expref: arg.expression } : this.visit(arg, value))));
+            default:
+                throw new Error(`Cannot evaluate ${node.type}`);
+        }
+    }
+
+    /**
+     * Apply the right-hand side of a projection to each item, dropping null results
+     */
+    project(items, right) {
+        return items.map(item => this.visit(right, item)).filter(result => result !== null);
+    }
+
+    /**
+     * Slice an array like Python, including negative steps
+     */
+    slice(array, start, stop, step) {
+        const length = array.length;
+        const by = step === null ? 1 : step;
+        const clamp = (bound, fallback) => {
+            if (bound === null) return fallback;
+            if (bound < 0) return Math.max(by < 0 ? -1 : 0, length + bound);
+            return Math.min(bound, by < 0 ? length - 1 : length);
+        };
+        const from = clamp(start, by < 0 ? length - 1 : 0);
+        const to = clamp(stop, by < 0 ? -1 : length);
+
+        const result = [];
+        for (let i = from; by > 0 ? i < to : i > to; i += by) {
+            result.push(array[i]);
+        }
+        return result;
+    }
+
+    /**
+     * Evaluate a comparison; ordering only applies to numbers (null otherwise)
+     */
+    compare(operator, left, right) {
+        if (operator === 'eq') return this.deepEqual(left, right);
+        if (operator === 'ne') return !this.deepEqual(left, right);
+
+        if (this.typeOf(left) !== 'number' || this.typeOf(right) !== 'number') return null;
+        const a = this.toPlain(left);
+        const b = this.toPlain(right);
+        switch (operator) {
+            case 'lt': return a < b;
+            case 'lte': return a <= b;
+            case 'gt': return a > b;
+            default: return a >= b;
+        }
+    }
+
+    // ---- Functions ----
+
+    /**
+     * Check that a function exists and takes the given number of arguments
+     */
+    checkFunction(name, count, position) {
+        const signature = JMESPath.FUNCTIONS[name];
+        if (!signature) {
+            this.fail(`Unknown function ${name}()`, position);
+        }
+
+        const required = signature.args.length;
+        if (signature.variadic ? count < required : count !== required) {
+            const expected = `${signature.variadic ? 'at least ' : ''}${required} argument${required === 1 ? '' : 's'}`;
+            this.fail(`${name}() takes ${expected} but received ${count}`, position);
+        }
+    }
+
+    /**
+     * Call a built-in function after checking argument types
+     */
+    callFunction(name, args) {
+        const signature = JMESPath.FUNCTIONS[name];
+        args.forEach((arg, index) => {
+            const expected = signature.args[Math.min(index, signature.args.length - 1)];
+            if (!this.matchesType(arg, expected)) {
+                throw new Error(`${name}() argument ${index + 1} must be ${this.describeType(expected)}, not ${this.typeOf(arg)}`);
+            }
+        });
+
+        const [first, second] = args;
+        switch (name) {
+            case 'abs':
+                return Math.abs(this.toPlain(first));
+            case 'avg':
+                return first.length ? this.sum(first) / first.length : null;
+            case 'ceil':
+                return Math.ceil(this.toPlain(first));
+            case 'contains':
+                return typeof first === 'string' ? first.includes(second) : first.some(item => this.deepEqual(item, second));
+            case 'ends_with':
+                return first.endsWith(second);
+            case 'floor':
+                return Math.floor(this.toPlain(first));
+            case 'join':
+                return second.join(first);
+            case 'keys':
+                return Object.keys(first);
+            case 'length':
+                return typeof first === 'string' ? [...first].length : Array.isArray(first) ? first.length : Object.keys(first).length;
+            case 'map':
+                return second.map(item => this.visit(first.expref, item));
+            case 'max':
+            case 'min': {
+                if (first.length === 0) return null;
+                const sign = name === 'max' ? 1 : -1;
+                return first.reduce((best, item) => (sign * this.order(item, best) > 0 ? item : best));
+            }
+            case 'max_by':
+            case 'min_by': {
+                if (first.length === 0) return null;
+                const keyed = this.keyBy(first, second.expref, name);
+                const sign = name === 'max_by' ? 1 : -1;
+                return keyed.reduce((best, item) => (sign * this.order(item.key, best.key) > 0 ? item : best)).item;
+            }
+            case 'merge':
+                return args.reduce((merged, object) => {
+                    Object.keys(object).forEach(key => {
+                        Object.defineProperty(merged, key, { value: object[key], writable: true, enumerable: true, configurable: true });
+                    });
+                    return merged;
+                }, {});
+            case 'not_null':
+                return args.some(arg => arg !== null) ? args.find(arg => arg !== null) : null;
+            case 'reverse':
+                return typeof first === 'string' ? [...first].reverse().join('') : [...first].reverse();
+            case 'sort':
+                return [...first].sort((a, b) => this.order(a, b));
+            case 'sort_by':
+                return this.keyBy(first, second.expref, name)
+                    .map((entry, index) => ({ ...entry, index }))
+                    .sort((a, b) => this.order(a.key, b.key) || a.index - b.index)
+                    .map(entry => entry.item);
+            case 'starts_with':
+                return first.startsWith(second);
+            case 'sum':
+                return this.sum(first);
+            case 'to_array':
+                return Array.isArray(first) ? first : [first];
+            case 'to_string':
+                return typeof first === 'string' ? first : LosslessNumber.render(first, data => JSON.stringify(data));
+            case 'to_number': {
+                const type = this.typeOf(first);
+                if (type === 'number') return first;
+                if (type !== 'string' || !/^\s*-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?\s*$/.test(first)) return null;
+                return Number(first);
+            }
+            case 'type':
+                return this.typeOf(first);
+            case 'values':
+                return Object.keys(first).map(key => first[key]);
+            default:
+                throw new Error(`Unknown function ${name}()`);
+        }
+    }
+
+    /**
+     * Evaluate a sort key for every item; keys must all be numbers or all strings
+     */
+    keyBy(items, expression, name) {
+        const keyed = items.map(item => ({ item, key: this.visit(expression, item) }));
+        const types = new Set(keyed.map(entry => this.typeOf(entry.key)));
+        if (types.size > 1 || (types.size === 1 && !types.has('number') && !types.has('string'))) {
+            throw new Error(`${name}() keys must all be numbers or all be strings, not ${[...types].join(' and ')}`);
+        }
+        return keyed;
+    }
+
+    /**
+     * Order two numbers or two strings
+     */
+    order(a, b) {
+        const x = this.toPlain(a);
+        const y = this.toPlain(b);
+        return x < y ? -1 : x > y ? 1 : 0;
+    }
+
+    /**
+     * Add up an array of numbers
+     */
+    sum(numbers) {
+        return numbers.reduce((total, number) => total + this.toPlain(number), 0);
+    }
+
+    /**
+     * Check a value against a signature type such as `array-number` or `string|array`
+     */
+    matchesType(value, expected) {
+        const type = this.typeOf(value);
+        return expected.split('|').some(option => {
+            if (option === 'any') return type !== 'expref';
+            if (option === 'array-number' || option === 'array-string') {
+                const itemType = option.slice(6);
+                return type === 'array' && value.every(item => this.typeOf(item) === itemType);
+            }
+            if (option === 'array-sortable') {
+                return type === 'array' && (value.every(item => this.typeOf(item) === 'number') || value.every(item => typeof item === 'string'));
+            }
+            return option === type;
+        });
+    }
+
+    /**
+     * Describe a signature type for error messages
+     */
+    describeType(expected) {
+        const names = {
+            'array-number': 'an array of numbers', 'array-string': 'an array of strings',
+            'array-sortable': 'an array of numbers or strings', 'expref': 'an expression (&...)', 'any': 'a value'
+        };
+        return expected.split('|').map(option => names[option] || `${option === 'array' || option === 'object' ? 'an' : 'a'} ${option}`).join(' or ');
+    }
+
+    // ---- Values ----
+
+    /**
+     * Get the JMESPath type name of a value
+     */
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (value instanceof LosslessNumber) return 'number';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'object') return value.expref ? 'expref' : 'object';
+        return typeof value;
+    }
+
+    /**
+     * Whether a value is a JSON object (not an array or a LosslessNumber)
+     */
+    isObject(value) {
+        return this.typeOf(value) === 'object';
+    }
+
+    /**
+     * Unwrap LosslessNumber for arithmetic and comparisons
+     */
+    toPlain(value) {
+        return value instanceof LosslessNumber ? value.valueOf() : value;
+    }
+
+    /**
+     * Empty strings, arrays and objects, false and null are falsy
+     */
+    isTruthy(value) {
+        switch (this.typeOf(value)) {
+            case 'null':
+                return false;
+            case 'boolean':
+                return value;
+            case 'string':
+            case 'array':
+                return value.length > 0;
+            case 'object':
+                return Object.keys(value).length > 0;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Compare two values structurally
+     */
+    deepEqual(a, b) {
+        const type = this.typeOf(a);
+        if (type !== this.typeOf(b)) return false;
+        if (type === 'number') return this.toPlain(a) === this.toPlain(b);
+        if (type === 'array') {
+            return a.length === b.length && a.every((item, index) => this.deepEqual(item, b[index]));
+        }
+        if (type === 'object') {
+            const keys = Object.keys(a);
+            return keys.length === Object.keys(b).length &&
+                keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && this.deepEqual(a[key], b[key]));
+        }
+        return a === b;
+    }
+}
+
+// How tightly each token binds to the expression on its left
+JMESPath.BINDING_POWER = {
+    eof: 0, identifier: 0, quotedIdentifier: 0, rbracket: 0, rparen: 0, comma: 0, rbrace: 0, number: 0,
+    current: 0, expref: 0, colon: 0, literal: 0, pipe: 1, or: 2, and: 3, eq: 5, ne: 5, lt: 5, lte: 5, gt: 5,
+    gte: 5, flatten: 9, star: 20, filter: 21, dot: 40, not: 45, lbrace: 50, lbracket: 55, lparen: 60
+};
+
+// Built-in functions with their argument types; variadic functions repeat the last type
+JMESPath.FUNCTIONS = {
+    abs: { args: ['number'] },
+    avg: { args: ['array-number'] },
+    ceil: { args: ['number'] },
+    contains: { args: ['array|string', 'any'] },
+    ends_with: { args: ['string', 'string'] },
+    floor: { args: ['number'] },
+    join: { args: ['string', 'array-string'] },
+    keys: { args: ['object'] },
+    length: { args: ['string|array|object'] },
+    map: { args: ['expref', 'array'] },
+    max: { args: ['array-sortable'] },
+    max_by: { args: ['array', 'expref'] },
+    merge: { args: ['object'], variadic: true },
+    min: { args: ['array-sortable'] },
+    min_by: { args: ['array', 'expref'] },
+    not_null: { args: ['any'], variadic: true },
+    reverse: { args: ['string|array'] },
+    sort: { args: ['array-sortable'] },
+    sort_by: { args: ['array', 'expref'] },
+    starts_with: { args: ['string', 'string'] },
+    sum: { args: ['array-number'] },
+    to_array: { args: ['any'] },
+    to_number: { args: ['any'] },
+    to_string: { args: ['any'] },
+    type: { args: ['any'] },
+    values: { args: ['object'] }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JMESPath;
+}
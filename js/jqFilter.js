@@ -0,0 +1,2063 @@
+/**
+ * jq Filter - Interprets a subset of the jq language for reshaping documents
+ * Supports pipes, comma, object/array construction, string interpolation, @formats, variables (`as $x`),
+ * if/elif/else, try/catch, reduce, foreach, arithmetic, comparisons, alternatives (//), assignments
+ * (=, |=, +=, ...) and the common builtins. Function definitions (def), modules and
+ * destructuring patterns are not supported.
+ */
+
+class JQFilter {
+    /**
+     * Compile a jq program
+     * @param {string} program - The filter, e.g. `.items | map({id, name}) | sort_by(.name)`
+     */
+    constructor(program) {
+        this.program = program;
+        this.pos = 0;
+        this.maxIterations = 1000000;
+        this.ast = this.parseProgram();
+    }
+
+    /**
+     * Run the filter
+     * @param {*} input - Parsed data, possibly containing LosslessNumber instances
+     * @returns {Array<*>} - Every value the filter outputs
+     */
+    run(input) {
+        return this.evaluate(this.ast, input, {});
+    }
+
+    // ---- Parsing ----
+
+    /**
+     * Parse the whole program; an empty program is the identity
+     */
+    parseProgram() {
+        this.skipWhitespace();
+        if (this.pos >= this.program.length) {
+            return { type: 'identity' };
+        }
+
+        const ast = this.parsePipe(false);
+        this.skipWhitespace();
+        if (this.pos < this.program.length) {
+            this.fail(`Unexpected '${this.peek()}'`);
+        }
+        return ast;
+    }
+
+    /**
+     * Parse `a | b`, the loosest operator; object values cannot contain a bare comma
+     */
+    parsePipe(noComma) {
+        const left = noComma ? this.parseAlternative() : this.parseComma();
+        if (this.consumeOperator('|', '=')) {
+            return { type: 'pipe', left, right: this.parsePipe(noComma) };
+        }
+        return left;
+    }
+
+    /**
+     * Parse `a, b`
+     */
+    parseComma() {
+        let left = this.parseAlternative();
+        while (this.consumeOperator(',')) {
+            left = { type: 'comma', left, right: this.parseAlternative() };
+        }
+        return left;
+    }
+
+    /**
+     * Parse `a // b` (right-associative)
+     */
+    parseAlternative() {
+        const left = this.parseAssignment();
+        if (this.consumeOperator('//', '=')) {
+            return { type: 'alternative', left, right: this.parseAlternative() };
+        }
+        return left;
+    }
+
+    /**
+     * Parse `path = value`, `path |= f` and the arithmetic update operators
+     */
+    parseAssignment() {
+        const left = this.parseOr();
+        this.skipWhitespace();
+
+        const match = /^(\|=|\+=|-=|\*=|\/=|%=|\/\/=|=(?!=))/.exec(this.program.slice(this.pos));
+        if (match) {
+            this.pos += match[0].length;
+            return { type: 'assign', operator: match[0], left, right: this.parseOr() };
+        }
+        return left;
+    }
+
+    /**
+     * Parse `a or b`
+     */
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.consumeKeyword('or')) {
+            left = { type: 'or', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    /**
+     * Parse `a and b`
+     */
+    parseAnd() {
+        let left = this.parseComparison();
+        while (this.consumeKeyword('and')) {
+            left = { type: 'and', left, right: this.parseComparison() };
+        }
+        return left;
+    }
+
+    /**
+     * Parse a comparison (non-associative)
+     */
+    parseComparison() {
+        const left = this.parseAdditive();
+        this.skipWhitespace();
+
+        const match = /^(==|!=|<=|>=|<|>)/.exec(this.program.slice(this.pos));
+        if (match) {
+            this.pos += match[0].length;
+            return { type: 'binary', operator: match[0], left, right: this.parseAdditive() };
+        }
+        return left;
+    }
+
+    /**
+     * Parse `a + b` and `a - b`
+     */
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        for (;;) {
+            const operator = this.consumeOperator('+', '=') || this.consumeOperator('-', '=');
+            if (!operator) return left;
+            left = { type: 'binary', operator, left, right: this.parseMultiplicative() };
+        }
+    }
+
+    /**
+     * Parse `a * b`, `a / b` and `a % b`
+     */
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        for (;;) {
+            this.skipWhitespace();
+            // `//` is the alternative operator, not two divisions
+            if (this.program.startsWith('//', this.pos)) return left;
+
+            const operator = this.consumeOperator('*', '=') || this.consumeOperator('/', '=') || this.consumeOperator('%', '=');
+            if (!operator) return left;
+            left = { type: 'binary', operator, left, right: this.parseUnary() };
+        }
+    }
+
+    /**
+     * Parse a negation
+     */
+    parseUnary() {
+        if (this.consumeOperator('-', '=')) {
+            return { type: 'negate', operand: this.parsePostfix(true) };
+        }
+        return this.parsePostfix(true);
+    }
+
+    /**
+     * Parse a term followed by `.name`, `[...]` and `?` suffixes, and an optional `as $x | body` binding
+     * @param {boolean} allowBinding - False where `as` belongs to the enclosing construct (reduce, foreach)
+     */
+    parsePostfix(allowBinding) {
+        let term = this.parseTerm();
+
+        for (;;) {
+            this.skipWhitespace();
+            const ch = this.peek();
+
+            if (ch === '.' && this.program[this.pos + 1] === '[') {
+                this.pos++;
+                term = this.parseBracketSuffix(term);
+            } else if (ch === '.' && /[A-Za-z_"]/.test(this.program[this.pos + 1] || '')) {
+                this.pos++;
+                term = { type: 'index', target: term, index: { type: 'literal', value: this.parseFieldName() } };
+            } else if (ch === '[') {
+                term = this.parseBracketSuffix(term);
+            } else if (ch === '?') {
+                this.pos++;
+                term = { type: 'try', body: term, handler: null };
+            } else if (allowBinding && this.consumeKeyword('as')) {
+                const name = this.parseVariableName();
+                this.skipWhitespace();
+                this.expect('|');
+                return { type: 'bind', source: term, name, body: this.parsePipe(false) };
+            } else {
+                return term;
+            }
+        }
+    }
+
+    /**
+     * Parse `[]`, `[index]` or `[from:to]` after a term
+     */
+    parseBracketSuffix(target) {
+        this.expect('[');
+        this.skipWhitespace();
+
+        if (this.consume(']')) {
+            return { type: 'iterate', target };
+        }
+
+        const from = this.peek() === ':' ? null : this.parsePipe(false);
+        this.skipWhitespace();
+        if (this.consume(':')) {
+            this.skipWhitespace();
+            const to = this.peek() === ']' ? null : this.parsePipe(false);
+            this.skipWhitespace();
+            this.expect(']');
+            return { type: 'slice', target, from, to };
+        }
+
+        this.expect(']');
+        return { type: 'index', target, index: from };
+    }
+
+    /**
+     * Parse a term: `.`, `..`, `.name`, literals, (...), [...], {...}, $var, keywords and function calls
+     */
+    parseTerm() {
+        this.skipWhitespace();
+        const ch = this.peek();
+        const rest = this.program.slice(this.pos);
+
+        if (rest.startsWith('..')) {
+            this.pos += 2;
+            return { type: 'recurse' };
+        }
+
+        if (ch === '.') {
+            this.pos++;
+            if (/[A-Za-z_"]/.test(this.peek() || '')) {
+                return { type: 'index', target: { type: 'identity' }, index: { type: 'literal', value: this.parseFieldName() } };
+            }
+            if (this.peek() === '[') {
+                return this.parseBracketSuffix({ type: 'identity' });
+            }
+            return { type: 'identity' };
+        }
+
+        const number = /^\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/.exec(rest);
+        if (number) {
+            this.pos += number[0].length;
+            return { type: 'literal', value: Number(number[0]) };
+        }
+
+        if (ch === '"') {
+            return this.parseString(null);
+        }
+
+        if (ch === '@') {
+            this.pos++;
+            const name = this.parseIdentifier();
+            this.skipWhitespace();
+            return this.peek() === '"' ? this.parseString(name) : { type: 'format', name };
+        }
+
+        if (ch === '(') {
+            this.pos++;
+            const expression = this.parsePipe(false);
+            this.skipWhitespace();
+            this.expect(')');
+            return expression;
+        }
+
+        if (ch === '[') {
+            this.pos++;
+            this.skipWhitespace();
+            if (this.consume(']')) {
+                return { type: 'array', body: null };
+            }
+            const body = this.parsePipe(false);
+            this.skipWhitespace();
+            this.expect(']');
+            return { type: 'array', body };
+        }
+
+        if (ch === '{') {
+            return this.parseObject();
+        }
+
+        if (ch === '$') {
+            return { type: 'variable', name: this.parseVariableName() };
+        }
+
+        if (/[A-Za-z_]/.test(ch || '')) {
+            return this.parseKeywordOrCall();
+        }
+
+        this.fail(this.pos < this.program.length ? `Unexpected '${ch}'` : 'Unexpected end of filter');
+    }
+
+    /**
+     * Parse if/try/reduce/foreach, a literal keyword or a function call
+     */
+    parseKeywordOrCall() {
+        const start = this.pos;
+        const name = this.parseIdentifier();
+
+        switch (name) {
+            case 'true':
+            case 'false':
+            case 'null':
+                return { type: 'literal', value: JSON.parse(name) };
+            case 'if':
+                return this.parseIf();
+            case 'try': {
+                const body = this.parsePostfix(false);
+                const handler = this.consumeKeyword('catch') ? this.parsePostfix(false) : null;
+                return { type: 'try', body, handler };
+            }
+            case 'reduce':
+            case 'foreach':
+                return this.parseFold(name);
+            case 'def':
+                this.fail('Function definitions are not supported', start);
+                break;
+            case 'then':
+            case 'elif':
+            case 'else':
+            case 'end':
+            case 'as':
+            case 'catch':
+            case 'and':
+            case 'or':
+                this.fail(`Unexpected '${name}'`, start);
+                break;
+        }
+
+        const args = [];
+        this.skipWhitespace();
+        if (this.consume('(')) {
+            do {
+                args.push(this.parsePipe(false));
+                this.skipWhitespace();
+            } while (this.consume(';'));
+            this.expect(')');
+        }
+
+        if (!this.hasFunction(name, args.length)) {
+            this.fail(`${name}/${args.length} is not defined`, start);
+        }
+        return { type: 'call', name, args };
+    }
+
+    /**
+     * Parse the rest of `if cond then a (elif cond then b)* (else c)? end`
+     */
+    parseIf() {
+        const condition = this.parsePipe(false);
+        this.expectKeyword('then');
+        const then = this.parsePipe(false);
+
+        let otherwise = null;
+        if (this.consumeKeyword('elif')) {
+            otherwise = this.parseIf();
+            return { type: 'if', condition, then, otherwise };
+        }
+        if (this.consumeKeyword('else')) {
+            otherwise = this.parsePipe(false);
+        }
+        this.expectKeyword('end');
+        return { type: 'if', condition, then, otherwise };
+    }
+
+    /**
+     * Parse the rest of `reduce SOURCE as $x (INIT; UPDATE)` or `foreach SOURCE as $x (INIT; UPDATE; EXTRACT)`
+     */
+    parseFold(kind) {
+        const source = this.parsePostfix(false);
+        this.expectKeyword('as');
+        const name = this.parseVariableName();
+        this.skipWhitespace();
+        this.expect('(');
+        const init = this.parsePipe(false);
+        this.skipWhitespace();
+        this.expect(';');
+        const update = this.parsePipe(false);
+        this.skipWhitespace();
+
+        let extract = null;
+        if (kind === 'foreach' && this.consume(';')) {
+            extract = this.parsePipe(false);
+            this.skipWhitespace();
+        }
+        this.expect(')');
+        return { type: kind, source, name, init, update, extract };
+    }
+
+    /**
+     * Parse object construction: `{a, "b": 1, (.k): .v, $x, "\(.id)": .}`
+     */
+    parseObject() {
+        this.expect('{');
+        const entries = [];
+        this.skipWhitespace();
+
+        if (!this.consume('}')) {
+            do {
+                this.skipWhitespace();
+                entries.push(this.parseObjectEntry());
+                this.skipWhitespace();
+            } while (this.consume(','));
+            this.expect('}');
+        }
+
+        return { type: 'object', entries };
+    }
+
+    /**
+     * Parse one object entry; a key without a value takes `.key` (or the variable's value for `$x`)
+     */
+    parseObjectEntry() {
+        const ch = this.peek();
+        let key;
+        let shorthand;
+
+        if (ch === '$') {
+            const name = this.parseVariableName();
+            return { key: { type: 'literal', value: name }, value: { type: 'variable', name } };
+        } else if (ch === '"') {
+            key = this.parseString(null);
+            shorthand = { type: 'index', target: { type: 'identity' }, index: key };
+        } else if (ch === '(') {
+            this.pos++;
+            key = this.parsePipe(false);
+            this.skipWhitespace();
+            this.expect(')');
+        } else if (/[A-Za-z_]/.test(ch || '')) {
+            const name = this.parseIdentifier();
+            key = { type: 'literal', value: name };
+            shorthand = { type: 'index', target: { type: 'identity' }, index: key };
+        } else {
+            this.fail(this.pos < this.program.length ? `Unexpected '${ch}' in object` : "Expected '}'");
+        }
+
+        this.skipWhitespace();
+        if (this.consume(':')) {
+            return { key, value: this.parsePipe(true) };
+        }
+        if (!shorthand) {
+            this.fail("Expected ':' after a computed key");
+        }
+        return { key, value: shorthand };
+    }
+
+    /**
+     * Parse a string literal with `\(...)` interpolation; with a format name, interpolated values are formatted
+     */
+    parseString(format) {
+        this.expect('"');
+        const parts = [];
+        let text = '';
+
+        while (this.pos < this.program.length) {
+            const ch = this.program[this.pos++];
+            if (ch === '"') {
+                if (text || parts.length === 0) parts.push(text);
+                return { type: 'string', parts, format };
+            }
+            if (ch !== '\\') {
+                text += ch;
+                continue;
+            }
+
+            const escape = this.program[this.pos++];
+            const simple = { 'b': '\b', 'f': '\f', 'n': '\n', 'r': '\r', 't': '\t', '/': '/', '\\': '\\', '"': '"' };
+            if (escape in simple) {
+                text += simple[escape];
+            } else if (escape === 'u' && /^[0-9a-fA-F]{4}$/.test(this.program.substr(this.pos, 4))) {
+                text += String.fromCharCode(parseInt(this.program.substr(this.pos, 4), 16));
+                this.pos += 4;
+            } else if (escape === '(') {
+                if (text) parts.push(text);
+                text = '';
+                parts.push(this.parsePipe(false));
+                this.skipWhitespace();
+                this.expect(')');
+            } else {
+                this.fail(`Invalid escape '\\${escape || ''}'`, this.pos - 2);
+            }
+        }
+
+        this.fail('Unterminated string');
+    }
+
+    /**
+     * Parse a field name after a dot: an identifier or a string
+     */
+    parseFieldName() {
+        if (this.peek() === '"') {
+            const string = this.parseString(null);
+            if (string.parts.some(part => typeof part !== 'string')) {
+                this.fail('Field names cannot be interpolated; use .["..."]');
+            }
+            return string.parts.join('');
+        }
+        return this.parseIdentifier();
+    }
+
+    /**
+     * Parse `$name`
+     */
+    parseVariableName() {
+        this.skipWhitespace();
+        this.expect('$');
+        return this.parseIdentifier();
+    }
+
+    /**
+     * Parse an identifier
+     */
+    parseIdentifier() {
+        const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(this.program.slice(this.pos));
+        if (!match) {
+            this.fail(this.pos < this.program.length ? `Unexpected '${this.peek()}'` : 'Unexpected end of filter');
+        }
+        this.pos += match[0].length;
+        return match[0];
+    }
+
+    /**
+     * Get the current character
+     */
+    peek() {
+        return this.program[this.pos];
+    }
+
+    /**
+     * Skip whitespace and # comments
+     */
+    skipWhitespace() {
+        for (;;) {
+            const ch = this.program[this.pos];
+            if (ch === '#') {
+                while (this.pos < this.program.length && this.program[this.pos] !== '\n') this.pos++;
+            } else if (ch !== undefined && /\s/.test(ch)) {
+                this.pos++;
+            } else {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Consume a character if it comes next
+     */
+    consume(ch) {
+        if (this.peek() === ch) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Consume an operator if it comes next (after whitespace) and is not followed by notFollowedBy
+     * @returns {string|null} - The operator, or null
+     */
+    consumeOperator(operator, notFollowedBy) {
+        this.skipWhitespace();
+        if (!this.program.startsWith(operator, this.pos)) return null;
+
+        const next = this.program[this.pos + operator.length];
+        if (notFollowedBy && next === notFollowedBy) return null;
+        // `|` must not swallow the start of `|=`, nor `/` the start of `//`
+        if (operator === '/' && next === '/') return null;
+
+        this.pos += operator.length;
+        return operator;
+    }
+
+    /**
+     * Consume a keyword if it comes next as a whole word
+     */
+    consumeKeyword(keyword) {
+        this.skipWhitespace();
+        const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(this.program.slice(this.pos));
+        if (match && match[0] === keyword) {
+            this.pos += keyword.length;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Consume a character that must come next
+     */
+    expect(ch) {
+        if (!this.consume(ch)) {
+            this.fail(this.pos < this.program.length ? `Expected '${ch}' but found '${this.peek()}'` : `Expected '${ch}'`);
+        }
+    }
+
+    /**
+     * Consume a keyword that must come next
+     */
+    expectKeyword(keyword) {
+        if (!this.consumeKeyword(keyword)) {
+            this.fail(`Expected '${keyword}'`);
+        }
+    }
+
+    /**
+     * Throw a syntax error pointing at a column of the program
+     */
+    fail(message, position = this.pos) {
+        throw new Error(`${message} at column ${Math.min(position, this.program.length) + 1}`);
+    }
+
+    // ---- Evaluation ----
+
+    /**
+     * Evaluate an expression against an input
+     * @returns {Array<*>} - The outputs, in order
+     */
+    evaluate(node, input, env) {
+        switch (node.type) {
+            case 'identity':
+                return [input];
+            case 'recurse':
+                return this.descendants(input);
+            case 'literal':
+                return [node.value];
+            case 'variable':
+                if (!(node.name in env)) {
+                    throw new Error(`$${node.name} is not defined`);
+                }
+                return [env[node.name]];
+            case 'index':
+                return this.flatMap(this.evaluate(node.target, input, env), target =>
+                    this.evaluate(node.index, input, env).map(key => this.indexValue(target, key)));
+            case 'slice':
+                return this.flatMap(this.evaluate(node.target, input, env), target =>
+                    this.flatMap(node.to ? this.evaluate(node.to, input, env) : [null], to =>
+                        (node.from ? this.evaluate(node.from, input, env) : [null]).map(from => this.sliceValue(target, from, to))));
+            case 'iterate':
+                return this.flatMap(this.evaluate(node.target, input, env), target => this.iterate(target));
+            case 'pipe':
+                return this.flatMap(this.evaluate(node.left, input, env), value => this.evaluate(node.right, value, env));
+            case 'comma':
+                return [...this.evaluate(node.left, input, env), ...this.evaluate(node.right, input, env)];
+            case 'array':
+                return [node.body ? this.evaluate(node.body, input, env) : []];
+            case 'object':
+                return this.evaluateObject(node.entries, input, env);
+            case 'string':
+                return this.evaluateString(node, input, env);
+            case 'format':
+                return [this.applyFormat(node.name, input)];
+            case 'negate':
+                return this.evaluate(node.operand, input, env).map(value => {
+                    if (this.typeOf(value) !== 'number') {
+                        throw new Error(`${this.describe(value)} cannot be negated`);
+                    }
+                    return -this.toPlain(value);
+                });
+            case 'binary':
+                // Like jq, the right operand varies slowest
+                return this.flatMap(this.evaluate(node.right, input, env), right =>
+                    this.evaluate(node.left, input, env).map(left => this.binary(node.operator, left, right)));
+            case 'and':
+            case 'or':
+                return this.flatMap(this.evaluate(node.left, input, env), left => {
+                    if (node.type === 'and' ? !this.isTruthy(left) : this.isTruthy(left)) {
+                        return [node.type === 'or'];
+                    }
+                    return this.evaluate(node.right, input, env).map(right => this.isTruthy(right));
+                });
+            case 'alternative': {
+                const values = this.tryEvaluate(node.left, input, env).filter(value => this.isTruthy(value));
+                return values.length ? values : this.evaluate(node.right, input, env);
+            }
+            case 'assign':
+                return this.evaluateAssignment(node, input, env);
+            case 'if':
+                return this.flatMap(this.evaluate(node.condition, input, env), condition => {
+                    if (this.isTruthy(condition)) return this.evaluate(node.then, input, env);
+                    return node.otherwise ? this.evaluate(node.otherwise, input, env) : [input];
+                });
+            case 'try':
+                try {
+                    return this.evaluate(node.body, input, env);
+                } catch (error) {
+                    if (!node.handler) return [];
+                    return this.evaluate(node.handler, error.value !== undefined ? error.value : error.message, env);
+                }
+            case 'bind':
+                return this.flatMap(this.evaluate(node.source, input, env), value =>
+                    this.evaluate(node.body, input, this.bindVariable(env, node.name, value)));
+            case 'reduce':
+                return this.evaluate(node.init, input, env).map(initial => {
+                    let accumulator = initial;
+                    this.evaluate(node.source, input, env).forEach(value => {
+                        const results = this.evaluate(node.update, accumulator, this.bindVariable(env, node.name, value));
+                        accumulator = results.length ? results[results.length - 1] : null;
+                    });
+                    return accumulator;
+                });
+            case 'foreach':
+                return this.flatMap(this.evaluate(node.init, input, env), initial => {
+                    const outputs = [];
+                    let state = initial;
+                    this.evaluate(node.source, input, env).forEach(value => {
+                        const scope = this.bindVariable(env, node.name, value);
+                        this.evaluate(node.update, state, scope).forEach(next => {
+                            state = next;
+                            outputs.push(...(node.extract ? this.evaluate(node.extract, next, scope) : [next]));
+                        });
+                    });
+                    return outputs;
+                });
+            case 'call':
+                return this.callFunction(node, input, env);
+            default:
+                throw new Error(`Cannot evaluate ${node.type}`);
+        }
+    }
+
+    /**
+     * Evaluate, treating errors as producing no output (for `//`)
+     */
+    tryEvaluate(node, input, env) {
+        try {
+            return this.evaluate(node, input, env);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Build objects; keys or values that produce several outputs produce one object per combination
+     */
+    evaluateObject(entries, input, env) {
+        let objects = [{}];
+
+        entries.forEach(entry => {
+            const next = [];
+            objects.forEach(object => {
+                this.evaluate(entry.key, input, env).forEach(key => {
+                    if (typeof key !== 'string') {
+                        throw new Error(`Object keys must be strings, not ${this.describe(key)}`);
+                    }
+                    this.evaluate(entry.value, input, env).forEach(value => {
+                        next.push(this.withProperty(object, key, value));
+                    });
+                });
+            });
+            objects = next;
+        });
+
+        return objects;
+    }
+
+    /**
+     * Build interpolated strings, one per combination of interpolated outputs
+     */
+    evaluateString(node, input, env) {
+        let strings = [''];
+
+        node.parts.forEach(part => {
+            if (typeof part === 'string') {
+                strings = strings.map(string => string + part);
+                return;
+            }
+            const values = this.evaluate(part, input, env).map(value =>
+                (node.format ? this.applyFormat(node.format, value) : this.toText(value)));
+            strings = this.flatMap(strings, string => values.map(value => string + value));
+        });
+
+        return strings;
+    }
+
+    /**
+     * Evaluate `=`, `|=` and the arithmetic update-assignments
+     */
+    evaluateAssignment(node, input, env) {
+        const paths = this.paths(node.left, input, env);
+
+        if (node.operator === '|=') {
+            const removed = [];
+            let result = input;
+            paths.forEach(path => {
+                const values = this.evaluate(node.right, this.getPath(result, path), env);
+                if (values.length) {
+                    result = this.setPath(result, path, values[0]);
+                } else {
+                    removed.push(path);
+                }
+            });
+            return [removed.length ? this.deletePaths(result, removed) : result];
+        }
+
+        return this.evaluate(node.right, input, env).map(value => paths.reduce((result, path) => {
+            if (node.operator === '=') {
+                return this.setPath(result, path, value);
+            }
+            const current = this.getPath(result, path);
+            if (node.operator === '//=') {
+                return this.setPath(result, path, this.isTruthy(current) ? current : value);
+            }
+            return this.setPath(result, path, this.binary(node.operator.slice(0, -1), current, value));
+        }, input));
+    }
+
+    /**
+     * Evaluate a path expression to the paths it refers to (for assignments, path(), del() and paths())
+     * @returns {Array<Array>} - Paths as arrays of keys, indexes and { start, end } slices
+     */
+    paths(node, input, env) {
+        switch (node.type) {
+            case 'identity':
+                return [[]];
+            case 'recurse':
+                return this.allPaths(input, []);
+            case 'index':
+                return this.flatMap(this.paths(node.target, input, env), path => {
+                    const target = this.getPath(input, path);
+                    return this.evaluate(node.index, input, env).map(key => {
+                        this.indexValue(target, key);
+                        return [...path, this.toPlain(key)];
+                    });
+                });
+            case 'slice':
+                return this.flatMap(this.paths(node.target, input, env), path => {
+                    const from = node.from ? this.evaluate(node.from, input, env) : [null];
+                    const to = node.to ? this.evaluate(node.to, input, env) : [null];
+                    return this.flatMap(to, end => from.map(start => [...path, { start: this.toPlain(start), end: this.toPlain(end) }]));
+                });
+            case 'iterate':
+                return this.flatMap(this.paths(node.target, input, env), path => {
+                    const target = this.getPath(input, path);
+                    if (Array.isArray(target)) return target.map((item, index) => [...path, index]);
+                    if (this.typeOf(target) === 'object') return Object.keys(target).map(key => [...path, key]);
+                    if (target === null) return [];
+                    throw new Error(`Cannot iterate over ${this.describe(target)}`);
+                });
+            case 'pipe':
+                return this.flatMap(this.paths(node.left, input, env), path =>
+                    this.paths(node.right, this.getPath(input, path), env).map(rest => [...path, ...rest]));
+            case 'comma':
+                return [...this.paths(node.left, input, env), ...this.paths(node.right, input, env)];
+            case 'if':
+                return this.flatMap(this.evaluate(node.condition, input, env), condition => {
+                    if (this.isTruthy(condition)) return this.paths(node.then, input, env);
+                    return node.otherwise ? this.paths(node.otherwise, input, env) : [[]];
+                });
+            case 'alternative': {
+                let paths;
+                try {
+                    paths = this.paths(node.left, input, env).filter(path => this.isTruthy(this.getPath(input, path)));
+                } catch (error) {
+                    paths = [];
+                }
+                return paths.length ? paths : this.paths(node.right, input, env);
+            }
+            case 'try':
+                try {
+                    return this.paths(node.body, input, env);
+                } catch (error) {
+                    if (node.handler) throw error;
+                    return [];
+                }
+            case 'bind':
+                return this.flatMap(this.evaluate(node.source, input, env), value =>
+                    this.paths(node.body, input, this.bindVariable(env, node.name, value)));
+            case 'literal':
+                if (node.value === null) return [[]];
+                break;
+            case 'call':
+                return this.callPathFunction(node, input, env);
+        }
+
+        throw new Error('Invalid path expression');
+    }
+
+    /**
+     * Path versions of the builtins that select parts of their input
+     */
+    callPathFunction(node, input, env) {
+        const [f, g] = node.args;
+
+        switch (`${node.name}/${node.args.length}`) {
+            case 'empty/0':
+                return [];
+            case 'select/1':
+                return this.evaluate(f, input, env).some(value => this.isTruthy(value)) ? [[]] : [];
+            case 'recurse/0':
+                return this.allPaths(input, []);
+            case 'recurse/1': {
+                const paths = [];
+                const visit = (path) => {
+                    this.checkIterations(paths.length);
+                    paths.push(path);
+                    this.paths(f, this.getPath(input, path), env).forEach(rest => visit([...path, ...rest]));
+                };
+                visit([]);
+                return paths;
+            }
+            case 'first/1':
+                return this.paths(f, input, env).slice(0, 1);
+            case 'last/1':
+                return this.paths(f, input, env).slice(-1);
+            case 'first/0':
+                return [[0]];
+            case 'last/0':
+                return [[-1]];
+            case 'getpath/1':
+                return this.evaluate(f, input, env).map(path => this.toPath(path));
+            case 'limit/2':
+                return this.flatMap(this.evaluate(f, input, env), count => this.paths(g, input, env).slice(0, Math.max(0, this.toPlain(count))));
+            case 'paths/0':
+                return this.allPaths(input, []).slice(1);
+            case 'arrays/0':
+            case 'objects/0':
+            case 'iterables/0':
+            case 'scalars/0':
+            case 'booleans/0':
+            case 'numbers/0':
+            case 'strings/0':
+            case 'nulls/0':
+            case 'values/0':
+                return this.selectByType(node.name, input) ? [[]] : [];
+            default:
+                throw new Error(`Invalid path expression with ${node.name}/${node.args.length}`);
+        }
+    }
+
+    // ---- Builtins ----
+
+    /**
+     * Check whether a builtin exists
+     */
+    hasFunction(name, arity) {
+        return JQFilter.BUILTINS.includes(`${name}/${arity}`);
+    }
+
+    /**
+     * Call a builtin; arguments are expressions, evaluated against the input as needed
+     */
+    callFunction(node, input, env) {
+        const [f, g, h] = node.args;
+        const each = (arg, callback) => this.evaluate(arg, input, env).map(callback);
+        const each2 = (first, second, callback) => this.flatMap(this.evaluate(second, input, env), b =>
+            this.evaluate(first, input, env).map(a => callback(a, b)));
+        const type = this.typeOf(input);
+
+        switch (`${node.name}/${node.args.length}`) {
+            case 'empty/0':
+                return [];
+            case 'not/0':
+                return [!this.isTruthy(input)];
+            case 'error/0':
+                throw this.createError(input);
+            case 'error/1':
+                return each(f, message => { throw this.createError(message); });
+            case 'length/0':
+                return [this.length(input)];
+            case 'utf8bytelength/0':
+                this.expectType(input, 'string', 'utf8bytelength');
+                return [new TextEncoder().encode(input).length];
+            case 'type/0':
+                return [type];
+            case 'keys/0':
+            case 'keys_unsorted/0':
+                if (type === 'array') return [input.map((item, index) => index)];
+                this.expectType(input, 'object', 'keys');
+                return [node.name === 'keys' ? Object.keys(input).sort() : Object.keys(input)];
+            case 'has/1':
+                return each(f, key => this.has(input, key));
+            case 'in/1':
+                return each(f, object => this.has(object, input));
+            case 'contains/1':
+                return each(f, other => this.contains(input, other));
+            case 'inside/1':
+                return each(f, other => this.contains(other, input));
+            case 'add/0':
+                return [this.iterate(input).reduce((sum, value) => (sum === null ? value : this.binary('+', sum, value)), null)];
+            case 'any/0':
+                return [this.iterate(input).some(value => this.isTruthy(value))];
+            case 'all/0':
+                return [this.iterate(input).every(value => this.isTruthy(value))];
+            case 'any/1':
+                return [this.iterate(input).some(item => this.evaluate(f, item, env).some(value => this.isTruthy(value)))];
+            case 'all/1':
+                return [this.iterate(input).every(item => this.evaluate(f, item, env).every(value => this.isTruthy(value)))];
+            case 'any/2':
+                return [this.evaluate(f, input, env).some(item => this.evaluate(g, item, env).some(value => this.isTruthy(value)))];
+            case 'all/2':
+                return [this.evaluate(f, input, env).every(item => this.evaluate(g, item, env).every(value => this.isTruthy(value)))];
+            case 'map/1':
+                return [this.flatMap(this.iterate(input), item => this.evaluate(f, item, env))];
+            case 'map_values/1':
+                return this.evaluateAssignment({ operator: '|=', left: { type: 'iterate', target: { type: 'identity' } }, right: f }, input, env);
+            case 'select/1':
+                return this.evaluate(f, input, env).filter(value => this.isTruthy(value)).map(() => input);
+            case 'recurse/0':
+                return this.descendants(input);
+            case 'recurse/1': {
+                const outputs = [];
+                const visit = (value) => {
+                    this.checkIterations(outputs.length);
+                    outputs.push(value);
+                    this.evaluate(f, value, env).forEach(visit);
+                };
+                visit(input);
+                return outputs;
+            }
+            case 'walk/1':
+                return this.walk(input, f, env);
+            case 'to_entries/0':
+                if (type === 'array') return [input.map((value, key) => ({ key, value }))];
+                this.expectType(input, 'object', 'to_entries');
+                return [Object.keys(input).map(key => ({ key, value: input[key] }))];
+            case 'from_entries/0':
+                return [this.fromEntries(input)];
+            case 'with_entries/1': {
+                this.expectType(input, 'object', 'with_entries');
+                const entries = this.flatMap(Object.keys(input), key => this.evaluate(f, { key, value: input[key] }, env));
+                return [this.fromEntries(entries)];
+            }
+            case 'sort/0':
+                this.expectType(input, 'array', 'sort');
+                return [[...input].sort((a, b) => this.compare(a, b))];
+            case 'sort_by/1':
+                return [this.sortBy(input, f, env).map(({ item }) => item)];
+            case 'group_by/1':
+                return [this.groupBy(input, f, env)];
+            case 'unique/0':
+                this.expectType(input, 'array', 'unique');
+                return [[...input].sort((a, b) => this.compare(a, b)).filter((item, index, sorted) => index === 0 || this.compare(sorted[index - 1], item) !== 0)];
+            case 'unique_by/1':
+                return [this.groupBy(input, f, env).map(group => group[0])];
+            case 'min/0':
+            case 'max/0': {
+                this.expectType(input, 'array', node.name);
+                if (input.length === 0) return [null];
+                const sign = node.name === 'min' ? 1 : -1;
+                return [input.reduce((best, item) => (sign * this.compare(item, best) < 0 || (sign < 0 && this.compare(item, best) === 0) ? item : best))];
+            }
+            case 'min_by/1':
+            case 'max_by/1': {
+                const sorted = this.sortBy(input, f, env);
+                if (sorted.length === 0) return [null];
+                return [node.name === 'min_by' ? sorted[0].item : sorted[sorted.length - 1].item];
+            }
+            case 'reverse/0':
+                if (input === null) return [[]];
+                if (type === 'string') return [[...input].reverse().join('')];
+                this.expectType(input, 'array', 'reverse');
+                return [[...input].reverse()];
+            case 'flatten/0':
+                return [this.flatten(input, Infinity)];
+            case 'flatten/1':
+                return each(f, depth => {
+                    if (this.toPlain(depth) < 0) throw new Error('flatten depth must not be negative');
+                    return this.flatten(input, this.toPlain(depth));
+                });
+            case 'range/1':
+                return this.flatMap(this.evaluate(f, input, env), end => this.range(0, this.toPlain(end), 1));
+            case 'range/2':
+                return this.flatMap(each2(f, g, (start, end) => [start, end]), ([start, end]) => this.range(this.toPlain(start), this.toPlain(end), 1));
+            case 'range/3':
+                return this.flatMap(this.evaluate(h, input, env), step =>
+                    this.flatMap(each2(f, g, (start, end) => [start, end]), ([start, end]) => this.range(this.toPlain(start), this.toPlain(end), this.toPlain(step))));
+            case 'first/0':
+                return [this.indexValue(input, 0)];
+            case 'last/0':
+                return [this.indexValue(input, -1)];
+            case 'nth/1':
+                return each(f, index => this.indexValue(input, index));
+            case 'first/1':
+                return this.evaluate(f, input, env).slice(0, 1);
+            case 'last/1':
+                return this.evaluate(f, input, env).slice(-1);
+            case 'limit/2':
+                return this.flatMap(this.evaluate(f, input, env), count => this.evaluate(g, input, env).slice(0, Math.max(0, this.toPlain(count))));
+            case 'until/2': {
+                let value = input;
+                for (let i = 0; !this.evaluate(f, value, env).some(result => this.isTruthy(result)); i++) {
+                    this.checkIterations(i);
+                    const next = this.evaluate(g, value, env);
+                    if (next.length === 0) return [];
+                    value = next[0];
+                }
+                return [value];
+            }
+            case 'while/2': {
+                const outputs = [];
+                let value = input;
+                while (this.evaluate(f, value, env).some(result => this.isTruthy(result))) {
+                    this.checkIterations(outputs.length);
+                    outputs.push(value);
+                    const next = this.evaluate(g, value, env);
+                    if (next.length === 0) break;
+                    value = next[0];
+                }
+                return outputs;
+            }
+            case 'isempty/1':
+                return [this.evaluate(f, input, env).length === 0];
+            case 'path/1':
+                return this.paths(f, input, env);
+            case 'paths/0':
+                return this.allPaths(input, []).slice(1);
+            case 'paths/1':
+                return this.allPaths(input, []).slice(1).filter(path =>
+                    this.evaluate(f, this.getPath(input, path), env).some(value => this.isTruthy(value)));
+            case 'leaf_paths/0':
+                return this.allPaths(input, []).slice(1).filter(path => this.selectByType('scalars', this.getPath(input, path)));
+            case 'getpath/1':
+                return each(f, path => {
+                    try {
+                        return this.getPath(input, this.toPath(path));
+                    } catch (error) {
+                        return null;
+                    }
+                });
+            case 'setpath/2':
+                return each2(f, g, (path, value) => this.setPath(input, this.toPath(path), value));
+            case 'delpaths/1':
+                return each(f, paths => {
+                    this.expectType(paths, 'array', 'delpaths');
+                    return this.deletePaths(input, paths.map(path => this.toPath(path)));
+                });
+            case 'del/1':
+                return [this.deletePaths(input, this.paths(f, input, env))];
+            case 'tostring/0':
+                return [this.toText(input)];
+            case 'tojson/0':
+                return [this.toJSON(input)];
+            case 'fromjson/0':
+                this.expectType(input, 'string', 'fromjson');
+                try {
+                    return [JSON.parse(input)];
+                } catch (error) {
+                    throw new Error(`${this.describe(input)} cannot be parsed as JSON`);
+                }
+            case 'tonumber/0':
+                if (type === 'number') return [input];
+                this.expectType(input, 'string', 'tonumber');
+                if (!/^\s*-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?\s*$/.test(input)) {
+                    throw new Error(`Cannot parse ${this.describe(input)} as a number`);
+                }
+                return [Number(input)];
+            case 'toarray/0':
+                return [Array.isArray(input) ? input : [input]];
+            case 'ascii_downcase/0':
+            case 'ascii_upcase/0':
+                this.expectType(input, 'string', node.name);
+                return [node.name === 'ascii_downcase'
+                    ? input.replace(/[A-Z]/g, ch => ch.toLowerCase())
+                    : input.replace(/[a-z]/g, ch => ch.toUpperCase())];
+            case 'ltrimstr/1':
+                return each(f, prefix => (typeof input === 'string' && typeof prefix === 'string' && input.startsWith(prefix) ? input.slice(prefix.length) : input));
+            case 'rtrimstr/1':
+                return each(f, suffix => (typeof input === 'string' && typeof suffix === 'string' && suffix && input.endsWith(suffix) ? input.slice(0, -suffix.length) : input));
+            case 'startswith/1':
+            case 'endswith/1':
+                return each(f, affix => {
+                    if (typeof input !== 'string' || typeof affix !== 'string') {
+                        throw new Error(`${node.name}() requires string inputs`);
+                    }
+                    return node.name === 'startswith' ? input.startsWith(affix) : input.endsWith(affix);
+                });
+            case 'trim/0':
+            case 'ltrim/0':
+            case 'rtrim/0':
+                this.expectType(input, 'string', node.name);
+                return [node.name === 'trim' ? input.trim() : node.name === 'ltrim' ? input.trimStart() : input.trimEnd()];
+            case 'split/1':
+                return each(f, separator => {
+                    this.expectType(input, 'string', 'split');
+                    return input.split(separator);
+                });
+            case 'split/2':
+                return each2(f, g, (pattern, flags) => {
+                    this.expectType(input, 'string', 'split');
+                    return input.split(this.createRegExp(pattern, flags, true));
+                });
+            case 'join/1':
+                return each(f, separator => this.join(input, separator));
+            case 'test/1':
+            case 'test/2':
+                return this.flatMap(this.evaluate(f, input, env), pattern =>
+                    (g ? this.evaluate(g, input, env) : [null]).map(flags => {
+                        this.expectType(input, 'string', 'test');
+                        return this.createRegExp(pattern, flags, false).test(input);
+                    }));
+            case 'capture/1':
+            case 'capture/2':
+                return this.flatMap(this.evaluate(f, input, env), pattern =>
+                    (g ? this.evaluate(g, input, env) : [null]).map(flags => {
+                        this.expectType(input, 'string', 'capture');
+                        const match = this.createRegExp(pattern, flags, false).exec(input);
+                        return match ? { ...(match.groups || {}) } : null;
+                    })).filter(result => result !== null);
+            case 'sub/2':
+            case 'sub/3':
+            case 'gsub/2':
+            case 'gsub/3':
+                return this.flatMap(this.evaluate(f, input, env), pattern =>
+                    (h ? this.evaluate(h, input, env) : [null]).map(flags =>
+                        this.substitute(input, pattern, g, flags, node.name === 'gsub', env)));
+            case 'ascii/0':
+                return [String.fromCharCode(this.toPlain(input))];
+            case 'explode/0':
+                this.expectType(input, 'string', 'explode');
+                return [[...input].map(ch => ch.codePointAt(0))];
+            case 'implode/0':
+                this.expectType(input, 'array', 'implode');
+                return [String.fromCodePoint(...input.map(code => this.toPlain(code)))];
+            case 'indices/1':
+                return each(f, needle => this.indices(input, needle));
+            case 'index/1':
+            case 'rindex/1':
+                return each(f, needle => {
+                    const found = this.indices(input, needle);
+                    if (!found || found.length === 0) return null;
+                    return node.name === 'index' ? found[0] : found[found.length - 1];
+                });
+            case 'splits/1':
+                return this.flatMap(this.evaluate(f, input, env), pattern => {
+                    this.expectType(input, 'string', 'splits');
+                    return input.split(this.createRegExp(pattern, null, true));
+                });
+            case 'transpose/0': {
+                this.expectType(input, 'array', 'transpose');
+                const width = Math.max(0, ...input.map(row => (Array.isArray(row) ? row.length : 0)));
+                return [Array.from({ length: width }, (_, column) => input.map(row => (Array.isArray(row) && column < row.length ? row[column] : null)))];
+            }
+            case 'floor/0':
+            case 'ceil/0':
+            case 'round/0':
+            case 'sqrt/0':
+            case 'fabs/0':
+            case 'abs/0':
+            case 'log/0':
+            case 'log2/0':
+            case 'log10/0':
+            case 'exp/0':
+            case 'exp10/0': {
+                this.expectType(input, 'number', node.name);
+                const math = { floor: Math.floor, ceil: Math.ceil, round: Math.round, sqrt: Math.sqrt, fabs: Math.abs, abs: Math.abs,
+                    log: Math.log, log2: Math.log2, log10: Math.log10, exp: Math.exp, exp10: x => Math.pow(10, x) };
+                return [math[node.name](this.toPlain(input))];
+            }
+            case 'pow/2':
+                return each2(f, g, (base, exponent) => Math.pow(this.toPlain(base), this.toPlain(exponent)));
+            case 'infinite/0':
+                return [Infinity];
+            case 'nan/0':
+                return [NaN];
+            case 'isinfinite/0':
+                this.expectType(input, 'number', 'isinfinite');
+                return [Math.abs(this.toPlain(input)) === Infinity];
+            case 'isnan/0':
+                this.expectType(input, 'number', 'isnan');
+                return [Number.isNaN(this.toPlain(input))];
+            case 'arrays/0':
+            case 'objects/0':
+            case 'iterables/0':
+            case 'scalars/0':
+            case 'booleans/0':
+            case 'numbers/0':
+            case 'strings/0':
+            case 'nulls/0':
+            case 'values/0':
+                return this.selectByType(node.name, input) ? [input] : [];
+            case 'debug/0':
+                console.log('["DEBUG:",', this.toJSON(input), ']');
+                return [input];
+        }
+
+        throw new Error(`${node.name}/${node.args.length} is not defined`);
+    }
+
+    /**
+     * Apply f to every value bottom-up
+     */
+    walk(value, f, env) {
+        let walked = value;
+        if (Array.isArray(value)) {
+            walked = this.flatMap(value, item => this.walk(item, f, env));
+        } else if (this.typeOf(value) === 'object') {
+            walked = {};
+            Object.keys(value).forEach(key => {
+                const results = this.walk(value[key], f, env);
+                if (results.length) {
+                    walked = this.withProperty(walked, key, results[results.length - 1]);
+                }
+            });
+        }
+        return this.evaluate(f, walked, env);
+    }
+
+    /**
+     * Sort array items by the outputs of f, keeping the original order for ties
+     */
+    sortBy(input, f, env) {
+        this.expectType(input, 'array', 'sort_by');
+        return input
+            .map((item, index) => ({ item, index, key: this.evaluate(f, item, env) }))
+            .sort((a, b) => this.compare(a.key, b.key) || a.index - b.index);
+    }
+
+    /**
+     * Group array items with equal outputs of f, in sorted key order
+     */
+    groupBy(input, f, env) {
+        const groups = [];
+        let previous;
+        this.sortBy(input, f, env).forEach(({ item, key }, index) => {
+            if (index === 0 || this.compare(previous, key) !== 0) {
+                groups.push([]);
+            }
+            groups[groups.length - 1].push(item);
+            previous = key;
+        });
+        return groups;
+    }
+
+    /**
+     * Replace the first (or every) regex match; the replacement is a filter run on the match's named captures
+     */
+    substitute(input, pattern, replacement, flags, global, env) {
+        this.expectType(input, 'string', global ? 'gsub' : 'sub');
+        const regex = this.createRegExp(pattern, flags, global);
+        let result = '';
+        let last = 0;
+        let match;
+
+        while ((match = regex.exec(input)) !== null) {
+            const captures = { ...(match.groups || {}) };
+            const replaced = this.evaluate(replacement, captures, env);
+            if (replaced.length === 0 || typeof replaced[0] !== 'string') {
+                throw new Error('The replacement of sub/gsub must produce a string');
+            }
+            result += input.slice(last, match.index) + replaced[0];
+            last = match.index + match[0].length;
+
+            if (!regex.global) break;
+            if (match[0] === '') regex.lastIndex++;
+        }
+
+        return result + input.slice(last);
+    }
+
+    /**
+     * Compile a jq (Oniguruma) regex to a JavaScript RegExp; flags g, i, x, s and n are supported
+     */
+    createRegExp(pattern, flags, global) {
+        if (typeof pattern !== 'string') {
+            throw new Error(`${this.describe(pattern)} cannot be matched, as it is not a string`);
+        }
+        const options = typeof flags === 'string' ? flags : '';
+        let source = pattern;
+        if (options.includes('x')) {
+            source = source.replace(/\\\s|\s+|#.*$/gm, match => (match.startsWith('\\') ? match : ''));
+        }
+
+        let jsFlags = 'u';
+        if (global || options.includes('g')) jsFlags += 'g';
+        if (options.includes('i')) jsFlags += 'i';
+        if (options.includes('s')) jsFlags += 's';
+
+        try {
+            return new RegExp(source, jsFlags);
+        } catch (error) {
+            throw new Error(`${pattern} (at offset 0) is not a valid regex: ${error.message}`);
+        }
+    }
+
+    // ---- Values ----
+
+    /**
+     * Get the jq type name of a value
+     */
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (value instanceof LosslessNumber) return 'number';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    /**
+     * Unwrap LosslessNumber for arithmetic and comparisons
+     */
+    toPlain(value) {
+        return value instanceof LosslessNumber ? value.valueOf() : value;
+    }
+
+    /**
+     * false and null are falsy; everything else is truthy
+     */
+    isTruthy(value) {
+        return value !== false && value !== null;
+    }
+
+    /**
+     * Describe a value for error messages, the way jq does: `object ({"a":1})`
+     */
+    describe(value) {
+        const json = this.toJSON(value);
+        return `${this.typeOf(value)} (${json.length > 11 ? `${json.slice(0, 10)}...` : json})`;
+    }
+
+    /**
+     * Throw unless a value has the given type
+     */
+    expectType(value, type, name) {
+        if (this.typeOf(value) !== type) {
+            throw new Error(`${this.describe(value)} cannot be used with ${name}, which needs ${type === 'array' || type === 'object' ? 'an' : 'a'} ${type}`);
+        }
+    }
+
+    /**
+     * Create an error carrying a jq value, so `try ... catch .` gets the value back
+     */
+    createError(value) {
+        const error = new Error(typeof value === 'string' ? value : `${this.toJSON(value)} (not a string)`);
+        error.value = value;
+        return error;
+    }
+
+    /**
+     * Serialize a value compactly, keeping LosslessNumber lexemes
+     */
+    toJSON(value) {
+        return LosslessNumber.render(value, data => {
+            const json = JSON.stringify(data, (key, item) => (typeof item === 'number' && !Number.isFinite(item) ? (Number.isNaN(item) ? null : item * 1.7976931348623157e308) : item));
+            return json === undefined ? 'null' : json;
+        });
+    }
+
+    /**
+     * Strings as they are, anything else as JSON (tostring and string interpolation)
+     */
+    toText(value) {
+        return typeof value === 'string' ? value : this.toJSON(value);
+    }
+
+    /**
+     * Index a value with a key, index or slice object
+     */
+    indexValue(target, key) {
+        const targetType = this.typeOf(target);
+        const keyType = this.typeOf(key);
+
+        if (keyType === 'object' && key !== null && ('start' in key || 'end' in key) && targetType !== 'object') {
+            return this.sliceValue(target, key.start === undefined ? null : key.start, key.end === undefined ? null : key.end);
+        }
+        if (targetType === 'null' && (keyType === 'string' || keyType === 'number' || keyType === 'null')) {
+            return null;
+        }
+        if (targetType === 'object' && keyType === 'string') {
+            return Object.prototype.hasOwnProperty.call(target, key) ? target[key] : null;
+        }
+        if (targetType === 'array' && keyType === 'number') {
+            const plain = Math.floor(this.toPlain(key));
+            const index = plain < 0 ? target.length + plain : plain;
+            return index >= 0 && index < target.length ? target[index] : null;
+        }
+        if (targetType === 'array' && keyType === 'array') {
+            return this.indices(target, key);
+        }
+
+        const keyText = keyType === 'string' ? JSON.stringify(key) : keyType;
+        throw new Error(`Cannot index ${targetType} with ${keyText}`);
+    }
+
+    /**
+     * Slice an array or string; null bounds mean the start or end
+     */
+    sliceValue(target, from, to) {
+        const targetType = this.typeOf(target);
+        if (targetType === 'null') return null;
+        if (targetType !== 'array' && targetType !== 'string') {
+            throw new Error(`Cannot index ${targetType} with object`);
+        }
+
+        const items = targetType === 'string' ? [...target] : target;
+        const clamp = (bound, fallback, round) => {
+            if (bound === null) return fallback;
+            let index = round(this.toPlain(bound));
+            if (index < 0) index += items.length;
+            return Math.min(Math.max(index, 0), items.length);
+        };
+        const start = clamp(from, 0, Math.floor);
+        const end = Math.max(start, clamp(to, items.length, Math.ceil));
+        const slice = items.slice(start, end);
+        return targetType === 'string' ? slice.join('') : slice;
+    }
+
+    /**
+     * The values of an array or object (`.[]`)
+     */
+    iterate(value) {
+        if (Array.isArray(value)) return value;
+        if (this.typeOf(value) === 'object') return Object.keys(value).map(key => value[key]);
+        throw new Error(`Cannot iterate over ${this.describe(value)}`);
+    }
+
+    /**
+     * A value followed by all of its descendants (`..`)
+     */
+    descendants(value, list = []) {
+        this.checkIterations(list.length);
+        list.push(value);
+        if (Array.isArray(value) || this.typeOf(value) === 'object') {
+            this.iterate(value).forEach(child => this.descendants(child, list));
+        }
+        return list;
+    }
+
+    /**
+     * Every path in a value, starting with [] for the value itself
+     */
+    allPaths(value, path, list = []) {
+        this.checkIterations(list.length);
+        list.push(path);
+        if (Array.isArray(value)) {
+            value.forEach((item, index) => this.allPaths(item, [...path, index], list));
+        } else if (this.typeOf(value) === 'object') {
+            Object.keys(value).forEach(key => this.allPaths(value[key], [...path, key], list));
+        }
+        return list;
+    }
+
+    /**
+     * Check a path value from getpath/setpath/delpaths
+     */
+    toPath(path) {
+        if (!Array.isArray(path)) {
+            throw new Error('Path must be specified as an array');
+        }
+        return path.map(segment => this.toPlain(segment));
+    }
+
+    /**
+     * Read the value at a path; missing parts give null
+     */
+    getPath(value, path) {
+        return path.reduce((current, key) => (current === null ? null : this.indexValue(current, key)), value);
+    }
+
+    /**
+     * Return a copy of value with the value at path replaced, creating objects and arrays on the way
+     */
+    setPath(value, path, replacement) {
+        if (path.length === 0) return replacement;
+
+        const [key, ...rest] = path;
+        const keyType = this.typeOf(key);
+
+        if (keyType === 'string') {
+            if (value !== null && this.typeOf(value) !== 'object') {
+                throw new Error(`Cannot index ${this.typeOf(value)} with ${JSON.stringify(key)}`);
+            }
+            const object = value || {};
+            const current = Object.prototype.hasOwnProperty.call(object, key) ? object[key] : null;
+            return this.withProperty(object, key, this.setPath(current, rest, replacement));
+        }
+
+        if (keyType === 'number') {
+            if (value !== null && !Array.isArray(value)) {
+                throw new Error(`Cannot index ${this.typeOf(value)} with number`);
+            }
+            const array = value ? [...value] : [];
+            const index = key < 0 ? array.length + key : key;
+            if (index < 0) {
+                throw new Error('Out of bounds negative array index');
+            }
+            while (array.length < index) array.push(null);
+            array[index] = this.setPath(index < array.length ? array[index] : null, rest, replacement);
+            return array;
+        }
+
+        if (keyType === 'object' && key !== null) {
+            // Slice: replace the selected items with the (array) replacement
+            const array = value === null ? [] : value;
+            this.expectType(array, 'array', 'slice assignment');
+            const current = this.sliceValue(array, key.start, key.end);
+            const updated = this.setPath(current, rest, replacement);
+            this.expectType(updated, 'array', 'slice assignment');
+            const start = this.sliceStart(array, key.start);
+            return [...array.slice(0, start), ...updated, ...array.slice(start + current.length)];
+        }
+
+        throw new Error(`Invalid path component ${this.describe(key)}`);
+    }
+
+    /**
+     * The first index a slice selects
+     */
+    sliceStart(array, from) {
+        if (from === null || from === undefined) return 0;
+        const index = Math.floor(from) < 0 ? array.length + Math.floor(from) : Math.floor(from);
+        return Math.min(Math.max(index, 0), array.length);
+    }
+
+    /**
+     * Delete several paths; the longest/last paths go first so earlier deletions do not shift later ones
+     */
+    deletePaths(value, paths) {
+        const sorted = [...paths].sort((a, b) => this.compare(b, a));
+        return sorted.reduce((result, path) => this.deletePath(result, path), value);
+    }
+
+    /**
+     * Return a copy of value without the value at path
+     */
+    deletePath(value, path) {
+        if (value === null) return null;
+        if (path.length === 0) return null;
+
+        const [key, ...rest] = path;
+        if (rest.length > 0) {
+            const child = this.indexValue(value, key);
+            if (child === null) return value;
+            return this.setPath(value, [key], this.deletePath(child, rest));
+        }
+
+        if (this.typeOf(key) === 'string') {
+            this.expectType(value, 'object', 'del');
+            const copy = {};
+            Object.keys(value).filter(name => name !== key).forEach(name => {
+                Object.defineProperty(copy, name, { value: value[name], writable: true, enumerable: true, configurable: true });
+            });
+            return copy;
+        }
+        if (this.typeOf(key) === 'number') {
+            this.expectType(value, 'array', 'del');
+            const index = key < 0 ? value.length + key : key;
+            return value.filter((item, i) => i !== index);
+        }
+        if (this.typeOf(key) === 'object' && key !== null) {
+            this.expectType(value, 'array', 'del');
+            const start = this.sliceStart(value, key.start);
+            const length = this.sliceValue(value, key.start, key.end).length;
+            return [...value.slice(0, start), ...value.slice(start + length)];
+        }
+
+        throw new Error(`Invalid path component ${this.describe(key)}`);
+    }
+
+    /**
+     * Copy an object with one property set; defineProperty keeps keys like __proto__ as plain data
+     */
+    withProperty(object, key, value) {
+        const copy = {};
+        Object.keys(object).forEach(name => {
+            Object.defineProperty(copy, name, { value: object[name], writable: true, enumerable: true, configurable: true });
+        });
+        Object.defineProperty(copy, key, { value, writable: true, enumerable: true, configurable: true });
+        return copy;
+    }
+
+    /**
+     * Build an object from {key, value} entries (also k/v, name/value and capitalized variants)
+     */
+    fromEntries(entries) {
+        this.expectType(entries, 'array', 'from_entries');
+        return entries.reduce((object, entry) => {
+            this.expectType(entry, 'object', 'from_entries');
+            const pick = (...names) => {
+                const name = names.find(candidate => Object.prototype.hasOwnProperty.call(entry, candidate) && this.isTruthy(entry[candidate]));
+                return name === undefined ? null : entry[name];
+            };
+            let key = pick('key', 'k', 'name', 'Name', 'Key', 'K');
+            if (key === null && ['key', 'k', 'name', 'Name', 'Key', 'K'].some(name => entry[name] === false)) key = false;
+            const keyType = this.typeOf(key);
+            if (keyType === 'null') {
+                throw new Error('Cannot use null (null) as object key');
+            }
+            const text = keyType === 'string' ? key : this.toText(key);
+            const hasValue = ['value', 'v', 'Value', 'V'].find(name => Object.prototype.hasOwnProperty.call(entry, name));
+            return this.withProperty(object, text, hasValue ? entry[hasValue] : null);
+        }, {});
+    }
+
+    /**
+     * length: string code points, array/object size, absolute value of numbers, 0 for null
+     */
+    length(value) {
+        switch (this.typeOf(value)) {
+            case 'null':
+                return 0;
+            case 'number':
+                return Math.abs(this.toPlain(value));
+            case 'string':
+                return [...value].length;
+            case 'array':
+                return value.length;
+            case 'object':
+                return Object.keys(value).length;
+            default:
+                throw new Error(`${this.describe(value)} has no length`);
+        }
+    }
+
+    /**
+     * has(key) for objects (string keys) and arrays (index in range)
+     */
+    has(container, key) {
+        const containerType = this.typeOf(container);
+        if (containerType === 'object' && typeof key === 'string') {
+            return Object.prototype.hasOwnProperty.call(container, key);
+        }
+        if (containerType === 'array' && this.typeOf(key) === 'number') {
+            const index = this.toPlain(key);
+            return index >= 0 && index < container.length;
+        }
+        throw new Error(`Cannot check whether ${containerType} has a ${this.typeOf(key)} key`);
+    }
+
+    /**
+     * contains(b): substrings, array items contained in some item, object values contained per key
+     */
+    contains(a, b) {
+        const typeA = this.typeOf(a);
+        const typeB = this.typeOf(b);
+        if (typeA !== typeB) {
+            throw new Error(`${this.describe(a)} and ${this.describe(b)} cannot have their containment checked`);
+        }
+        if (typeA === 'string') return a.includes(b);
+        if (typeA === 'array') return b.every(itemB => a.some(itemA => this.typeOf(itemA) === this.typeOf(itemB) && this.contains(itemA, itemB)));
+        if (typeA === 'object') {
+            return Object.keys(b).every(key => Object.prototype.hasOwnProperty.call(a, key) &&
+                this.typeOf(a[key]) === this.typeOf(b[key]) && this.contains(a[key], b[key]));
+        }
+        return this.compare(a, b) === 0;
+    }
+
+    /**
+     * Positions of a substring in a string, or of an item or sub-array in an array
+     */
+    indices(haystack, needle) {
+        if (haystack === null) return null;
+
+        const found = [];
+        if (typeof haystack === 'string') {
+            this.expectType(needle, 'string', 'indices');
+            if (needle === '') return null;
+            for (let i = haystack.indexOf(needle); i !== -1; i = haystack.indexOf(needle, i + 1)) {
+                found.push(i);
+            }
+            return found;
+        }
+
+        this.expectType(haystack, 'array', 'indices');
+        const sequence = Array.isArray(needle) ? needle : [needle];
+        if (sequence.length === 0) return null;
+        for (let i = 0; i + sequence.length <= haystack.length; i++) {
+            if (sequence.every((item, offset) => this.compare(haystack[i + offset], item) === 0)) {
+                found.push(i);
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Join array items with a separator; null becomes an empty string
+     */
+    join(array, separator) {
+        this.expectType(array, 'array', 'join');
+        if (typeof separator !== 'string') {
+            throw new Error(`${this.describe(separator)} cannot be used as a join separator`);
+        }
+        return array.map(item => {
+            const type = this.typeOf(item);
+            if (type === 'null') return '';
+            if (type === 'array' || type === 'object') {
+                throw new Error(`Cannot join with ${type}`);
+            }
+            return this.toText(item);
+        }).join(separator);
+    }
+
+    /**
+     * Flatten nested arrays up to a depth
+     */
+    flatten(value, depth) {
+        this.expectType(value, 'array', 'flatten');
+        return value.reduce((flat, item) => {
+            if (Array.isArray(item) && depth > 0) {
+                return flat.concat(this.flatten(item, depth - 1));
+            }
+            flat.push(item);
+            return flat;
+        }, []);
+    }
+
+    /**
+     * Numbers from start up to (not including) end
+     */
+    range(start, end, step) {
+        const values = [];
+        if (step === 0) return values;
+        for (let value = start; step > 0 ? value < end : value > end; value += step) {
+            this.checkIterations(values.length);
+            values.push(value);
+        }
+        return values;
+    }
+
+    /**
+     * Select values by type for arrays, objects, iterables, scalars, booleans, numbers, strings, nulls and values
+     */
+    selectByType(name, value) {
+        const type = this.typeOf(value);
+        switch (name) {
+            case 'iterables':
+                return type === 'array' || type === 'object';
+            case 'scalars':
+                return type !== 'array' && type !== 'object';
+            case 'values':
+                return type !== 'null';
+            default:
+                return `${type}s` === name || (name === 'booleans' && type === 'boolean');
+        }
+    }
+
+    /**
+     * Arithmetic and comparison operators
+     */
+    binary(operator, left, right) {
+        const typeLeft = this.typeOf(left);
+        const typeRight = this.typeOf(right);
+        const a = this.toPlain(left);
+        const b = this.toPlain(right);
+
+        switch (operator) {
+            case '==':
+                return this.compare(left, right) === 0;
+            case '!=':
+                return this.compare(left, right) !== 0;
+            case '<':
+                return this.compare(left, right) < 0;
+            case '<=':
+                return this.compare(left, right) <= 0;
+            case '>':
+                return this.compare(left, right) > 0;
+            case '>=':
+                return this.compare(left, right) >= 0;
+            case '+':
+                if (typeLeft === 'null') return right;
+                if (typeRight === 'null') return left;
+                if (typeLeft === 'number' && typeRight === 'number') return a + b;
+                if (typeLeft === 'string' && typeRight === 'string') return a + b;
+                if (typeLeft === 'array' && typeRight === 'array') return [...a, ...b];
+                if (typeLeft === 'object' && typeRight === 'object') {
+                    return Object.keys(b).reduce((merged, key) => this.withProperty(merged, key, b[key]), a);
+                }
+                break;
+            case '-':
+                if (typeLeft === 'number' && typeRight === 'number') return a - b;
+                if (typeLeft === 'array' && typeRight === 'array') {
+                    return a.filter(item => !b.some(other => this.compare(item, other) === 0));
+                }
+                break;
+            case '*':
+                if (typeLeft === 'number' && typeRight === 'number') return a * b;
+                if ((typeLeft === 'string' && typeRight === 'number') || (typeLeft === 'number' && typeRight === 'string')) {
+                    const [text, count] = typeLeft === 'string' ? [a, b] : [b, a];
+                    return count > 0 ? text.repeat(Math.ceil(count)) : null;
+                }
+                if (typeLeft === 'object' && typeRight === 'object') return this.deepMerge(a, b);
+                break;
+            case '/':
+                if (typeLeft === 'number' && typeRight === 'number') {
+                    if (b === 0) throw new Error(`${this.describe(left)} and ${this.describe(right)} cannot be divided because the divisor is zero`);
+                    return a / b;
+                }
+                if (typeLeft === 'string' && typeRight === 'string') return a.split(b);
+                break;
+            case '%':
+                if (typeLeft === 'number' && typeRight === 'number') {
+                    const divisor = Math.trunc(b);
+                    if (divisor === 0) throw new Error(`${this.describe(left)} and ${this.describe(right)} cannot be divided because the divisor is zero`);
+                    return Math.trunc(a) % divisor;
+                }
+                break;
+        }
+
+        const verbs = { '+': 'added', '-': 'subtracted', '*': 'multiplied', '/': 'divided', '%': 'divided' };
+        throw new Error(`${this.describe(left)} and ${this.describe(right)} cannot be ${verbs[operator]}`);
+    }
+
+    /**
+     * Merge objects recursively (object * object)
+     */
+    deepMerge(a, b) {
+        return Object.keys(b).reduce((merged, key) => {
+            const existing = Object.prototype.hasOwnProperty.call(merged, key) ? merged[key] : undefined;
+            const value = this.typeOf(existing) === 'object' && this.typeOf(b[key]) === 'object' ? this.deepMerge(existing, b[key]) : b[key];
+            return this.withProperty(merged, key, value);
+        }, a);
+    }
+
+    /**
+     * jq ordering: null < false < true < numbers < strings < arrays < objects
+     * @returns {number} - Negative, zero or positive
+     */
+    compare(a, b) {
+        const rank = (value) => {
+            const type = this.typeOf(value);
+            if (type === 'boolean') return value ? 2 : 1;
+            return { null: 0, number: 3, string: 4, array: 5, object: 6 }[type];
+        };
+        const rankA = rank(a);
+        const rankB = rank(b);
+        if (rankA !== rankB) return rankA - rankB;
+
+        switch (rankA) {
+            case 3: {
+                const x = this.toPlain(a);
+                const y = this.toPlain(b);
+                return x < y ? -1 : x > y ? 1 : 0;
+            }
+            case 4:
+                return a < b ? -1 : a > b ? 1 : 0;
+            case 5:
+                for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                    const result = this.compare(a[i], b[i]);
+                    if (result !== 0) return result;
+                }
+                return a.length - b.length;
+            case 6: {
+                const keysA = Object.keys(a).sort();
+                const keysB = Object.keys(b).sort();
+                const keyOrder = this.compare(keysA, keysB);
+                if (keyOrder !== 0) return keyOrder;
+                for (const key of keysA) {
+                    const result = this.compare(a[key], b[key]);
+                    if (result !== 0) return result;
+                }
+                return 0;
+            }
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Apply an @format to a value
+     */
+    applyFormat(name, value) {
+        const text = this.toText(value);
+
+        switch (name) {
+            case 'text':
+                return text;
+            case 'json':
+                return this.toJSON(value);
+            case 'html':
+                return text.replace(/[<>&'"]/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&#39;', '"': '&quot;' })[ch]);
+            case 'uri':
+                return encodeURIComponent(text).replace(/[!'()*]/g, ch => `%${ch.charCodeAt(0).toString(16).toUpperCase()}`);
+            case 'csv':
+            case 'tsv':
+                this.expectType(value, 'array', `@${name}`);
+                return value.map(item => {
+                    const type = this.typeOf(item);
+                    if (type === 'array' || type === 'object') {
+                        throw new Error(`${this.describe(item)} is not valid in a csv row`);
+                    }
+                    if (type === 'null') return '';
+                    if (type !== 'string') return this.toText(item);
+                    return name === 'csv'
+                        ? `"${item.replace(/"/g, '""')}"`
+                        : item.replace(/[\\\t\n\r]/g, ch => ({ '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r' })[ch]);
+                }).join(name === 'csv' ? ',' : '\t');
+            case 'sh': {
+                const quote = (item) => {
+                    const type = this.typeOf(item);
+                    if (type === 'array' || type === 'object') {
+                        throw new Error(`${this.describe(item)} can not be escaped for shell`);
+                    }
+                    return type === 'string' ? `'${item.replace(/'/g, '\'\\\'\'')}'` : this.toText(item);
+                };
+                return Array.isArray(value) ? value.map(quote).join(' ') : quote(value);
+            }
+            case 'base64': {
+                const bytes = new TextEncoder().encode(text);
+                return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+            }
+            case 'base64d':
+                try {
+                    const binary = atob(text.replace(/=+$/, ''));
+                    return new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0)));
+                } catch (error) {
+                    throw new Error(`${this.describe(value)} is not valid base64 data`);
+                }
+            default:
+                throw new Error(`${name} is not a valid format`);
+        }
+    }
+
+    /**
+     * Bind a variable in a new scope
+     */
+    bindVariable(env, name, value) {
+        const scope = Object.create(env);
+        scope[name] = value;
+        return scope;
+    }
+
+    /**
+     * Map each item to a list and concatenate the lists
+     */
+    flatMap(items, callback) {
+        const result = [];
+        items.forEach(item => {
+            result.push(...callback(item));
+        });
+        return result;
+    }
+
+    /**
+     * Stop runaway generators (range(1e9), recurse(. + 1)) before they freeze the page
+     */
+    checkIterations(count) {
+        if (count >= this.maxIterations) {
+            throw new Error(`Too many results (more than ${this.maxIterations})`);
+        }
+    }
+}
+
+// Builtins as name/arity
+JQFilter.BUILTINS = [
+    'empty/0', 'not/0', 'error/0', 'error/1', 'length/0', 'utf8bytelength/0', 'type/0', 'keys/0', 'keys_unsorted/0',
+    'has/1', 'in/1', 'contains/1', 'inside/1', 'add/0', 'any/0', 'all/0', 'any/1', 'all/1', 'any/2', 'all/2',
+    'map/1', 'map_values/1', 'select/1', 'recurse/0', 'recurse/1', 'walk/1', 'to_entries/0', 'from_entries/0',
+    'with_entries/1', 'sort/0', 'sort_by/1', 'group_by/1', 'unique/0', 'unique_by/1', 'min/0', 'max/0', 'min_by/1',
+    'max_by/1', 'reverse/0', 'flatten/0', 'flatten/1', 'range/1', 'range/2', 'range/3', 'first/0', 'last/0', 'nth/1',
+    'first/1', 'last/1', 'limit/2', 'until/2', 'while/2', 'isempty/1', 'path/1', 'paths/0', 'paths/1', 'leaf_paths/0',
+    'getpath/1', 'setpath/2', 'delpaths/1', 'del/1', 'tostring/0', 'tojson/0', 'fromjson/0', 'tonumber/0', 'toarray/0',
+    'ascii_downcase/0', 'ascii_upcase/0', 'ltrimstr/1', 'rtrimstr/1', 'startswith/1', 'endswith/1', 'trim/0',
+    'ltrim/0', 'rtrim/0', 'split/1', 'split/2', 'join/1', 'test/1', 'test/2', 'capture/1', 'capture/2', 'sub/2',
+    'sub/3', 'gsub/2', 'gsub/3', 'ascii/0', 'explode/0', 'implode/0', 'indices/1', 'index/1', 'rindex/1', 'splits/1',
+    'transpose/0', 'floor/0', 'ceil/0', 'round/0', 'sqrt/0', 'fabs/0', 'abs/0', 'log/0', 'log2/0', 'log10/0', 'exp/0',
+    'exp10/0', 'pow/2', 'infinite/0', 'nan/0', 'isinfinite/0', 'isnan/0', 'arrays/0', 'objects/0', 'iterables/0',
+    'scalars/0', 'booleans/0', 'numbers/0', 'strings/0', 'nulls/0', 'values/0', 'debug/0'
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JQFilter;
+}
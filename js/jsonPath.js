@@ -0,0 +1,652 @@
+/**
+ * JSONPath - Evaluates JSONPath queries (RFC 9535) such as `$.store.book[?(@.price < 10)].title`
+ * Supports names, wildcards, indexes, slices, unions, descendants (..) and filters with comparisons,
+ * && || !, and the length(), count(), match(), search() and value() functions
+ */
+
+class JSONPath {
+    /**
+     * Compile a query
+     * @param {string} expression - The query; a leading `$` may be left out
+     */
+    constructor(expression) {
+        this.expression = expression.trim();
+        if (this.expression && !this.expression.startsWith('$')) {
+            this.expression = `$${this.expression.startsWith('[') || this.expression.startsWith('.') ? '' : '.'}${this.expression}`;
+        }
+
+        this.pos = 0;
+        this.segments = this.parseQuery();
+    }
+
+    /**
+     * Evaluate the query against parsed data
+     * @param {*} data - Parsed data, possibly containing LosslessNumber instances
+     * @returns {Array<Object>} - Matches as { value, path } in document order; path lists the keys and indexes
+     */
+    evaluate(data) {
+        return this.select(this.segments, { value: data, path: [] }, data);
+    }
+
+    /**
+     * Format a match path as a normalized path (`$['store']['book'][0]`)
+     */
+    static toNormalizedPath(path) {
+        return `$${path.map(segment => (typeof segment === 'number' ? `[${segment}]` : `['${segment.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}']`)).join('')}`;
+    }
+
+    /**
+     * Format a match path as a JSON Pointer (`/store/book/0`)
+     */
+    static toPointer(path) {
+        return path.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+    }
+
+    // ---- Parsing ----
+
+    /**
+     * Parse `$` followed by segments, up to the end of the expression
+     */
+    parseQuery() {
+        this.skipWhitespace();
+        if (this.peek() !== '$') {
+            this.fail(this.expression ? `Expected '$' but found '${this.peek()}'` : 'Enter a query starting with $');
+        }
+        this.pos++;
+
+        const segments = this.parseSegments();
+        this.skipWhitespace();
+        if (this.pos < this.expression.length) {
+            this.fail(`Unexpected '${this.peek()}'`);
+        }
+        return segments;
+    }
+
+    /**
+     * Parse segments while they continue (`.name`, `..name`, `[...]`)
+     */
+    parseSegments() {
+        const segments = [];
+
+        for (;;) {
+            const start = this.pos;
+            this.skipWhitespace();
+
+            if (this.expression.startsWith('..', this.pos)) {
+                this.pos += 2;
+                const selectors = this.peek() === '[' ? this.parseBracket() : [this.parseShorthand()];
+                segments.push({ descendant: true, selectors });
+            } else if (this.peek() === '.') {
+                this.pos++;
+                segments.push({ descendant: false, selectors: [this.parseShorthand()] });
+            } else if (this.peek() === '[') {
+                segments.push({ descendant: false, selectors: this.parseBracket() });
+            } else {
+                // Whitespace belongs to whatever follows the query
+                this.pos = start;
+                return segments;
+            }
+        }
+    }
+
+    /**
+     * Parse the name or `*` after a dot
+     */
+    parseShorthand() {
+        if (this.peek() === '*') {
+            this.pos++;
+            return { type: 'wildcard' };
+        }
+
+        const match = /^[\p{L}\p{N}_$-]+/u.exec(this.expression.slice(this.pos));
+        if (!match || /^[0-9-]/.test(match[0])) {
+            this.fail(this.pos < this.expression.length ? `Unexpected '${this.peek()}' after '.'` : "Expected a name after '.'");
+        }
+        this.pos += match[0].length;
+        return { type: 'name', name: match[0] };
+    }
+
+    /**
+     * Parse a bracketed, comma-separated list of selectors
+     */
+    parseBracket() {
+        this.expect('[');
+        const selectors = [];
+
+        do {
+            this.skipWhitespace();
+            selectors.push(this.parseSelector());
+            this.skipWhitespace();
+        } while (this.consume(','));
+
+        this.expect(']');
+        return selectors;
+    }
+
+    /**
+     * Parse one selector inside brackets: 'name', *, index, slice or ?filter
+     */
+    parseSelector() {
+        const ch = this.peek();
+
+        if (ch === '\'' || ch === '"') {
+            return { type: 'name', name: this.parseString() };
+        }
+        if (ch === '*') {
+            this.pos++;
+            return { type: 'wildcard' };
+        }
+        if (ch === '?') {
+            this.pos++;
+            this.skipWhitespace();
+            return { type: 'filter', expression: this.parseLogicalOr() };
+        }
+
+        const start = this.consume(':') ? null : this.parseInteger();
+        if (start !== null && !this.peekAfterWhitespace(':')) {
+            return { type: 'index', index: start };
+        }
+
+        // Slice: start:end:step, each part optional
+        if (start !== null) {
+            this.skipWhitespace();
+            this.expect(':');
+        }
+        this.skipWhitespace();
+        const end = /[-0-9]/.test(this.peek()) ? this.parseInteger() : null;
+        this.skipWhitespace();
+        let step = null;
+        if (this.consume(':')) {
+            this.skipWhitespace();
+            step = /[-0-9]/.test(this.peek()) ? this.parseInteger() : null;
+        }
+        return { type: 'slice', start, end, step };
+    }
+
+    /**
+     * Parse an integer index or slice bound
+     */
+    parseInteger() {
+        const match = /^-?\d+/.exec(this.expression.slice(this.pos));
+        if (!match) {
+            this.fail(this.pos < this.expression.length ? `Unexpected '${this.peek()}' in brackets` : "Expected ']'");
+        }
+        this.pos += match[0].length;
+        return parseInt(match[0], 10);
+    }
+
+    /**
+     * Parse a single- or double-quoted string with JSON-style escapes
+     */
+    parseString() {
+        const quote = this.expression[this.pos++];
+        let value = '';
+
+        while (this.pos < this.expression.length) {
+            const ch = this.expression[this.pos++];
+            if (ch === quote) {
+                return value;
+            }
+            if (ch !== '\\') {
+                value += ch;
+                continue;
+            }
+
+            const escape = this.expression[this.pos++];
+            const simple = { 'b': '\b', 'f': '\f', 'n': '\n', 'r': '\r', 't': '\t', '/': '/', '\\': '\\', '\'': '\'', '"': '"' };
+            if (escape in simple) {
+                value += simple[escape];
+            } else if (escape === 'u' && /^[0-9a-fA-F]{4}$/.test(this.expression.substr(this.pos, 4))) {
+                value += String.fromCharCode(parseInt(this.expression.substr(this.pos, 4), 16));
+                this.pos += 4;
+            } else {
+                this.fail(`Invalid escape '\\${escape || ''}'`, this.pos - 2);
+            }
+        }
+
+        this.fail('Unterminated string');
+    }
+
+    /**
+     * Parse `a || b`
+     */
+    parseLogicalOr() {
+        let left = this.parseLogicalAnd();
+        while (this.consumeOperator('||')) {
+            left = { type: 'or', left, right: this.parseLogicalAnd() };
+        }
+        return left;
+    }
+
+    /**
+     * Parse `a && b`
+     */
+    parseLogicalAnd() {
+        let left = this.parseBasicExpression();
+        while (this.consumeOperator('&&')) {
+            left = { type: 'and', left, right: this.parseBasicExpression() };
+        }
+        return left;
+    }
+
+    /**
+     * Parse a negation, a parenthesized expression, a comparison or an existence test
+     */
+    parseBasicExpression() {
+        this.skipWhitespace();
+
+        if (this.peek() === '!' && this.expression[this.pos + 1] !== '=') {
+            this.pos++;
+            return { type: 'not', operand: this.parseBasicExpression() };
+        }
+
+        if (this.peek() === '(') {
+            this.pos++;
+            const expression = this.parseLogicalOr();
+            this.skipWhitespace();
+            this.expect(')');
+            return expression;
+        }
+
+        return this.parseComparison(this.parseComparable());
+    }
+
+    /**
+     * Parse the operator and right side of a comparison, if there is one
+     */
+    parseComparison(left) {
+        this.skipWhitespace();
+        const match = /^(==|!=|<=|>=|<|>)/.exec(this.expression.slice(this.pos));
+        if (!match) {
+            if (left.type === 'literal') {
+                this.fail('A literal must be compared with something');
+            }
+            return left.type === 'query' ? { type: 'exists', query: left } : left;
+        }
+
+        this.pos += match[0].length;
+        return { type: 'compare', operator: match[0], left, right: this.parseComparable() };
+    }
+
+    /**
+     * Parse a literal, a query (@... or $...) or a function call
+     */
+    parseComparable() {
+        this.skipWhitespace();
+        const ch = this.peek();
+        const rest = this.expression.slice(this.pos);
+
+        if (ch === '@' || ch === '$') {
+            this.pos++;
+            return { type: 'query', root: ch, segments: this.parseSegments() };
+        }
+        if (ch === '\'' || ch === '"') {
+            return { type: 'literal', value: this.parseString() };
+        }
+
+        const number = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/.exec(rest);
+        if (number) {
+            this.pos += number[0].length;
+            return { type: 'literal', value: Number(number[0]) };
+        }
+
+        const word = /^[a-z_][a-z0-9_]*/.exec(rest);
+        if (word) {
+            this.pos += word[0].length;
+            if (['true', 'false', 'null'].includes(word[0])) {
+                return { type: 'literal', value: JSON.parse(word[0]) };
+            }
+            return this.parseFunction(word[0]);
+        }
+
+        this.fail(this.pos < this.expression.length ? `Unexpected '${ch}' in filter` : 'Unfinished filter expression');
+    }
+
+    /**
+     * Parse the arguments of a function call
+     */
+    parseFunction(name) {
+        const arity = { length: 1, count: 1, match: 2, search: 2, value: 1 };
+        if (!(name in arity)) {
+            this.fail(`Unknown function '${name}'`, this.pos - name.length);
+        }
+
+        this.skipWhitespace();
+        this.expect('(');
+        const args = [];
+        this.skipWhitespace();
+        if (this.peek() !== ')') {
+            do {
+                args.push(this.parseComparable());
+                this.skipWhitespace();
+            } while (this.consume(','));
+        }
+        this.expect(')');
+
+        if (args.length !== arity[name]) {
+            this.fail(`${name}() takes ${arity[name]} argument${arity[name] === 1 ? '' : 's'}`);
+        }
+        return { type: 'function', name, args };
+    }
+
+    /**
+     * Get the current character
+     */
+    peek() {
+        return this.expression[this.pos];
+    }
+
+    /**
+     * Skip whitespace, which is allowed between tokens
+     */
+    skipWhitespace() {
+        while (/\s/.test(this.expression[this.pos] || '')) {
+            this.pos++;
+        }
+    }
+
+    /**
+     * Check the next non-whitespace character without consuming anything
+     */
+    peekAfterWhitespace(ch) {
+        const start = this.pos;
+        this.skipWhitespace();
+        const found = this.peek() === ch;
+        this.pos = start;
+        return found;
+    }
+
+    /**
+     * Consume a character if it comes next
+     */
+    consume(ch) {
+        if (this.peek() === ch) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Consume an operator if it comes next, after any whitespace
+     */
+    consumeOperator(operator) {
+        this.skipWhitespace();
+        if (this.expression.startsWith(operator, this.pos)) {
+            this.pos += operator.length;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Consume a character that must come next
+     */
+    expect(ch) {
+        if (!this.consume(ch)) {
+            this.fail(this.pos < this.expression.length ? `Expected '${ch}' but found '${this.peek()}'` : `Expected '${ch}'`);
+        }
+    }
+
+    /**
+     * Throw a syntax error pointing at a column of the expression
+     */
+    fail(message, position = this.pos) {
+        throw new Error(`${message} at column ${Math.min(position, this.expression.length) + 1}`);
+    }
+
+    // ---- Evaluation ----
+
+    /**
+     * Apply segments to a node, returning the resulting node list
+     */
+    select(segments, node, root) {
+        let nodes = [node];
+
+        segments.forEach(segment => {
+            const next = [];
+            nodes.forEach(current => {
+                const targets = segment.descendant ? this.descendants(current) : [current];
+                targets.forEach(target => {
+                    segment.selectors.forEach(selector => this.applySelector(selector, target, root, next));
+                });
+            });
+            nodes = next;
+        });
+
+        return nodes;
+    }
+
+    /**
+     * A node followed by all of its descendants, in document order
+     */
+    descendants(node, list = []) {
+        list.push(node);
+        this.children(node).forEach(child => this.descendants(child, list));
+        return list;
+    }
+
+    /**
+     * The array items or object member values of a node
+     */
+    children(node) {
+        const { value, path } = node;
+        if (Array.isArray(value)) {
+            return value.map((item, index) => ({ value: item, path: [...path, index] }));
+        }
+        if (this.isObject(value)) {
+            return Object.keys(value).map(key => ({ value: value[key], path: [...path, key] }));
+        }
+        return [];
+    }
+
+    /**
+     * Add the nodes a selector picks from a node to the output list
+     */
+    applySelector(selector, node, root, output) {
+        const { value, path } = node;
+
+        switch (selector.type) {
+            case 'name':
+                if (this.isObject(value) && Object.prototype.hasOwnProperty.call(value, selector.name)) {
+                    output.push({ value: value[selector.name], path: [...path, selector.name] });
+                }
+                break;
+            case 'wildcard':
+                output.push(...this.children(node));
+                break;
+            case 'index':
+                if (Array.isArray(value)) {
+                    const index = selector.index < 0 ? value.length + selector.index : selector.index;
+                    if (index >= 0 && index < value.length) {
+                        output.push({ value: value[index], path: [...path, index] });
+                    }
+                }
+                break;
+            case 'slice':
+                if (Array.isArray(value)) {
+                    this.sliceIndexes(selector, value.length).forEach(index => {
+                        output.push({ value: value[index], path: [...path, index] });
+                    });
+                }
+                break;
+            case 'filter':
+                this.children(node).forEach(child => {
+                    if (this.test(selector.expression, child, root)) {
+                        output.push(child);
+                    }
+                });
+                break;
+        }
+    }
+
+    /**
+     * Indexes selected by start:end:step (RFC 9535 section 2.3.4.2.2)
+     */
+    sliceIndexes({ start, end, step }, length) {
+        const indexes = [];
+        const stride = step === null ? 1 : step;
+        if (stride === 0) return indexes;
+
+        const normalize = (bound) => (bound >= 0 ? bound : length + bound);
+        if (stride > 0) {
+            const lower = Math.min(Math.max(normalize(start === null ? 0 : start), 0), length);
+            const upper = Math.min(Math.max(normalize(end === null ? length : end), 0), length);
+            for (let i = lower; i < upper; i += stride) indexes.push(i);
+        } else {
+            const upper = Math.min(Math.max(normalize(start === null ? length - 1 : start), -1), length - 1);
+            const lower = Math.min(Math.max(end === null ? -1 : normalize(end), -1), length - 1);
+            for (let i = upper; i > lower; i += stride) indexes.push(i);
+        }
+        return indexes;
+    }
+
+    /**
+     * Evaluate a filter expression to true or false for a node
+     */
+    test(expression, node, root) {
+        switch (expression.type) {
+            case 'or':
+                return this.test(expression.left, node, root) || this.test(expression.right, node, root);
+            case 'and':
+                return this.test(expression.left, node, root) && this.test(expression.right, node, root);
+            case 'not':
+                return !this.test(expression.operand, node, root);
+            case 'exists':
+                return this.evaluateQuery(expression.query, node, root).length > 0;
+            case 'compare':
+                return this.compare(expression.operator, this.evaluateValue(expression.left, node, root), this.evaluateValue(expression.right, node, root));
+            case 'function': {
+                const result = this.callFunction(expression, node, root);
+                return typeof result === 'boolean' ? result : result !== undefined;
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Run a query inside a filter, relative to the current node (@) or the root ($)
+     */
+    evaluateQuery(query, node, root) {
+        const start = query.root === '@' ? node : { value: root, path: [] };
+        return this.select(query.segments, start, root);
+    }
+
+    /**
+     * Get the value of a comparison operand; undefined stands for "nothing" (no node or several)
+     */
+    evaluateValue(operand, node, root) {
+        switch (operand.type) {
+            case 'literal':
+                return operand.value;
+            case 'query': {
+                const nodes = this.evaluateQuery(operand, node, root);
+                return nodes.length === 1 ? this.toPlain(nodes[0].value) : undefined;
+            }
+            case 'function':
+                return this.callFunction(operand, node, root);
+            default:
+                return this.test(operand, node, root);
+        }
+    }
+
+    /**
+     * Call length(), count(), match(), search() or value()
+     */
+    callFunction({ name, args }, node, root) {
+        if (name === 'count' || name === 'value') {
+            const nodes = args[0].type === 'query' ? this.evaluateQuery(args[0], node, root) : [];
+            if (name === 'count') return nodes.length;
+            return nodes.length === 1 ? this.toPlain(nodes[0].value) : undefined;
+        }
+
+        const values = args.map(arg => this.evaluateValue(arg, node, root));
+
+        if (name === 'length') {
+            const [value] = values;
+            if (typeof value === 'string') return [...value].length;
+            if (Array.isArray(value)) return value.length;
+            if (this.isObject(value)) return Object.keys(value).length;
+            return undefined;
+        }
+
+        // match() tests the whole string, search() any substring
+        const [text, pattern] = values;
+        if (typeof text !== 'string' || typeof pattern !== 'string') return false;
+        try {
+            const source = name === 'match' ? `^(?:${pattern})$` : pattern;
+            return new RegExp(source, 'u').test(text);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Compare two values; values of different types are only ever unequal
+     */
+    compare(operator, left, right) {
+        switch (operator) {
+            case '==':
+                return this.equals(left, right);
+            case '!=':
+                return !this.equals(left, right);
+            case '<':
+                return this.lessThan(left, right);
+            case '>':
+                return this.lessThan(right, left);
+            case '<=':
+                return this.lessThan(left, right) || this.equals(left, right);
+            case '>=':
+                return this.lessThan(right, left) || this.equals(left, right);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Order numbers and strings; any other pair is unordered
+     */
+    lessThan(left, right) {
+        const comparable = (typeof left === 'number' && typeof right === 'number') || (typeof left === 'string' && typeof right === 'string');
+        return comparable && left < right;
+    }
+
+    /**
+     * Compare values as JSON data
+     */
+    equals(left, right) {
+        left = this.toPlain(left);
+        right = this.toPlain(right);
+        if (left === right) return true;
+        if (Array.isArray(left) && Array.isArray(right)) {
+            return left.length === right.length && left.every((item, index) => this.equals(item, right[index]));
+        }
+        if (this.isObject(left) && this.isObject(right)) {
+            const keys = Object.keys(left);
+            return keys.length === Object.keys(right).length &&
+                keys.every(key => Object.prototype.hasOwnProperty.call(right, key) && this.equals(left[key], right[key]));
+        }
+        return false;
+    }
+
+    /**
+     * Compare LosslessNumber lexemes as numbers
+     */
+    toPlain(value) {
+        return typeof LosslessNumber !== 'undefined' && value instanceof LosslessNumber ? value.valueOf() : value;
+    }
+
+    /**
+     * Check for a JSON object (not an array, null or a LosslessNumber)
+     */
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+            !(typeof LosslessNumber !== 'undefined' && value instanceof LosslessNumber);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JSONPath;
+}
@@ -0,0 +1,144 @@
+/**
+ * JSONC Formatter - Re-indents JSONC/JSON5 text token by token
+ * Comments, quotes and number lexemes are written exactly as they appear in the source; only whitespace changes
+ */
+
+class JSONCFormatter {
+    constructor(options = {}) {
+        const indent = options.indent !== undefined ? options.indent : 2;
+        this.indent = typeof indent === 'number' ? ' '.repeat(Math.max(0, Math.min(indent, 10))) : String(indent);
+        this.dialect = options.dialect || 'jsonc';
+        this.finalNewline = options.finalNewline || false;
+    }
+
+    /**
+     * Pretty-print a document, keeping every comment next to the code it belongs to
+     * @param {string} text - A document that is valid in this.dialect
+     * @returns {string} - The re-indented document
+     */
+    format(text) {
+        if (!this.indent) {
+            return this.compress(text);
+        }
+
+        const tokens = this.tokenize(text);
+        let output = '';
+        let depth = 0;
+        let breakBefore = false;
+        let spaceBefore = false;
+
+        const newline = (blankLine) => `${blankLine ? '\n' : ''}\n${this.indent.repeat(depth)}`;
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const previous = tokens[i - 1];
+
+            if (token.type === 'comment') {
+                const next = tokens[i + 1];
+                // A block comment sharing a line with the next token (`/* note */ "key": 1`) stays in front of it
+                const leading = token.block && next && next.newlines === 0;
+
+                if (previous && token.newlines === 0 && !(leading && breakBefore)) {
+                    // Trailing comment: keep it on the line of the code before it
+                    output += ` ${token.raw}`;
+                } else {
+                    if (output) {
+                        output += newline(token.newlines > 1 && !this.isOpening(previous));
+                    }
+                    output += token.raw;
+                    breakBefore = !leading;
+                    spaceBefore = leading;
+                }
+
+                if (!token.block) {
+                    breakBefore = true;
+                    spaceBefore = false;
+                }
+                continue;
+            }
+
+            const closing = this.isPunctuation(token, '}') || this.isPunctuation(token, ']');
+            if (closing) {
+                depth--;
+                breakBefore = true;
+            }
+
+            if (breakBefore && output) {
+                // Keep a single blank line where the source separated members with one
+                output += newline(token.newlines > 1 && !closing && !this.isOpening(previous));
+            } else if (spaceBefore) {
+                output += ' ';
+            }
+            breakBefore = false;
+            spaceBefore = false;
+
+            output += token.raw;
+
+            if (this.isOpening(token)) {
+                const next = tokens[i + 1];
+                if (next && (this.isPunctuation(next, '}') || this.isPunctuation(next, ']'))) {
+                    output += next.raw;
+                    i++;
+                } else {
+                    depth++;
+                    breakBefore = true;
+                }
+            } else if (this.isPunctuation(token, ',')) {
+                breakBefore = true;
+            } else if (this.isPunctuation(token, ':')) {
+                spaceBefore = true;
+            }
+        }
+
+        return this.finalNewline ? `${output}\n` : output;
+    }
+
+    /**
+     * Minify a document; comments are dropped since they cannot share a single line safely
+     * @param {string} text - A document that is valid in this.dialect
+     * @returns {string} - The document without whitespace or comments
+     */
+    compress(text) {
+        const output = this.tokenize(text)
+            .filter(token => token.type !== 'comment')
+            .map(token => token.raw)
+            .join('');
+        return this.finalNewline ? `${output}\n` : output;
+    }
+
+    /**
+     * Split text into tokens, recording how many line breaks preceded each one
+     */
+    tokenize(text) {
+        const scanner = new JSONScanner(text, () => {}, { dialect: this.dialect });
+        const tokens = [];
+        let previousEnd = 0;
+
+        for (let token = scanner.next(); token.type !== 'eof'; token = scanner.next()) {
+            token.newlines = (text.slice(previousEnd, token.start).match(/\n/g) || []).length;
+            tokens.push(token);
+            previousEnd = token.end;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Check whether a token is the given punctuation character
+     */
+    isPunctuation(token, ch) {
+        return Boolean(token) && token.type === 'punctuation' && token.value === ch;
+    }
+
+    /**
+     * Check whether a token opens an object or array
+     */
+    isOpening(token) {
+        return this.isPunctuation(token, '{') || this.isPunctuation(token, '[');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JSONCFormatter;
+}
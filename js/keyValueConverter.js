@@ -0,0 +1,472 @@
+/**
+ * Key/Value Converter - Converts JSON to and from flat configuration formats: Java .properties with dotted
+ * keys, .env with UPPER_SNAKE names, and INI with a section per top-level object
+ *
+ * Paths: .properties and INI join object keys with '.' and write array items as [index]
+ * (servers[0].host); '.', '[', ']' and '%' inside a key are percent-encoded (%2E, %5B, %5D, %25), and INI
+ * keys also encode '=', ':', ';', '#', control characters and spaces at either end.
+ * .env joins UPPER_SNAKE names with '__' and writes array items as their index (SERVERS__0__HOST).
+ *
+ * Values: null, booleans and numbers are written bare, as are empty objects ({}) and arrays ([]).
+ * Strings are bare unless they would read back as something else, in which case they are quoted:
+ * as a JSON string literal in .properties and INI, and in double quotes in .env
+ */
+
+class KeyValueConverter {
+    /**
+     * Create a converter
+     * @param {Object} options - Options
+     * @param {string} options.format - 'properties', 'env' or 'ini' (default 'properties')
+     */
+    constructor(options = {}) {
+        this.format = options.format || 'properties';
+
+        if (!KeyValueConverter.FORMATS[this.format]) {
+            throw new Error(`Unknown key/value format: ${this.format}`);
+        }
+    }
+
+    /**
+     * Write JSON data
+     * @param {Object} data - An object; its values may nest
+     * @returns {string} - The text, one entry per line
+     */
+    stringify(data) {
+        if (!this.isObject(data)) {
+            throw new Error(`${KeyValueConverter.FORMATS[this.format]} needs an object at the top level`);
+        }
+
+        switch (this.format) {
+            case 'env':
+                return this.writeEnv(data);
+            case 'ini':
+                return this.writeINI(data);
+            default:
+                return this.flatten(data, []).map(([path, value]) => {
+                    return `${this.escapeProperty(this.formatPath(path), true)}=${this.escapeProperty(this.formatValue(value), false)}`;
+                }).join('\n') + '\n';
+        }
+    }
+
+    /**
+     * Read text back into nested JSON data
+     * @param {string} text - The text
+     * @returns {Object} - The data; numbers are LosslessNumber instances
+     */
+    parse(text) {
+        const entries = this.format === 'env' ? this.readEnv(text)
+            : this.format === 'ini' ? this.readINI(text)
+                : this.readProperties(text);
+
+        const root = {};
+        entries.forEach(entry => this.setPath(root, entry));
+        return root;
+    }
+
+    /**
+     * List the leaves of data as [path, value] pairs; empty objects and arrays are leaves
+     * @param {*} value - The value
+     * @param {Array} path - Keys (strings) and array indices (numbers) leading to it
+     */
+    flatten(value, path, entries = []) {
+        if (this.isObject(value) && Object.keys(value).length > 0) {
+            Object.keys(value).forEach(key => this.flatten(value[key], [...path, key], entries));
+        } else if (Array.isArray(value) && value.length > 0) {
+            value.forEach((item, index) => this.flatten(item, [...path, index], entries));
+        } else {
+            entries.push([path, value]);
+        }
+        return entries;
+    }
+
+    /**
+     * Write a path as dotted keys with [index] for array items
+     */
+    formatPath(path) {
+        return path.map((segment, index) => {
+            if (typeof segment === 'number') return `[${segment}]`;
+            const key = this.encodeKey(segment);
+            return index === 0 ? key : `.${key}`;
+        }).join('');
+    }
+
+    /**
+     * Percent-encode the characters of a key that would end it or split it; INI also encodes its
+     * separators, comment characters and spaces at either end, which its lines lose
+     */
+    encodeKey(key) {
+        const special = this.format === 'ini' ? /[%.[\]=:;#\x00-\x1f]|^ +| +$/g : /[%.[\]]/g;
+        return key.replace(special, match => Array.from(match, character => {
+            return `%${character.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`;
+        }).join(''));
+    }
+
+    /**
+     * Read a path written by formatPath()
+     * @param {number} line - Line number, for errors
+     */
+    parsePath(text, line) {
+        const match = text.match(/^([^.[\]]*)((?:\.[^.[\]]*|\[\d+\])*)$/);
+        if (!match) {
+            throw new Error(`Invalid key "${text}" on line ${line}`);
+        }
+
+        const decode = key => key.replace(/%([0-9A-Fa-f]{2})/g, (all, hex) => String.fromCharCode(parseInt(hex, 16)));
+        const parts = match[2].match(/\.[^.[\]]*|\[\d+\]/g) || [];
+        return [decode(match[1]), ...parts.map(part => part.startsWith('[') ? Number(part.slice(1, -1)) : decode(part.slice(1)))];
+    }
+
+    /**
+     * Text of a leaf value; strings that would read back as another type are quoted
+     */
+    formatValue(value) {
+        if (value === null) return 'null';
+        if (value instanceof LosslessNumber) return value.raw;
+        if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+        if (Array.isArray(value)) return '[]';
+        if (this.isObject(value)) return '{}';
+        return this.inferValue(value) === value ? value : JSON.stringify(value);
+    }
+
+    /**
+     * Read the text of an unquoted value: null, booleans, numbers, {} and [] are typed, a JSON string
+     * literal is unquoted, anything else is a string
+     */
+    inferValue(text) {
+        if (text === 'null') return null;
+        if (text === 'true' || text === 'false') return text === 'true';
+        if (KeyValueConverter.NUMBER.test(text)) return new LosslessNumber(text);
+        if (text === '{}') return {};
+        if (text === '[]') return [];
+        if (text.startsWith('"')) {
+            try {
+                const value = JSON.parse(text);
+                if (typeof value === 'string') return value;
+            } catch (error) {
+                // Not a string literal, so the text itself
+            }
+        }
+        return text;
+    }
+
+    /**
+     * Apply .properties escaping: backslash escapes for separators, comment characters and control
+     * characters, and \uXXXX for everything outside printable ASCII
+     * @param {boolean} isKey - Keys also escape spaces, values only a leading space
+     */
+    escapeProperty(text, isKey) {
+        const escapes = { '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r', '\f': '\\f', '=': '\\=', ':': '\\:', '#': '\\#', '!': '\\!' };
+        return Array.from(text, (character, index) => {
+            if (escapes[character]) return escapes[character];
+            if (character === ' ' && (isKey || index === 0)) return '\\ ';
+            const code = character.codePointAt(0);
+            if (code < 0x20 || code > 0x7e) {
+                return character.split('').map(unit => `\\u${unit.charCodeAt(0).toString(16).padStart(4, '0')}`).join('');
+            }
+            return character;
+        }).join('');
+    }
+
+    /**
+     * Read .properties entries: logical lines joined at trailing backslashes, keys ending at an unescaped
+     * '=', ':' or whitespace, and escapes undone
+     * @returns {Array} - { path, value, line }
+     */
+    readProperties(text) {
+        const entries = [];
+        const lines = text.split(/\r\n|\r|\n/);
+
+        for (let index = 0; index < lines.length; index++) {
+            const line = index + 1;
+            let logical = lines[index].replace(/^[ \t\f]+/, '');
+            if (!logical || logical.startsWith('#') || logical.startsWith('!')) continue;
+
+            // An odd number of trailing backslashes continues the line
+            while (/(^|[^\\])(\\\\)*\\$/.test(logical) && index + 1 < lines.length) {
+                logical = logical.slice(0, -1) + lines[++index].replace(/^[ \t\f]+/, '');
+            }
+
+            let end = 0;
+            while (end < logical.length && !/[=: \t\f]/.test(logical[end])) {
+                end += logical[end] === '\\' ? 2 : 1;
+            }
+            const key = logical.slice(0, end);
+            const rest = logical.slice(end).replace(/^[ \t\f]*[=:]?[ \t\f]*/, '');
+
+            entries.push({
+                path: this.parsePath(this.unescapeProperty(key), line),
+                value: this.inferValue(this.unescapeProperty(rest)),
+                line
+            });
+        }
+        return entries;
+    }
+
+    /**
+     * Undo .properties escaping; a backslash before any other character is dropped
+     */
+    unescapeProperty(text) {
+        return text.replace(/\\(u[0-9a-fA-F]{4}|.?)/g, (all, escape) => {
+            if (escape.length === 5) return String.fromCharCode(parseInt(escape.slice(1), 16));
+            return { t: '\t', n: '\n', r: '\r', f: '\f' }[escape] || escape;
+        });
+    }
+
+    /**
+     * Write .env lines: NAME=value with names in UPPER_SNAKE joined by '__'
+     */
+    writeEnv(data) {
+        const names = new Map();
+        return this.flatten(data, []).map(([path, value]) => {
+            const name = path.map((segment, index) => this.toEnvName(segment, index === 0)).join('__');
+            const key = this.formatPath(path);
+            if (names.has(name)) {
+                throw new Error(`Keys "${names.get(name)}" and "${key}" both become ${name}`);
+            }
+            names.set(name, key);
+            return `${name}=${this.formatEnvValue(value)}`;
+        }).join('\n') + '\n';
+    }
+
+    /**
+     * UPPER_SNAKE name for a key: words split at case changes, other characters as '_'
+     * @param {boolean} isFirst - The first part of a name must not start with a digit
+     */
+    toEnvName(segment, isFirst) {
+        if (typeof segment === 'number') return String(segment);
+
+        const name = segment
+            .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+            .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+            .replace(/[^A-Za-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '')
+            .toUpperCase();
+        if (!name) {
+            throw new Error(`Key "${segment}" has no letters or digits for an environment variable name`);
+        }
+        return isFirst && /^\d/.test(name) ? `_${name}` : name;
+    }
+
+    /**
+     * Text of a .env value; strings that are not plain words are double-quoted with escapes, and '$' is
+     * escaped so it is not interpolated
+     */
+    formatEnvValue(value) {
+        if (typeof value !== 'string') return this.formatValue(value);
+        if (value && /^[A-Za-z0-9_./:@+,-]+$/.test(value) && this.inferValue(value) === value) return value;
+
+        const escapes = { '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t', '$': '\\$' };
+        return `"${value.replace(/[\\"\n\r\t$]/g, character => escapes[character])}"`;
+    }
+
+    /**
+     * Read .env lines: optional `export`, single-quoted (literal), double-quoted (with escapes, may span
+     * lines) or bare values, and # comments; names are lowercased and split at '__', digits being indices
+     * @returns {Array} - { path, value, line }
+     */
+    readEnv(text) {
+        const entries = [];
+        const lines = text.split(/\r\n|\r|\n/);
+
+        for (let index = 0; index < lines.length; index++) {
+            const line = index + 1;
+            const trimmed = lines[index].trim();
+            if (!trimmed || trimmed.startsWith('#')) continue;
+
+            const match = trimmed.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+            if (!match) {
+                throw new Error(`Expected NAME=value on line ${line}`);
+            }
+
+            let rest = match[2];
+            let value;
+            if (rest.startsWith('"')) {
+                // A double-quoted value continues until its closing quote
+                while (!/^"(?:[^"\\]|\\.)*"/s.test(rest) && index + 1 < lines.length) {
+                    rest += `\n${lines[++index]}`;
+                }
+                const quoted = rest.match(/^"((?:[^"\\]|\\.)*)"\s*(#.*)?$/s);
+                if (!quoted) {
+                    throw new Error(`Unterminated or malformed double-quoted value on line ${line}`);
+                }
+                value = quoted[1].replace(/\\(.)/gs, (all, character) => {
+                    return { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\', $: '$' }[character] || all;
+                });
+            } else if (rest.startsWith("'")) {
+                const quoted = rest.match(/^'([^']*)'\s*(#.*)?$/);
+                if (!quoted) {
+                    throw new Error(`Unterminated or malformed single-quoted value on line ${line}`);
+                }
+                value = quoted[1];
+            } else {
+                value = this.inferValue(rest.replace(/\s+#.*$/, '').trim());
+            }
+
+            const path = match[1].split('__').map((segment, position) => {
+                return position > 0 && /^\d+$/.test(segment) ? Number(segment) : segment.toLowerCase();
+            });
+            entries.push({ path, value, line });
+        }
+        return entries;
+    }
+
+    /**
+     * Write INI: top-level values first, then a [section] for each top-level object, holding its
+     * entries as dotted keys
+     */
+    writeINI(data) {
+        const keys = Object.keys(data);
+        const sectionKeys = keys.filter(key => this.isObject(data[key]));
+        const lines = [];
+
+        this.flatten(data, []).forEach(([path, value]) => {
+            if (!sectionKeys.includes(path[0])) {
+                lines.push(`${this.formatPath(path)} = ${this.formatINIValue(value)}`);
+            }
+        });
+
+        sectionKeys.forEach(section => {
+            if (lines.length > 0) lines.push('');
+            lines.push(`[${this.formatPath([section])}]`);
+            this.flatten(data[section], []).forEach(([path, value]) => {
+                if (path.length > 0) {
+                    lines.push(`${this.formatPath(path)} = ${this.formatINIValue(value)}`);
+                }
+            });
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Text of an INI value; strings with line breaks, comment characters or surrounding spaces are
+     * also quoted
+     */
+    formatINIValue(value) {
+        const text = this.formatValue(value);
+        if (typeof value === 'string' && text === value && /[\r\n;#"]|^\s|\s$/.test(value)) {
+            return JSON.stringify(value);
+        }
+        return text;
+    }
+
+    /**
+     * Read INI: [section] lines, key = value (or key: value) entries, and ; or # comments
+     * @returns {Array} - { path, value, line }
+     */
+    readINI(text) {
+        const entries = [];
+        let section = [];
+
+        text.split(/\r\n|\r|\n/).forEach((source, index) => {
+            const line = index + 1;
+            const trimmed = source.trim();
+            if (!trimmed || trimmed.startsWith(';') || trimmed.startsWith('#')) return;
+
+            const header = trimmed.match(/^\[([^\]]*)\]\s*([;#].*)?$/);
+            if (header) {
+                section = this.parsePath(header[1].trim(), line);
+                // An empty section is an empty object
+                entries.push({ path: section, value: {}, line, isSection: true });
+                return;
+            }
+
+            const separator = trimmed.search(/[=:]/);
+            if (separator < 0) {
+                throw new Error(`Expected key = value on line ${line}`);
+            }
+
+            const key = trimmed.slice(0, separator).trim();
+            const rest = trimmed.slice(separator + 1).trim();
+            let value;
+            const quoted = rest.match(/^("(?:[^"\\]|\\.)*")\s*([;#].*)?$/);
+            if (quoted) {
+                value = JSON.parse(quoted[1]);
+            } else {
+                value = this.inferValue(rest.replace(/\s+[;#].*$/, ''));
+            }
+
+            entries.push({ path: [...section, ...this.parsePath(key, line)], value, line });
+        });
+        return entries;
+    }
+
+    /**
+     * Put a value at a path, creating objects for keys and arrays for indices
+     * @param {Object} root - The data being built
+     * @param {Object} entry - { path, value, line, isSection }
+     */
+    setPath(root, entry) {
+        const { path, value, line } = entry;
+        const describe = count => this.formatPath(path.slice(0, count));
+        let container = root;
+
+        path.forEach((segment, index) => {
+            const isLast = index === path.length - 1;
+            const isIndex = typeof segment === 'number';
+
+            if (isIndex !== Array.isArray(container)) {
+                throw new Error(`${describe(index)} is used both as an ${isIndex ? 'array' : 'object'} and as an ${isIndex ? 'object' : 'array'} (line ${line})`);
+            }
+            if (isIndex && segment > KeyValueConverter.MAX_INDEX) {
+                throw new Error(`Array index ${segment} is too large (line ${line})`);
+            }
+
+            const exists = isIndex ? container[segment] !== undefined : Object.prototype.hasOwnProperty.call(container, segment);
+            const isContainer = exists && container[segment] !== null && typeof container[segment] === 'object' && !(container[segment] instanceof LosslessNumber);
+            if (isLast) {
+                // A repeated section adds to it; a repeated value replaces the earlier one
+                if (entry.isSection && this.isObject(container[segment])) return;
+                if (isContainer) {
+                    throw new Error(`${describe(index + 1)} is both a value and a container (line ${line})`);
+                }
+                this.setMember(container, segment, value);
+                return;
+            }
+
+            if (!exists) {
+                this.setMember(container, segment, typeof path[index + 1] === 'number' ? [] : {});
+            } else if (!isContainer) {
+                throw new Error(`${describe(index + 1)} is both a value and a container (line ${line})`);
+            }
+            container = container[segment];
+        });
+    }
+
+    /**
+     * Set a member of an object or array; missing array items before it become null
+     */
+    setMember(container, segment, value) {
+        if (Array.isArray(container)) {
+            while (container.length < segment) container.push(null);
+            container[segment] = value;
+        } else {
+            Object.defineProperty(container, segment, { value, writable: true, enumerable: true, configurable: true });
+        }
+    }
+
+    /**
+     * Whether a value is a JSON object
+     */
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof LosslessNumber);
+    }
+}
+
+// Names of the formats for messages and menus
+KeyValueConverter.FORMATS = {
+    properties: '.properties',
+    env: '.env',
+    ini: 'INI'
+};
+
+// JSON numbers, read as numbers when unquoted
+KeyValueConverter.NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+// Largest array index read, so a stray index cannot fill memory
+KeyValueConverter.MAX_INDEX = 100000;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeyValueConverter;
+}
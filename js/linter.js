@@ -1,100 +1,140 @@
 /**
  * JSON Linter - Core functionality for JSON validation and formatting
- * Uses json-parse-better-errors library for superior error detection with accurate line numbers
+ * Uses the error-recovering JSONParser (js/parser.js) to report every syntax error with accurate line numbers
  */
 
 class JSONLinter {
     constructor() {
         this.isValid = false;
         this.errors = [];
+        this.warnings = [];
         this.formatted = '';
     }
 
     /**
-     * Validate JSON string using json-parse-better-errors library for precise error reporting
+     * Validate JSON string with the error-recovering JSONParser so every syntax error is reported in one pass
      * @param {string} jsonString - The JSON string to validate
-     * @returns {Object} - Validation result with isValid, errors, and data
+     * @param {Object} options - Parse options; losslessNumbers keeps numbers as LosslessNumber lexemes in data,
+     *                           dialect is 'json' (default), 'jsonc', 'json5' or 'ndjson', trackPointers adds a pointers Map
+     *                           from JSON Pointer to the { start, end, key } location of each value
+     * @returns {Object} - Validation result with isValid, errors and warnings (diagnostic objects), and data
      */
-    validate(jsonString) {
+    validate(jsonString, options = {}) {
         this.reset();
         
         if (!jsonString || jsonString.trim() === '') {
+            this.errors = [this.createEmptyInputError()];
             return {
                 isValid: false,
-                errors: ['Input is empty'],
+                errors: this.errors,
+                warnings: [],
                 data: null
             };
         }
 
-        try {
-            // Use json-parse-better-errors for better error reporting if available
-            if (typeof JSONParseBetterErrors !== 'undefined') {
-                try {
-                    const data = JSONParseBetterErrors(jsonString);
-                    this.isValid = true;
-                    return {
-                        isValid: true,
-                        errors: [],
-                        data: data
-                    };
-                } catch (betterError) {
-                    this.isValid = false;
-                    const errorMessage = this.parseBetterError(betterError, jsonString);
-                    this.errors = [errorMessage];
-                    
-                    return {
-                        isValid: false,
-                        errors: this.errors,
-                        data: null
-                    };
-                }
-            } else {
-                // Fallback to native JSON.parse with enhanced error parsing
-                const result = JSON.parse(jsonString);
-                this.isValid = true;
-                return {
-                    isValid: true,
-                    errors: [],
-                    data: result
-                };
-            }
-        } catch (error) {
-            this.isValid = false;
-            const errorMessage = this.parseError(error, jsonString);
-            this.errors = [errorMessage];
-            
-            return {
-                isValid: false,
-                errors: this.errors,
-                data: null
-            };
+        if (options.dialect === 'ndjson') {
+            return this.validateNDJSON(jsonString, options);
+        }
+
+        const parser = new JSONParser({
+            losslessNumbers: options.losslessNumbers,
+            dialect: options.dialect,
+            trackPointers: options.trackPointers
+        });
+        const result = parser.parse(jsonString);
+
+        // Warnings (e.g. duplicate keys, imprecise numbers) do not make the document invalid
+        this.errors = result.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+        this.warnings = result.diagnostics.filter(diagnostic => diagnostic.severity === 'warning');
+        this.isValid = this.errors.length === 0;
+
+        const validationResult = {
+            isValid: this.isValid,
+            errors: this.errors,
+            warnings: this.warnings,
+            data: this.isValid ? result.data : null
+        };
+        if (result.pointers) {
+            validationResult.pointers = result.pointers;
         }
+        return validationResult;
     }
 
     /**
-     * Parse and format error messages from json-parse-better-errors
-     * @param {Error} error - The error object from json-parse-better-errors
-     * @param {string} jsonString - The original JSON string
-     * @returns {string} - Formatted error message
+     * Validate newline-delimited JSON (JSON Lines): every non-blank line is a separate JSON document
+     * @param {string} text - The NDJSON text
+     * @param {Object} options - Same as validate()
+     * @returns {Object} - Same shape as validate(); data is the array of records and pointers start with the record index
      */
-    parseBetterError(error, jsonString) {
-        let message = error.message;
-        
-        // If we have offset information, convert to line/column
-        if (error.offset !== undefined || error.index !== undefined) {
-            const position = error.offset || error.index;
-            const lineInfo = this.getLineColumnFromPosition(jsonString, position);
-            const lines = jsonString.split('\n');
-            const lineContent = lines[lineInfo.line - 1] || '';
-            const contextStart = Math.max(0, lineInfo.column - 25);
-            const contextEnd = Math.min(lineContent.length, lineInfo.column + 25);
-            const context = lineContent.substring(contextStart, contextEnd);
-            const pointer = ' '.repeat(Math.max(0, lineInfo.column - contextStart - 1)) + '^';
-            
-            return `Parse error at line ${lineInfo.line}, column ${lineInfo.column}: ${message}\n\nContext:\n${context}\n${pointer}`;
+    validateNDJSON(text, options) {
+        const records = [];
+        const pointers = options.trackPointers ? new Map() : null;
+        let offset = 0;
+
+        text.split('\n').forEach((line, index) => {
+            const origin = { line: index + 1, offset };
+            offset += line.length + 1;
+            const record = line.endsWith('\r') ? line.slice(0, -1) : line;
+            // Stop at as many errors as one document reports
+            if (!record.trim() || this.errors.length >= 100) return;
+
+            const parser = new JSONParser({
+                losslessNumbers: options.losslessNumbers,
+                trackPointers: options.trackPointers,
+                origin
+            });
+            const result = parser.parse(record);
+
+            result.diagnostics.forEach(diagnostic => {
+                (diagnostic.severity === 'error' ? this.errors : this.warnings).push(diagnostic);
+            });
+            if (pointers) {
+                result.pointers.forEach((location, pointer) => pointers.set(`/${records.length}${pointer}`, location));
+            }
+            records.push(result.data);
+        });
+
+        // A pretty-printed document fails on every line; say what is going on once
+        if (this.errors.length > 0 && new JSONParser().parse(text).diagnostics.every(diagnostic => diagnostic.severity !== 'error')) {
+            this.errors[0].hint = 'This is one JSON document spread over several lines; NDJSON needs one record per line, so compress it or switch the dialect to JSON';
         }
-        
-        return `Parse error: ${message}`;
+
+        this.isValid = this.errors.length === 0;
+        const validationResult = {
+            isValid: this.isValid,
+            errors: this.errors,
+            warnings: this.warnings,
+            data: this.isValid ? records : null
+        };
+        if (pointers) {
+            validationResult.pointers = pointers;
+        }
+        return validationResult;
+    }
+
+    /**
+     * Write NDJSON records, one per line, each ending with a newline
+     * @param {Array} records - The records
+     * @param {Function} stringify - Writes a record on one line
+     */
+    joinRecords(records, stringify) {
+        return records.map(record => `${stringify(record)}\n`).join('');
+    }
+
+    /**
+     * Create the diagnostic reported for empty input
+     * @returns {Object} - Diagnostic object
+     */
+    createEmptyInputError() {
+        const position = { line: 1, column: 1, offset: 0 };
+        return {
+            code: 'empty-input',
+            message: 'Input is empty',
+            severity: 'error',
+            start: position,
+            end: position,
+            hint: null
+        };
     }
 
     /**
@@ -114,113 +154,51 @@ class JSONLinter {
         return { line, column };
     }
 
-    /**
-     * Parse and format error messages for better user experience (enhanced fallback)
-     * @param {Error} error - The error object
-     * @param {string} jsonString - The original JSON string
-     * @returns {string} - Formatted error message
-     */
-    parseError(error, jsonString) {
-        let message = error.message;
-        
-        // Extract line and column information from error message
-        const lineMatch = message.match(/line (\d+)/i);
-        const columnMatch = message.match(/column (\d+)/i);
-        const positionMatch = message.match(/position (\d+)/i);
-        
-        if (lineMatch) {
-            const line = parseInt(lineMatch[1]);
-            const column = columnMatch ? parseInt(columnMatch[1]) : null;
-            
-            if (column) {
-                return `Parse error on line ${line}, column ${column}: ${message}`;
-            } else {
-                return `Parse error on line ${line}: ${message}`;
-            }
-        } else if (positionMatch) {
-            const position = parseInt(positionMatch[1]);
-            const lineInfo = this.getLineColumnFromPosition(jsonString, position);
-            return `Parse error on line ${lineInfo.line}, column ${lineInfo.column}: ${message}`;
-        }
-        
-        // Enhanced parsing for native JSON.parse errors
-        const nativeErrorMatch = message.match(/Unexpected token (.+) in JSON at position (\d+)/);
-        if (nativeErrorMatch) {
-            const token = nativeErrorMatch[1];
-            const position = parseInt(nativeErrorMatch[2]);
-            const lineInfo = this.getLineColumnFromPosition(jsonString, position);
-            const lines = jsonString.split('\n');
-            const lineContent = lines[lineInfo.line - 1] || '';
-            const contextStart = Math.max(0, lineInfo.column - 25);
-            const contextEnd = Math.min(lineContent.length, lineInfo.column + 25);
-            const context = lineContent.substring(contextStart, contextEnd);
-            const pointer = ' '.repeat(Math.max(0, lineInfo.column - contextStart - 1)) + '^';
-            
-            return `Parse error at line ${lineInfo.line}, column ${lineInfo.column}: Unexpected token ${token}\n\nContext:\n${context}\n${pointer}`;
-        }
-        
-        // Handle other common JSON.parse error patterns
-        const unexpectedEndMatch = message.match(/Unexpected end of JSON input/);
-        if (unexpectedEndMatch) {
-            const lines = jsonString.split('\n');
-            const lastLine = lines.length;
-            const lastColumn = lines[lines.length - 1].length + 1;
-            
-            return `Parse error at line ${lastLine}, column ${lastColumn}: Unexpected end of JSON input (missing closing bracket, brace, or quote?)`;
-        }
-        
-        const unexpectedTokenMatch = message.match(/Unexpected token '(.+)'/);
-        if (unexpectedTokenMatch) {
-            const token = unexpectedTokenMatch[1];
-            const lines = jsonString.split('\n');
-            
-            // Find the line containing this token
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i];
-                const tokenIndex = line.indexOf(token);
-                
-                if (tokenIndex !== -1) {
-                    const contextStart = Math.max(0, tokenIndex - 25);
-                    const contextEnd = Math.min(line.length, tokenIndex + 25);
-                    const context = line.substring(contextStart, contextEnd);
-                    const pointer = ' '.repeat(Math.max(0, tokenIndex - contextStart)) + '^';
-                    
-                    return `Parse error at line ${i + 1}, column ${tokenIndex + 1}: Unexpected token '${token}'\n\nContext:\n${context}\n${pointer}`;
-                }
-            }
-        }
-        
-        return `Parse error: ${message}`;
-    }
-
     /**
      * Format JSON with proper indentation
+     * JSONC and JSON5 are re-indented token by token so comments and the original syntax survive;
+     * that only applies the indent and finalNewline options. NDJSON records are formatted one by one
+     * and stay on their own lines
+     * @param {string} jsonString - The JSON string to format
+     * @param {Object} options - dialect plus JSONSerializer options (indent, sortKeys, keyOrder, maxLineWidth,
+     *                           escapeNonAscii, finalNewline)
      */
-    format(jsonString, indent = 2) {
+    format(jsonString, options = {}) {
         try {
             if (!jsonString || !jsonString.trim()) {
                 return {
                     success: false,
-                    errors: ['Input is empty']
+                    errors: [this.createEmptyInputError()]
                 };
             }
 
-            // Use our validate method to parse the JSON
-            const validationResult = this.validate(jsonString);
+            // Parse losslessly so numbers keep their original lexemes (big IDs, trailing zeros)
+            const dialect = options.dialect || 'json';
+            const validationResult = this.validate(jsonString, { losslessNumbers: true, dialect });
             if (!validationResult.isValid) {
                 return {
                     success: false,
                     errors: validationResult.errors,
+                    warnings: validationResult.warnings,
                     formatted: null
                 };
             }
 
-            const formatted = JSON.stringify(validationResult.data, null, indent);
+            let formatted;
+            if (dialect === 'json') {
+                formatted = new JSONSerializer(options).stringify(validationResult.data);
+            } else if (dialect === 'ndjson') {
+                const serializer = new JSONSerializer({ ...options, indent: 0, finalNewline: false });
+                formatted = this.joinRecords(validationResult.data, record => serializer.stringify(record));
+            } else {
+                formatted = new JSONCFormatter(options).format(jsonString);
+            }
             
             return {
                 success: true,
                 formatted: formatted,
-                errors: []
+                errors: [],
+                warnings: validationResult.warnings
             };
         } catch (error) {
             return {
@@ -232,33 +210,46 @@ class JSONLinter {
     }
 
     /**
-     * Compress/minify JSON by removing whitespace
+     * Compress/minify JSON by removing whitespace (and comments, for JSONC and JSON5)
+     * @param {string} jsonString - The JSON string to compress
+     * @param {Object} options - Same as format(); indent and maxLineWidth are ignored
      */
-    compress(jsonString) {
+    compress(jsonString, options = {}) {
         try {
             if (!jsonString || !jsonString.trim()) {
                 return {
                     success: false,
-                    errors: ['Input is empty']
+                    errors: [this.createEmptyInputError()]
                 };
             }
 
-            // Use our validate method to parse the JSON
-            const validationResult = this.validate(jsonString);
+            // Parse losslessly so numbers keep their original lexemes (big IDs, trailing zeros)
+            const dialect = options.dialect || 'json';
+            const validationResult = this.validate(jsonString, { losslessNumbers: true, dialect });
             if (!validationResult.isValid) {
                 return {
                     success: false,
                     errors: validationResult.errors,
+                    warnings: validationResult.warnings,
                     compressed: null
                 };
             }
 
-            const compressed = JSON.stringify(validationResult.data);
+            let compressed;
+            if (dialect === 'json') {
+                compressed = new JSONSerializer({ ...options, indent: 0 }).stringify(validationResult.data);
+            } else if (dialect === 'ndjson') {
+                const serializer = new JSONSerializer({ ...options, indent: 0, finalNewline: false });
+                compressed = this.joinRecords(validationResult.data, record => serializer.stringify(record));
+            } else {
+                compressed = new JSONCFormatter(options).compress(jsonString);
+            }
             
             return {
                 success: true,
                 compressed: compressed,
-                errors: []
+                errors: [],
+                warnings: validationResult.warnings
             };
         } catch (error) {
             return {
@@ -269,6 +260,80 @@ class JSONLinter {
         }
     }
 
+    /**
+     * Canonicalize JSON with the RFC 8785 JSON Canonicalization Scheme (sorted keys, no whitespace);
+     * NDJSON records are canonicalized one per line
+     * @param {string} jsonString - The JSON string to canonicalize
+     * @param {Object} options - dialect of the input
+     * @returns {Object} - Result with success, canonical text, errors and warnings
+     */
+    canonicalize(jsonString, options = {}) {
+        if (!jsonString || !jsonString.trim()) {
+            return {
+                success: false,
+                errors: [this.createEmptyInputError()],
+                warnings: [],
+                canonical: null
+            };
+        }
+
+        const validationResult = this.validate(jsonString, { dialect: options.dialect });
+        if (!validationResult.isValid) {
+            return {
+                success: false,
+                errors: validationResult.errors,
+                warnings: validationResult.warnings,
+                canonical: null
+            };
+        }
+
+        try {
+            return {
+                success: true,
+                canonical: options.dialect === 'ndjson'
+                    ? this.joinRecords(validationResult.data, record => new JSONCanonicalizer().canonicalize(record))
+                    : new JSONCanonicalizer().canonicalize(validationResult.data),
+                errors: [],
+                warnings: validationResult.warnings
+            };
+        } catch (error) {
+            return {
+                success: false,
+                errors: [DiagnosticFormatter.create('non-finite-number', error.message)],
+                warnings: validationResult.warnings,
+                canonical: null
+            };
+        }
+    }
+
+    /**
+     * Repair almost-JSON (Python reprs, JS object literals, trailing commas, unescaped line breaks...)
+     * @param {string} jsonString - The malformed input
+     * @returns {Object} - Repaired text, the fixes applied (diagnostics with severity 'fix') and any errors that remain
+     */
+    repair(jsonString) {
+        if (!jsonString || !jsonString.trim()) {
+            return {
+                success: false,
+                errors: [this.createEmptyInputError()],
+                warnings: [],
+                fixes: [],
+                repaired: null
+            };
+        }
+
+        const result = new JSONRepairer().repair(jsonString);
+        const validationResult = this.validate(result.text);
+
+        return {
+            success: validationResult.isValid,
+            repaired: result.text,
+            fixes: result.fixes,
+            errors: validationResult.errors,
+            warnings: validationResult.warnings
+        };
+    }
+
     /**
      * Get statistics about the JSON content
      * @param {string} jsonString - The JSON string to analyze
@@ -300,8 +365,8 @@ class JSONLinter {
      * @returns {Object} Result object with success status and converted content or errors
      */
     convertToYAML(jsonString) {
-        // Use our validate method for consistent error handling
-        const validationResult = this.validate(jsonString);
+        // Use our validate method for consistent error handling; numbers keep their original lexemes
+        const validationResult = this.validate(jsonString, { losslessNumbers: true });
         if (!validationResult.isValid) {
             return {
                 success: false,
@@ -314,19 +379,19 @@ class JSONLinter {
             
             // Check if js-yaml library is available
             if (typeof jsyaml !== 'undefined') {
-                const yamlString = jsyaml.dump(jsonData, {
+                const yamlString = LosslessNumber.render(jsonData, data => jsyaml.dump(data, {
                     indent: 2,
                     lineWidth: -1,
                     noRefs: true,
                     sortKeys: false
-                });
+                }));
                 return {
                     success: true,
                     converted: yamlString
                 };
             } else {
                 // Fallback to simple YAML converter
-                const yamlString = this.simpleYAMLConverter(jsonData);
+                const yamlString = LosslessNumber.render(jsonData, data => this.simpleYAMLConverter(data));
                 return {
                     success: true,
                     converted: yamlString
@@ -335,7 +400,7 @@ class JSONLinter {
         } catch (error) {
             return {
                 success: false,
-                errors: [error.message]
+                errors: [this.formatError(error)]
             };
         }
     }
@@ -346,8 +411,8 @@ class JSONLinter {
      * @returns {Object} Result object with success status and converted content or errors
      */
     convertToTOML(jsonString) {
-        // Use our validate method for consistent error handling
-        const validationResult = this.validate(jsonString);
+        // Use our validate method for consistent error handling; numbers keep their original lexemes
+        const validationResult = this.validate(jsonString, { losslessNumbers: true });
         if (!validationResult.isValid) {
             return {
                 success: false,
@@ -360,14 +425,14 @@ class JSONLinter {
             
             // Check if TOML library is available
             if (typeof TOML !== 'undefined' && TOML.stringify) {
-                const tomlString = TOML.stringify(jsonData);
+                const tomlString = LosslessNumber.render(jsonData, data => TOML.stringify(data));
                 return {
                     success: true,
                     converted: tomlString
                 };
             } else {
                 // Fallback to simple TOML converter
-                const tomlString = this.simpleTOMLConverter(jsonData);
+                const tomlString = LosslessNumber.render(jsonData, data => this.simpleTOMLConverter(data));
                 return {
                     success: true,
                     converted: tomlString
@@ -376,7 +441,7 @@ class JSONLinter {
         } catch (error) {
             return {
                 success: false,
-                errors: [error.message]
+                errors: [this.formatError(error)]
             };
         }
     }
@@ -384,11 +449,12 @@ class JSONLinter {
     /**
      * Convert JSON to CSV format
      * @param {string} jsonString - The JSON string to convert
+     * @param {Object} options - CSVExporter options (delimiter, quoting, arrays, columns, ...)
      * @returns {Object} Result object with success status and converted content or errors
      */
-    convertToCSV(jsonString) {
-        // Use our validate method for consistent error handling
-        const validationResult = this.validate(jsonString);
+    convertToCSV(jsonString, options = {}) {
+        // Use our validate method for consistent error handling; numbers keep their original lexemes
+        const validationResult = this.validate(jsonString, { losslessNumbers: true });
         if (!validationResult.isValid) {
             return {
                 success: false,
@@ -397,34 +463,15 @@ class JSONLinter {
         }
 
         try {
-            const jsonData = validationResult.data;
-            
-            // Check if Papa Parse library is available
-            if (typeof Papa !== 'undefined') {
-                if (Array.isArray(jsonData) && jsonData.length > 0 && typeof jsonData[0] === 'object') {
-                    const csvString = Papa.unparse(jsonData);
-                    return {
-                        success: true,
-                        converted: csvString
-                    };
-                } else {
-                    return {
-                        success: false,
-                        errors: ['CSV conversion requires an array of objects']
-                    };
-                }
-            } else {
-                // Fallback to simple CSV converter
-                const csvString = this.simpleCSVConverter(jsonData);
-                return {
-                    success: true,
-                    converted: csvString
-                };
-            }
+            const csvString = new CSVExporter(options).export(validationResult.data);
+            return {
+                success: true,
+                converted: csvString
+            };
         } catch (error) {
             return {
                 success: false,
-                errors: [error.message]
+                errors: [DiagnosticFormatter.create('unsupported-structure', error.message)]
             };
         }
     }
@@ -432,11 +479,12 @@ class JSONLinter {
     /**
      * Convert JSON to XML format
      * @param {string} jsonString - The JSON string to convert
+     * @param {Object} options - XMLConverter options (convention, rootName, itemName, ...)
      * @returns {Object} Result object with success status and converted content or errors
      */
-    convertToXML(jsonString) {
-        // Use our validate method for consistent error handling
-        const validationResult = this.validate(jsonString);
+    convertToXML(jsonString, options = {}) {
+        // Use our validate method for consistent error handling; numbers keep their original lexemes
+        const validationResult = this.validate(jsonString, { losslessNumbers: true });
         if (!validationResult.isValid) {
             return {
                 success: false,
@@ -446,7 +494,7 @@ class JSONLinter {
 
         try {
             const jsonData = validationResult.data;
-            const xmlString = this.simpleXMLConverter(jsonData);
+            const xmlString = new XMLConverter(options).stringify(jsonData);
             return {
                 success: true,
                 converted: xmlString
@@ -454,7 +502,7 @@ class JSONLinter {
         } catch (error) {
             return {
                 success: false,
-                errors: [error.message]
+                errors: [this.formatError(error)]
             };
         }
     }
@@ -524,74 +572,10 @@ class JSONLinter {
     }
 
     /**
-     * Simple CSV converter (fallback implementation)
-     * @param {*} obj - The object to convert
-     * @returns {string} CSV string
-     */
-    simpleCSVConverter(obj) {
-        if (Array.isArray(obj) && obj.length > 0 && typeof obj[0] === 'object') {
-            const headers = Object.keys(obj[0]);
-            let csv = headers.join(',') + '\n';
-            
-            obj.forEach(row => {
-                const values = headers.map(header => {
-                    const value = row[header];
-                    return typeof value === 'string' ? `"${value}"` : value;
-                });
-                csv += values.join(',') + '\n';
-            });
-            
-            return csv;
-        } else {
-            return 'CSV conversion only supports arrays of objects';
-        }
-    }
-
-    /**
-     * Simple XML converter
-     * @param {*} obj - The object to convert
-     * @param {string} rootName - Root element name
-     * @returns {string} XML string
-     */
-    simpleXMLConverter(obj, rootName = 'root') {
-        function objectToXML(obj, indent = 0) {
-            const spaces = '  '.repeat(indent);
-            let xml = '';
-            
-            if (Array.isArray(obj)) {
-                obj.forEach((item, index) => {
-                    xml += spaces + `<item${index}>\n`;
-                    if (typeof item === 'object' && item !== null) {
-                        xml += objectToXML(item, indent + 1);
-                    } else {
-                        xml += spaces + '  ' + item + '\n';
-                    }
-                    xml += spaces + `</item${index}>\n`;
-                });
-            } else if (typeof obj === 'object' && obj !== null) {
-                Object.keys(obj).forEach(key => {
-                    const value = obj[key];
-                    xml += spaces + `<${key}>\n`;
-                    if (typeof value === 'object' && value !== null) {
-                        xml += objectToXML(value, indent + 1);
-                    } else {
-                        xml += spaces + '  ' + value + '\n';
-                    }
-                    xml += spaces + `</${key}>\n`;
-                });
-            }
-            
-            return xml;
-        }
-        
-        return `<?xml version="1.0" encoding="UTF-8"?>\n<${rootName}>\n${objectToXML(obj, 1)}</${rootName}>`;
-    }
-
-    /**
-     * Format error for consistent display
+     * Wrap an exception in a diagnostic object for consistent display
      */
     formatError(error) {
-        return error.message || 'Unknown error occurred';
+        return DiagnosticFormatter.create('internal-error', error.message || 'Unknown error occurred');
     }
 
     /**
@@ -667,6 +651,7 @@ class JSONLinter {
     reset() {
         this.isValid = false;
         this.errors = [];
+        this.warnings = [];
         this.formatted = '';
     }
 
@@ -0,0 +1,125 @@
+/**
+ * Lossless Number - Keeps a JSON number as its original lexeme
+ * Used so 64-bit IDs like 9007199254740993 and values like 1.10 survive formatting, conversion and diff
+ */
+
+class LosslessNumber {
+    constructor(raw) {
+        this.raw = raw;
+    }
+
+    /**
+     * Numeric value as a double (may be rounded)
+     */
+    valueOf() {
+        return Number(this.raw);
+    }
+
+    /**
+     * Original lexeme
+     */
+    toString() {
+        return this.raw;
+    }
+
+    /**
+     * JSON.stringify falls back to the (possibly rounded) double
+     */
+    toJSON() {
+        return this.valueOf();
+    }
+
+    /**
+     * Check whether this number survives a round trip through a double
+     */
+    isExact() {
+        return LosslessNumber.isExact(this.raw);
+    }
+
+    /**
+     * Compare by decimal value, so 1.10 equals 1.1 but 9007199254740993 does not equal 9007199254740992
+     */
+    equals(other) {
+        const otherRaw = other instanceof LosslessNumber ? other.raw : String(other);
+        return LosslessNumber.normalize(this.raw) === LosslessNumber.normalize(otherRaw);
+    }
+
+    /**
+     * Check whether a number lexeme can be represented exactly as a double
+     * @param {string} raw - A valid JSON number lexeme
+     * @returns {boolean} - False when JSON.parse would change the value (rounding, overflow or underflow)
+     */
+    static isExact(raw) {
+        const value = Number(raw);
+        if (!Number.isFinite(value)) {
+            return false;
+        }
+        return LosslessNumber.normalize(raw) === LosslessNumber.normalize(String(value));
+    }
+
+    /**
+     * Normalize a decimal lexeme to "<sign><digits>e<exponent>" with no leading or trailing zeros
+     * @param {string} raw - A number lexeme such as "-1.50e3"
+     * @returns {string} - Canonical form used for comparisons
+     */
+    static normalize(raw) {
+        const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(raw.trim());
+        if (!match) {
+            return raw;
+        }
+
+        const [, sign, integer, fraction = '', exponent = '0'] = match;
+        let digits = (integer + fraction).replace(/^0+/, '');
+        let exp = parseInt(exponent, 10) - fraction.length;
+
+        if (digits === '') {
+            return '0';
+        }
+
+        while (digits.endsWith('0')) {
+            digits = digits.slice(0, -1);
+            exp++;
+        }
+
+        return `${sign === '-' ? '-' : ''}${digits}e${exp}`;
+    }
+
+    /**
+     * Run a text renderer (YAML, TOML, XML...) over data that contains LosslessNumbers.
+     * Each number is swapped for a unique placeholder string, rendered, and the placeholder is replaced with the lexeme.
+     * @param {*} data - Parsed data that may contain LosslessNumber instances
+     * @param {Function} render - Renderer taking plain data and returning a string
+     * @returns {string} - Rendered output with the original number lexemes
+     */
+    static render(data, render) {
+        const tag = Math.random().toString(36).slice(2, 10);
+        const raws = [];
+
+        const replace = (value) => {
+            if (value instanceof LosslessNumber) {
+                raws.push(value.raw);
+                return `__lossless_${tag}_${raws.length - 1}__`;
+            }
+            if (Array.isArray(value)) {
+                return value.map(replace);
+            }
+            if (typeof value === 'object' && value !== null) {
+                const result = {};
+                Object.keys(value).forEach(key => {
+                    Object.defineProperty(result, key, { value: replace(value[key]), writable: true, enumerable: true, configurable: true });
+                });
+                return result;
+            }
+            return value;
+        };
+
+        const output = render(replace(data));
+        const placeholder = new RegExp(`(["']?)__lossless_${tag}_(\\d+)__\\1`, 'g');
+        return output.replace(placeholder, (match, quote, index) => raws[parseInt(index, 10)]);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LosslessNumber;
+}
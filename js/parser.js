@@ -0,0 +1,921 @@
+/**
+ * JSON Parser - Error-recovering scanner and parser used by JSONLinter
+ * Keeps going after a syntax error so every problem in the document is reported in one pass
+ * Dialects: 'json' (strict RFC 8259), 'jsonc' (comments and trailing commas) and 'json5'
+ */
+
+class JSONScanner {
+    constructor(text, report, options = {}) {
+        this.text = text;
+        this.report = report;
+        this.dialect = options.dialect || 'json';
+        this.pos = 0;
+    }
+
+    /**
+     * Read the next token
+     * @returns {Object} - Token with type, value, raw text and start/end offsets
+     */
+    next() {
+        this.skipWhitespace();
+
+        const start = this.pos;
+        if (start >= this.text.length) {
+            return { type: 'eof', value: null, raw: '', start, end: start };
+        }
+
+        const ch = this.text[start];
+
+        if ('{}[]:,'.includes(ch)) {
+            this.pos++;
+            return { type: 'punctuation', value: ch, raw: ch, start, end: this.pos };
+        }
+
+        if (ch === '"' || ch === "'") {
+            return this.scanString(ch);
+        }
+
+        if (ch === '/') {
+            return this.scanComment();
+        }
+
+        if (ch === '-' || ch === '+' || ch === '.' || (ch >= '0' && ch <= '9')) {
+            return this.scanNumber();
+        }
+
+        if (/[\p{L}\p{Nl}_$]/u.test(ch)) {
+            return this.scanWord();
+        }
+
+        this.pos++;
+        return { type: 'invalid', value: ch, raw: ch, start, end: this.pos };
+    }
+
+    /**
+     * Skip insignificant whitespace (JSON5 also allows the other ECMAScript whitespace characters)
+     */
+    skipWhitespace() {
+        while (this.pos < this.text.length) {
+            const ch = this.text[this.pos];
+            if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r') {
+                this.pos++;
+            } else if (this.dialect === 'json5' && /[\v\f\u00A0\uFEFF\u2028\u2029\p{Zs}]/u.test(ch)) {
+                this.pos++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Scan a line or block comment; the parser decides whether the dialect allows it
+     */
+    scanComment() {
+        const start = this.pos;
+        const kind = this.text[start + 1];
+
+        if (kind === '/') {
+            const newline = this.text.slice(start).search(/[\r\n]/);
+            this.pos = newline === -1 ? this.text.length : start + newline;
+            return { type: 'comment', value: this.text.slice(start + 2, this.pos), raw: this.text.slice(start, this.pos), block: false, start, end: this.pos };
+        }
+
+        if (kind === '*') {
+            const close = this.text.indexOf('*/', start + 2);
+            if (close === -1) {
+                this.pos = this.text.length;
+                this.report('unterminated-comment', "Unterminated block comment, expected '*/'", start, start + 2);
+            } else {
+                this.pos = close + 2;
+            }
+            const value = this.text.slice(start + 2, close === -1 ? this.pos : close);
+            return { type: 'comment', value, raw: this.text.slice(start, this.pos), block: true, start, end: this.pos };
+        }
+
+        this.pos++;
+        return { type: 'invalid', value: '/', raw: '/', start, end: this.pos };
+    }
+
+    /**
+     * Scan a quoted string, recovering at the end of the line when it is unterminated
+     */
+    scanString(quote) {
+        const start = this.pos;
+        let value = '';
+        this.pos++;
+
+        let unterminated = false;
+
+        while (true) {
+            if (this.pos >= this.text.length) {
+                this.report('unterminated-string', 'Unterminated string', start, this.pos);
+                unterminated = true;
+                break;
+            }
+
+            const ch = this.text[this.pos];
+
+            if (ch === quote) {
+                this.pos++;
+                break;
+            }
+
+            if (ch === '\n' || ch === '\r') {
+                this.report('unterminated-string', 'Unterminated string (missing closing quote before end of line)', start, this.pos);
+                unterminated = true;
+                break;
+            }
+
+            if (ch === '\\') {
+                value += this.scanEscape();
+                continue;
+            }
+
+            if (ch < ' ') {
+                this.report('control-character', 'Control characters must be escaped inside strings', this.pos, this.pos + 1);
+            }
+
+            value += ch;
+            this.pos++;
+        }
+
+        return { type: 'string', value, raw: this.text.slice(start, this.pos), quote, unterminated, start, end: this.pos };
+    }
+
+    /**
+     * Scan an escape sequence inside a string
+     * @returns {string} - The decoded character(s)
+     */
+    scanEscape() {
+        const start = this.pos;
+        const ch = this.text[this.pos + 1];
+        const simple = { '"': '"', '\\': '\\', '/': '/', 'b': '\b', 'f': '\f', 'n': '\n', 'r': '\r', 't': '\t' };
+
+        if (ch !== undefined && Object.prototype.hasOwnProperty.call(simple, ch)) {
+            this.pos += 2;
+            return simple[ch];
+        }
+
+        if (this.dialect === 'json5') {
+            const decoded = this.scanJSON5Escape(ch);
+            if (decoded !== null) {
+                return decoded;
+            }
+        }
+
+        if (ch === 'u') {
+            const hex = this.text.slice(this.pos + 2, this.pos + 6);
+            if (/^[0-9a-fA-F]{4}$/.test(hex)) {
+                this.pos += 6;
+                return String.fromCharCode(parseInt(hex, 16));
+            }
+            this.pos += 2;
+            this.report('invalid-unicode-escape', 'Invalid unicode escape, expected \\u followed by 4 hex digits', start, this.pos);
+            return '';
+        }
+
+        if (ch === undefined || ch === '\n' || ch === '\r') {
+            this.pos++;
+            return '';
+        }
+
+        this.pos += 2;
+        this.report('invalid-escape', `Invalid escape sequence \\${ch}`, start, this.pos);
+        return ch;
+    }
+
+    /**
+     * Decode the escapes JSON5 adds: line continuations, \', \v, \0, \xHH and escaped non-digit characters
+     * @returns {string|null} - The decoded text, or null when the escape is invalid in JSON5 too
+     */
+    scanJSON5Escape(ch) {
+        if (ch === '\r' && this.text[this.pos + 2] === '\n') {
+            this.pos += 3;
+            return '';
+        }
+
+        if (ch === '\n' || ch === '\r' || ch === '\u2028' || ch === '\u2029') {
+            this.pos += 2;
+            return '';
+        }
+
+        if (ch === 'x') {
+            const hex = this.text.slice(this.pos + 2, this.pos + 4);
+            if (!/^[0-9a-fA-F]{2}$/.test(hex)) return null;
+            this.pos += 4;
+            return String.fromCharCode(parseInt(hex, 16));
+        }
+
+        if (ch === '0' && !/[0-9]/.test(this.text[this.pos + 2] || '')) {
+            this.pos += 2;
+            return '\0';
+        }
+
+        if (ch === undefined || ch === 'u' || /[0-9]/.test(ch)) {
+            return null;
+        }
+
+        this.pos += 2;
+        return ch === 'v' ? '\v' : ch;
+    }
+
+    /**
+     * Scan a number lexeme and check it against the JSON (or JSON5) number grammar
+     * `decimal` marks lexemes that are also valid strict JSON numbers, the only ones kept lossless
+     */
+    scanNumber() {
+        const start = this.pos;
+        while (this.pos < this.text.length && /[0-9A-Za-z+\-.]/.test(this.text[this.pos])) {
+            this.pos++;
+        }
+
+        const raw = this.text.slice(start, this.pos);
+        const decimal = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(raw);
+        const valid = decimal || (this.dialect === 'json5' &&
+            /^[+-]?(0[xX][0-9a-fA-F]+|Infinity|NaN|((0|[1-9]\d*)(\.\d*)?|\.\d+)([eE][+-]?\d+)?)$/.test(raw));
+        if (!valid) {
+            this.report('invalid-number', `Invalid number '${raw}'`, start, this.pos);
+        }
+
+        return { type: 'number', value: this.numberValue(raw), raw, valid, decimal, start, end: this.pos };
+    }
+
+    /**
+     * Numeric value of a lexeme; Number() does not accept a sign in front of a hex literal
+     */
+    numberValue(raw) {
+        const hex = /^([+-]?)0[xX]([0-9a-fA-F]+)$/.exec(raw);
+        if (hex) {
+            const value = parseInt(hex[2], 16);
+            return hex[1] === '-' ? -value : value;
+        }
+        return Number(raw);
+    }
+
+    /**
+     * Scan a bare word: true/false/null or an identifier (only JSON5 allows those, as keys, Infinity and NaN)
+     */
+    scanWord() {
+        const start = this.pos;
+        while (this.pos < this.text.length && /[\p{L}\p{Nl}\p{Mn}\p{Mc}\p{Nd}\p{Pc}_$\u200C\u200D]/u.test(this.text[this.pos])) {
+            this.pos++;
+        }
+
+        const raw = this.text.slice(start, this.pos);
+        const literals = { 'true': true, 'false': false, 'null': null };
+        if (Object.prototype.hasOwnProperty.call(literals, raw)) {
+            return { type: 'literal', value: literals[raw], raw, start, end: this.pos };
+        }
+
+        return { type: 'identifier', value: raw, raw, start, end: this.pos };
+    }
+}
+
+class JSONParser {
+    constructor(options = {}) {
+        this.maxDiagnostics = options.maxDiagnostics || 100;
+        // Containers nest recursively, so deeper documents are reported rather than overflowing the stack
+        this.maxDepth = options.maxDepth || JSONParser.MAX_DEPTH;
+        // Keep numbers as LosslessNumber instances holding the original lexeme
+        this.losslessNumbers = options.losslessNumbers || false;
+        this.dialect = options.dialect || 'json';
+        // Record where every value is, keyed by JSON Pointer (RFC 6901)
+        this.trackPointers = options.trackPointers || false;
+        // Line and offset of the text within a larger document, e.g. a record of an NDJSON file
+        this.origin = options.origin || { line: 1, offset: 0 };
+    }
+
+    /**
+     * Parse a JSON string, collecting every syntax error instead of stopping at the first
+     * @param {string} text - The JSON string to parse
+     * @returns {Object} - Parsed data (undefined when there are errors) and the diagnostics list
+     */
+    parse(text) {
+        this.text = text;
+        this.diagnostics = [];
+        // Diagnostics reported per severity, including those past the cap
+        this.counts = {};
+        // Numbers a double cannot hold, and the one warning (with a count) that stands for those past the limit
+        this.precisionLosses = 0;
+        this.precisionSummary = null;
+        this.stack = [];
+        this.lineStarts = this.computeLineStarts(text);
+        this.scanner = new JSONScanner(text, (code, message, start, end) => this.report(code, message, start, end), { dialect: this.dialect });
+        this.token = null;
+        this.previous = null;
+        this.lastEnd = 0;
+        this.path = [];
+        this.keyToken = null;
+        this.pointers = this.trackPointers ? new Map() : null;
+        this.advance();
+
+        const data = this.parseValue();
+
+        // Anything after the root value is an error; keep parsing it so its own errors show up too
+        while (this.token.type !== 'eof') {
+            if (this.isClosing(this.token)) {
+                this.report('unexpected-closing-bracket', `Unexpected '${this.token.value}' with no matching opening bracket`, this.token.start, this.token.end);
+                this.advance();
+            } else if (this.startsValue(this.token)) {
+                this.report('unexpected-content', 'Unexpected content after the end of the JSON value', this.token.start, this.token.end);
+                this.parseValue();
+            } else {
+                this.report('unexpected-content', `Unexpected '${this.token.raw}' after the end of the JSON value`, this.token.start, this.token.end);
+                this.advance();
+            }
+        }
+
+        if (this.precisionSummary) {
+            const more = this.precisionLosses - JSONParser.MAX_PRECISION_WARNINGS;
+            this.precisionSummary.message = `${more} more number${more === 1 ? '' : 's'} from here on cannot be represented exactly as doubles`;
+            this.precisionSummary.count = more;
+        }
+
+        // Errors past the cap still count, so data is never returned for an invalid document
+        const hasErrors = this.counts.error > 0;
+        const result = {
+            data: hasErrors ? undefined : data,
+            diagnostics: this.diagnostics
+        };
+        if (this.pointers) {
+            result.pointers = this.pointers;
+        }
+        return result;
+    }
+
+    /**
+     * Parse any JSON value, recording its location when pointers are tracked
+     */
+    parseValue() {
+        if (!this.pointers) {
+            return this.parseValueToken();
+        }
+
+        const pointer = this.path.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+        const keyToken = this.keyToken;
+        const start = this.token.start;
+        this.keyToken = null;
+
+        const value = this.parseValueToken();
+
+        // Values of duplicate keys are replaced, like the data itself
+        this.pointers.set(pointer, {
+            start: this.positionAt(start),
+            end: this.positionAt(Math.max(start, this.lastEnd)),
+            key: keyToken ? { start: this.positionAt(keyToken.start), end: this.positionAt(keyToken.end) } : null
+        });
+        return value;
+    }
+
+    /**
+     * Parse the value at the current token
+     */
+    parseValueToken() {
+        const token = this.token;
+
+        switch (token.type) {
+            case 'punctuation':
+                if ((token.value === '{' || token.value === '[') && this.stack.length >= this.maxDepth) {
+                    return this.skipNested();
+                }
+                if (token.value === '{') return this.parseObject();
+                if (token.value === '[') return this.parseArray();
+                this.report('expected-value', `Expected a value but found '${token.value}'`, token.start, token.end);
+                return undefined;
+
+            case 'string':
+                if (token.quote !== '"' && this.dialect !== 'json5') {
+                    this.report('single-quoted-string', 'Strings must use double quotes', token.start, token.end);
+                }
+                this.advance();
+                return token.value;
+
+            case 'number':
+                this.advance();
+                return this.parseNumber(token);
+
+            case 'literal':
+                this.advance();
+                return token.value;
+
+            case 'identifier':
+                if (this.dialect === 'json5' && (token.raw === 'Infinity' || token.raw === 'NaN')) {
+                    this.advance();
+                    return token.value === 'NaN' ? NaN : Infinity;
+                }
+                this.report('unexpected-identifier', `Unexpected identifier '${token.raw}' (strings must be double-quoted)`, token.start, token.end);
+                this.advance();
+                return token.value;
+
+            case 'invalid':
+                this.report('unexpected-character', `Unexpected character '${token.value}'`, token.start, token.end);
+                this.advance();
+                return undefined;
+
+            default:
+                this.report('unexpected-end', 'Unexpected end of input, expected a value', token.start, token.end);
+                return undefined;
+        }
+    }
+
+    /**
+     * Turn a number token into a value, warning when a double cannot hold it exactly; past a few such
+     * numbers, one summary warning stands for the rest
+     * JSON5-only forms (hex, Infinity, leading '+'...) are read as plain doubles
+     */
+    parseNumber(token) {
+        if (!token.decimal) {
+            return token.value;
+        }
+
+        if (!LosslessNumber.isExact(token.raw)) {
+            this.precisionLosses++;
+            if (this.precisionLosses <= JSONParser.MAX_PRECISION_WARNINGS) {
+                this.report('precision-loss', `Number ${token.raw} cannot be represented exactly as a double; JSON.parse reads it as ${String(token.value)}`, token.start, token.end, {
+                    severity: 'warning'
+                });
+            } else if (this.precisionLosses === JSONParser.MAX_PRECISION_WARNINGS + 1) {
+                const reported = this.diagnostics.length;
+                // The message gets its final count once the whole document is parsed
+                this.report('precision-loss', '', token.start, token.end, { severity: 'warning' });
+                this.precisionSummary = this.diagnostics.length > reported ? this.diagnostics[reported] : null;
+            }
+        }
+
+        return this.losslessNumbers ? new LosslessNumber(token.raw) : token.value;
+    }
+
+    /**
+     * Parse an object, recovering from missing commas/colons and mismatched brackets
+     */
+    parseObject() {
+        const open = this.token;
+        const result = {};
+        const seenKeys = new Map();
+        this.stack.push('{');
+        this.advance();
+
+        if (this.isPunctuation('}')) {
+            this.advance();
+            this.stack.pop();
+            return result;
+        }
+
+        while (true) {
+            if (this.token.type === 'eof') {
+                this.report('unclosed-object', "Unclosed object, expected '}'", open.start, open.end);
+                break;
+            }
+
+            if (this.isPunctuation(',')) {
+                this.report('unexpected-comma', 'Unexpected comma, expected a property name', this.token.start, this.token.end);
+                this.advance();
+                continue;
+            }
+
+            if (this.isPunctuation('}')) {
+                this.advance();
+                break;
+            }
+
+            if (this.isClosing(this.token) && this.closeMismatched(open, '}')) {
+                break;
+            }
+
+            if (this.startsKey(this.token)) {
+                const keyToken = this.token;
+                const key = this.parseKey();
+                this.checkDuplicateKey(seenKeys, key, keyToken);
+
+                if (this.isPunctuation(':')) {
+                    this.advance();
+                } else {
+                    this.report('missing-colon', "Expected ':' after property name", this.lastEnd, this.lastEnd);
+                }
+
+                this.path.push(key);
+                this.keyToken = keyToken;
+                const value = this.startsValue(this.token) ? this.parseValue() : this.parseMissingValue();
+                this.keyToken = null;
+                this.path.pop();
+                this.setProperty(result, key, value);
+            } else {
+                this.skipMember();
+            }
+
+            if (this.isPunctuation(',')) {
+                const comma = this.token;
+                this.advance();
+                if (this.isPunctuation('}')) {
+                    this.reportTrailingComma('Trailing comma before closing brace', comma);
+                    this.advance();
+                    break;
+                }
+                continue;
+            }
+
+            if (this.isPunctuation('}')) {
+                this.advance();
+                break;
+            }
+
+            if (this.token.type === 'eof') {
+                this.report('unclosed-object', "Unclosed object, expected '}'", open.start, open.end);
+                break;
+            }
+
+            if (this.isClosing(this.token)) {
+                if (this.closeMismatched(open, '}')) break;
+                continue;
+            }
+
+            this.reportMissingComma("Expected ',' or '}' after property value");
+        }
+
+        this.stack.pop();
+        return result;
+    }
+
+    /**
+     * Parse an array, recovering from missing commas and mismatched brackets
+     */
+    parseArray() {
+        const open = this.token;
+        const result = [];
+        this.stack.push('[');
+        this.advance();
+
+        if (this.isPunctuation(']')) {
+            this.advance();
+            this.stack.pop();
+            return result;
+        }
+
+        while (true) {
+            if (this.token.type === 'eof') {
+                this.report('unclosed-array', "Unclosed array, expected ']'", open.start, open.end);
+                break;
+            }
+
+            if (this.isPunctuation(',')) {
+                this.report('unexpected-comma', 'Unexpected comma, expected a value', this.token.start, this.token.end);
+                this.advance();
+                continue;
+            }
+
+            if (this.isPunctuation(']')) {
+                this.advance();
+                break;
+            }
+
+            if (this.isClosing(this.token) && this.closeMismatched(open, ']')) {
+                break;
+            }
+
+            this.path.push(result.length);
+            result.push(this.parseValue());
+            this.path.pop();
+
+            if (this.isPunctuation(',')) {
+                const comma = this.token;
+                this.advance();
+                if (this.isPunctuation(']')) {
+                    this.reportTrailingComma('Trailing comma before closing bracket', comma);
+                    this.advance();
+                    break;
+                }
+                continue;
+            }
+
+            if (this.isPunctuation(']')) {
+                this.advance();
+                break;
+            }
+
+            if (this.token.type === 'eof') {
+                this.report('unclosed-array', "Unclosed array, expected ']'", open.start, open.end);
+                break;
+            }
+
+            if (this.isClosing(this.token)) {
+                if (this.closeMismatched(open, ']')) break;
+                continue;
+            }
+
+            if (this.isPunctuation(':')) {
+                this.report('unexpected-colon', "Unexpected ':' inside an array", this.token.start, this.token.end);
+                this.advance();
+                continue;
+            }
+
+            this.reportMissingComma("Expected ',' or ']' after array element");
+        }
+
+        this.stack.pop();
+        return result;
+    }
+
+    /**
+     * Skip a container nested too deeply to parse, counting brackets without recursing
+     */
+    skipNested() {
+        this.report('max-depth', `Nesting is deeper than ${this.maxDepth} levels`, this.token.start, this.token.end);
+
+        let depth = 0;
+        do {
+            if (this.isPunctuation('{') || this.isPunctuation('[')) {
+                depth++;
+            } else if (this.isClosing(this.token)) {
+                depth--;
+            }
+            this.advance();
+        } while (depth > 0 && this.token.type !== 'eof');
+
+        return undefined;
+    }
+
+    /**
+     * Parse a property name, accepting (and reporting) unquoted keys for recovery
+     * JSON5 allows single quotes and identifier names, but still not bare numbers
+     * @returns {string} - The key
+     */
+    parseKey() {
+        const token = this.token;
+        this.advance();
+
+        if (token.type !== 'string') {
+            if (this.dialect !== 'json5') {
+                this.report('unquoted-key', `Property name '${token.raw}' must be double-quoted`, token.start, token.end);
+            } else if (token.type === 'number') {
+                this.report('unquoted-key', `Property name '${token.raw}' must be a string or an identifier`, token.start, token.end);
+            }
+            return token.raw;
+        }
+
+        if (token.quote !== '"' && this.dialect !== 'json5') {
+            this.report('single-quoted-string', 'Property names must use double quotes', token.start, token.end);
+        }
+        return token.value;
+    }
+
+    /**
+     * Warn when a key repeats within the same object; JSON.parse silently keeps the last value
+     */
+    checkDuplicateKey(seenKeys, key, keyToken) {
+        const first = seenKeys.get(key);
+        if (!first) {
+            seenKeys.set(key, keyToken);
+            return;
+        }
+
+        const firstStart = this.positionAt(first.start);
+        this.report('duplicate-key', `Duplicate key "${key}" (first defined at line ${firstStart.line}, column ${firstStart.column}); only the last value is kept`, keyToken.start, keyToken.end, {
+            severity: 'warning',
+            related: [{
+                message: `First definition of "${key}"`,
+                start: firstStart,
+                end: this.positionAt(first.end)
+            }]
+        });
+    }
+
+    /**
+     * Skip a member that has no property name (e.g. `{ : 1 }` or `{ [1] }`)
+     */
+    skipMember() {
+        const token = this.token;
+        this.report('expected-property-name', 'Expected a double-quoted property name', token.start, token.end);
+
+        if (this.isPunctuation(':')) {
+            this.advance();
+        }
+
+        if (this.startsValue(this.token)) {
+            this.parseValue();
+        } else if (this.token.type === 'invalid') {
+            this.advance();
+        }
+    }
+
+    /**
+     * Handle a property whose value is missing (e.g. `"a": ,`)
+     */
+    parseMissingValue() {
+        const token = this.token;
+        if (token.type === 'invalid') {
+            this.report('unexpected-character', `Unexpected character '${token.value}'`, token.start, token.end);
+            this.advance();
+            return undefined;
+        }
+        this.report('expected-value', 'Expected a value', this.lastEnd, this.lastEnd);
+        return undefined;
+    }
+
+    /**
+     * Report a missing comma, unless it is a side effect of an unterminated string on the previous line
+     */
+    reportMissingComma(message) {
+        if (this.previous && this.previous.unterminated) {
+            return;
+        }
+        this.report('missing-comma', message, this.lastEnd, this.lastEnd);
+    }
+
+    /**
+     * Report a comma before a closing bracket; JSONC and JSON5 allow it
+     */
+    reportTrailingComma(message, comma) {
+        if (this.dialect === 'json') {
+            this.report('trailing-comma', message, comma.start, comma.end);
+        }
+    }
+
+    /**
+     * Decide what to do with a closing bracket that does not match the open container
+     * @returns {boolean} - True when the current container should be closed (the bracket belongs to a parent)
+     */
+    closeMismatched(open, expected) {
+        const token = this.token;
+        if (token.value === expected) {
+            return false;
+        }
+
+        const matchingOpen = token.value === '}' ? '{' : '[';
+        const belongsToParent = this.stack.slice(0, -1).includes(matchingOpen);
+
+        if (belongsToParent) {
+            const kind = expected === '}' ? 'object' : 'array';
+            this.report(`unclosed-${kind}`, `Unclosed ${kind}, expected '${expected}' before '${token.value}'`, open.start, open.end);
+            return true;
+        }
+
+        this.report('unexpected-closing-bracket', `Unexpected '${token.value}', expected '${expected}'`, token.start, token.end);
+        this.advance();
+        return false;
+    }
+
+    /**
+     * Assign a property, keeping "__proto__" as an own property like JSON.parse does
+     */
+    setProperty(target, key, value) {
+        if (key === '__proto__') {
+            Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+        } else {
+            target[key] = value;
+        }
+    }
+
+    /**
+     * Move to the next token, skipping comments (reported in strict JSON)
+     */
+    advance() {
+        if (this.token) {
+            this.previous = this.token;
+            this.lastEnd = this.token.end;
+        }
+
+        this.token = this.scanner.next();
+        while (this.token.type === 'comment') {
+            if (this.dialect === 'json') {
+                this.report('comment-not-allowed', 'Comments are not allowed in JSON', this.token.start, this.token.end);
+            }
+            this.token = this.scanner.next();
+        }
+    }
+
+    /**
+     * Check whether the current token is the given punctuation character
+     */
+    isPunctuation(ch) {
+        return this.token.type === 'punctuation' && this.token.value === ch;
+    }
+
+    /**
+     * Check whether a token is a closing bracket or brace
+     */
+    isClosing(token) {
+        return token.type === 'punctuation' && (token.value === '}' || token.value === ']');
+    }
+
+    /**
+     * Check whether a token can be read as a property name
+     */
+    startsKey(token) {
+        return token.type === 'string' || token.type === 'identifier' || token.type === 'literal' || token.type === 'number';
+    }
+
+    /**
+     * Check whether a token can start a value
+     */
+    startsValue(token) {
+        if (token.type === 'punctuation') {
+            return token.value === '{' || token.value === '[';
+        }
+        return token.type === 'string' || token.type === 'number' || token.type === 'literal' || token.type === 'identifier';
+    }
+
+    /**
+     * Record a diagnostic; errors and warnings are capped separately, so warnings never crowd out an error
+     * @param {Object} extra - Optional severity (defaults to 'error') and related locations
+     */
+    report(code, message, start, end, extra = {}) {
+        // One problem per location: recovery can otherwise trip over the same token twice
+        const severity = extra.severity || 'error';
+        const last = this.diagnostics[this.diagnostics.length - 1];
+        if (last && last.start.offset === start + this.origin.offset && last.severity === severity) {
+            return;
+        }
+
+        const count = this.counts[severity] || 0;
+        this.counts[severity] = count + 1;
+        if (count >= this.maxDiagnostics) {
+            return;
+        }
+
+        const diagnostic = {
+            code,
+            message,
+            severity,
+            start: this.positionAt(start),
+            end: this.positionAt(Math.max(start, end)),
+            hint: this.getHint(code)
+        };
+        if (extra.related) {
+            diagnostic.related = extra.related;
+        }
+        this.diagnostics.push(diagnostic);
+    }
+
+    /**
+     * Get a short suggestion for fixing a diagnostic
+     */
+    getHint(code) {
+        const hints = {
+            'unterminated-string': 'Add the closing quote, or write line breaks inside strings as \\n',
+            'control-character': 'Escape tabs and other control characters (e.g. \\t)',
+            'invalid-unicode-escape': 'Unicode escapes need exactly four hex digits, e.g. \\u00e9',
+            'invalid-escape': 'Only \\" \\\\ \\/ \\b \\f \\n \\r \\t and \\uXXXX are valid escapes; use \\\\ for a literal backslash',
+            'invalid-number': 'JSON numbers cannot have leading zeros, a leading + or a bare decimal point (JSON5 allows the last two)',
+            'single-quoted-string': 'Replace the single quotes with double quotes, or switch the dialect to JSON5',
+            'unquoted-key': 'Wrap the property name in double quotes, or switch the dialect to JSON5',
+            'unexpected-identifier': 'Use true, false or null, or wrap text in double quotes',
+            'missing-comma': 'Add a comma between the two values',
+            'missing-colon': "Add ':' between the property name and its value",
+            'trailing-comma': 'Remove the comma before the closing bracket, or switch the dialect to JSONC or JSON5',
+            'comment-not-allowed': 'Remove the comment, or switch the dialect to JSONC or JSON5',
+            'unterminated-comment': "Close the block comment with '*/'",
+            'unexpected-comma': 'Remove the extra comma',
+            'unclosed-object': "Add the missing '}'",
+            'unclosed-array': "Add the missing ']'",
+            'unexpected-closing-bracket': 'Remove the bracket or add its opening counterpart',
+            'unexpected-content': 'A JSON document holds a single value; wrap multiple values in an array, or switch the dialect to NDJSON for one value per line',
+            'expected-property-name': 'Every object member needs a double-quoted name followed by a colon',
+            'duplicate-key': 'Remove or rename one of the keys; parsers disagree on which value wins',
+            'precision-loss': 'Quote the number as a string if consumers need every digit',
+            'max-depth': 'Flatten the structure; few tools handle documents nested this deeply'
+        };
+        return hints[code] || null;
+    }
+
+    /**
+     * Compute the offset at which each line starts
+     */
+    computeLineStarts(text) {
+        const starts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') {
+                starts.push(i + 1);
+            }
+        }
+        return starts;
+    }
+
+    /**
+     * Convert an offset to 1-based line and column numbers
+     * @returns {Object} - Position with line, column and offset
+     */
+    positionAt(offset) {
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return { line: low + this.origin.line, column: offset - this.lineStarts[low] + 1, offset: offset + this.origin.offset };
+    }
+}
+
+// Deepest nesting of objects and arrays the parser reads
+JSONParser.MAX_DEPTH = 1000;
+
+// Numbers that lose precision get a warning each up to this many, then one summary warning
+JSONParser.MAX_PRECISION_WARNINGS = 10;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { JSONScanner, JSONParser };
+}
@@ -0,0 +1,296 @@
+/**
+ * Query String Converter - Converts JSON to and from application/x-www-form-urlencoded query strings
+ * Styles: 'brackets' (qs/Rails, a[b][0]=1), 'dotted' (a.b[0]=1) and 'repeat' (arrays of values repeat
+ * their key, a=1&a=2; objects use brackets). Parsing follows qs, which Express uses: every value is a
+ * string, numeric indices up to 20 (and []) build arrays, and repeated keys collect into an array
+ */
+
+class QueryStringConverter {
+    /**
+     * Create a converter
+     * @param {Object} options - Options
+     * @param {string} options.style - 'brackets', 'dotted' or 'repeat' (default 'brackets')
+     * @param {boolean} options.encodeBrackets - Percent-encode '[' and ']' in keys, as URLSearchParams does (default true)
+     * @param {boolean} options.spaceAsPlus - Write spaces as '+' rather than %20 (default true)
+     */
+    constructor(options = {}) {
+        this.style = options.style || 'brackets';
+        this.encodeBrackets = options.encodeBrackets !== false;
+        this.spaceAsPlus = options.spaceAsPlus !== false;
+
+        if (!QueryStringConverter.STYLES[this.style]) {
+            throw new Error(`Unknown query string style: ${this.style}`);
+        }
+    }
+
+    /**
+     * Write data as a query string
+     * @param {Object} data - An object; its values may nest
+     * @returns {string} - The query string, without a leading '?'
+     */
+    stringify(data) {
+        return this.getPairs(data)
+            .map(([key, value]) => `${this.encode(key, true)}=${this.encode(value, false)}`)
+            .join('&');
+    }
+
+    /**
+     * The decoded key/value pairs the query string holds, in order
+     * @param {Object} data - An object; its values may nest
+     * @returns {Array} - [key, value] pairs of strings; empty objects and arrays have none, null is ''
+     */
+    getPairs(data) {
+        if (data === null || typeof data !== 'object' || Array.isArray(data) || data instanceof LosslessNumber) {
+            throw new Error('A query string needs an object at the top level');
+        }
+
+        const pairs = [];
+        Object.keys(data).forEach(key => this.addPairs(pairs, key, data[key]));
+        return pairs;
+    }
+
+    /**
+     * Add the pairs of a value under a key
+     */
+    addPairs(pairs, key, value) {
+        if (Array.isArray(value)) {
+            const repeat = this.style === 'repeat' && value.every(item => this.isScalar(item));
+            value.forEach((item, index) => this.addPairs(pairs, repeat ? key : `${key}[${index}]`, item));
+        } else if (!this.isScalar(value)) {
+            Object.keys(value).forEach(child => {
+                this.addPairs(pairs, this.style === 'dotted' ? `${key}.${child}` : `${key}[${child}]`, value[child]);
+            });
+        } else {
+            pairs.push([key, this.toText(value)]);
+        }
+    }
+
+    /**
+     * Text of a scalar value
+     */
+    toText(value) {
+        if (value === null) return '';
+        if (value instanceof LosslessNumber) return value.raw;
+        return String(value);
+    }
+
+    /**
+     * Whether a value is a string, number, boolean or null
+     */
+    isScalar(value) {
+        return value === null || typeof value !== 'object' || value instanceof LosslessNumber;
+    }
+
+    /**
+     * Percent-encode text as application/x-www-form-urlencoded: everything but letters, digits and
+     * '*-._' is encoded as UTF-8 bytes
+     * @param {boolean} isKey - Keys may keep their brackets readable
+     */
+    encode(text, isKey) {
+        let encoded;
+        try {
+            encoded = encodeURIComponent(text);
+        } catch (error) {
+            throw new Error(`"${text}" contains an unpaired surrogate and cannot be encoded as UTF-8`);
+        }
+
+        encoded = encoded.replace(/[!'()~]/g, character => `%${character.charCodeAt(0).toString(16).toUpperCase()}`);
+        if (this.spaceAsPlus) {
+            encoded = encoded.replace(/%20/g, '+');
+        }
+        if (isKey && !this.encodeBrackets) {
+            encoded = encoded.replace(/%5B/g, '[').replace(/%5D/g, ']');
+        }
+        return encoded;
+    }
+
+    /**
+     * Read a query string, or a URL with one, into the pairs it holds
+     * @param {string} text - e.g. 'a%5Bb%5D=1&c=2', '?a=1' or 'https://example.com/?a=1#top'
+     * @returns {Array} - Decoded [key, value] pairs
+     */
+    parsePairs(text) {
+        let query = text.trim();
+        if (/^[a-z][a-z0-9+.-]*:\/\//i.test(query)) {
+            const start = query.indexOf('?');
+            query = start < 0 ? '' : query.slice(start + 1);
+        }
+        query = query.replace(/^\?/, '').replace(/#.*$/s, '');
+
+        return query.split('&').filter(part => part).map(part => {
+            const separator = part.indexOf('=');
+            const key = separator < 0 ? part : part.slice(0, separator);
+            const value = separator < 0 ? '' : part.slice(separator + 1);
+            return [this.decode(key), this.decode(value)];
+        });
+    }
+
+    /**
+     * Undo form encoding: '+' is a space, %XX are UTF-8 bytes
+     */
+    decode(text) {
+        try {
+            return decodeURIComponent(text.replace(/\+/g, ' '));
+        } catch (error) {
+            throw new Error(`"${text}" is not valid percent-encoding`);
+        }
+    }
+
+    /**
+     * Parse a query string the way qs (and so Express) does
+     * @param {string} text - The query string or URL
+     * @returns {Object} - Nested data whose values are strings
+     */
+    parse(text) {
+        const root = {};
+        this.parsePairs(text).forEach(([key, value]) => {
+            if (key) this.setPath(root, this.parseKey(key), value);
+        });
+        return this.compact(root);
+    }
+
+    /**
+     * Split a key into its parts: a[b][0] → ['a', 'b', '0'], a[] → ['a', ''], and in the dotted style
+     * a.b → ['a', 'b']
+     */
+    parseKey(key) {
+        const source = this.style === 'dotted' ? key.replace(/\.([^.[]+)/g, '[$1]') : key;
+        const first = source.search(/\[[^[\]]*\]/);
+        if (first < 0) return [source];
+
+        // As in qs, the brackets after the first one are read wherever they are, and other text is dropped
+        const parts = first > 0 ? [source.slice(0, first)] : [];
+        source.slice(first).match(/\[[^[\]]*\]/g).forEach(part => parts.push(part.slice(1, -1)));
+        return parts;
+    }
+
+    /**
+     * Whether a key part is read as an array index
+     */
+    isIndex(part) {
+        return part === '' || (/^\d+$/.test(part) && Number(part) <= QueryStringConverter.ARRAY_LIMIT);
+    }
+
+    /**
+     * Put a value at a path; '' appends to an array, numbers up to the array limit are indices, and a
+     * repeated key turns its values into an array
+     */
+    setPath(root, parts, value) {
+        let container = root;
+        parts.forEach((part, index) => {
+            const name = part === '' ? this.nextIndex(container) : part;
+            if (index === parts.length - 1) {
+                this.assign(container, name, value);
+                return;
+            }
+
+            const wantsArray = this.isIndex(parts[index + 1]);
+            let child = this.get(container, name);
+            if (child === undefined || typeof child === 'string') {
+                const created = wantsArray ? new QueryStringConverter.SparseArray() : {};
+                // A plain value and a nested one under the same key keep both, like qs
+                if (typeof child === 'string') this.set(created, 0, child);
+                child = created;
+                this.set(container, name, child);
+            } else if (child instanceof QueryStringConverter.SparseArray && !wantsArray) {
+                // A key that is not an index turns the array into an object, as in qs
+                child = this.toObject(child);
+                this.set(container, name, child);
+            }
+            container = child;
+        });
+    }
+
+    /**
+     * Set a member, collecting repeated values into an array
+     */
+    assign(container, name, value) {
+        const existing = this.get(container, name);
+        if (existing === undefined) {
+            this.set(container, name, value);
+        } else if (existing instanceof QueryStringConverter.SparseArray) {
+            this.assign(existing, this.nextIndex(existing), value);
+        } else if (typeof existing === 'string') {
+            const array = new QueryStringConverter.SparseArray();
+            this.set(array, 0, existing);
+            this.set(array, 1, value);
+            this.set(container, name, array);
+        }
+        // A value for a key that already holds an object is dropped, as in qs
+    }
+
+    /**
+     * Get a member of an object or sparse array
+     */
+    get(container, name) {
+        if (container instanceof QueryStringConverter.SparseArray) return container.items.get(Number(name));
+        return Object.prototype.hasOwnProperty.call(container, name) ? container[name] : undefined;
+    }
+
+    /**
+     * Set a member of an object or sparse array
+     */
+    set(container, name, value) {
+        if (container instanceof QueryStringConverter.SparseArray) {
+            container.items.set(Number(name), value);
+        } else {
+            Object.defineProperty(container, name, { value, writable: true, enumerable: true, configurable: true });
+        }
+    }
+
+    /**
+     * Index after the last item of an array; objects take the next free number as a key
+     */
+    nextIndex(container) {
+        if (container instanceof QueryStringConverter.SparseArray) {
+            return container.items.size === 0 ? 0 : Math.max(...container.items.keys()) + 1;
+        }
+        return Object.keys(container).length;
+    }
+
+    /**
+     * Turn a sparse array into an object keyed by its indices
+     */
+    toObject(array) {
+        const object = {};
+        Array.from(array.items.keys()).sort((a, b) => a - b).forEach(index => this.set(object, String(index), array.items.get(index)));
+        return object;
+    }
+
+    /**
+     * Turn sparse arrays into arrays of their items in index order, as qs compacts them
+     */
+    compact(value) {
+        if (value instanceof QueryStringConverter.SparseArray) {
+            return Array.from(value.items.keys()).sort((a, b) => a - b).map(index => this.compact(value.items.get(index)));
+        }
+        if (value !== null && typeof value === 'object') {
+            Object.keys(value).forEach(key => {
+                value[key] = this.compact(value[key]);
+            });
+        }
+        return value;
+    }
+}
+
+// Arrays while parsing: items by index, so gaps and late indices are kept until compact()
+QueryStringConverter.SparseArray = class {
+    constructor() {
+        this.items = new Map();
+    }
+};
+
+// Styles for menus
+QueryStringConverter.STYLES = {
+    brackets: 'Brackets: a[b][0]=1 (qs, Rails, PHP)',
+    dotted: 'Dotted: a.b[0]=1 (Spring, qs allowDots)',
+    repeat: 'Repeat: a=1&a=2 (URLSearchParams, Go, Flask)'
+};
+
+// Highest index read as an array index, as qs's arrayLimit
+QueryStringConverter.ARRAY_LIMIT = 20;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QueryStringConverter;
+}
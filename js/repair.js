@@ -0,0 +1,487 @@
+/**
+ * JSON Repairer - Turns almost-JSON into JSON and records every fix it makes
+ * Handles Python reprs (True/None, single quotes), JS object literals (unquoted keys, comments),
+ * trailing or missing commas, unescaped line breaks in strings and unclosed brackets
+ */
+
+class JSONRepairer {
+    constructor() {
+        this.literals = {
+            'true': 'true',
+            'false': 'false',
+            'null': 'null',
+            'True': 'true',
+            'False': 'false',
+            'None': 'null',
+            'undefined': 'null',
+            'NaN': 'null',
+            'Infinity': 'null'
+        };
+    }
+
+    /**
+     * Repair a document
+     * @param {string} text - The malformed input
+     * @returns {Object} - Repaired text and the fixes applied (diagnostics with severity 'fix', positioned in the repaired text)
+     */
+    repair(text) {
+        this.text = text;
+        this.pos = 0;
+        this.output = '';
+        this.lastTokenEnd = 0;
+        this.pending = [];
+        // Containers are {type: '{' | '[', state}; the root only tracks whether it holds a value yet
+        this.stack = [];
+        this.root = { type: null, state: 'value' };
+
+        while (this.pos < this.text.length) {
+            this.step();
+        }
+
+        while (this.stack.length > 0) {
+            const container = this.stack[this.stack.length - 1];
+            const closer = container.type === '{' ? '}' : ']';
+            this.completeMember(container);
+            this.insert(this.lastTokenEnd, closer, 'unclosed-bracket', `Added missing '${closer}'`);
+            this.stack.pop();
+        }
+
+        return {
+            text: this.output,
+            fixes: this.createFixes()
+        };
+    }
+
+    /**
+     * Handle the character at the current position
+     */
+    step() {
+        const ch = this.text[this.pos];
+        const next = this.text[this.pos + 1];
+
+        if (/\s/.test(ch)) {
+            this.output += ch;
+            this.pos++;
+        } else if ((ch === '/' && (next === '/' || next === '*')) || ch === '#') {
+            this.skipComment();
+        } else if (ch === '{' || ch === '[') {
+            this.beforeValue();
+            this.emit(ch);
+            this.pos++;
+            this.stack.push({ type: ch, state: ch === '{' ? 'key' : 'value' });
+        } else if (ch === '}' || ch === ']') {
+            this.closeContainer(ch);
+        } else if (ch === ':') {
+            this.readColon();
+        } else if (ch === ',') {
+            this.readComma();
+        } else if (ch === '"' || ch === "'") {
+            this.readString(ch);
+        } else if (/[-+.0-9]/.test(ch)) {
+            this.readNumber();
+        } else if (/[\p{L}_$]/u.test(ch)) {
+            this.readWord();
+        } else {
+            this.pos++;
+            this.record('unexpected-character', `Removed unexpected character '${ch}'`, this.output.length);
+        }
+    }
+
+    /**
+     * Drop a line (// or #) or block comment
+     */
+    skipComment() {
+        const start = this.pos;
+        if (this.text[this.pos] === '/' && this.text[this.pos + 1] === '*') {
+            const close = this.text.indexOf('*/', this.pos + 2);
+            this.pos = close === -1 ? this.text.length : close + 2;
+        } else {
+            while (this.pos < this.text.length && this.text[this.pos] !== '\n' && this.text[this.pos] !== '\r') {
+                this.pos++;
+            }
+        }
+        this.record('comment', `Removed comment ${this.preview(this.text.slice(start, this.pos))}`, this.output.length);
+    }
+
+    /**
+     * Work out whether the next token is a key or a value, inserting a missing comma or colon first
+     * @returns {string} - 'key' or 'value'
+     */
+    beforeValue() {
+        const container = this.context();
+
+        if (container.type === '{') {
+            if (container.state === 'comma') {
+                this.insert(this.lastTokenEnd, ',', 'missing-comma', 'Added missing comma');
+                container.state = 'key';
+            } else if (container.state === 'colon') {
+                this.insert(this.lastTokenEnd, ':', 'missing-colon', "Added missing ':'");
+                container.state = 'value';
+            }
+
+            if (container.state === 'key') {
+                container.state = 'colon';
+                return 'key';
+            }
+            container.state = 'comma';
+            return 'value';
+        }
+
+        if (container.type === '[' && container.state === 'comma') {
+            this.insert(this.lastTokenEnd, ',', 'missing-comma', 'Added missing comma');
+        }
+        container.state = 'comma';
+        return 'value';
+    }
+
+    /**
+     * Close the innermost container, fixing brackets that do not match
+     */
+    closeContainer(ch) {
+        this.pos++;
+
+        if (this.stack.length === 0) {
+            this.record('unexpected-closing-bracket', `Removed unmatched '${ch}'`, this.output.length);
+            return;
+        }
+
+        const opener = ch === '}' ? '{' : '[';
+        if (this.stack[this.stack.length - 1].type !== opener && !this.stack.some(container => container.type === opener)) {
+            const expected = this.stack[this.stack.length - 1].type === '{' ? '}' : ']';
+            this.completeMember(this.stack[this.stack.length - 1]);
+            this.record('mismatched-bracket', `Replaced '${ch}' with '${expected}'`, this.output.length);
+            this.emit(expected);
+            this.stack.pop();
+            return;
+        }
+
+        // Close any containers left open inside the one this bracket belongs to
+        while (this.stack[this.stack.length - 1].type !== opener) {
+            const closer = this.stack[this.stack.length - 1].type === '{' ? '}' : ']';
+            this.completeMember(this.stack[this.stack.length - 1]);
+            this.insert(this.lastTokenEnd, closer, 'unclosed-bracket', `Added missing '${closer}'`);
+            this.stack.pop();
+        }
+
+        this.completeMember(this.stack[this.stack.length - 1]);
+        this.emit(ch);
+        this.stack.pop();
+    }
+
+    /**
+     * Give a property whose value is missing a null value before its object closes
+     */
+    completeMember(container) {
+        if (container.type !== '{') return;
+
+        if (container.state === 'colon') {
+            this.insert(this.lastTokenEnd, ': null', 'missing-value', 'Added null for a property without a value');
+        } else if (container.state === 'value') {
+            this.insert(this.lastTokenEnd, ' null', 'missing-value', 'Added null for a property without a value');
+        }
+        container.state = 'comma';
+    }
+
+    /**
+     * Keep a colon that follows a property name and drop any other
+     */
+    readColon() {
+        const container = this.context();
+        this.pos++;
+
+        if (container.type === '{' && container.state === 'colon') {
+            this.emit(':');
+            container.state = 'value';
+            return;
+        }
+        this.record('unexpected-colon', "Removed unexpected ':'", this.output.length);
+    }
+
+    /**
+     * Keep a comma between members and drop trailing or repeated ones
+     */
+    readComma() {
+        const container = this.context();
+        this.pos++;
+
+        const next = this.peekSignificant();
+        if (container.type && (next === '}' || next === ']' || next === undefined)) {
+            this.record('trailing-comma', 'Removed trailing comma', this.output.length);
+            return;
+        }
+
+        // `{"a": , ...}` or `{"a", ...}`: keep the member with a null value
+        if (container.type === '{' && (container.state === 'value' || container.state === 'colon')) {
+            this.completeMember(container);
+        }
+
+        if (container.state !== 'comma' || !container.type) {
+            this.record('unexpected-comma', 'Removed extra comma', this.output.length);
+            return;
+        }
+
+        this.emit(',');
+        container.state = container.type === '{' ? 'key' : 'value';
+    }
+
+    /**
+     * Read a single- or double-quoted string and write it as a valid JSON string
+     */
+    readString(quote) {
+        this.beforeValue();
+
+        const start = this.pos;
+        let end = this.findClosingQuote(quote);
+        if (end !== -1 && /[\r\n]/.test(this.text.slice(start, end)) && !/^[,:}\]]?$/.test(this.peekSignificant(end + 1) || '')) {
+            // The quote found on a later line opens another string, so this one was never closed
+            end = -1;
+        }
+        const unterminated = end === -1;
+        if (unterminated) {
+            // No closing quote anywhere: end the string at the end of its line
+            const newline = this.text.slice(start + 1).search(/[\r\n]/);
+            end = newline === -1 ? this.text.length : start + 1 + newline;
+        }
+
+        const fixStart = this.output.length;
+        let value = '';
+        let escapedLineBreak = false;
+        let escapedControl = false;
+        let fixedEscape = false;
+
+        for (let i = start + 1; i < end; i++) {
+            const ch = this.text[i];
+
+            if (ch === '\\') {
+                const escape = this.repairEscape(i, quote);
+                value += escape.text;
+                fixedEscape = fixedEscape || escape.fixed;
+                i += escape.length - 1;
+            } else if (ch === '"') {
+                value += '\\"';
+            } else if (ch === '\n' || ch === '\r') {
+                value += ch === '\n' ? '\\n' : '\\r';
+                escapedLineBreak = true;
+            } else if (ch === '\t') {
+                value += '\\t';
+                escapedControl = true;
+            } else if (ch < ' ') {
+                value += `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`;
+                escapedControl = true;
+            } else {
+                value += ch;
+            }
+        }
+
+        this.pos = unterminated ? end : end + 1;
+        this.emit(`"${value}"`);
+
+        if (quote === "'") {
+            this.record('single-quoted-string', 'Replaced single quotes with double quotes', fixStart);
+        }
+        if (escapedLineBreak) {
+            this.record('unescaped-newline', 'Escaped line break inside string', fixStart);
+        }
+        if (escapedControl) {
+            this.record('control-character', 'Escaped control character inside string', fixStart);
+        }
+        if (fixedEscape) {
+            this.record('invalid-escape', 'Fixed invalid escape sequence inside string', fixStart);
+        }
+        if (unterminated) {
+            this.record('unterminated-string', 'Added missing closing quote', this.output.length - 1);
+        }
+    }
+
+    /**
+     * Find the quote that closes the string starting at the current position
+     * @returns {number} - Offset of the closing quote, or -1
+     */
+    findClosingQuote(quote) {
+        for (let i = this.pos + 1; i < this.text.length; i++) {
+            if (this.text[i] === '\\') {
+                i++;
+            } else if (this.text[i] === quote) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Rewrite the escape sequence at an offset so JSON accepts it
+     * @returns {Object} - Replacement text, number of source characters consumed and whether anything changed
+     */
+    repairEscape(offset, quote) {
+        const ch = this.text[offset + 1];
+
+        if (ch !== undefined && '"\\/bfnrt'.includes(ch)) {
+            return { text: `\\${ch}`, length: 2, fixed: false };
+        }
+
+        if (ch === 'u' && /^[0-9a-fA-F]{4}$/.test(this.text.slice(offset + 2, offset + 6))) {
+            return { text: this.text.slice(offset, offset + 6), length: 6, fixed: false };
+        }
+
+        if (ch === "'") {
+            return { text: "'", length: 2, fixed: quote !== "'" };
+        }
+
+        if (ch === 'x' && /^[0-9a-fA-F]{2}$/.test(this.text.slice(offset + 2, offset + 4))) {
+            return { text: `\\u00${this.text.slice(offset + 2, offset + 4)}`, length: 4, fixed: true };
+        }
+
+        // A stray backslash: keep it as a literal character
+        return { text: '\\\\', length: 1, fixed: true };
+    }
+
+    /**
+     * Read a number, rewriting forms JSON does not allow (hex, leading +, bare decimal points, leading zeros)
+     */
+    readNumber() {
+        const match = /^[-+]?(0[xX][0-9a-fA-F]+|Infinity|NaN|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)/.exec(this.text.slice(this.pos));
+        if (!match) {
+            const ch = this.text[this.pos];
+            this.pos++;
+            this.record('unexpected-character', `Removed unexpected character '${ch}'`, this.output.length);
+            return;
+        }
+
+        const raw = match[0];
+        const sign = raw[0] === '-' ? '-' : '';
+        let body = raw.replace(/^[-+]/, '');
+        let number;
+
+        if (body === 'Infinity' || body === 'NaN') {
+            number = 'null';
+        } else if (/^0[xX]/.test(body)) {
+            number = sign + String(parseInt(body, 16));
+        } else {
+            body = body.replace(/^\./, '0.').replace(/\.(?=[eE]|$)/, '').replace(/^0+(?=\d)/, '');
+            number = sign + body;
+        }
+
+        this.beforeValue();
+        this.pos += raw.length;
+        if (number !== raw) {
+            this.record('invalid-number', `Rewrote number ${raw} as ${number}`, this.output.length);
+        }
+        this.emit(number);
+    }
+
+    /**
+     * Read a bare word: an unquoted key, a Python/JavaScript literal or unquoted text
+     */
+    readWord() {
+        const word = /^[\p{L}\p{N}_$]+/u.exec(this.text.slice(this.pos))[0];
+        const role = this.beforeValue();
+        this.pos += word.length;
+
+        if (role === 'key') {
+            this.record('unquoted-key', `Quoted property name ${word}`, this.output.length);
+            this.emit(JSON.stringify(word));
+        } else if (Object.prototype.hasOwnProperty.call(this.literals, word)) {
+            const literal = this.literals[word];
+            if (literal !== word) {
+                this.record('literal', `Replaced ${word} with ${literal}`, this.output.length);
+            }
+            this.emit(literal);
+        } else {
+            this.record('unquoted-string', `Quoted bare word ${word}`, this.output.length);
+            this.emit(JSON.stringify(word));
+        }
+    }
+
+    /**
+     * Get the innermost open container, or the root
+     */
+    context() {
+        return this.stack.length > 0 ? this.stack[this.stack.length - 1] : this.root;
+    }
+
+    /**
+     * Look past whitespace and comments for the next significant character
+     * @param {number} from - Offset to start looking at (defaults to the current position)
+     */
+    peekSignificant(from = this.pos) {
+        let i = from;
+        while (i < this.text.length) {
+            const ch = this.text[i];
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (ch === '/' && this.text[i + 1] === '*') {
+                const close = this.text.indexOf('*/', i + 2);
+                i = close === -1 ? this.text.length : close + 2;
+            } else if ((ch === '/' && this.text[i + 1] === '/') || ch === '#') {
+                while (i < this.text.length && this.text[i] !== '\n') i++;
+            } else {
+                return ch;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Append a token to the output
+     */
+    emit(text) {
+        this.output += text;
+        this.lastTokenEnd = this.output.length;
+    }
+
+    /**
+     * Insert text at an earlier output offset (e.g. a comma right after the previous value) and record the fix
+     */
+    insert(offset, text, code, message) {
+        this.output = this.output.slice(0, offset) + text + this.output.slice(offset);
+        this.pending.forEach(fix => {
+            if (fix.offset >= offset) fix.offset += text.length;
+        });
+        if (this.lastTokenEnd >= offset) {
+            this.lastTokenEnd += text.length;
+        }
+        this.record(code, message, offset);
+    }
+
+    /**
+     * Remember a fix at an offset in the output
+     */
+    record(code, message, offset) {
+        this.pending.push({ code, message, offset });
+    }
+
+    /**
+     * Turn the recorded fixes into diagnostics positioned in the repaired text
+     */
+    createFixes() {
+        const lines = this.output.split('\n');
+        const lineStarts = [0];
+        lines.slice(0, -1).forEach(line => lineStarts.push(lineStarts[lineStarts.length - 1] + line.length + 1));
+
+        const positionAt = (offset) => {
+            let line = lineStarts.length - 1;
+            while (line > 0 && lineStarts[line] > offset) line--;
+            return { line: line + 1, column: offset - lineStarts[line] + 1, offset };
+        };
+
+        return this.pending
+            .sort((a, b) => a.offset - b.offset)
+            .map(fix => {
+                const position = positionAt(fix.offset);
+                return { code: fix.code, message: fix.message, severity: 'fix', start: position, end: position, hint: null };
+            });
+    }
+
+    /**
+     * Shorten text for use in a fix message
+     */
+    preview(text) {
+        const singleLine = text.replace(/\s+/g, ' ').trim();
+        return singleLine.length > 30 ? `${singleLine.slice(0, 27)}...` : singleLine;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JSONRepairer;
+}
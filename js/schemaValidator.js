@@ -0,0 +1,680 @@
+/**
+ * JSON Schema Validator - Validates data against draft-07 and 2020-12 schemas
+ * Supports $ref/$defs (JSON Pointer fragments, $id and $anchor), the applicators (allOf, anyOf, oneOf, not,
+ * if/then/else), the validation vocabulary and format assertions. unevaluatedProperties/unevaluatedItems
+ * and references to schemas outside the document are not supported.
+ */
+
+class JSONSchemaValidator {
+    /**
+     * @param {Object|boolean} schema - The schema; draft-07 is used when its $schema names draft-04 to draft-07,
+     *                                  2020-12 otherwise
+     */
+    constructor(schema) {
+        if (schema === null || (typeof schema !== 'object' && typeof schema !== 'boolean') || Array.isArray(schema)) {
+            throw new Error('A schema must be an object or a boolean');
+        }
+
+        this.schema = schema;
+        this.draft = typeof schema.$schema === 'string' && /draft-0[4-7]/.test(schema.$schema) ? 'draft-07' : '2020-12';
+        this.baseUri = 'json-lint:/schema.json';
+        this.resources = new Map();
+        this.anchors = new Map();
+        this.patterns = new Map();
+        this.maxDepth = 500;
+
+        this.baseUri = this.indexSchema(schema, this.baseUri);
+    }
+
+    /**
+     * Validate data against the schema
+     * @param {*} instance - Parsed data
+     * @returns {Array<Object>} - Violations as { keyword, message, instancePath, schemaPath }; instancePath is
+     *                            a JSON Pointer into the data ('' for the root), schemaPath a URI fragment
+     */
+    validate(instance) {
+        const errors = [];
+        this.validateSchema(instance, this.schema, '', '#', this.baseUri, errors, 0);
+        return errors;
+    }
+
+    /**
+     * Register every schema resource ($id) and anchor so $ref can find them
+     * @returns {string} - The base URI of the schema
+     */
+    indexSchema(schema, base) {
+        if (!schema || typeof schema !== 'object') {
+            return base;
+        }
+
+        if (Array.isArray(schema)) {
+            schema.forEach(item => this.indexSchema(item, base));
+            return base;
+        }
+
+        if (typeof schema.$id === 'string') {
+            if (schema.$id.startsWith('#')) {
+                // draft-07 plain-name fragment, the predecessor of $anchor
+                this.anchors.set(`${base}${schema.$id}`, { schema, base });
+            } else {
+                base = this.resolveUri(schema.$id, base).split('#')[0];
+                this.resources.set(base, schema);
+            }
+        }
+        if (!this.resources.has(base)) {
+            this.resources.set(base, schema);
+        }
+
+        ['$anchor', '$dynamicAnchor'].forEach(keyword => {
+            if (typeof schema[keyword] === 'string') {
+                this.anchors.set(`${base}#${schema[keyword]}`, { schema, base });
+            }
+        });
+
+        Object.keys(schema).forEach(keyword => {
+            // These hold data, not subschemas
+            if (!['enum', 'const', 'default', 'examples'].includes(keyword)) {
+                this.indexSchema(schema[keyword], base);
+            }
+        });
+
+        return base;
+    }
+
+    /**
+     * Resolve a URI reference against a base URI
+     */
+    resolveUri(reference, base) {
+        try {
+            return new URL(reference, base).href;
+        } catch (error) {
+            return reference;
+        }
+    }
+
+    /**
+     * Find the schema a $ref points to
+     * @returns {Object|null} - { schema, base, schemaPath }, or null when it cannot be resolved
+     */
+    resolveRef(reference, base) {
+        const uri = this.resolveUri(reference, base);
+        const hashIndex = uri.indexOf('#');
+        const resourceUri = hashIndex === -1 ? uri : uri.slice(0, hashIndex);
+        const fragment = hashIndex === -1 ? '' : decodeURIComponent(uri.slice(hashIndex + 1));
+
+        if (fragment && !fragment.startsWith('/')) {
+            const anchor = this.anchors.get(`${resourceUri}#${fragment}`);
+            return anchor ? { schema: anchor.schema, base: anchor.base, schemaPath: null } : null;
+        }
+
+        let schema = this.resources.get(resourceUri);
+        if (schema === undefined) {
+            return null;
+        }
+
+        const segments = fragment ? fragment.slice(1).split('/') : [];
+        for (const segment of segments) {
+            const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+            if (!schema || typeof schema !== 'object' || !(key in schema)) {
+                return null;
+            }
+            schema = schema[key];
+        }
+
+        // Paths into the root document are reported where the user can find them
+        const schemaPath = resourceUri === this.baseUri ? `#${fragment}` : null;
+        return { schema, base: resourceUri, schemaPath };
+    }
+
+    /**
+     * Validate an instance against a (sub)schema, collecting violations
+     */
+    validateSchema(instance, schema, instancePath, schemaPath, base, errors, depth) {
+        if (schema === true || schema === undefined) {
+            return;
+        }
+        if (schema === false) {
+            this.addError(errors, 'false', 'No value is allowed here', instancePath, schemaPath);
+            return;
+        }
+        if (!schema || typeof schema !== 'object') {
+            return;
+        }
+        if (depth > this.maxDepth) {
+            this.addError(errors, '$ref', 'Schema references nest too deeply (is there a $ref cycle?)', instancePath, schemaPath);
+            return;
+        }
+
+        if (typeof schema.$id === 'string' && !schema.$id.startsWith('#')) {
+            base = this.resolveUri(schema.$id, base).split('#')[0];
+        }
+
+        const refKeyword = typeof schema.$ref === 'string' ? '$ref' : (typeof schema.$dynamicRef === 'string' ? '$dynamicRef' : null);
+        if (refKeyword) {
+            const target = this.resolveRef(schema[refKeyword], base);
+            if (!target) {
+                this.addError(errors, refKeyword, `Cannot resolve reference '${schema[refKeyword]}'`, instancePath, `${schemaPath}/${refKeyword}`);
+            } else {
+                this.validateSchema(instance, target.schema, instancePath, target.schemaPath || `${schemaPath}/${refKeyword}`, target.base, errors, depth + 1);
+            }
+
+            // Before 2019-09, keywords next to $ref are ignored
+            if (this.draft === 'draft-07') {
+                return;
+            }
+        }
+
+        const context = { schema, instancePath, schemaPath, base, errors, depth };
+        this.validateGeneric(instance, context);
+
+        if (typeof instance === 'number') {
+            this.validateNumber(instance, context);
+        } else if (typeof instance === 'string') {
+            this.validateString(instance, context);
+        } else if (Array.isArray(instance)) {
+            this.validateArray(instance, context);
+        } else if (instance && typeof instance === 'object') {
+            this.validateObject(instance, context);
+        }
+
+        this.validateApplicators(instance, context);
+    }
+
+    /**
+     * Keywords that apply to any type: type, enum and const
+     */
+    validateGeneric(instance, { schema, instancePath, schemaPath, errors }) {
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            const actual = this.typeOf(instance);
+            const matches = types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+            if (!matches) {
+                this.addError(errors, 'type', `Expected ${this.listTypes(types)} but found ${actual === 'integer' ? 'number' : actual}`, instancePath, `${schemaPath}/type`);
+            }
+        }
+
+        if (Array.isArray(schema.enum) && !schema.enum.some(value => this.deepEqual(value, instance))) {
+            const allowed = schema.enum.map(value => JSON.stringify(value)).join(', ');
+            this.addError(errors, 'enum', `Value must be one of: ${this.truncate(allowed)}`, instancePath, `${schemaPath}/enum`);
+        }
+
+        if (schema.const !== undefined && !this.deepEqual(schema.const, instance)) {
+            this.addError(errors, 'const', `Value must be ${this.truncate(JSON.stringify(schema.const))}`, instancePath, `${schemaPath}/const`);
+        }
+    }
+
+    /**
+     * Numeric bounds and multipleOf
+     */
+    validateNumber(value, { schema, instancePath, schemaPath, errors }) {
+        // Boolean exclusiveMinimum/exclusiveMaximum are the draft-04 form
+        if (typeof schema.minimum === 'number') {
+            const exclusive = schema.exclusiveMinimum === true;
+            if (exclusive ? value <= schema.minimum : value < schema.minimum) {
+                this.addError(errors, 'minimum', `Value must be ${exclusive ? '>' : '>='} ${schema.minimum}`, instancePath, `${schemaPath}/minimum`);
+            }
+        }
+        if (typeof schema.maximum === 'number') {
+            const exclusive = schema.exclusiveMaximum === true;
+            if (exclusive ? value >= schema.maximum : value > schema.maximum) {
+                this.addError(errors, 'maximum', `Value must be ${exclusive ? '<' : '<='} ${schema.maximum}`, instancePath, `${schemaPath}/maximum`);
+            }
+        }
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+            this.addError(errors, 'exclusiveMinimum', `Value must be > ${schema.exclusiveMinimum}`, instancePath, `${schemaPath}/exclusiveMinimum`);
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+            this.addError(errors, 'exclusiveMaximum', `Value must be < ${schema.exclusiveMaximum}`, instancePath, `${schemaPath}/exclusiveMaximum`);
+        }
+
+        if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+            // Allow for binary rounding, so 0.3 counts as a multiple of 0.1
+            const quotient = value / schema.multipleOf;
+            if (!Number.isFinite(quotient) || Math.abs(quotient - Math.round(quotient)) > Number.EPSILON * Math.max(1, Math.abs(quotient)) * 4) {
+                this.addError(errors, 'multipleOf', `Value must be a multiple of ${schema.multipleOf}`, instancePath, `${schemaPath}/multipleOf`);
+            }
+        }
+    }
+
+    /**
+     * String length (in code points), pattern and format
+     */
+    validateString(value, { schema, instancePath, schemaPath, errors }) {
+        const length = [...value].length;
+
+        if (typeof schema.minLength === 'number' && length < schema.minLength) {
+            this.addError(errors, 'minLength', `String must be at least ${this.plural(schema.minLength, 'character')} long`, instancePath, `${schemaPath}/minLength`);
+        }
+        if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+            this.addError(errors, 'maxLength', `String must be at most ${this.plural(schema.maxLength, 'character')} long`, instancePath, `${schemaPath}/maxLength`);
+        }
+
+        if (typeof schema.pattern === 'string') {
+            const regex = this.getPattern(schema.pattern);
+            if (!regex) {
+                this.addError(errors, 'pattern', `Invalid pattern in schema: ${schema.pattern}`, instancePath, `${schemaPath}/pattern`);
+            } else if (!regex.test(value)) {
+                this.addError(errors, 'pattern', `String must match the pattern ${schema.pattern}`, instancePath, `${schemaPath}/pattern`);
+            }
+        }
+
+        if (typeof schema.format === 'string' && !this.checkFormat(schema.format, value)) {
+            this.addError(errors, 'format', `String is not a valid ${schema.format}`, instancePath, `${schemaPath}/format`);
+        }
+    }
+
+    /**
+     * Array keywords: prefixItems/items/additionalItems, contains, size and uniqueItems
+     */
+    validateArray(array, context) {
+        const { schema, instancePath, schemaPath, errors } = context;
+        let itemsFrom = 0;
+
+        // 2020-12 tuples use prefixItems; draft-07 tuples use an items array with additionalItems
+        if (Array.isArray(schema.prefixItems)) {
+            schema.prefixItems.forEach((itemSchema, index) => {
+                if (index < array.length) {
+                    this.validateChild(array[index], itemSchema, index, `/prefixItems/${index}`, context);
+                }
+            });
+            itemsFrom = schema.prefixItems.length;
+        }
+
+        if (Array.isArray(schema.items)) {
+            schema.items.forEach((itemSchema, index) => {
+                if (index < array.length) {
+                    this.validateChild(array[index], itemSchema, index, `/items/${index}`, context);
+                }
+            });
+            if (schema.additionalItems !== undefined) {
+                for (let index = schema.items.length; index < array.length; index++) {
+                    this.validateItem(array[index], schema.additionalItems, index, '/additionalItems', context);
+                }
+            }
+        } else if (schema.items !== undefined) {
+            for (let index = itemsFrom; index < array.length; index++) {
+                this.validateItem(array[index], schema.items, index, '/items', context);
+            }
+        }
+
+        if (schema.contains !== undefined) {
+            const matches = array.filter(item => this.isValid(item, schema.contains, context)).length;
+            const minContains = typeof schema.minContains === 'number' ? schema.minContains : 1;
+            if (matches < minContains) {
+                this.addError(errors, 'contains', `Array must contain at least ${this.plural(minContains, 'matching item')}`, instancePath, `${schemaPath}/contains`);
+            }
+            if (typeof schema.maxContains === 'number' && matches > schema.maxContains) {
+                this.addError(errors, 'maxContains', `Array must contain at most ${this.plural(schema.maxContains, 'matching item')}`, instancePath, `${schemaPath}/maxContains`);
+            }
+        }
+
+        if (typeof schema.minItems === 'number' && array.length < schema.minItems) {
+            this.addError(errors, 'minItems', `Array must have at least ${this.plural(schema.minItems, 'item')}`, instancePath, `${schemaPath}/minItems`);
+        }
+        if (typeof schema.maxItems === 'number' && array.length > schema.maxItems) {
+            this.addError(errors, 'maxItems', `Array must have at most ${this.plural(schema.maxItems, 'item')}`, instancePath, `${schemaPath}/maxItems`);
+        }
+
+        if (schema.uniqueItems === true) {
+            for (let i = 1; i < array.length; i++) {
+                const duplicateOf = array.slice(0, i).findIndex(item => this.deepEqual(item, array[i]));
+                if (duplicateOf !== -1) {
+                    this.addError(errors, 'uniqueItems', `Item duplicates item ${duplicateOf}`, this.childPath(instancePath, i), `${schemaPath}/uniqueItems`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Object keywords: properties, patternProperties, additionalProperties, required, propertyNames,
+     * dependencies and size
+     */
+    validateObject(object, context) {
+        const { schema, instancePath, schemaPath, errors } = context;
+        const keys = Object.keys(object);
+        const properties = schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+        const patternProperties = schema.patternProperties && typeof schema.patternProperties === 'object' ? schema.patternProperties : {};
+
+        keys.forEach(key => {
+            let evaluated = false;
+
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                this.validateChild(object[key], properties[key], key, `/properties/${this.escapePointer(key)}`, context);
+                evaluated = true;
+            }
+
+            Object.keys(patternProperties).forEach(pattern => {
+                const regex = this.getPattern(pattern);
+                if (regex && regex.test(key)) {
+                    this.validateChild(object[key], patternProperties[pattern], key, `/patternProperties/${this.escapePointer(pattern)}`, context);
+                    evaluated = true;
+                }
+            });
+
+            if (!evaluated && schema.additionalProperties !== undefined) {
+                if (schema.additionalProperties === false) {
+                    this.addError(errors, 'additionalProperties', `Property '${key}' is not allowed`, this.childPath(instancePath, key), `${schemaPath}/additionalProperties`);
+                } else {
+                    this.validateChild(object[key], schema.additionalProperties, key, '/additionalProperties', context);
+                }
+            }
+
+            if (schema.propertyNames !== undefined) {
+                const nameErrors = [];
+                this.validateSchema(key, schema.propertyNames, this.childPath(instancePath, key), `${schemaPath}/propertyNames`, context.base, nameErrors, context.depth + 1);
+                if (nameErrors.length) {
+                    this.addError(errors, 'propertyNames', `Property name '${key}' is invalid: ${nameErrors[0].message}`, this.childPath(instancePath, key), nameErrors[0].schemaPath);
+                }
+            }
+        });
+
+        if (Array.isArray(schema.required)) {
+            schema.required.forEach(key => {
+                if (!Object.prototype.hasOwnProperty.call(object, key)) {
+                    this.addError(errors, 'required', `Missing required property '${key}'`, instancePath, `${schemaPath}/required`);
+                }
+            });
+        }
+
+        if (typeof schema.minProperties === 'number' && keys.length < schema.minProperties) {
+            this.addError(errors, 'minProperties', `Object must have at least ${this.plural(schema.minProperties, 'property', 'properties')}`, instancePath, `${schemaPath}/minProperties`);
+        }
+        if (typeof schema.maxProperties === 'number' && keys.length > schema.maxProperties) {
+            this.addError(errors, 'maxProperties', `Object must have at most ${this.plural(schema.maxProperties, 'property', 'properties')}`, instancePath, `${schemaPath}/maxProperties`);
+        }
+
+        // draft-07 dependencies were split into dependentRequired and dependentSchemas in 2019-09
+        const dependencyKeywords = ['dependentRequired', 'dependentSchemas', 'dependencies'];
+        dependencyKeywords.forEach(keyword => {
+            const dependencies = schema[keyword];
+            if (!dependencies || typeof dependencies !== 'object') return;
+
+            Object.keys(dependencies).forEach(key => {
+                if (!Object.prototype.hasOwnProperty.call(object, key)) return;
+
+                const dependency = dependencies[key];
+                const dependencyPath = `${schemaPath}/${keyword}/${this.escapePointer(key)}`;
+                if (Array.isArray(dependency)) {
+                    dependency.filter(required => !Object.prototype.hasOwnProperty.call(object, required)).forEach(required => {
+                        this.addError(errors, keyword, `Property '${required}' is required when '${key}' is present`, instancePath, dependencyPath);
+                    });
+                } else {
+                    this.validateSchema(object, dependency, instancePath, dependencyPath, context.base, errors, context.depth + 1);
+                }
+            });
+        });
+    }
+
+    /**
+     * allOf, anyOf, oneOf, not and if/then/else
+     */
+    validateApplicators(instance, context) {
+        const { schema, instancePath, schemaPath, base, errors, depth } = context;
+
+        if (Array.isArray(schema.allOf)) {
+            schema.allOf.forEach((subschema, index) => {
+                this.validateSchema(instance, subschema, instancePath, `${schemaPath}/allOf/${index}`, base, errors, depth + 1);
+            });
+        }
+
+        if (Array.isArray(schema.anyOf) && !schema.anyOf.some(subschema => this.isValid(instance, subschema, context))) {
+            this.addError(errors, 'anyOf', this.describeMismatch(instance, schema.anyOf, context, 'any'), instancePath, `${schemaPath}/anyOf`);
+        }
+
+        if (Array.isArray(schema.oneOf)) {
+            const matching = schema.oneOf
+                .map((subschema, index) => (this.isValid(instance, subschema, context) ? index : -1))
+                .filter(index => index !== -1);
+            if (matching.length === 0) {
+                this.addError(errors, 'oneOf', this.describeMismatch(instance, schema.oneOf, context, 'exactly one'), instancePath, `${schemaPath}/oneOf`);
+            } else if (matching.length > 1) {
+                this.addError(errors, 'oneOf', `Value must match exactly one schema but matches ${matching.length} (indexes ${matching.join(', ')})`, instancePath, `${schemaPath}/oneOf`);
+            }
+        }
+
+        if (schema.not !== undefined && this.isValid(instance, schema.not, context)) {
+            this.addError(errors, 'not', 'Value must not match the schema', instancePath, `${schemaPath}/not`);
+        }
+
+        if (schema.if !== undefined) {
+            const branch = this.isValid(instance, schema.if, context) ? 'then' : 'else';
+            if (schema[branch] !== undefined) {
+                this.validateSchema(instance, schema[branch], instancePath, `${schemaPath}/${branch}`, base, errors, depth + 1);
+            }
+        }
+    }
+
+    /**
+     * Explain why no anyOf/oneOf branch matched; with a single near miss, its first violation says more
+     * than a generic message
+     */
+    describeMismatch(instance, subschemas, context, quantity) {
+        const failures = subschemas.map(subschema => {
+            const errors = [];
+            this.validateSchema(instance, subschema, context.instancePath, '#', context.base, errors, context.depth + 1);
+            return errors;
+        });
+
+        const isTypeError = error => error.keyword === 'type' && error.instancePath === context.instancePath;
+        const typeMatches = failures.filter(errors => !errors.some(isTypeError));
+        if (typeMatches.length === 1 && typeMatches[0].length) {
+            return `Value must match ${quantity} of the schemas (${typeMatches[0][0].message})`;
+        }
+
+        // Every branch wants a different type: list them like a type array would
+        const types = subschemas.map(subschema => subschema && subschema.type);
+        if (typeMatches.length === 0 && types.every(type => typeof type === 'string')) {
+            return `Expected ${this.listTypes([...new Set(types)])} but found ${this.typeOf(instance) === 'integer' ? 'number' : this.typeOf(instance)}`;
+        }
+        return `Value must match ${quantity} of the schemas`;
+    }
+
+    /**
+     * Validate an array item or property value
+     */
+    validateChild(value, subschema, segment, keywordPath, context) {
+        this.validateSchema(value, subschema, this.childPath(context.instancePath, segment), `${context.schemaPath}${keywordPath}`,
+            context.base, context.errors, context.depth + 1);
+    }
+
+    /**
+     * Validate an array item against items/additionalItems, where false forbids the item itself
+     */
+    validateItem(value, subschema, index, keywordPath, context) {
+        if (subschema === false) {
+            this.addError(context.errors, keywordPath.slice(1), `Array must not have more than ${this.plural(index, 'item')}`,
+                this.childPath(context.instancePath, index), `${context.schemaPath}${keywordPath}`);
+            return;
+        }
+        this.validateChild(value, subschema, index, keywordPath, context);
+    }
+
+    /**
+     * Check an instance against a subschema without reporting
+     */
+    isValid(instance, subschema, context) {
+        const errors = [];
+        this.validateSchema(instance, subschema, context.instancePath, context.schemaPath, context.base, errors, context.depth + 1);
+        return errors.length === 0;
+    }
+
+    /**
+     * Check a string against a format; unknown formats always pass
+     */
+    checkFormat(format, value) {
+        const validDate = (year, month, day) => {
+            const daysInMonth = [31, (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+            return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth[month - 1];
+        };
+        const validTime = (hour, minute, second) => hour <= 23 && minute <= 59 && second <= 60;
+
+        switch (format) {
+            case 'date-time': {
+                const match = /^(\d{4})-(\d{2})-(\d{2})[Tt](\d{2}):(\d{2}):(\d{2})(?:\.\d+)?(?:[Zz]|[+-](\d{2}):(\d{2}))$/.exec(value);
+                return Boolean(match) && validDate(+match[1], +match[2], +match[3]) && validTime(+match[4], +match[5], +match[6]) &&
+                    (match[7] === undefined || validTime(+match[7], +match[8], 0));
+            }
+            case 'date': {
+                const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+                return Boolean(match) && validDate(+match[1], +match[2], +match[3]);
+            }
+            case 'time': {
+                const match = /^(\d{2}):(\d{2}):(\d{2})(?:\.\d+)?(?:[Zz]|[+-](\d{2}):(\d{2}))$/.exec(value);
+                return Boolean(match) && validTime(+match[1], +match[2], +match[3]) && (match[4] === undefined || validTime(+match[4], +match[5], 0));
+            }
+            case 'duration':
+                return /^P(?!$)(?:\d+Y)?(?:\d+M)?(?:\d+W)?(?:\d+D)?(?:T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+(?:\.\d+)?S)?)?$/.test(value);
+            case 'email':
+            case 'idn-email':
+                return /^[^\s@]+@(?:[^\s@.]+\.)+[^\s@.]+$/u.test(value);
+            case 'hostname':
+                return value.length <= 253 && /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*\.?$/i.test(value);
+            case 'ipv4':
+                return /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(value);
+            case 'ipv6':
+                return this.isIPv6(value);
+            case 'uri':
+            case 'iri':
+                return /^[a-z][a-z0-9+.-]*:[^\s]*$/i.test(value) && this.canParseUrl(value);
+            case 'uri-reference':
+            case 'iri-reference':
+                return !/\s/.test(value) && this.canParseUrl(value, 'json-lint:/');
+            case 'uuid':
+                return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+            case 'regex':
+                return this.getPattern(value) !== null;
+            case 'json-pointer':
+                return /^(?:\/(?:[^~/]|~[01])*)*$/.test(value);
+            case 'relative-json-pointer':
+                return /^(?:0|[1-9]\d*)(?:#|(?:\/(?:[^~/]|~[01])*)*)$/.test(value);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Check for an IPv6 address, including the :: shorthand and a trailing IPv4 part
+     */
+    isIPv6(value) {
+        let groups = value;
+        let maxGroups = 8;
+
+        const ipv4 = /(?:^|:)(\d+\.\d+\.\d+\.\d+)$/.exec(value);
+        if (ipv4) {
+            if (!this.checkFormat('ipv4', ipv4[1])) return false;
+            groups = value.slice(0, value.length - ipv4[1].length) + '0';
+            maxGroups = 7;
+        }
+
+        const halves = groups.split('::');
+        if (halves.length > 2) return false;
+
+        const parts = halves.map(half => (half ? half.split(':') : []));
+        const count = parts[0].length + (parts[1] ? parts[1].length : 0);
+        const validGroups = parts.every(list => list.every(group => /^[0-9a-f]{1,4}$/i.test(group)));
+
+        return validGroups && (halves.length === 2 ? count < maxGroups : count === maxGroups);
+    }
+
+    /**
+     * Check whether the URL parser accepts a value
+     */
+    canParseUrl(value, base) {
+        try {
+            new URL(value, base);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Compile a schema pattern, caching the result; null when it is not a valid regular expression
+     */
+    getPattern(pattern) {
+        if (!this.patterns.has(pattern)) {
+            let regex = null;
+            try {
+                regex = new RegExp(pattern, 'u');
+            } catch (error) {
+                regex = null;
+            }
+            this.patterns.set(pattern, regex);
+        }
+        return this.patterns.get(pattern);
+    }
+
+    /**
+     * Get the JSON Schema type of a value
+     */
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    }
+
+    /**
+     * Compare two values as JSON data (object key order does not matter)
+     */
+    deepEqual(a, b) {
+        if (a === b) return true;
+        if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+        if (Array.isArray(a)) {
+            return a.length === b.length && a.every((item, index) => this.deepEqual(item, b[index]));
+        }
+
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length &&
+            keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && this.deepEqual(a[key], b[key]));
+    }
+
+    /**
+     * Append a segment to a JSON Pointer
+     */
+    childPath(pointer, segment) {
+        return `${pointer}/${this.escapePointer(String(segment))}`;
+    }
+
+    /**
+     * Escape a JSON Pointer segment (RFC 6901)
+     */
+    escapePointer(segment) {
+        return segment.replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    /**
+     * Record a violation
+     */
+    addError(errors, keyword, message, instancePath, schemaPath) {
+        errors.push({ keyword, message, instancePath, schemaPath });
+    }
+
+    /**
+     * Join type names for a message ("string or null")
+     */
+    listTypes(types) {
+        return types.length === 1 ? types[0] : `${types.slice(0, -1).join(', ')} or ${types[types.length - 1]}`;
+    }
+
+    /**
+     * Format a count with a singular or plural noun
+     */
+    plural(count, noun, pluralNoun = `${noun}s`) {
+        return `${count} ${count === 1 ? noun : pluralNoun}`;
+    }
+
+    /**
+     * Shorten long values quoted in messages
+     */
+    truncate(text, length = 80) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JSONSchemaValidator;
+}
@@ -0,0 +1,216 @@
+/**
+ * JSON Serializer - JSON.stringify replacement that writes LosslessNumbers as their original lexemes
+ * Options: indent (number of spaces or a string such as '\t'), sortKeys ('none', 'alphabetical' or 'custom'),
+ * keyOrder (keys listed first when sortKeys is 'custom'), maxLineWidth (0 puts every value on its own line),
+ * escapeNonAscii and finalNewline
+ */
+
+class JSONSerializer {
+    constructor(options = {}) {
+        const indent = options.indent !== undefined ? options.indent : 2;
+        this.indent = typeof indent === 'number' ? ' '.repeat(Math.max(0, Math.min(indent, 10))) : String(indent);
+        this.sortKeys = options.sortKeys || 'none';
+        this.keyOrder = options.keyOrder || [];
+        this.maxLineWidth = options.maxLineWidth || 0;
+        this.escapeNonAscii = options.escapeNonAscii || false;
+        this.finalNewline = options.finalNewline || false;
+    }
+
+    /**
+     * Serialize a value
+     * @param {*} value - Parsed data, possibly containing LosslessNumber instances
+     * @returns {string} - JSON text
+     */
+    stringify(value) {
+        const result = this.serializeValue(value, '', 0);
+        if (result === undefined) {
+            return '';
+        }
+        return this.finalNewline ? `${result}\n` : result;
+    }
+
+    /**
+     * Serialize a single value at the given indentation
+     * @param {number} prefixWidth - Width of the line before the value (indentation and property name)
+     * @returns {string|undefined} - JSON text, or undefined for values JSON cannot represent
+     */
+    serializeValue(value, currentIndent, prefixWidth) {
+        if (value === null) {
+            return 'null';
+        }
+
+        if (value instanceof LosslessNumber) {
+            return value.raw;
+        }
+
+        switch (typeof value) {
+            case 'string':
+                return this.quote(value);
+            case 'number':
+                return Number.isFinite(value) ? String(value) : 'null';
+            case 'boolean':
+                return String(value);
+            case 'object':
+                return Array.isArray(value)
+                    ? this.serializeArray(value, currentIndent, prefixWidth)
+                    : this.serializeObject(value, currentIndent, prefixWidth);
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * Serialize an array; values JSON cannot represent become null like JSON.stringify
+     */
+    serializeArray(array, currentIndent, prefixWidth) {
+        if (array.length === 0) {
+            return '[]';
+        }
+
+        const inline = this.serializeInline(array, prefixWidth);
+        if (inline !== undefined) {
+            return inline;
+        }
+
+        const innerIndent = currentIndent + this.indent;
+        const items = array.map(item => {
+            const serialized = this.serializeValue(item, innerIndent, this.measure(innerIndent));
+            return serialized === undefined ? 'null' : serialized;
+        });
+
+        return this.wrap('[', ']', items, currentIndent, innerIndent);
+    }
+
+    /**
+     * Serialize an object; properties JSON cannot represent are skipped like JSON.stringify
+     */
+    serializeObject(object, currentIndent, prefixWidth) {
+        const inline = this.serializeInline(object, prefixWidth);
+        if (inline !== undefined) {
+            return inline;
+        }
+
+        const innerIndent = currentIndent + this.indent;
+        const separator = this.indent ? ': ' : ':';
+        const members = [];
+
+        this.orderKeys(Object.keys(object)).forEach(key => {
+            const name = this.quote(key) + separator;
+            const serialized = this.serializeValue(object[key], innerIndent, this.measure(innerIndent) + name.length);
+            if (serialized !== undefined) {
+                members.push(name + serialized);
+            }
+        });
+
+        if (members.length === 0) {
+            return '{}';
+        }
+
+        return this.wrap('{', '}', members, currentIndent, innerIndent);
+    }
+
+    /**
+     * Write a container on one line when it fits within maxLineWidth, the way Prettier does
+     * @returns {string|undefined} - The single-line form, or undefined when it does not fit or inlining is off
+     */
+    serializeInline(value, prefixWidth) {
+        if (!this.indent || !this.maxLineWidth) {
+            return undefined;
+        }
+
+        // One character is kept for the comma that may follow the value
+        const budget = this.maxLineWidth - prefixWidth - 1;
+        const inline = this.inlineValue(value, budget);
+        return inline !== undefined && inline.length <= budget ? inline : undefined;
+    }
+
+    /**
+     * Build the single-line form of a value, giving up as soon as it exceeds the budget
+     */
+    inlineValue(value, budget) {
+        if (typeof value !== 'object' || value === null || value instanceof LosslessNumber) {
+            return this.serializeValue(value, '', 0);
+        }
+
+        const parts = [];
+        let length = 0;
+        const add = (part) => {
+            parts.push(part);
+            length += part.length + 2;
+            return length <= budget;
+        };
+
+        if (Array.isArray(value)) {
+            for (const item of value) {
+                const serialized = this.isOmitted(item) ? 'null' : this.inlineValue(item, budget - length);
+                if (serialized === undefined || !add(serialized)) return undefined;
+            }
+            return `[${parts.join(', ')}]`;
+        }
+
+        for (const key of this.orderKeys(Object.keys(value))) {
+            if (this.isOmitted(value[key])) continue;
+            const serialized = this.inlineValue(value[key], budget - length);
+            if (serialized === undefined || !add(`${this.quote(key)}: ${serialized}`)) return undefined;
+        }
+        return parts.length === 0 ? '{}' : `{ ${parts.join(', ')} }`;
+    }
+
+    /**
+     * Check whether JSON has no representation for a value (it is skipped in objects and null in arrays)
+     */
+    isOmitted(value) {
+        return value === undefined || typeof value === 'function' || typeof value === 'symbol';
+    }
+
+    /**
+     * Order object keys according to sortKeys; with a custom order the listed keys come first
+     * and the remaining keys keep their original order
+     */
+    orderKeys(keys) {
+        if (this.sortKeys === 'alphabetical') {
+            return keys.slice().sort();
+        }
+
+        if (this.sortKeys === 'custom' && this.keyOrder.length > 0) {
+            const rank = new Map(this.keyOrder.map((key, index) => [key, index]));
+            const listed = keys.filter(key => rank.has(key)).sort((a, b) => rank.get(a) - rank.get(b));
+            return listed.concat(keys.filter(key => !rank.has(key)));
+        }
+
+        return keys;
+    }
+
+    /**
+     * Quote a string, escaping non-ASCII characters as \uXXXX when asked to
+     */
+    quote(text) {
+        const quoted = JSON.stringify(text);
+        if (!this.escapeNonAscii) {
+            return quoted;
+        }
+        return quoted.replace(/[\u007f-\uffff]/g, ch => `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`);
+    }
+
+    /**
+     * Width of an indentation string, counting a tab as four columns
+     */
+    measure(indent) {
+        return indent.replace(/\t/g, '    ').length;
+    }
+
+    /**
+     * Join serialized members between brackets, one per line when indenting
+     */
+    wrap(open, close, members, currentIndent, innerIndent) {
+        if (!this.indent) {
+            return open + members.join(',') + close;
+        }
+        return `${open}\n${innerIndent}${members.join(`,\n${innerIndent}`)}\n${currentIndent}${close}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JSONSerializer;
+}
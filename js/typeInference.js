@@ -0,0 +1,173 @@
+/**
+ * Type Inference - Merges JSON samples into one shape for the type generators
+ *
+ * Every element of every array and every sample is looked at, so a key seen on only some objects is kept
+ * and marked optional. Shapes are plain objects:
+ *   { kind: 'null' }                       only null was seen
+ *   { kind: 'any' }                        nothing was seen, e.g. the items of empty arrays
+ *   { kind: 'boolean' | 'number', nullable }
+ *   { kind: 'string', nullable, format, values, count }
+ *   { kind: 'integer', nullable, min, max }
+ *   { kind: 'array', nullable, items }
+ *   { kind: 'object', nullable, fields: [{ key, type, optional }] }
+ *   { kind: 'union', nullable, types }     values of several kinds; types are non-null shapes of distinct kinds
+ * nullable means null was seen as well, and optional that some objects lack the key. Objects merge into
+ * one object and arrays into one array, and integers seen alongside other numbers become 'number'.
+ * Strings keep the format all of them share ('date-time', 'date', 'uuid', 'email', 'uri' or null), how
+ * many were seen, and their distinct values while there are at most MAX_VALUES of them (else null)
+ */
+
+class TypeInference {
+    /**
+     * Infer the shape shared by some samples
+     * @param {Array} samples - JSON values, e.g. the records of an NDJSON document
+     * @returns {Object} - The merged shape
+     */
+    infer(samples) {
+        return samples.reduce((shape, sample) => this.merge(shape, this.inferValue(sample)), { kind: 'any' });
+    }
+
+    /**
+     * Shape of a single value; arrays merge all their items
+     */
+    inferValue(value) {
+        if (value === null) return { kind: 'null' };
+        if (Array.isArray(value)) return { kind: 'array', nullable: false, items: this.infer(value) };
+        if (value instanceof LosslessNumber) return this.inferNumber(Number(value.raw), /^-?\d+$/.test(value.raw));
+        if (typeof value === 'number') return this.inferNumber(value, Number.isInteger(value));
+        if (typeof value === 'string') return { kind: 'string', nullable: false, format: this.detectFormat(value), values: [value], count: 1 };
+        if (typeof value === 'boolean') return { kind: 'boolean', nullable: false };
+
+        return {
+            kind: 'object',
+            nullable: false,
+            fields: Object.keys(value).map(key => ({ key, type: this.inferValue(value[key]), optional: false }))
+        };
+    }
+
+    /**
+     * Shape of a number; integers keep their range, e.g. to choose between 32- and 64-bit types
+     */
+    inferNumber(value, isInteger) {
+        if (!isInteger) return { kind: 'number', nullable: false };
+        return { kind: 'integer', nullable: false, min: value, max: value };
+    }
+
+    /**
+     * Format of a string, as JSON Schema names it; null if it has none of the known ones
+     */
+    detectFormat(value) {
+        const format = Object.keys(TypeInference.FORMATS).find(name => TypeInference.FORMATS[name].test(value));
+        return format || null;
+    }
+
+    /**
+     * Merge two shapes into one that accepts the values of both
+     */
+    merge(a, b) {
+        const left = this.split(a);
+        const right = this.split(b);
+
+        right.members.forEach((member, group) => {
+            const existing = left.members.get(group);
+            left.members.set(group, existing ? this.mergeMembers(existing, member) : member);
+        });
+        return this.join(left.members, left.nullable || right.nullable);
+    }
+
+    /**
+     * Split a shape into whether it is nullable and its non-null members, by kind; integers and numbers
+     * share a group
+     */
+    split(shape) {
+        const members = new Map();
+        const add = member => members.set(member.kind === 'integer' ? 'number' : member.kind, { ...member, nullable: false });
+
+        if (shape.kind === 'union') {
+            shape.types.forEach(add);
+        } else if (shape.kind !== 'null' && shape.kind !== 'any') {
+            add(shape);
+        }
+        return { nullable: shape.kind === 'null' || shape.nullable === true, members };
+    }
+
+    /**
+     * Build a shape from its members: nothing, one member, or a union
+     */
+    join(members, nullable) {
+        const types = Array.from(members.values());
+        if (types.length === 0) return nullable ? { kind: 'null' } : { kind: 'any' };
+        if (types.length === 1) return { ...types[0], nullable };
+        return { kind: 'union', nullable, types };
+    }
+
+    /**
+     * Merge two non-null shapes of the same group
+     */
+    mergeMembers(a, b) {
+        switch (a.kind === b.kind ? a.kind : 'number') {
+            case 'integer':
+                return { ...a, min: Math.min(a.min, b.min), max: Math.max(a.max, b.max) };
+            case 'number':
+                return { kind: 'number', nullable: false };
+            case 'string':
+                return {
+                    ...a,
+                    format: a.format === b.format ? a.format : null,
+                    values: this.mergeValues(a.values, b.values),
+                    count: a.count + b.count
+                };
+            case 'array':
+                return { ...a, items: this.merge(a.items, b.items) };
+            case 'object':
+                return { ...a, fields: this.mergeFields(a.fields, b.fields) };
+            default:
+                return a;
+        }
+    }
+
+    /**
+     * Distinct string values of both sides, or null once there are too many to list
+     */
+    mergeValues(a, b) {
+        if (!a || !b) return null;
+
+        const values = a.concat(b.filter(value => !a.includes(value)));
+        return values.length <= TypeInference.MAX_VALUES ? values : null;
+    }
+
+    /**
+     * Merge the fields of two objects, in the order they were first seen; a field missing from either
+     * side is optional
+     */
+    mergeFields(a, b) {
+        const byKey = new Map(b.map(field => [field.key, field]));
+        const merged = a.map(field => {
+            const other = byKey.get(field.key);
+            if (!other) return { ...field, optional: true };
+            return { key: field.key, type: this.merge(field.type, other.type), optional: field.optional || other.optional };
+        });
+
+        const known = new Set(a.map(field => field.key));
+        b.filter(field => !known.has(field.key)).forEach(field => merged.push({ ...field, optional: true }));
+        return merged;
+    }
+}
+
+// String formats, checked in order
+TypeInference.FORMATS = {
+    // RFC 3339: seconds and an offset are required
+    'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/,
+    date: /^\d{4}-\d{2}-\d{2}$/,
+    uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    uri: /^[a-z][a-z0-9+.-]*:\/\/\S+$/i
+};
+
+// Most distinct string values kept, e.g. to recognize enums
+TypeInference.MAX_VALUES = 20;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TypeInference;
+}
@@ -0,0 +1,273 @@
+/**
+ * Type Model - Language-neutral types built once from a TypeInference shape; each type generator renders it
+ *
+ * Types are plain objects, each with a nullable flag:
+ *   { kind: 'primitive', type, format }  type is 'string', 'integer', 'number', 'boolean', 'null' or 'any';
+ *                                        format is null or 'date-time', 'date', 'uuid', 'email', 'uri',
+ *                                        'int32', 'int64' or 'double'
+ *   { kind: 'array', items }
+ *   { kind: 'map', values }              objects keyed by data (numeric ids, UUIDs, dates) rather than names
+ *   { kind: 'record', name }             refers to a record definition
+ *   { kind: 'enum', name }               refers to an enum definition
+ *   { kind: 'union', types }             values of several kinds
+ * Definitions are records { kind: 'record', name, fields: [{ key, type, optional }] } and enums
+ * { kind: 'enum', name, values }, listed after the definitions they use.
+ *
+ * Names are PascalCase and unique across definitions: array items take the singular of their key
+ * (fruits → Fruit), an identical definition under the same name is shared, and a clash takes the name of
+ * the parent as a prefix, then a number. The static helpers split keys into words and case them for the
+ * field names of each language
+ */
+
+class TypeModel {
+    /**
+     * Build the model of a shape
+     * @param {Object} shape - A shape from TypeInference
+     * @param {Object} options - Options
+     * @param {string} options.rootName - Name of the top-level type (default 'Root')
+     */
+    constructor(shape, options = {}) {
+        if (!shape || typeof shape.kind !== 'string') {
+            throw new Error('A type model is built from a TypeInference shape, not from JSON data');
+        }
+        this.rootName = options.rootName || 'Root';
+        this.definitions = [];
+        this.names = new Set([this.rootName]);
+        this.root = this.build(shape, this.rootName, '', true);
+    }
+
+    /**
+     * Definition of a record or enum by name
+     */
+    getDefinition(name) {
+        return this.definitions.find(definition => definition.name === name);
+    }
+
+    /**
+     * Whether any type in the model matches a predicate, e.g. to add an import for date types
+     */
+    uses(predicate) {
+        const visit = type => {
+            if (predicate(type)) return true;
+            if (type.kind === 'array') return visit(type.items);
+            if (type.kind === 'map') return visit(type.values);
+            if (type.kind === 'union') return type.types.some(visit);
+            return false;
+        };
+        return visit(this.root) || this.definitions.some(definition =>
+            definition.kind === 'record' && definition.fields.some(field => visit(field.type)));
+    }
+
+    /**
+     * Build the type of a shape
+     * @param {Object} shape - The shape
+     * @param {string} name - Name for a definition it needs, before it is made unique
+     * @param {string} parentName - Name of the enclosing definition, used when the name is taken
+     * @param {boolean} isRoot - The top-level object takes the root name as it is
+     */
+    build(shape, name, parentName, isRoot = false) {
+        const nullable = shape.nullable === true;
+
+        switch (shape.kind) {
+            case 'null':
+                return { kind: 'primitive', type: 'null', format: null, nullable: false };
+            case 'any':
+                return { kind: 'primitive', type: 'any', format: null, nullable: false };
+            case 'boolean':
+                return { kind: 'primitive', type: 'boolean', format: null, nullable };
+            case 'integer': {
+                const format = shape.min >= -2147483648 && shape.max <= 2147483647 ? 'int32' : 'int64';
+                return { kind: 'primitive', type: 'integer', format, nullable };
+            }
+            case 'number':
+                return { kind: 'primitive', type: 'number', format: 'double', nullable };
+            case 'string':
+                if (this.isEnum(shape)) {
+                    return { kind: 'enum', name: this.define({ kind: 'enum', values: shape.values }, name, parentName), nullable };
+                }
+                return { kind: 'primitive', type: 'string', format: shape.format, nullable };
+            case 'array':
+                return { kind: 'array', items: this.build(shape.items, TypeModel.singularize(name), parentName), nullable };
+            case 'union':
+                return { kind: 'union', types: shape.types.map(type => this.build(type, name, parentName)), nullable };
+            default:
+                return this.buildObject(shape, name, parentName, isRoot);
+        }
+    }
+
+    /**
+     * Build an object: a map when its keys are data, else a record
+     */
+    buildObject(shape, name, parentName, isRoot) {
+        const nullable = shape.nullable === true;
+        if (this.isMap(shape)) {
+            const values = shape.fields.reduce((merged, field) => new TypeInference().merge(merged, field.type), { kind: 'any' });
+            return { kind: 'map', values: this.build(values, `${name}Value`, parentName), nullable };
+        }
+
+        const fields = shape.fields.map(field => ({
+            key: field.key,
+            type: this.build(field.type, TypeModel.toPascalCase(field.key), name),
+            optional: field.optional
+        }));
+        const record = { kind: 'record', fields };
+        if (isRoot) {
+            this.definitions.push({ ...record, name });
+            return { kind: 'record', name, nullable };
+        }
+        return { kind: 'record', name: this.define(record, name, parentName), nullable };
+    }
+
+    /**
+     * Add a definition under a unique name, or reuse an identical one with the same name
+     * @returns {string} - The name it is known by
+     */
+    define(definition, name, parentName) {
+        const base = TypeModel.toTypeName(name);
+        const signature = JSON.stringify(definition);
+        const same = this.definitions.find(existing => existing.name === base && JSON.stringify({ ...existing, name: undefined }) === signature);
+        if (same) return same.name;
+
+        const candidates = [base, TypeModel.toTypeName(`${parentName} ${base}`)];
+        let unique = candidates.find(candidate => !this.names.has(candidate));
+        for (let index = 2; !unique; index++) {
+            if (!this.names.has(`${base}${index}`)) unique = `${base}${index}`;
+        }
+
+        this.names.add(unique);
+        this.definitions.push({ kind: definition.kind, name: unique, ...definition });
+        return unique;
+    }
+
+    /**
+     * Strings with a few distinct word-like values, each seen more than once on average
+     */
+    isEnum(shape) {
+        if (!shape.values || shape.format || shape.values.length > TypeModel.ENUM_MAX_VALUES) return false;
+        if (shape.count < TypeModel.ENUM_MIN_SAMPLES || shape.values.length * 2 > shape.count) return false;
+        if (!shape.values.every(value => /^[A-Za-z][A-Za-z0-9 _.-]{0,39}$/.test(value))) return false;
+
+        // Members must stay distinct once named
+        const names = shape.values.map(value => TypeModel.toConstantCase(value));
+        return new Set(names).size === names.length;
+    }
+
+    /**
+     * Objects whose keys are all numeric ids, UUIDs or dates
+     */
+    isMap(shape) {
+        return shape.fields.length > 0 && shape.fields.every(field => TypeModel.DATA_KEY.test(field.key));
+    }
+
+    /**
+     * Split a key into words at changes to upper case and at anything not a letter or digit
+     */
+    static words(text) {
+        return String(text)
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+            .split(/[^A-Za-z0-9]+/)
+            .filter(word => word);
+    }
+
+    /**
+     * A word with its first letter upper case; words in capitals (ID, URL) become Id, Url
+     */
+    static capitalize(word) {
+        const rest = word === word.toUpperCase() ? word.slice(1).toLowerCase() : word.slice(1);
+        return word.charAt(0).toUpperCase() + rest;
+    }
+
+    /**
+     * PascalCase, e.g. user_id → UserId; names must start with a letter, so 1st → N1st and '' → Empty
+     */
+    static toPascalCase(text) {
+        const name = TypeModel.words(text).map(word => TypeModel.capitalize(word)).join('');
+        if (!name) return 'Empty';
+        return /^\d/.test(name) ? `N${name}` : name;
+    }
+
+    /**
+     * camelCase, e.g. user_id → userId
+     */
+    static toCamelCase(text) {
+        const pascal = TypeModel.toPascalCase(text);
+        const leading = pascal.match(/^[A-Z][a-z0-9]*/)[0];
+        return leading.toLowerCase() + pascal.slice(leading.length);
+    }
+
+    /**
+     * snake_case, e.g. userId → user_id
+     */
+    static toSnakeCase(text) {
+        const name = TypeModel.words(text).map(word => word.toLowerCase()).join('_');
+        if (!name) return 'empty';
+        return /^\d/.test(name) ? `n_${name}` : name;
+    }
+
+    /**
+     * CONSTANT_CASE, e.g. in progress → IN_PROGRESS
+     */
+    static toConstantCase(text) {
+        return TypeModel.toSnakeCase(text).toUpperCase();
+    }
+
+    /**
+     * A PascalCase type name that no generated language reserves
+     */
+    static toTypeName(text) {
+        const name = TypeModel.toPascalCase(text);
+        return TypeModel.RESERVED_TYPE_NAMES.includes(name) ? `${name}Type` : name;
+    }
+
+    /**
+     * Singular of a plural key for the items of an array (fruits → fruits' items are Fruit); keys that
+     * are not plural get an Item suffix
+     */
+    static singularize(name) {
+        if (/(series|species)$/i.test(name)) return `${name}Item`;
+        if (/(movie|cookie|calorie|rookie|selfie|zombie|hoodie|pie|tie)s$/i.test(name)) return name.slice(0, -1);
+        if (/[^aeiou]ies$/i.test(name)) return name.slice(0, -3) + 'y';
+        if (/(ss|sh|ch|x|z)es$/i.test(name)) return name.slice(0, -2);
+        if (/[^su]s$/i.test(name) && !/(is|us|ss)$/i.test(name)) return name.slice(0, -1);
+        return `${name}Item`;
+    }
+
+    /**
+     * Make names unique within one list, e.g. the fields of a record, by adding numbers
+     * @param {Array} names - Names, some perhaps repeated
+     * @returns {Array} - The names in the same order, repeated ones numbered from 2
+     */
+    static uniqueNames(names) {
+        const seen = new Set();
+        return names.map(name => {
+            let unique = name;
+            for (let index = 2; seen.has(unique); index++) {
+                unique = `${name}${index}`;
+            }
+            seen.add(unique);
+            return unique;
+        });
+    }
+}
+
+// Enums need at least this many strings, with at most this many distinct values
+TypeModel.ENUM_MIN_SAMPLES = 3;
+TypeModel.ENUM_MAX_VALUES = 10;
+
+// Keys that hold data rather than names: numeric ids, UUIDs and dates
+TypeModel.DATA_KEY = /^(-?\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|\d{4}-\d{2}-\d{2}.*)$/i;
+
+// Type names built into one of the generated languages
+TypeModel.RESERVED_TYPE_NAMES = [
+    'Any', 'Array', 'BaseModel', 'Boolean', 'Bool', 'Byte', 'Char', 'Codable', 'ConfigDict', 'Date',
+    'DateTime', 'Decimal', 'Decoder', 'Dictionary', 'Double', 'Encoder', 'Enum', 'Error', 'Field', 'Float',
+    'Guid', 'Int', 'Integer', 'List', 'Literal', 'Long', 'Map', 'NotRequired', 'Number', 'Object', 'Option',
+    'Optional', 'Record', 'Result', 'Self', 'Set', 'Short', 'String', 'Type', 'TypedDict', 'Union', 'Unit',
+    'Value', 'Vec', 'Void'
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TypeModel;
+}
@@ -0,0 +1,284 @@
+/**
+ * Binary Manager - Handles MessagePack and CBOR: the encode dialog, showing the bytes as a hex dump or
+ * base64, decoding pasted or dropped data into JSON, and listing values that could not be kept exactly
+ */
+
+class BinaryManager {
+    constructor(uiManager) {
+        this.ui = uiManager;
+        this.isModalOpen = false;
+        this.defaults = {
+            encoding: 'hex'
+        };
+        this.options = { ...this.defaults };
+        // Bytes and warnings of the last encoding, for the conversion message
+        this.lastEncoding = null;
+        // Editor content whose lossy values are listed in the error panel
+        this.warnedContent = null;
+    }
+
+    /**
+     * Initialize binary options from localStorage
+     */
+    initialize() {
+        const savedOptions = localStorage.getItem('json-lint-binary-options');
+        if (savedOptions) {
+            try {
+                this.options = { ...this.defaults, ...JSON.parse(savedOptions) };
+            } catch (error) {
+                localStorage.removeItem('json-lint-binary-options');
+            }
+        }
+    }
+
+    /**
+     * Save options to localStorage
+     */
+    saveOptions(options) {
+        this.options = { ...this.options, ...options };
+        localStorage.setItem('json-lint-binary-options', JSON.stringify(this.options));
+    }
+
+    /**
+     * Encode data and show the bytes as text
+     * @param {*} data - JSON data
+     * @param {string} format - 'msgpack' or 'cbor'
+     * @returns {string} - Hex dump or base64, as chosen
+     */
+    encode(data, format) {
+        const result = new BinaryCodec({ format }).encode(data);
+        this.lastEncoding = { format, ...result };
+        return this.options.encoding === 'base64' ? `${BinaryCodec.toBase64(result.bytes)}\n` : BinaryCodec.toHexDump(result.bytes);
+    }
+
+    /**
+     * Report the last encoding: its size, and any values that could not be kept exactly
+     */
+    reportEncoding() {
+        const { format, bytes, warnings } = this.lastEncoding;
+        const message = `Converted to ${BinaryCodec.FORMATS[format]}: ${bytes.length} byte(s) as ${BinaryCodec.ENCODINGS[this.options.encoding].toLowerCase()}`;
+
+        this.ui.updateStatus(message, 'success');
+        if (warnings.length > 0) {
+            this.showWarnings(warnings);
+        } else {
+            this.ui.showToast(message);
+        }
+    }
+
+    /**
+     * List lossy conversions in the error panel
+     * @param {Array} warnings - Messages from BinaryCodec, each starting with the JSON Pointer of the value
+     */
+    showWarnings(warnings) {
+        this.warnedContent = this.ui.getValue();
+        this.ui.showErrors([], warnings.map(warning => DiagnosticFormatter.create('lossy-conversion', warning, 'warning')));
+    }
+
+    /**
+     * Bytes of the editor content while it shows MessagePack or CBOR
+     */
+    getBytes() {
+        return BinaryCodec.parseBytes(this.ui.getValue());
+    }
+
+    /**
+     * Decode bytes and replace the editor content with the JSON (undoable)
+     * @param {Uint8Array} bytes - The encoded value
+     * @param {string} format - 'msgpack' or 'cbor'
+     * @param {string} source - What the bytes came from, for the message
+     * @returns {boolean} - Whether the data was decoded
+     */
+    decodeBytes(bytes, format, source) {
+        const label = BinaryCodec.FORMATS[format];
+        let result;
+        try {
+            result = new BinaryCodec({ format }).decode(bytes);
+        } catch (error) {
+            this.ui.updateStatus(`Invalid ${label}: ${error.message}`, 'invalid');
+            this.ui.showToast(`Failed to decode ${label}: ${error.message}`, 'error');
+            return false;
+        }
+
+        this.ui.importManager.replaceWithJSON(result.data, `Decoded ${bytes.length} byte(s) of ${label}${source ? ` from ${source}` : ''} as JSON`);
+        if (result.warnings.length > 0) {
+            this.showWarnings(result.warnings);
+        }
+        return true;
+    }
+
+    /**
+     * Decode a dropped MessagePack or CBOR file instead of inserting it as text
+     * @returns {boolean} - Whether the drop was handled
+     */
+    handleDrop(event) {
+        const files = event.dataTransfer ? event.dataTransfer.files : null;
+        if (!files || files.length !== 1) return false;
+
+        const file = files[0];
+        const formats = this.getFileFormats(file);
+        if (!formats) return false;
+
+        event.preventDefault();
+        this.decodeFile(file, formats);
+        return true;
+    }
+
+    /**
+     * Formats a file may hold, from its extension or type; null if it is not a binary file we know
+     */
+    getFileFormats(file) {
+        const extension = (file.name.match(/\.([^.]+)$/) || ['', ''])[1].toLowerCase();
+        const type = [extension, file.type].find(name => name && Object.prototype.hasOwnProperty.call(BinaryManager.FILE_TYPES, name));
+        if (type === undefined) return null;
+
+        const format = BinaryManager.FILE_TYPES[type];
+        return format ? [format] : Object.keys(BinaryCodec.FORMATS);
+    }
+
+    /**
+     * Read a file and decode it with the first of its possible formats that fits
+     * @param {File} file - The file
+     * @param {Array} formats - Formats to try, in order
+     */
+    async decodeFile(file, formats) {
+        let bytes;
+        try {
+            bytes = new Uint8Array(await file.arrayBuffer());
+        } catch (error) {
+            this.ui.showToast(`Could not read ${file.name}: ${error.message}`, 'error');
+            return;
+        }
+
+        // A .bin file may hold either format; keep the one that decodes completely
+        const format = formats.length === 1 ? formats[0] : formats.find(candidate => {
+            try {
+                new BinaryCodec({ format: candidate }).decode(bytes);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        });
+        if (!format) {
+            this.ui.showToast(`${file.name} is neither MessagePack nor CBOR`, 'error');
+            return;
+        }
+
+        this.decodeBytes(bytes, format, file.name);
+    }
+
+    /**
+     * Show the encode modal; converting from it runs the conversion
+     * @param {string} format - 'msgpack' or 'cbor'
+     */
+    showEncodeModal(format) {
+        if (this.isModalOpen) return;
+
+        this.createModal(format);
+        this.isModalOpen = true;
+    }
+
+    /**
+     * Create the encode modal
+     */
+    createModal(format) {
+        this.removeModal();
+
+        const encodings = Object.keys(BinaryCodec.ENCODINGS)
+            .map(encoding => `<option value="${encoding}">${BinaryCodec.ENCODINGS[encoding]}</option>`)
+            .join('');
+
+        const modal = document.createElement('div');
+        modal.id = 'binaryOptionsModal';
+        modal.className = 'format-options-modal';
+        modal.innerHTML = `
+            <div class="format-options-content">
+                <div class="format-options-header">
+                    <h3>Convert to ${BinaryCodec.FORMATS[format]}</h3>
+                    <button id="closeBinaryOptionsBtn" class="btn btn-icon" title="Close">✕</button>
+                </div>
+                <div class="format-options-body">
+                    <label class="format-option">
+                        <span>Show bytes as</span>
+                        <select id="binaryEncodingOption" class="convert-dropdown">
+                            ${encodings}
+                        </select>
+                    </label>
+                    <p class="import-note">Integers keep all their digits; other numbers are written as doubles. Download saves the bytes as a binary file, and Import reads them back as JSON.</p>
+                </div>
+                <div class="format-options-footer">
+                    <button id="cancelBinaryOptionsBtn" class="btn btn-secondary">Cancel</button>
+                    <button id="convertBinaryBtn" class="btn btn-primary">Convert</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('binaryEncodingOption').value = this.options.encoding;
+
+        this.bindModalEvents(format);
+    }
+
+    /**
+     * Bind events for the modal
+     */
+    bindModalEvents(format) {
+        const modal = document.getElementById('binaryOptionsModal');
+
+        document.getElementById('closeBinaryOptionsBtn').addEventListener('click', () => this.closeModal());
+        document.getElementById('cancelBinaryOptionsBtn').addEventListener('click', () => this.closeModal());
+        document.getElementById('convertBinaryBtn').addEventListener('click', () => {
+            this.saveOptions({ encoding: document.getElementById('binaryEncodingOption').value });
+            this.closeModal();
+            this.ui.conversionManager.handleConversion(format);
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeModal();
+            }
+        });
+
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeModal();
+            }
+        });
+    }
+
+    /**
+     * Close the modal and reset the conversion dropdown
+     */
+    closeModal() {
+        this.removeModal();
+        this.isModalOpen = false;
+
+        const dropdown = document.getElementById('convertDropdown');
+        if (dropdown) {
+            dropdown.value = '';
+        }
+    }
+
+    /**
+     * Remove modal from DOM
+     */
+    removeModal() {
+        const modal = document.getElementById('binaryOptionsModal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+}
+
+// File extensions and types of dropped files: a format, or null when the file may hold either
+BinaryManager.FILE_TYPES = {
+    msgpack: 'msgpack',
+    mpk: 'msgpack',
+    'application/msgpack': 'msgpack',
+    'application/x-msgpack': 'msgpack',
+    'application/vnd.msgpack': 'msgpack',
+    cbor: 'cbor',
+    'application/cbor': 'cbor',
+    bin: null
+};
@@ -1,5 +1,6 @@
 /**
- * Conversion Manager - Handles format conversion between JSON, YAML, TOML, XML
+ * Conversion Manager - Handles format conversion between JSON, YAML, TOML, HCL, XML, CSV, TSV, .properties,
+ * .env, INI, query strings, MessagePack and CBOR
  */
 
 class ConversionManager {
@@ -32,6 +33,7 @@ class ConversionManager {
         // Store original content for undo functionality
         if (this.ui.currentFormat === 'json') {
             this.ui.originalContent = content;
+            this.ui.originalDialect = null;
         }
 
         try {
@@ -40,64 +42,24 @@ class ConversionManager {
 
             // Parse the current content based on current format
             if (this.ui.currentFormat === 'json') {
-                // Validate JSON before conversion
+                // Validate JSON before conversion, keeping numbers as their original lexemes
                 const linter = new JSONLinter();
-                const validationResult = linter.validate(content);
+                const validationResult = linter.validate(content, { losslessNumbers: true, dialect: this.ui.dialect });
                 
                 if (!validationResult.isValid) {
                     this.ui.showToast('Cannot convert invalid JSON. Please fix validation errors first.', 'error');
-                    this.ui.updateStatus(`Invalid JSON: ${validationResult.errors[0]}`, 'error');
+                    this.ui.updateStatus(`Invalid JSON: ${new DiagnosticFormatter().formatShort(validationResult.errors[0])}`, 'error');
                     return;
                 }
                 
                 sourceData = validationResult.data;
-            } else if (this.ui.currentFormat === 'yaml') {
-                sourceData = jsyaml.load(content);
-            } else if (this.ui.currentFormat === 'toml') {
-                sourceData = TOML.parse(content);
             } else if (this.ui.currentFormat === 'xml') {
-                // For XML, we need a simple parser or convert back to JSON first
-                this.ui.showToast('XML to other format conversion not fully supported', 'warning');
-                return;
+                sourceData = this.ui.xmlOptionsManager.createConverter().parse(content);
+            } else {
+                sourceData = this.ui.importManager.createImporter().import(content, this.ui.currentFormat);
             }
 
-            // Convert to target format
-            switch (targetFormat) {
-                case 'yaml':
-                    convertedContent = jsyaml.dump(sourceData, {
-                        indent: 2,
-                        lineWidth: -1,
-                        noRefs: true,
-                        sortKeys: false
-                    });
-                    break;
-
-                case 'toml':
-                    // Use the correct method name for @iarna/toml library
-                    if (typeof TOML !== 'undefined' && TOML.stringify) {
-                        convertedContent = TOML.stringify(sourceData);
-                    } else if (typeof toml !== 'undefined' && toml.stringify) {
-                        convertedContent = toml.stringify(sourceData);
-                    } else {
-                        // Fallback to the JSONLinter's TOML converter
-                        const linter = new JSONLinter();
-                        const result = linter.convertToTOML(JSON.stringify(sourceData));
-                        if (result.success) {
-                            convertedContent = result.converted;
-                        } else {
-                            throw new Error('TOML conversion failed: ' + (result.errors ? result.errors[0] : 'Unknown error'));
-                        }
-                    }
-                    break;
-
-                case 'xml':
-                    convertedContent = this.jsonToXml(sourceData);
-                    break;
-
-                default:
-                    this.ui.showToast('Unsupported conversion format', 'error');
-                    return;
-            }
+            convertedContent = this.convertData(sourceData, targetFormat);
 
             // Update editor content and mode
             this.ui.setValue(convertedContent);
@@ -117,8 +79,13 @@ class ConversionManager {
                 dropdown.value = '';
             }
 
-            this.ui.updateStatus(`Converted to ${targetFormat.toUpperCase()}`, 'success');
-            this.ui.showToast(`Successfully converted to ${targetFormat.toUpperCase()}`);
+            if (BinaryCodec.FORMATS[targetFormat]) {
+                this.ui.binaryManager.reportEncoding();
+            } else {
+                const label = KeyValueConverter.FORMATS[targetFormat] || FormatImporter.FORMATS[targetFormat] || targetFormat.toUpperCase();
+                this.ui.updateStatus(`Converted to ${label}`, 'success');
+                this.ui.showToast(`Successfully converted to ${label}`);
+            }
 
         } catch (error) {
             console.error('Conversion error:', error);
@@ -134,36 +101,97 @@ class ConversionManager {
     }
 
     /**
-     * Convert JSON object to XML string
+     * Convert parsed data to the target format; numbers keep their original lexemes
      */
-    jsonToXml(obj, rootName = 'root') {
-        let xml = `<?xml version="1.0" encoding="UTF-8"?>\n<${rootName}>`;
-        
-        const convertValue = (value, key) => {
-            if (value === null) {
-                return `<${key} xsi:nil="true"/>`;
-            } else if (typeof value === 'object') {
-                if (Array.isArray(value)) {
-                    return value.map(item => `<${key}>${convertValue(item, 'item')}</${key}>`).join('');
+    convertData(data, targetFormat) {
+        switch (targetFormat) {
+            case 'yaml':
+            case 'toml':
+                return LosslessNumber.render(data, plainData => this.renderText(plainData, targetFormat));
+
+            case 'hcl':
+                return new HCLConverter().stringify(data);
+
+            case 'xml':
+                return this.ui.xmlOptionsManager.createConverter().stringify(data);
+
+            case 'csv':
+            case 'tsv':
+                return this.ui.csvExportManager.createExporter().export(data);
+
+            case 'properties':
+            case 'env':
+            case 'ini':
+                return new KeyValueConverter({ format: targetFormat }).stringify(data);
+
+            case 'query':
+                return this.ui.queryStringManager.createConverter().stringify(data);
+
+            case 'msgpack':
+            case 'cbor':
+                return this.ui.binaryManager.encode(data, targetFormat);
+
+            default:
+                throw new Error('Unsupported conversion format');
+        }
+    }
+
+    /**
+     * Render data without LosslessNumbers as YAML or TOML
+     */
+    renderText(data, targetFormat) {
+        switch (targetFormat) {
+            case 'yaml':
+                return jsyaml.dump(data, {
+                    indent: 2,
+                    lineWidth: -1,
+                    noRefs: true,
+                    sortKeys: false
+                });
+
+            case 'toml':
+                // Use the correct method name for @iarna/toml library
+                if (typeof TOML !== 'undefined' && TOML.stringify) {
+                    return TOML.stringify(data);
+                } else if (typeof toml !== 'undefined' && toml.stringify) {
+                    return toml.stringify(data);
                 } else {
-                    let result = `<${key}>`;
-                    for (const [subKey, subValue] of Object.entries(value)) {
-                        result += convertValue(subValue, subKey);
+                    // Fallback to the JSONLinter's TOML converter
+                    const linter = new JSONLinter();
+                    const result = linter.convertToTOML(JSON.stringify(data));
+                    if (result.success) {
+                        return result.converted;
                     }
-                    result += `</${key}>`;
-                    return result;
+                    throw new Error('TOML conversion failed: ' + (result.errors ? result.errors[0].message : 'Unknown error'));
                 }
-            } else {
-                return `<${key}>${String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</${key}>`;
-            }
-        };
 
-        for (const [key, value] of Object.entries(obj)) {
-            xml += convertValue(value, key);
+            default:
+                throw new Error('Unsupported conversion format');
         }
-        
-        xml += `</${rootName}>`;
-        return xml;
+    }
+
+    /**
+     * Replace the JSON with a transformed version of it (e.g. jq output), undoable like a conversion
+     * @param {string} content - The new editor content
+     * @param {string} message - Status and toast message
+     * @param {string} dialect - Dialect of the new content, if it differs (e.g. 'ndjson')
+     */
+    replaceContent(content, message, dialect = null) {
+        // Store original content (and dialect) so undoConversion() can restore it
+        this.ui.originalContent = this.ui.getValue();
+        this.ui.originalDialect = dialect ? this.ui.dialect : null;
+        this.ui.setValue(content);
+        if (dialect) {
+            this.ui.formatManager.setDialect(dialect);
+        }
+
+        const undoBtn = document.getElementById('undoBtn');
+        if (undoBtn) {
+            undoBtn.classList.remove('hidden');
+        }
+
+        this.ui.updateStatus(message, 'success');
+        this.ui.showToast(message);
     }
 
     /**
@@ -184,6 +212,10 @@ class ConversionManager {
             this.ui.setValue(this.ui.originalContent);
             this.ui.editorManager.setMode('json');
             this.ui.currentFormat = 'json';
+            if (this.ui.originalDialect) {
+                this.ui.formatManager.setDialect(this.ui.originalDialect);
+                this.ui.originalDialect = null;
+            }
             
             // Hide undo button
             const undoBtn = document.getElementById('undoBtn');
@@ -239,10 +271,21 @@ class ConversionManager {
         }
 
         const format = this.ui.currentFormat;
-        const filename = `data.${format}`;
+        const filename = ConversionManager.FILE_NAMES[format] || `data.${format}`;
         const mimeType = this.getMimeType(format);
 
-        const blob = new Blob([content], { type: mimeType });
+        // MessagePack and CBOR are shown as text but saved as their bytes
+        let data = content;
+        if (BinaryCodec.FORMATS[format]) {
+            try {
+                data = this.ui.binaryManager.getBytes();
+            } catch (error) {
+                this.ui.showToast(`Cannot download: ${error.message}`, 'error');
+                return;
+            }
+        }
+
+        const blob = new Blob([data], { type: mimeType });
         const url = URL.createObjectURL(blob);
         
         const a = document.createElement('a');
@@ -264,8 +307,20 @@ class ConversionManager {
             'json': 'application/json',
             'yaml': 'text/yaml',
             'toml': 'text/plain',
-            'xml': 'application/xml'
+            'xml': 'application/xml',
+            'csv': 'text/csv',
+            'tsv': 'text/tab-separated-values',
+            'properties': 'text/x-java-properties',
+            'query': 'application/x-www-form-urlencoded',
+            'msgpack': 'application/msgpack',
+            'cbor': 'application/cbor'
         };
         return mimeTypes[format] || 'text/plain';
     }
 }
+
+// Download names for formats whose key is not their file extension
+ConversionManager.FILE_NAMES = {
+    hcl: 'terraform.tfvars',
+    query: 'data.txt'
+};
@@ -14,15 +14,28 @@ class UIManager {
         this.maxFontSize = 24;
         this.treeMode = false;
         this.treeNodeMap = new Map(); // Maps tree nodes to editor line numbers
+        this.schemaMode = false;
+        this.queryMode = false;
         this.originalContent = ''; // Store original JSON for undo functionality
+        this.originalDialect = null; // Dialect to restore on undo when a replacement changed it
         this.currentFormat = 'json'; // Track current format
+        this.dialect = 'json'; // Input dialect: 'json', 'jsonc', 'json5' or 'ndjson'
+        this.formatOptions = null; // Formatting options, loaded by FormatOptionsManager
         
         // Initialize modules
         this.themeManager = new ThemeManager(this);
         this.editorManager = new EditorManager(this);
         this.formatManager = new FormatManager(this);
+        this.formatOptionsManager = new FormatOptionsManager(this);
         this.conversionManager = new ConversionManager(this);
+        this.importManager = new ImportManager(this);
+        this.xmlOptionsManager = new XMLOptionsManager(this);
+        this.csvExportManager = new CSVExportManager(this);
+        this.binaryManager = new BinaryManager(this);
+        this.queryStringManager = new QueryStringManager(this);
         this.treeManager = new TreeManager(this);
+        this.schemaManager = new SchemaManager(this);
+        this.queryManager = new QueryManager(this);
         this.fontManager = new FontManager(this);
         this.typeGeneratorManager = new TypeGeneratorManager(this);
         this.diffManager = new DiffManager(this);
@@ -31,6 +44,8 @@ class UIManager {
         
         this.themeManager.initialize();
         this.fontManager.initialize();
+        this.formatManager.initialize();
+        this.formatOptionsManager.initialize();
         this.responsiveManager.initialize();
     }
 
@@ -41,6 +56,13 @@ class UIManager {
         this.editorManager.setupEditor();
         this.diffManager.initialize();
         this.eventManager.bindEvents();
+        this.schemaManager.initialize();
+        this.queryManager.initialize();
+        this.importManager.initialize();
+        this.xmlOptionsManager.initialize();
+        this.csvExportManager.initialize();
+        this.binaryManager.initialize();
+        this.queryStringManager.initialize();
         this.themeManager.updateThemeIcon();
         
         // Load sample JSON on page load
@@ -114,6 +136,8 @@ class UIManager {
         if (sizeElement) {
             sizeElement.textContent = stats.sizeFormatted;
         }
+
+        this.formatManager.updateDigest();
     }
 
     /**
@@ -127,11 +151,126 @@ class UIManager {
     }
 
     /**
-     * Show errors in status area
+     * Show errors and warnings in separate sections of the error panel and summarize them in a toast
+     */
+    showErrors(errors, warnings = []) {
+        errors = errors || [];
+        if (errors.length === 0 && warnings.length === 0) return;
+
+        const formatter = new DiagnosticFormatter();
+        const errorPanel = document.getElementById('errorPanel');
+        const errorContent = document.getElementById('errorContent');
+        if (errorPanel && errorContent) {
+            errorContent.innerHTML = '';
+            this.appendErrorSection(errorContent, 'Errors', errors, formatter);
+            this.appendErrorSection(errorContent, 'Warnings', warnings, formatter);
+
+            const title = errorPanel.querySelector('.error-header h3');
+            if (title) {
+                title.textContent = errors.length > 0 ? 'Validation Errors' : 'Validation Warnings';
+            }
+            errorPanel.classList.toggle('warnings-only', errors.length === 0);
+            errorPanel.classList.remove('repairs');
+            errorPanel.classList.remove('hidden');
+        }
+
+        if (errors.length > 0) {
+            const summary = errors.length === 1 ? formatter.formatShort(errors[0]) : `${errors.length} errors found - see the error panel`;
+            this.showToast(summary, 'error');
+        } else {
+            const summary = warnings.length === 1 ? formatter.formatShort(warnings[0]) : `${warnings.length} warnings found - see the error panel`;
+            this.showToast(summary, 'warning');
+        }
+    }
+
+    /**
+     * Show the fixes applied by a repair and any errors that remain, with a button to undo the repair
+     */
+    showRepairs(fixes, errors = []) {
+        const formatter = new DiagnosticFormatter();
+        const errorPanel = document.getElementById('errorPanel');
+        const errorContent = document.getElementById('errorContent');
+        if (!errorPanel || !errorContent) return;
+
+        errorContent.innerHTML = '';
+
+        const undoButton = document.createElement('button');
+        undoButton.className = 'btn btn-secondary repair-undo';
+        undoButton.textContent = '↶ Undo repair';
+        undoButton.addEventListener('click', () => this.formatManager.undoRepair());
+        errorContent.appendChild(undoButton);
+
+        this.appendErrorSection(errorContent, 'Fixes', fixes, formatter);
+        this.appendErrorSection(errorContent, 'Remaining errors', errors, formatter);
+
+        const title = errorPanel.querySelector('.error-header h3');
+        if (title) {
+            title.textContent = 'Repairs Applied';
+        }
+        errorPanel.classList.remove('warnings-only');
+        errorPanel.classList.toggle('repairs', errors.length === 0);
+        errorPanel.classList.remove('hidden');
+    }
+
+    /**
+     * Append a titled list of diagnostics to the error panel
+     */
+    appendErrorSection(container, title, diagnostics, formatter) {
+        if (diagnostics.length === 0) return;
+
+        const heading = document.createElement('div');
+        heading.className = 'error-section-title';
+        heading.textContent = `${title} (${diagnostics.length})`;
+        container.appendChild(heading);
+
+        diagnostics.forEach(diagnostic => {
+            container.appendChild(this.createErrorItem(diagnostic, formatter));
+        });
+    }
+
+    /**
+     * Create an error panel entry for a diagnostic; clicking it jumps to the position in the editor
      */
-    showErrors(errors) {
-        if (errors && errors.length > 0) {
-            this.showToast(errors[0], 'error');
+    createErrorItem(diagnostic, formatter) {
+        const item = document.createElement('div');
+        item.className = `error-item ${diagnostic.severity}`;
+
+        const location = formatter.formatLocation(diagnostic);
+        if (location) {
+            const locationElement = document.createElement('span');
+            locationElement.className = 'error-location';
+            locationElement.textContent = location;
+            item.appendChild(locationElement);
         }
+
+        const messageElement = document.createElement('span');
+        messageElement.className = 'error-message';
+        messageElement.textContent = diagnostic.message;
+        item.appendChild(messageElement);
+
+        (diagnostic.related || []).forEach(related => {
+            const relatedElement = document.createElement('div');
+            relatedElement.className = 'error-related';
+            relatedElement.textContent = `${related.message} at ${formatter.formatLocation(related)}`;
+            relatedElement.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.editorManager.goToPosition(related.start);
+            });
+            item.appendChild(relatedElement);
+        });
+
+        if (diagnostic.hint) {
+            const hintElement = document.createElement('div');
+            hintElement.className = 'error-hint';
+            hintElement.textContent = diagnostic.hint;
+            item.appendChild(hintElement);
+        }
+
+        if (diagnostic.start) {
+            item.classList.add('clickable');
+            item.addEventListener('click', () => this.editorManager.goToPosition(diagnostic.start));
+        }
+
+        return item;
     }
 }
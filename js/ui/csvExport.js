@@ -0,0 +1,305 @@
+/**
+ * CSV Export Manager - Handles the CSV/TSV export dialog: delimiter, quoting, array handling and the
+ * columns to write, in order
+ */
+
+class CSVExportManager {
+    constructor(uiManager) {
+        this.ui = uiManager;
+        this.isModalOpen = false;
+        this.defaults = {
+            delimiter: ',',
+            quoting: 'minimal',
+            arrays: 'join',
+            arraySeparator: '; '
+        };
+        this.options = { ...this.defaults };
+        this.data = null;
+        // Columns of the document being exported: [{ name, included }], in output order
+        this.columns = [];
+    }
+
+    /**
+     * Initialize export options from localStorage
+     */
+    initialize() {
+        const savedOptions = localStorage.getItem('json-lint-csv-options');
+        if (savedOptions) {
+            try {
+                this.options = { ...this.defaults, ...JSON.parse(savedOptions) };
+            } catch (error) {
+                localStorage.removeItem('json-lint-csv-options');
+            }
+        }
+    }
+
+    /**
+     * Create an exporter with the current options and, while the dialog is open, its column choice
+     */
+    createExporter() {
+        const options = { ...this.options };
+        if (this.isModalOpen) {
+            options.columns = this.columns.filter(column => column.included).map(column => column.name);
+        }
+        return new CSVExporter(options);
+    }
+
+    /**
+     * Save options to localStorage
+     */
+    saveOptions(options) {
+        this.options = { ...this.options, ...options };
+        localStorage.setItem('json-lint-csv-options', JSON.stringify(this.options));
+    }
+
+    /**
+     * Show the export modal for the JSON in the editor
+     */
+    showExportModal() {
+        if (this.isModalOpen) return;
+
+        const linter = new JSONLinter();
+        const result = linter.validate(this.ui.getValue(), { losslessNumbers: true, dialect: this.ui.dialect });
+        if (!result.isValid) {
+            this.ui.showToast('Cannot convert invalid JSON. Please fix validation errors first.', 'error');
+            this.resetDropdown();
+            return;
+        }
+
+        this.data = result.data;
+        this.columns = [];
+        try {
+            this.updateColumns();
+        } catch (error) {
+            this.ui.showToast(`Failed to convert: ${error.message}`, 'error');
+            this.resetDropdown();
+            return;
+        }
+
+        this.createModal();
+        this.isModalOpen = true;
+    }
+
+    /**
+     * Recompute the columns for the current array handling, keeping the order and choices made so far
+     */
+    updateColumns() {
+        const names = new CSVExporter({ arrays: this.options.arrays }).getColumns(this.data);
+        const previous = new Map(this.columns.map((column, index) => [column.name, { column, index }]));
+
+        const kept = names.filter(name => previous.has(name))
+            .sort((a, b) => previous.get(a).index - previous.get(b).index)
+            .map(name => previous.get(name).column);
+        const added = names.filter(name => !previous.has(name)).map(name => ({ name, included: true }));
+        this.columns = [...kept, ...added];
+    }
+
+    /**
+     * Create the export modal
+     */
+    createModal() {
+        this.removeModal();
+
+        const toOptions = choices => Object.keys(choices)
+            .map(value => `<option value="${value}">${choices[value]}</option>`)
+            .join('');
+
+        const modal = document.createElement('div');
+        modal.id = 'csvExportModal';
+        modal.className = 'format-options-modal';
+        modal.innerHTML = `
+            <div class="format-options-content">
+                <div class="format-options-header">
+                    <h3>Convert to CSV / TSV</h3>
+                    <button id="closeCsvExportBtn" class="btn btn-icon" title="Close">✕</button>
+                </div>
+                <div class="format-options-body">
+                    <label class="format-option">
+                        <span>Delimiter</span>
+                        <select id="csvDelimiterOption" class="convert-dropdown">
+                            ${toOptions(CSVExportManager.DELIMITERS)}
+                        </select>
+                    </label>
+                    <label class="format-option">
+                        <span>Quoting</span>
+                        <select id="csvQuotingOption" class="convert-dropdown">
+                            ${toOptions(CSVExporter.QUOTING)}
+                        </select>
+                    </label>
+                    <label class="format-option">
+                        <span>Arrays</span>
+                        <select id="csvArraysOption" class="convert-dropdown">
+                            ${toOptions(CSVExporter.ARRAYS)}
+                        </select>
+                        <input type="text" id="csvArraySeparatorOption" class="format-option-number" title="Separator of joined items">
+                    </label>
+                    <div class="format-option csv-columns-option">
+                        <span>Columns</span>
+                        <div id="csvColumnsList" class="csv-columns"></div>
+                    </div>
+                </div>
+                <div class="format-options-footer">
+                    <button id="cancelCsvExportBtn" class="btn btn-secondary">Cancel</button>
+                    <button id="runCsvExportBtn" class="btn btn-primary">Convert</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('csvDelimiterOption').value = this.options.delimiter;
+        document.getElementById('csvQuotingOption').value = this.options.quoting;
+        document.getElementById('csvArraysOption').value = this.options.arrays;
+        document.getElementById('csvArraySeparatorOption').value = this.options.arraySeparator;
+        this.updateFieldStates();
+        this.renderColumns();
+
+        this.bindModalEvents();
+    }
+
+    /**
+     * Render the column list: a checkbox to include each column and buttons to move it
+     */
+    renderColumns() {
+        const list = document.getElementById('csvColumnsList');
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.columns.forEach((column, index) => {
+            const item = document.createElement('div');
+            item.className = 'csv-column';
+
+            const label = document.createElement('label');
+            label.className = 'csv-column-name';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = column.included;
+            checkbox.addEventListener('change', () => {
+                column.included = checkbox.checked;
+            });
+            const name = document.createElement('span');
+            name.textContent = column.name;
+            name.title = column.name;
+            label.appendChild(checkbox);
+            label.appendChild(name);
+            item.appendChild(label);
+
+            [['↑', 'Move up', -1], ['↓', 'Move down', 1]].forEach(([text, title, offset]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-icon csv-column-move';
+                button.textContent = text;
+                button.title = title;
+                button.disabled = index + offset < 0 || index + offset >= this.columns.length;
+                button.addEventListener('click', () => this.moveColumn(index, offset));
+                item.appendChild(button);
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Swap a column with its neighbour
+     */
+    moveColumn(index, offset) {
+        const target = index + offset;
+        [this.columns[index], this.columns[target]] = [this.columns[target], this.columns[index]];
+        this.renderColumns();
+    }
+
+    /**
+     * Bind events for the modal
+     */
+    bindModalEvents() {
+        const modal = document.getElementById('csvExportModal');
+
+        document.getElementById('closeCsvExportBtn').addEventListener('click', () => this.closeModal());
+        document.getElementById('cancelCsvExportBtn').addEventListener('click', () => this.closeModal());
+        document.getElementById('csvArraysOption').addEventListener('change', () => {
+            this.saveOptions(this.readForm());
+            this.updateFieldStates();
+            this.updateColumns();
+            this.renderColumns();
+        });
+        document.getElementById('runCsvExportBtn').addEventListener('click', () => {
+            this.saveOptions(this.readForm());
+            if (!this.columns.some(column => column.included)) {
+                this.ui.showToast('Choose at least one column', 'warning');
+                return;
+            }
+
+            this.ui.conversionManager.handleConversion(this.options.delimiter === '\t' ? 'tsv' : 'csv');
+            this.closeModal();
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeModal();
+            }
+        });
+
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeModal();
+            }
+        });
+    }
+
+    /**
+     * The separator only applies to joined arrays
+     */
+    updateFieldStates() {
+        document.getElementById('csvArraySeparatorOption').disabled = document.getElementById('csvArraysOption').value !== 'join';
+    }
+
+    /**
+     * Read the options from the modal form
+     */
+    readForm() {
+        return {
+            delimiter: document.getElementById('csvDelimiterOption').value,
+            quoting: document.getElementById('csvQuotingOption').value,
+            arrays: document.getElementById('csvArraysOption').value,
+            arraySeparator: document.getElementById('csvArraySeparatorOption').value
+        };
+    }
+
+    /**
+     * Reset the conversion dropdown
+     */
+    resetDropdown() {
+        const dropdown = document.getElementById('convertDropdown');
+        if (dropdown) {
+            dropdown.value = '';
+        }
+    }
+
+    /**
+     * Close the modal
+     */
+    closeModal() {
+        this.removeModal();
+        this.isModalOpen = false;
+        this.data = null;
+        this.columns = [];
+        this.resetDropdown();
+    }
+
+    /**
+     * Remove modal from DOM
+     */
+    removeModal() {
+        const modal = document.getElementById('csvExportModal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+}
+
+// Delimiter choices for the menu
+CSVExportManager.DELIMITERS = {
+    ',': 'Comma (CSV)',
+    '\t': 'Tab (TSV)',
+    ';': 'Semicolon',
+    '|': 'Pipe'
+};
@@ -148,6 +148,14 @@ class DiffManager {
         if (treeModeToggle) {
             treeModeToggle.checked = false;
         }
+
+        // Close the schema and query panes, which live in the editor container the diff layout replaces
+        if (this.uiManager.schemaMode) {
+            this.uiManager.schemaManager.toggleSchemaMode();
+        }
+        if (this.uiManager.queryMode) {
+            this.uiManager.queryManager.toggleQueryMode();
+        }
     }
 
     /**
@@ -163,6 +171,9 @@ class DiffManager {
     disableOtherControls() {
         const controlsToDisable = [
             'treeModeToggle',
+            'schemaModeToggle',
+            'queryModeToggle',
+            'importBtn',
             'convertDropdown',
             'generateTypesBtn'
         ];
@@ -182,6 +193,9 @@ class DiffManager {
     enableOtherControls() {
         const controlsToEnable = [
             'treeModeToggle',
+            'schemaModeToggle',
+            'queryModeToggle',
+            'importBtn',
             'convertDropdown',
             'generateTypesBtn'
         ];
@@ -426,10 +440,15 @@ class DiffManager {
      */
     performDiff(leftJson, rightJson) {
         try {
-            const leftObj = JSON.parse(leftJson);
-            const rightObj = JSON.parse(rightJson);
+            // Parse losslessly so numbers differing only beyond double precision still show up
+            const linter = new JSONLinter();
+            const left = linter.validate(leftJson, { losslessNumbers: true });
+            const right = linter.validate(rightJson, { losslessNumbers: true });
+            if (!left.isValid || !right.isValid) {
+                throw new Error('Invalid JSON');
+            }
             
-            return this.deepDiff(leftObj, rightObj, '');
+            return this.deepDiff(left.data, right.data, '');
         } catch (error) {
             return { error: 'Failed to parse JSON for comparison' };
         }
@@ -446,6 +465,33 @@ class DiffManager {
             unchanged: []
         };
         
+        // Lossless numbers compare by decimal value (1.10 equals 1.1)
+        const leftIsNumber = left instanceof LosslessNumber;
+        const rightIsNumber = right instanceof LosslessNumber;
+        if (leftIsNumber || rightIsNumber) {
+            if (leftIsNumber !== rightIsNumber) {
+                changes.modified.push({
+                    path: path || 'root',
+                    leftValue: left,
+                    rightValue: right,
+                    type: 'type_change'
+                });
+            } else if (!left.equals(right)) {
+                changes.modified.push({
+                    path: path || 'root',
+                    leftValue: left,
+                    rightValue: right,
+                    type: 'value_change'
+                });
+            } else {
+                changes.unchanged.push({
+                    path: path || 'root',
+                    value: left
+                });
+            }
+            return changes;
+        }
+        
         // Handle different types
         if (typeof left !== typeof right) {
             changes.modified.push({
@@ -585,6 +631,9 @@ class DiffManager {
     deepEqual(a, b) {
         if (a === b) return true;
         if (a == null || b == null) return false;
+        if (a instanceof LosslessNumber || b instanceof LosslessNumber) {
+            return a instanceof LosslessNumber && b instanceof LosslessNumber && a.equals(b);
+        }
         if (typeof a !== typeof b) return false;
         
         if (Array.isArray(a) && Array.isArray(b)) {
@@ -24,10 +24,10 @@ class EditorManager {
             indentUnit: 2,
             tabSize: 2,
             foldGutter: true,
-            gutters: ['CodeMirror-linenumbers', 'CodeMirror-foldgutter'],
+            gutters: ['CodeMirror-linenumbers', 'error-gutter', 'CodeMirror-foldgutter'],
             extraKeys: {
                 'Ctrl-Space': 'autocomplete',
-                'Ctrl-/': 'toggleComment',
+                'Ctrl-/': () => this.toggleComment(),
                 'Ctrl-Enter': () => this.ui.formatManager.formatJSON(),
                 'Ctrl-L': () => this.ui.formatManager.loadSampleJSON(),
                 'Ctrl-K': () => this.ui.formatManager.clearInput()
@@ -45,7 +45,14 @@ class EditorManager {
                     this.ui.formatManager.validateJSON();
                 }
                 this.ui.updateStats();
-                
+
+                if (this.ui.schemaMode) {
+                    this.ui.schemaManager.validateDocument();
+                }
+                if (this.ui.queryMode) {
+                    this.ui.queryManager.runQuery();
+                }
+
                 // Update diff availability
                 if (this.ui.diffManager) {
                     this.ui.diffManager.updateDiffAvailability();
@@ -53,8 +60,14 @@ class EditorManager {
             }, this.ui.debounceDelay);
         });
 
-        // Update font size
+        // Dropped MessagePack and CBOR files are decoded rather than inserted as text
+        this.ui.jsonEditor.on('drop', (editor, event) => {
+            this.ui.binaryManager.handleDrop(event);
+        });
+
+        // Update font size and indentation
         this.updateFontSize();
+        this.updateIndentation();
     }
 
     /**
@@ -84,6 +97,20 @@ class EditorManager {
         }
     }
 
+    /**
+     * Match the editor's indentation to the formatting options
+     */
+    updateIndentation() {
+        if (this.ui.jsonEditor && this.ui.formatOptions) {
+            const useTabs = this.ui.formatOptions.indentType === 'tabs';
+            this.ui.jsonEditor.setOption('indentWithTabs', useTabs);
+            if (!useTabs) {
+                this.ui.jsonEditor.setOption('indentUnit', this.ui.formatOptions.indentSize);
+                this.ui.jsonEditor.setOption('tabSize', this.ui.formatOptions.indentSize);
+            }
+        }
+    }
+
     /**
      * Set editor mode for different formats
      */
@@ -100,6 +127,21 @@ class EditorManager {
                 case 'toml':
                     mimeType = 'text/x-toml';
                     break;
+                case 'properties':
+                case 'env':
+                    mimeType = 'text/x-properties';
+                    break;
+                case 'ini':
+                    mimeType = 'text/x-ini';
+                    break;
+                case 'csv':
+                case 'tsv':
+                case 'hcl':
+                case 'query':
+                case 'msgpack':
+                case 'cbor':
+                    mimeType = 'text/plain';
+                    break;
                 default:
                     mimeType = 'application/json';
             }
@@ -107,6 +149,21 @@ class EditorManager {
         }
     }
 
+    /**
+     * Toggle // comments on the selected lines; only JSONC and JSON5 allow comments
+     */
+    toggleComment() {
+        if (!this.ui.jsonEditor) return;
+
+        if (this.ui.currentFormat === 'json' && (this.ui.dialect === 'json' || this.ui.dialect === 'ndjson')) {
+            this.ui.showToast('Comments are not allowed in strict JSON or NDJSON; switch the dialect to JSONC or JSON5', 'warning');
+            return;
+        }
+
+        // The JSON mode defines no comment syntax, so pass it explicitly
+        this.ui.jsonEditor.toggleComment({ lineComment: '//' });
+    }
+
     /**
      * Focus the editor
      */
@@ -126,40 +183,155 @@ class EditorManager {
     }
 
     /**
-     * Highlight error line in the editor
+     * Mark every diagnostic in the editor: line background, gutter marker and an underline on the range
      */
-    highlightErrorLine(errorMessage) {
+    highlightErrorLines(diagnostics) {
         if (!this.ui.jsonEditor) return;
 
         // Clear previous error highlights
         this.clearErrorHighlights();
 
-        // Extract line number from error message
-        const lineMatch = errorMessage.match(/line (\d+)/i);
-        if (lineMatch) {
-            const lineNumber = parseInt(lineMatch[1]) - 1; // CodeMirror uses 0-based line numbers
-            
-            // Add error line class
-            this.ui.jsonEditor.addLineClass(lineNumber, 'background', 'error-line');
-            
-            // Scroll to the error line
-            this.ui.jsonEditor.scrollIntoView({line: lineNumber, ch: 0});
-            
-            // Store the highlighted line for later clearing
-            this.ui.errorLineNumber = lineNumber;
+        const positioned = (diagnostics || []).filter(diagnostic => diagnostic.start);
+        if (positioned.length === 0) return;
+
+        const editor = this.ui.jsonEditor;
+        const totalLines = editor.lineCount();
+        this.ui.errorLineHandles = [];
+        this.ui.errorTextMarks = [];
+
+        positioned.forEach(diagnostic => {
+            const lineNumber = diagnostic.start.line - 1; // CodeMirror uses 0-based line numbers
+            if (lineNumber < 0 || lineNumber >= totalLines) return;
+
+            // Store the line handle so the highlight can be cleared even after edits shift lines
+            const handle = editor.addLineClass(lineNumber, 'background', `${diagnostic.severity}-line`);
+            this.ui.errorLineHandles.push({ handle, className: `${diagnostic.severity}-line` });
+
+            editor.setGutterMarker(lineNumber, 'error-gutter', this.createGutterMarker(diagnostic, editor.lineInfo(lineNumber)));
+
+            this.markRange(diagnostic, diagnostic.severity, diagnostic.message);
+
+            // Related locations (e.g. the first definition of a duplicate key) get the same underline
+            (diagnostic.related || []).forEach(related => {
+                this.markRange(related, diagnostic.severity, related.message);
+            });
+        });
+
+        // Scroll to the first error line
+        this.ui.jsonEditor.scrollIntoView({line: Math.min(positioned[0].start.line - 1, totalLines - 1), ch: 0});
+    }
+
+    /**
+     * Underline the start-end range of a diagnostic or related location
+     */
+    markRange(range, severity, title) {
+        const editor = this.ui.jsonEditor;
+        const from = editor.posFromIndex(range.start.offset);
+        const to = editor.posFromIndex(range.end ? range.end.offset : range.start.offset);
+        if (to.line !== from.line || to.ch !== from.ch) {
+            this.ui.errorTextMarks.push(editor.markText(from, to, {
+                className: `${severity}-range`,
+                title
+            }));
+        }
+    }
+
+    /**
+     * Create (or extend) the gutter marker for a line; several diagnostics on one line share a marker
+     */
+    createGutterMarker(diagnostic, lineInfo) {
+        const existing = lineInfo && lineInfo.gutterMarkers && lineInfo.gutterMarkers['error-gutter'];
+        if (existing) {
+            existing.title += `\n${diagnostic.message}`;
+            return existing;
         }
+
+        const marker = document.createElement('span');
+        marker.className = `gutter-marker ${diagnostic.severity}`;
+        marker.textContent = '●';
+        marker.title = diagnostic.message;
+        return marker;
     }
 
     /**
-     * Clear error line highlights
+     * Clear error line highlights, gutter markers and range underlines
      */
     clearErrorHighlights() {
         if (!this.ui.jsonEditor) return;
 
-        if (this.ui.errorLineNumber !== undefined) {
-            this.ui.jsonEditor.removeLineClass(this.ui.errorLineNumber, 'background', 'error-line');
-            this.ui.errorLineNumber = undefined;
+        if (this.ui.errorLineHandles) {
+            this.ui.errorLineHandles.forEach(({ handle, className }) => {
+                this.ui.jsonEditor.removeLineClass(handle, 'background', className);
+            });
+            this.ui.errorLineHandles = undefined;
+        }
+
+        if (this.ui.errorTextMarks) {
+            this.ui.errorTextMarks.forEach(mark => mark.clear());
+            this.ui.errorTextMarks = undefined;
+        }
+
+        this.ui.jsonEditor.clearGutter('error-gutter');
+    }
+
+    /**
+     * Mark schema violations: a line background on the value and an underline on its first line.
+     * Kept apart from the syntax error marks so validation and schema checks do not clear each other
+     */
+    highlightSchemaViolations(violations) {
+        if (!this.ui.jsonEditor) return;
+
+        this.clearSchemaHighlights();
+
+        const editor = this.ui.jsonEditor;
+        this.ui.schemaLineHandles = [];
+        this.ui.schemaTextMarks = [];
+
+        violations.filter(violation => violation.start).forEach(violation => {
+            const from = editor.posFromIndex(violation.start.offset);
+            const to = editor.posFromIndex(violation.end.offset);
+            this.ui.schemaLineHandles.push(editor.addLineClass(from.line, 'background', 'schema-error-line'));
+
+            // Objects and arrays span many lines; underlining all of them would hide the rest of the markup
+            const end = to.line === from.line ? to : { line: from.line, ch: editor.getLine(from.line).length };
+            if (end.ch > from.ch) {
+                this.ui.schemaTextMarks.push(editor.markText(from, end, {
+                    className: 'schema-error-range',
+                    title: violation.message
+                }));
+            }
+        });
+    }
+
+    /**
+     * Clear schema violation highlights
+     */
+    clearSchemaHighlights() {
+        if (!this.ui.jsonEditor) return;
+
+        if (this.ui.schemaLineHandles) {
+            this.ui.schemaLineHandles.forEach(handle => {
+                this.ui.jsonEditor.removeLineClass(handle, 'background', 'schema-error-line');
+            });
+            this.ui.schemaLineHandles = undefined;
         }
+
+        if (this.ui.schemaTextMarks) {
+            this.ui.schemaTextMarks.forEach(mark => mark.clear());
+            this.ui.schemaTextMarks = undefined;
+        }
+    }
+
+    /**
+     * Move the cursor to a diagnostic position (1-based line and column)
+     */
+    goToPosition(position) {
+        if (!this.ui.jsonEditor || !position) return;
+
+        const pos = { line: position.line - 1, ch: position.column - 1 };
+        this.ui.jsonEditor.setCursor(pos);
+        this.ui.jsonEditor.scrollIntoView(pos, 100);
+        this.ui.jsonEditor.focus();
     }
 
     /**
@@ -35,6 +35,18 @@ class EventManager {
             formatBtn.addEventListener('click', () => this.ui.formatManager.formatJSON());
         }
 
+        // Formatting options button
+        const formatOptionsBtn = document.getElementById('formatOptionsBtn');
+        if (formatOptionsBtn) {
+            formatOptionsBtn.addEventListener('click', () => this.ui.formatOptionsManager.showOptionsModal());
+        }
+
+        // Repair button
+        const repairBtn = document.getElementById('repairBtn');
+        if (repairBtn) {
+            repairBtn.addEventListener('click', () => this.ui.formatManager.repairJSON());
+        }
+
         // Validate toggle checkbox
         const validateToggle = document.getElementById('validateToggle');
         if (validateToggle) {
@@ -63,6 +75,30 @@ class EventManager {
             console.error('Compress toggle element not found!');
         }
 
+        // Dialect selector
+        const dialectSelector = document.getElementById('dialectSelector');
+        if (dialectSelector) {
+            this.ui.formatManager.updateDialectControls();
+            dialectSelector.addEventListener('change', (e) => this.ui.formatManager.setDialect(e.target.value));
+        }
+
+        // Canonical toggle checkbox and digest display
+        const canonicalToggle = document.getElementById('canonicalToggle');
+        if (canonicalToggle) {
+            canonicalToggle.addEventListener('change', () => this.ui.formatManager.toggleCanonical());
+        }
+
+        const digestAlgorithm = document.getElementById('digestAlgorithm');
+        if (digestAlgorithm) {
+            digestAlgorithm.value = this.ui.formatManager.digestAlgorithm;
+            digestAlgorithm.addEventListener('change', (e) => this.ui.formatManager.setDigestAlgorithm(e.target.value));
+        }
+
+        const digest = document.getElementById('digest');
+        if (digest) {
+            digest.addEventListener('click', () => this.ui.formatManager.copyDigest());
+        }
+
         // Tree mode toggle checkbox
         const treeModeToggle = document.getElementById('treeModeToggle');
         if (treeModeToggle) {
@@ -75,6 +111,18 @@ class EventManager {
             console.error('Tree mode toggle element not found!');
         }
 
+        // Schema pane toggle
+        const schemaModeToggle = document.getElementById('schemaModeToggle');
+        if (schemaModeToggle) {
+            schemaModeToggle.addEventListener('change', () => this.ui.schemaManager.toggleSchemaMode());
+        }
+
+        // Query pane toggle
+        const queryModeToggle = document.getElementById('queryModeToggle');
+        if (queryModeToggle) {
+            queryModeToggle.addEventListener('change', () => this.ui.queryManager.toggleQueryMode());
+        }
+
         // Copy button
         const copyBtn = document.getElementById('copyBtn');
         if (copyBtn) {
@@ -104,12 +152,38 @@ class EventManager {
             closeErrorBtn.addEventListener('click', () => this.ui.hideErrorPanel());
         }
 
-        // Conversion dropdown - remove CSV option and handle format switching properly
+        // Import button
+        const importBtn = document.getElementById('importBtn');
+        if (importBtn) {
+            importBtn.addEventListener('click', () => this.ui.importManager.showImportModal());
+        }
+
+        // Conversion dropdown
         const convertDropdown = document.getElementById('convertDropdown');
         if (convertDropdown) {
-            // Remove CSV option if it exists
-            this.removeCsvOption(convertDropdown);
-            convertDropdown.addEventListener('change', (e) => this.ui.conversionManager.handleConversion(e.target.value));
+            convertDropdown.addEventListener('change', (e) => {
+                // XML, CSV, query strings, MessagePack and CBOR ask for their options first
+                if (e.target.value === 'xml') {
+                    this.ui.xmlOptionsManager.showOptionsModal();
+                } else if (e.target.value === 'csv') {
+                    this.ui.csvExportManager.showExportModal();
+                } else if (e.target.value === 'query') {
+                    this.ui.queryStringManager.showOptionsModal();
+                } else if (e.target.value === 'msgpack' || e.target.value === 'cbor') {
+                    this.ui.binaryManager.showEncodeModal(e.target.value);
+                } else if (e.target.value === 'ndjson' || e.target.value === 'json-array') {
+                    // Both stay JSON, so they replace the content instead of converting it
+                    const toNDJSON = e.target.value === 'ndjson';
+                    e.target.value = '';
+                    if (toNDJSON) {
+                        this.ui.formatManager.convertToNDJSON();
+                    } else {
+                        this.ui.formatManager.convertToJSONArray();
+                    }
+                } else {
+                    this.ui.conversionManager.handleConversion(e.target.value);
+                }
+            });
         }
 
         // Undo button
@@ -128,16 +202,6 @@ class EventManager {
         document.addEventListener('keydown', (e) => this.handleKeyboardShortcuts(e));
     }
 
-    /**
-     * Remove CSV option from conversion dropdown
-     */
-    removeCsvOption(dropdown) {
-        const csvOption = dropdown.querySelector('option[value="csv"]');
-        if (csvOption) {
-            csvOption.remove();
-        }
-    }
-
     /**
      * Handle keyboard shortcuts
      */
@@ -6,6 +6,102 @@ class FormatManager {
     constructor(uiManager) {
         this.ui = uiManager;
         this.isCompressed = false;
+        this.isCanonical = false;
+        this.digestAlgorithm = 'SHA-256';
+        this.digestRequest = 0; // Ignore digests that finish after a newer one was requested
+        this.dialects = ['json', 'jsonc', 'json5', 'ndjson'];
+        this.preRepairContent = null; // Editor content before the last repair, for undo
+        this.repairedContent = null;
+    }
+
+    /**
+     * Initialize the input dialect from localStorage
+     */
+    initialize() {
+        const savedDialect = localStorage.getItem('json-lint-dialect');
+        if (this.dialects.includes(savedDialect)) {
+            this.ui.dialect = savedDialect;
+        }
+
+        const savedAlgorithm = localStorage.getItem('json-lint-digest-algorithm');
+        if (['SHA-256', 'SHA-1', 'MD5'].includes(savedAlgorithm)) {
+            this.digestAlgorithm = savedAlgorithm;
+        }
+    }
+
+    /**
+     * Switch the input dialect, save it to localStorage and re-validate
+     * @param {string} dialect - 'json', 'jsonc', 'json5' or 'ndjson'
+     */
+    setDialect(dialect) {
+        if (!this.dialects.includes(dialect)) return;
+
+        this.ui.dialect = dialect;
+        localStorage.setItem('json-lint-dialect', dialect);
+        this.updateDialectControls();
+
+        if (this.ui.autoValidate) {
+            this.validateJSON();
+        }
+        this.ui.schemaManager.validateDocument();
+        this.ui.queryManager.runQuery();
+        if (this.ui.treeMode) {
+            this.ui.treeManager.generateTreeView();
+        }
+    }
+
+    /**
+     * Show the dialect in its selector and offer the NDJSON conversion that fits it
+     */
+    updateDialectControls() {
+        const dialectSelector = document.getElementById('dialectSelector');
+        if (dialectSelector) {
+            dialectSelector.value = this.ui.dialect;
+        }
+
+        const isNDJSON = this.ui.dialect === 'ndjson';
+        const dropdown = document.getElementById('convertDropdown');
+        if (dropdown) {
+            [['ndjson', isNDJSON], ['json-array', !isNDJSON]].forEach(([value, unavailable]) => {
+                const option = dropdown.querySelector(`option[value="${value}"]`);
+                if (option) {
+                    option.hidden = unavailable;
+                    option.disabled = unavailable;
+                }
+            });
+        }
+    }
+
+    /**
+     * Write a JSON array as NDJSON, one record per line, and switch the dialect to NDJSON (undoable)
+     */
+    convertToNDJSON() {
+        const result = new JSONLinter().validate(this.ui.getValue(), { losslessNumbers: true, dialect: this.ui.dialect });
+        if (!result.isValid) {
+            this.ui.showToast('Cannot convert invalid JSON. Please fix validation errors first.', 'error');
+            return;
+        }
+
+        // Any other value becomes a single record
+        const records = Array.isArray(result.data) ? result.data : [result.data];
+        const serializer = new JSONSerializer({ ...this.ui.formatOptionsManager.getSerializerOptions(), indent: 0, finalNewline: false });
+        const ndjson = new JSONLinter().joinRecords(records, record => serializer.stringify(record));
+
+        this.ui.conversionManager.replaceContent(ndjson, `Converted ${records.length} ${records.length === 1 ? 'record' : 'records'} to NDJSON`, 'ndjson');
+    }
+
+    /**
+     * Collect NDJSON records into a JSON array and switch the dialect to JSON (undoable)
+     */
+    convertToJSONArray() {
+        const result = new JSONLinter().validate(this.ui.getValue(), { losslessNumbers: true, dialect: 'ndjson' });
+        if (!result.isValid) {
+            this.ui.showToast('Cannot convert invalid NDJSON. Please fix validation errors first.', 'error');
+            return;
+        }
+
+        const json = new JSONSerializer(this.ui.formatOptionsManager.getSerializerOptions()).stringify(result.data);
+        this.ui.conversionManager.replaceContent(json, `Collected ${result.data.length} NDJSON ${result.data.length === 1 ? 'record' : 'records'} into a JSON array`, 'json');
     }
 
     /**
@@ -18,27 +114,177 @@ class FormatManager {
             return;
         }
 
+        if (this.isCanonical) {
+            this.canonicalizeJSON(content);
+            return;
+        }
+
+        // format() and compress() keep numbers as their original lexemes; JSONC/JSON5 also keep their comments
         const linter = new JSONLinter();
-        const result = linter.validate(content);
-
-        if (result.isValid) {
-            try {
-                const formatted = this.isCompressed 
-                    ? JSON.stringify(result.data)
-                    : JSON.stringify(result.data, null, 2);
-                
-                this.ui.setValue(formatted);
+        const options = { dialect: this.ui.dialect, ...this.ui.formatOptionsManager.getSerializerOptions() };
+        const result = this.isCompressed ? linter.compress(content, options) : linter.format(content, options);
+
+        if (result.success) {
+            this.ui.setValue(this.isCompressed ? result.compressed : result.formatted);
+            this.ui.editorManager.clearErrorHighlights();
+            this.ui.hideErrorPanel();
+
+            // Formatting keeps only the last value of a duplicated key, so say so
+            const duplicates = result.warnings.filter(warning => warning.code === 'duplicate-key');
+            if (duplicates.length > 0) {
+                this.ui.showToast(`JSON formatted; ${duplicates.length} duplicate key(s) collapsed to their last value`, 'warning');
+            } else {
                 this.ui.showToast('JSON formatted successfully');
-            } catch (error) {
-                this.ui.showToast('Failed to format JSON', 'error');
             }
         } else {
-            this.ui.showErrors(result.errors);
+            this.ui.showErrors(result.errors, result.warnings || []);
+            this.ui.editorManager.highlightErrorLines([...result.errors, ...(result.warnings || [])]);
         }
 
         this.ui.updateStats();
     }
 
+    /**
+     * Replace the editor content with its RFC 8785 canonical form
+     */
+    canonicalizeJSON(content) {
+        const linter = new JSONLinter();
+        const result = linter.canonicalize(content, { dialect: this.ui.dialect });
+
+        if (result.success) {
+            this.ui.setValue(result.canonical);
+            this.ui.editorManager.clearErrorHighlights();
+            this.ui.hideErrorPanel();
+
+            // JCS numbers are doubles, so say when a number could not be kept exactly; a summary warning
+            // counts the numbers it stands for
+            const rounded = result.warnings
+                .filter(warning => warning.code === 'precision-loss')
+                .reduce((total, warning) => total + (warning.count || 1), 0);
+            if (rounded > 0) {
+                this.ui.showToast(`Canonical JSON created; ${rounded} number(s) rounded to the nearest double`, 'warning');
+            } else {
+                this.ui.showToast('Canonical JSON created');
+            }
+        } else {
+            this.ui.showErrors(result.errors, result.warnings);
+            this.ui.editorManager.highlightErrorLines([...result.errors, ...result.warnings]);
+        }
+
+        this.ui.updateStats();
+    }
+
+    /**
+     * Show the digest of the canonical form next to the size while canonical mode is on
+     */
+    async updateDigest() {
+        const digestInfo = document.getElementById('digestInfo');
+        const digestElement = document.getElementById('digest');
+        if (!digestInfo || !digestElement) return;
+
+        digestInfo.classList.toggle('hidden', !this.isCanonical);
+        if (!this.isCanonical) return;
+
+        const request = ++this.digestRequest;
+        const result = new JSONLinter().canonicalize(this.ui.getValue(), { dialect: this.ui.dialect });
+        if (!result.success) {
+            digestElement.textContent = 'invalid JSON';
+            digestElement.dataset.digest = '';
+            return;
+        }
+
+        try {
+            const digest = await ContentDigest.digest(result.canonical, this.digestAlgorithm);
+            if (request !== this.digestRequest) return;
+            digestElement.textContent = `${digest.slice(0, 16)}…`;
+            digestElement.dataset.digest = digest;
+        } catch (error) {
+            digestElement.textContent = 'digest unavailable';
+            digestElement.dataset.digest = '';
+        }
+    }
+
+    /**
+     * Change the digest algorithm and save it to localStorage
+     * @param {string} algorithm - 'SHA-256', 'SHA-1' or 'MD5'
+     */
+    setDigestAlgorithm(algorithm) {
+        this.digestAlgorithm = algorithm;
+        localStorage.setItem('json-lint-digest-algorithm', algorithm);
+        this.updateDigest();
+    }
+
+    /**
+     * Copy the full digest to the clipboard
+     */
+    copyDigest() {
+        const digestElement = document.getElementById('digest');
+        const digest = digestElement && digestElement.dataset.digest;
+        if (!digest) return;
+
+        navigator.clipboard.writeText(digest).then(() => {
+            this.ui.showToast(`${this.digestAlgorithm} digest copied to clipboard`);
+        }).catch(() => {
+            this.ui.showToast('Failed to copy to clipboard', 'error');
+        });
+    }
+
+    /**
+     * Repair malformed JSON in the editor and list the fixes that were applied
+     */
+    repairJSON() {
+        const content = this.ui.getValue();
+        if (!content.trim()) {
+            this.ui.showToast('Please enter some JSON to repair', 'warning');
+            return;
+        }
+
+        const linter = new JSONLinter();
+        const result = linter.repair(content);
+
+        if (result.fixes.length === 0) {
+            if (result.success) {
+                this.ui.showToast('Nothing to repair - the JSON is already valid');
+            } else {
+                this.ui.showErrors(result.errors, result.warnings);
+                this.ui.editorManager.highlightErrorLines([...result.errors, ...result.warnings]);
+            }
+            return;
+        }
+
+        this.preRepairContent = content;
+        this.repairedContent = result.repaired;
+        this.ui.setValue(result.repaired);
+        this.ui.editorManager.clearErrorHighlights();
+        if (!result.success) {
+            this.ui.editorManager.highlightErrorLines(result.errors);
+        }
+        this.ui.showRepairs(result.fixes, result.errors);
+
+        const summary = `${result.fixes.length} fix(es) applied`;
+        if (result.success) {
+            this.ui.showToast(`JSON repaired: ${summary}`);
+        } else {
+            this.ui.showToast(`${summary}, but ${result.errors.length} error(s) remain`, 'warning');
+        }
+        this.ui.updateStats();
+    }
+
+    /**
+     * Restore the editor content from before the last repair
+     */
+    undoRepair() {
+        if (this.preRepairContent === null) return;
+
+        this.ui.setValue(this.preRepairContent);
+        this.preRepairContent = null;
+        this.repairedContent = null;
+        this.ui.editorManager.clearErrorHighlights();
+        this.ui.hideErrorPanel();
+        this.ui.showToast('Repair undone');
+        this.ui.updateStats();
+    }
+
     /**
      * Validate JSON content
      */
@@ -49,6 +295,11 @@ class FormatManager {
             return;
         }
 
+        // Keep the list of repairs, or of values changed by decoding, on screen until the text is edited
+        if (content === this.repairedContent || content === this.ui.binaryManager.warnedContent) {
+            return;
+        }
+
         // Only validate if current format is JSON
         if (this.ui.currentFormat !== 'json') {
             this.ui.updateStats();
@@ -56,14 +307,22 @@ class FormatManager {
         }
 
         const linter = new JSONLinter();
-        const result = linter.validate(content);
+        const result = linter.validate(content, { dialect: this.ui.dialect });
 
-        if (result.isValid) {
+        if (result.isValid && result.warnings.length === 0) {
             this.ui.editorManager.clearErrorHighlights();
             this.ui.hideErrorPanel();
         } else {
-            this.ui.showErrors(result.errors);
-            this.ui.editorManager.highlightErrorLine(result.errors[0]);
+            this.ui.showErrors(result.errors, result.warnings);
+            this.ui.editorManager.highlightErrorLines([...result.errors, ...result.warnings]);
+
+            // Point out content in another format that can be imported instead
+            if (!result.isValid) {
+                const detected = this.ui.importManager.createImporter().detect(content);
+                if (detected && detected !== 'json') {
+                    this.ui.updateStatus(`This looks like ${FormatImporter.FORMATS[detected]} - use Import to convert it to JSON`, 'warning');
+                }
+            }
         }
 
         this.ui.updateStats();
@@ -74,6 +333,11 @@ class FormatManager {
      */
     toggleCompression() {
         this.isCompressed = !this.isCompressed;
+
+        // Canonical output is already compressed, so the two modes are exclusive
+        if (this.isCompressed && this.isCanonical) {
+            this.setCanonical(false);
+        }
         
         // If there's content, reformat it with the new compression setting
         const content = this.ui.getValue();
@@ -82,6 +346,40 @@ class FormatManager {
         }
     }
 
+    /**
+     * Toggle canonical (RFC 8785) mode
+     */
+    toggleCanonical() {
+        this.setCanonical(!this.isCanonical);
+
+        if (this.isCanonical && this.isCompressed) {
+            this.isCompressed = false;
+            const compressToggle = document.getElementById('compressToggle');
+            if (compressToggle) {
+                compressToggle.checked = false;
+            }
+        }
+
+        const content = this.ui.getValue();
+        if (content.trim()) {
+            this.formatJSON();
+        } else {
+            this.updateDigest();
+        }
+    }
+
+    /**
+     * Set canonical mode and keep its checkbox and the digest display in sync
+     */
+    setCanonical(enabled) {
+        this.isCanonical = enabled;
+        const canonicalToggle = document.getElementById('canonicalToggle');
+        if (canonicalToggle) {
+            canonicalToggle.checked = enabled;
+        }
+        this.updateDigest();
+    }
+
     /**
      * Load sample JSON
      */
@@ -118,7 +416,7 @@ class FormatManager {
             }
         };
 
-        const formatted = JSON.stringify(sampleJSON, null, 2);
+        const formatted = new JSONSerializer(this.ui.formatOptionsManager.getSerializerOptions()).stringify(sampleJSON);
         this.ui.setValue(formatted);
         this.ui.showToast('Sample JSON loaded');
         this.ui.updateStats();
@@ -0,0 +1,235 @@
+/**
+ * Format Options Manager - Handles the formatting options panel and persists the options
+ */
+
+class FormatOptionsManager {
+    constructor(uiManager) {
+        this.ui = uiManager;
+        this.isModalOpen = false;
+        this.defaults = {
+            indentType: 'spaces',
+            indentSize: 2,
+            sortKeys: 'none',
+            keyOrder: '',
+            maxLineWidth: 0,
+            escapeNonAscii: false,
+            finalNewline: false
+        };
+    }
+
+    /**
+     * Initialize formatting options from localStorage
+     */
+    initialize() {
+        this.ui.formatOptions = { ...this.defaults };
+
+        const savedOptions = localStorage.getItem('json-lint-format-options');
+        if (savedOptions) {
+            try {
+                this.ui.formatOptions = { ...this.defaults, ...JSON.parse(savedOptions) };
+            } catch (error) {
+                localStorage.removeItem('json-lint-format-options');
+            }
+        }
+    }
+
+    /**
+     * Get the options in the shape JSONSerializer and JSONLinter.format() expect
+     * @returns {Object} - indent, sortKeys, keyOrder, maxLineWidth, escapeNonAscii and finalNewline
+     */
+    getSerializerOptions() {
+        const options = this.ui.formatOptions;
+        return {
+            indent: options.indentType === 'tabs' ? '\t' : options.indentSize,
+            sortKeys: options.sortKeys,
+            keyOrder: options.keyOrder.split(',').map(key => key.trim()).filter(Boolean),
+            maxLineWidth: options.maxLineWidth,
+            escapeNonAscii: options.escapeNonAscii,
+            finalNewline: options.finalNewline
+        };
+    }
+
+    /**
+     * Update options, save them to localStorage and re-format the editor content
+     * @param {Object} changes - Options to change
+     */
+    updateOptions(changes) {
+        this.ui.formatOptions = { ...this.ui.formatOptions, ...changes };
+        localStorage.setItem('json-lint-format-options', JSON.stringify(this.ui.formatOptions));
+
+        if (this.ui.editorManager) {
+            this.ui.editorManager.updateIndentation();
+        }
+
+        if (this.ui.getValue().trim() && this.ui.currentFormat === 'json') {
+            this.ui.formatManager.formatJSON();
+        }
+    }
+
+    /**
+     * Show the formatting options modal
+     */
+    showOptionsModal() {
+        if (this.isModalOpen) return;
+
+        this.createModal();
+        this.isModalOpen = true;
+    }
+
+    /**
+     * Create the formatting options modal
+     */
+    createModal() {
+        this.removeModal();
+
+        const options = this.ui.formatOptions;
+        const modal = document.createElement('div');
+        modal.id = 'formatOptionsModal';
+        modal.className = 'format-options-modal';
+        modal.innerHTML = `
+            <div class="format-options-content">
+                <div class="format-options-header">
+                    <h3>Formatting Options</h3>
+                    <button id="closeFormatOptionsBtn" class="btn btn-icon" title="Close">✕</button>
+                </div>
+                <div class="format-options-body">
+                    <label class="format-option">
+                        <span>Indentation</span>
+                        <select id="indentTypeOption" class="convert-dropdown">
+                            <option value="spaces">Spaces</option>
+                            <option value="tabs">Tabs</option>
+                        </select>
+                        <input type="number" id="indentSizeOption" class="format-option-number" min="1" max="10" title="Spaces per level">
+                    </label>
+                    <label class="format-option">
+                        <span>Sort keys</span>
+                        <select id="sortKeysOption" class="convert-dropdown">
+                            <option value="none">Keep original order</option>
+                            <option value="alphabetical">Alphabetically</option>
+                            <option value="custom">Custom order</option>
+                        </select>
+                    </label>
+                    <label class="format-option">
+                        <span>Key order</span>
+                        <input type="text" id="keyOrderOption" class="format-option-text" placeholder="id, name, type" title="Comma-separated keys listed first; other keys keep their order">
+                    </label>
+                    <label class="format-option">
+                        <span>Max line width</span>
+                        <input type="number" id="maxLineWidthOption" class="format-option-number" min="0" max="500" title="Keep arrays and objects that fit on one line; 0 puts every value on its own line">
+                    </label>
+                    <label class="checkbox-container">
+                        <input type="checkbox" id="escapeNonAsciiOption">
+                        <span class="checkbox-label">Escape non-ASCII as \\uXXXX</span>
+                    </label>
+                    <label class="checkbox-container">
+                        <input type="checkbox" id="finalNewlineOption">
+                        <span class="checkbox-label">Final newline</span>
+                    </label>
+                </div>
+                <div class="format-options-footer">
+                    <button id="resetFormatOptionsBtn" class="btn btn-secondary">Reset to defaults</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('indentTypeOption').value = options.indentType;
+        document.getElementById('indentSizeOption').value = options.indentSize;
+        document.getElementById('sortKeysOption').value = options.sortKeys;
+        document.getElementById('keyOrderOption').value = options.keyOrder;
+        document.getElementById('maxLineWidthOption').value = options.maxLineWidth;
+        document.getElementById('escapeNonAsciiOption').checked = options.escapeNonAscii;
+        document.getElementById('finalNewlineOption').checked = options.finalNewline;
+        this.updateFieldStates();
+
+        this.bindModalEvents();
+    }
+
+    /**
+     * Bind events for the modal
+     */
+    bindModalEvents() {
+        const modal = document.getElementById('formatOptionsModal');
+        const closeBtn = document.getElementById('closeFormatOptionsBtn');
+        const resetBtn = document.getElementById('resetFormatOptionsBtn');
+
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.closeModal());
+        }
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.updateOptions({ ...this.defaults });
+                this.createModal();
+            });
+        }
+
+        if (modal) {
+            modal.querySelectorAll('input, select').forEach(field => {
+                field.addEventListener('change', () => {
+                    this.updateFieldStates();
+                    this.updateOptions(this.readForm());
+                });
+            });
+
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.closeModal();
+                }
+            });
+
+            modal.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    this.closeModal();
+                }
+            });
+        }
+    }
+
+    /**
+     * Read the options from the modal form
+     */
+    readForm() {
+        const clamp = (value, min, max, fallback) => {
+            const number = parseInt(value, 10);
+            return Number.isNaN(number) ? fallback : Math.max(min, Math.min(number, max));
+        };
+
+        return {
+            indentType: document.getElementById('indentTypeOption').value,
+            indentSize: clamp(document.getElementById('indentSizeOption').value, 1, 10, this.defaults.indentSize),
+            sortKeys: document.getElementById('sortKeysOption').value,
+            keyOrder: document.getElementById('keyOrderOption').value,
+            maxLineWidth: clamp(document.getElementById('maxLineWidthOption').value, 0, 500, 0),
+            escapeNonAscii: document.getElementById('escapeNonAsciiOption').checked,
+            finalNewline: document.getElementById('finalNewlineOption').checked
+        };
+    }
+
+    /**
+     * Disable fields that do not apply to the current choices
+     */
+    updateFieldStates() {
+        document.getElementById('indentSizeOption').disabled = document.getElementById('indentTypeOption').value === 'tabs';
+        document.getElementById('keyOrderOption').disabled = document.getElementById('sortKeysOption').value !== 'custom';
+    }
+
+    /**
+     * Close the modal
+     */
+    closeModal() {
+        this.removeModal();
+        this.isModalOpen = false;
+    }
+
+    /**
+     * Remove modal from DOM
+     */
+    removeModal() {
+        const modal = document.getElementById('formatOptionsModal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+}
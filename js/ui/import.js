@@ -0,0 +1,266 @@
+/**
+ * Import Manager - Handles the import dialog: detects or picks the format of the editor content
+ * (YAML, TOML, XML, CSV/TSV, NDJSON, .properties, .env, INI, query strings, MessagePack, CBOR) and replaces
+ * it with the equivalent JSON
+ */
+
+class ImportManager {
+    constructor(uiManager) {
+        this.ui = uiManager;
+        this.isModalOpen = false;
+        this.defaults = {
+            format: 'auto'
+        };
+        this.options = { ...this.defaults };
+    }
+
+    /**
+     * Initialize import options from localStorage
+     */
+    initialize() {
+        const savedOptions = localStorage.getItem('json-lint-import-options');
+        if (savedOptions) {
+            try {
+                this.options = { ...this.defaults, ...JSON.parse(savedOptions) };
+            } catch (error) {
+                localStorage.removeItem('json-lint-import-options');
+            }
+        }
+    }
+
+    /**
+     * Create an importer with the current options
+     */
+    createImporter() {
+        return new FormatImporter({
+            xml: this.ui.xmlOptionsManager.getConverterOptions(),
+            query: this.ui.queryStringManager.getParserOptions(),
+            dialect: this.ui.dialect
+        });
+    }
+
+    /**
+     * Show the import modal
+     */
+    showImportModal() {
+        if (this.isModalOpen) return;
+
+        this.createModal();
+        this.isModalOpen = true;
+    }
+
+    /**
+     * Create the import modal
+     */
+    createModal() {
+        this.removeModal();
+
+        const detected = this.detectFormat(this.createImporter(), this.ui.getValue());
+        const detectedLabel = detected === 'json' ? 'JSON' : FormatImporter.FORMATS[detected];
+        const formats = Object.keys(FormatImporter.FORMATS)
+            .map(format => `<option value="${format}">${FormatImporter.FORMATS[format]}</option>`)
+            .join('');
+        const conventions = Object.keys(XMLConverter.CONVENTIONS)
+            .map(convention => `<option value="${convention}">${XMLConverter.CONVENTIONS[convention]}</option>`)
+            .join('');
+
+        const modal = document.createElement('div');
+        modal.id = 'importModal';
+        modal.className = 'format-options-modal';
+        modal.innerHTML = `
+            <div class="format-options-content">
+                <div class="format-options-header">
+                    <h3>Import as JSON</h3>
+                    <button id="closeImportBtn" class="btn btn-icon" title="Close">✕</button>
+                </div>
+                <div class="format-options-body">
+                    <label class="format-option">
+                        <span>Import as</span>
+                        <select id="importFormatOption" class="convert-dropdown">
+                            <option value="auto">Detect automatically${detectedLabel ? ` (${detectedLabel})` : ''}</option>
+                            ${formats}
+                        </select>
+                    </label>
+                    <label class="format-option">
+                        <span>XML convention</span>
+                        <select id="importConventionOption" class="convert-dropdown">
+                            ${conventions}
+                        </select>
+                    </label>
+                    <label class="format-option">
+                        <span>XML attributes</span>
+                        <input type="text" id="importAttributePrefixOption" class="format-option-text" placeholder="No prefix" title="Prefix for keys that hold XML attributes, e.g. @id">
+                    </label>
+                    <label class="format-option">
+                        <span>XML text key</span>
+                        <input type="text" id="importTextKeyOption" class="format-option-text" placeholder="#text" title="Key for the text of elements that also have attributes or child elements">
+                    </label>
+                    <p class="import-note">YAML with several documents becomes an array. CSV and TSV need a header row; columns of numbers or booleans are typed. XML written with JSON types kept reads back as the original JSON. .properties, .env and INI keys become nested objects again. Query strings (or URLs) are parsed as qs would, with the key style last used to convert; every value is a string. MessagePack and CBOR are read from a hex dump, hex or base64; drop a .msgpack, .cbor or .bin file on the editor to decode it directly.</p>
+                </div>
+                <div class="format-options-footer">
+                    <button id="cancelImportBtn" class="btn btn-secondary">Cancel</button>
+                    <button id="runImportBtn" class="btn btn-primary">Import</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const xmlOptions = this.ui.xmlOptionsManager.options;
+        document.getElementById('importFormatOption').value = this.options.format;
+        document.getElementById('importConventionOption').value = xmlOptions.convention;
+        document.getElementById('importAttributePrefixOption').value = xmlOptions.attributePrefix;
+        document.getElementById('importTextKeyOption').value = xmlOptions.textKey;
+        this.updateFieldStates();
+
+        this.bindModalEvents();
+    }
+
+    /**
+     * Bind events for the modal
+     */
+    bindModalEvents() {
+        const modal = document.getElementById('importModal');
+
+        document.getElementById('closeImportBtn').addEventListener('click', () => this.closeModal());
+        document.getElementById('cancelImportBtn').addEventListener('click', () => this.closeModal());
+        document.getElementById('importConventionOption').addEventListener('change', () => this.updateFieldStates());
+        document.getElementById('runImportBtn').addEventListener('click', () => {
+            this.saveOptions({ format: document.getElementById('importFormatOption').value });
+            this.ui.xmlOptionsManager.saveOptions(this.readXMLForm());
+            if (this.importContent(this.options.format)) {
+                this.closeModal();
+            }
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeModal();
+            }
+        });
+
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeModal();
+            }
+        });
+    }
+
+    /**
+     * Attribute prefix and text key only apply to the @attr/#text convention
+     */
+    updateFieldStates() {
+        const isAttributes = document.getElementById('importConventionOption').value === 'attributes';
+        document.getElementById('importAttributePrefixOption').disabled = !isAttributes;
+        document.getElementById('importTextKeyOption').disabled = !isAttributes;
+    }
+
+    /**
+     * Read the XML options, which are shared with XML conversion, from the modal form
+     */
+    readXMLForm() {
+        return {
+            convention: document.getElementById('importConventionOption').value,
+            attributePrefix: document.getElementById('importAttributePrefixOption').value,
+            textKey: document.getElementById('importTextKeyOption').value.trim() || this.ui.xmlOptionsManager.defaults.textKey
+        };
+    }
+
+    /**
+     * Save options to localStorage
+     */
+    saveOptions(options) {
+        this.options = { ...this.options, ...options };
+        localStorage.setItem('json-lint-import-options', JSON.stringify(this.options));
+    }
+
+    /**
+     * The format of the editor content: MessagePack or CBOR while a conversion shows them, otherwise
+     * whatever the text looks like
+     */
+    detectFormat(importer, content) {
+        if (BinaryCodec.FORMATS[this.ui.currentFormat]) return this.ui.currentFormat;
+        return importer.detect(content);
+    }
+
+    /**
+     * Replace the editor content with its JSON equivalent; undo restores the original text
+     * @param {string} format - A key of FormatImporter.FORMATS, or 'auto' to detect it
+     * @returns {boolean} - Whether the content was imported
+     */
+    importContent(format) {
+        const content = this.ui.getValue();
+        if (!content.trim()) {
+            this.ui.showToast('Please enter content to import', 'warning');
+            return false;
+        }
+
+        const importer = this.createImporter();
+        const sourceFormat = format === 'auto' ? this.detectFormat(importer, content) : format;
+        if (!sourceFormat) {
+            this.ui.showToast('Could not detect the format; choose it under "Import as"', 'error');
+            return false;
+        }
+        if (sourceFormat === 'json') {
+            this.ui.showToast('The content is already JSON', 'warning');
+            return false;
+        }
+
+        const label = FormatImporter.FORMATS[sourceFormat];
+        let data;
+        try {
+            data = importer.import(content, sourceFormat);
+        } catch (error) {
+            this.ui.updateStatus(`Invalid ${label}: ${error.message}`, 'invalid');
+            this.ui.showToast(`Failed to import ${label}: ${error.message}`, 'error');
+            return false;
+        }
+
+        this.replaceWithJSON(data, `Imported ${label} as JSON`);
+        if (importer.warnings.length > 0) {
+            this.ui.binaryManager.showWarnings(importer.warnings);
+        }
+        return true;
+    }
+
+    /**
+     * Replace the editor content with data written as JSON, switching the editor back to JSON (undoable)
+     * @param {*} data - The data
+     * @param {string} message - Status and toast message
+     */
+    replaceWithJSON(data, message) {
+        const json = new JSONSerializer(this.ui.formatOptionsManager.getSerializerOptions()).stringify(data);
+
+        // The result is JSON even if the editor held a conversion
+        if (this.ui.currentFormat !== 'json') {
+            this.ui.editorManager.setMode('json');
+            this.ui.currentFormat = 'json';
+            const dropdown = document.getElementById('convertDropdown');
+            if (dropdown) {
+                dropdown.value = '';
+                dropdown.disabled = false;
+            }
+        }
+
+        // A JSON document is not valid NDJSON
+        this.ui.conversionManager.replaceContent(json, message, this.ui.dialect === 'ndjson' ? 'json' : null);
+    }
+
+    /**
+     * Close the modal
+     */
+    closeModal() {
+        this.removeModal();
+        this.isModalOpen = false;
+    }
+
+    /**
+     * Remove modal from DOM
+     */
+    removeModal() {
+        const modal = document.getElementById('importModal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+}
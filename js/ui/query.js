@@ -0,0 +1,406 @@
+/**
+ * Query Manager - Handles the query pane: evaluates JSONPath against the document and links each match
+ * to its line in the editor and its node in the tree view, evaluates JMESPath and shows the result as a
+ * tree, or runs a jq filter whose output can replace the editor content
+ */
+
+class QueryManager {
+    constructor(uiManager) {
+        this.ui = uiManager;
+        this.language = 'jsonpath';
+        this.queries = {};
+        this.outputs = null;
+        this.debounceTimer = null;
+        this.maxResults = 1000;
+        this.languages = {
+            jsonpath: { label: 'JSONPath', noun: 'query', placeholder: '$.store.book[?(@.price < 10)].title', example: '$..title' },
+            jmespath: { label: 'JMESPath', noun: 'expression', placeholder: "Reservations[].Instances[?State.Name=='running'].InstanceId", example: 'people[?age > `20`].name' },
+            jq: { label: 'jq', noun: 'filter', placeholder: '.items | map({id, name}) | sort_by(.name)', example: '.[] | select(.active)' }
+        };
+    }
+
+    /**
+     * Restore the query language and the last query of each language from localStorage
+     */
+    initialize() {
+        const language = localStorage.getItem('json-lint-query-language');
+        if (language && this.languages[language]) {
+            this.language = language;
+        }
+
+        Object.keys(this.languages).forEach(name => {
+            this.queries[name] = localStorage.getItem(this.getStorageKey(name)) || '';
+        });
+    }
+
+    /**
+     * Get the localStorage key for a language's query; JSONPath keeps the key it had before jq was added
+     */
+    getStorageKey(language) {
+        return language === 'jsonpath' ? 'json-lint-query' : `json-lint-query-${language}`;
+    }
+
+    /**
+     * Toggle the query pane next to the editor
+     */
+    toggleQueryMode() {
+        this.ui.queryMode = !this.ui.queryMode;
+
+        const editorContainer = document.getElementById('editorContainer');
+
+        if (this.ui.queryMode) {
+            editorContainer.classList.add('query-mode');
+            this.createPanel();
+            this.runQuery();
+            document.getElementById('queryInput').focus();
+        } else {
+            editorContainer.classList.remove('query-mode');
+            this.removePanel();
+            this.ui.editorManager.clearLineHighlights();
+        }
+
+        const queryModeToggle = document.getElementById('queryModeToggle');
+        if (queryModeToggle) {
+            queryModeToggle.checked = this.ui.queryMode;
+        }
+
+        this.ui.editorManager.refresh();
+    }
+
+    /**
+     * Create the query pane; like the schema pane it is built here because diff mode replaces the
+     * editor container's markup
+     */
+    createPanel() {
+        this.removePanel();
+
+        const options = Object.keys(this.languages)
+            .map(name => `<option value="${name}">${this.languages[name].label}</option>`)
+            .join('');
+
+        const panel = document.createElement('div');
+        panel.id = 'queryPanel';
+        panel.className = 'query-panel';
+        panel.innerHTML = `
+            <div class="query-toolbar">
+                <select id="queryLanguage" class="convert-dropdown query-language" title="Query language">${options}</select>
+                <button id="queryReplaceBtn" class="btn btn-secondary query-replace-btn" title="Replace the editor content with the filter output (undoable)">Replace editor content</button>
+            </div>
+            <input type="text" id="queryInput" class="query-input" spellcheck="false" autocomplete="off">
+            <div id="queryStatus" class="query-status"></div>
+            <div id="queryResults" class="query-results"></div>
+        `;
+
+        document.getElementById('editorContainer').appendChild(panel);
+        document.getElementById('queryLanguage').value = this.language;
+        this.updateLanguageControls();
+
+        this.bindPanelEvents();
+    }
+
+    /**
+     * Bind events for the query pane
+     */
+    bindPanelEvents() {
+        const queryInput = document.getElementById('queryInput');
+
+        queryInput.addEventListener('input', () => {
+            if (this.debounceTimer) {
+                clearTimeout(this.debounceTimer);
+            }
+            this.debounceTimer = setTimeout(() => this.setQuery(queryInput.value), this.ui.debounceDelay);
+        });
+
+        queryInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                clearTimeout(this.debounceTimer);
+                this.setQuery(queryInput.value);
+            }
+        });
+
+        document.getElementById('queryLanguage').addEventListener('change', (e) => this.setLanguage(e.target.value));
+        document.getElementById('queryReplaceBtn').addEventListener('click', () => this.replaceEditorContent());
+    }
+
+    /**
+     * Remove the query pane from the DOM
+     */
+    removePanel() {
+        const panel = document.getElementById('queryPanel');
+        if (panel) {
+            panel.remove();
+        }
+    }
+
+    /**
+     * Switch the query language; each language keeps its own query
+     */
+    setLanguage(language) {
+        if (!this.languages[language]) return;
+
+        clearTimeout(this.debounceTimer);
+        this.language = language;
+        localStorage.setItem('json-lint-query-language', language);
+
+        this.updateLanguageControls();
+        this.runQuery();
+    }
+
+    /**
+     * Show the current language's query and placeholder; the replace button is only for jq
+     */
+    updateLanguageControls() {
+        const queryInput = document.getElementById('queryInput');
+        const replaceBtn = document.getElementById('queryReplaceBtn');
+        if (!queryInput || !replaceBtn) return;
+
+        queryInput.value = this.queries[this.language] || '';
+        queryInput.placeholder = this.languages[this.language].placeholder;
+        replaceBtn.classList.toggle('hidden', this.language !== 'jq');
+        replaceBtn.disabled = true;
+    }
+
+    /**
+     * Save a new query and run it
+     */
+    setQuery(query) {
+        this.queries[this.language] = query;
+
+        const key = this.getStorageKey(this.language);
+        if (query.trim()) {
+            localStorage.setItem(key, query);
+        } else {
+            localStorage.removeItem(key);
+        }
+
+        this.runQuery();
+    }
+
+    /**
+     * Evaluate the query against the editor content and list the matches or filter outputs
+     */
+    runQuery() {
+        if (!this.ui.queryMode) return;
+
+        const query = this.queries[this.language] || '';
+        const language = this.languages[this.language];
+        this.outputs = null;
+
+        if (!query.trim()) {
+            this.renderStatus(`Enter a ${language.label} ${language.noun}, e.g. ${language.example}`, 'info');
+            return;
+        }
+        if (this.ui.currentFormat !== 'json') {
+            this.renderStatus('Queries apply to JSON content; undo the conversion first', 'info');
+            return;
+        }
+
+        const result = new JSONLinter().validate(this.ui.getValue(), {
+            dialect: this.ui.dialect,
+            losslessNumbers: true,
+            trackPointers: true
+        });
+        if (!result.isValid) {
+            this.renderStatus('The document has syntax errors; fix them to run the query', 'error');
+            return;
+        }
+
+        if (this.language === 'jq') {
+            this.runFilter(query, result.data);
+            return;
+        }
+        if (this.language === 'jmespath') {
+            this.runExpression(query, result.data);
+            return;
+        }
+
+        let matches;
+        try {
+            matches = new JSONPath(query).evaluate(result.data);
+        } catch (error) {
+            this.renderStatus(error.message, 'error');
+            return;
+        }
+
+        const count = `${matches.length} match${matches.length === 1 ? '' : 'es'}`;
+        const shown = matches.slice(0, this.maxResults);
+        this.renderStatus(matches.length > shown.length ? `${count} (showing the first ${shown.length})` : count,
+            matches.length ? 'success' : 'info', shown, result.pointers);
+    }
+
+    /**
+     * Evaluate a JMESPath expression and show its result the way the tree view shows the document
+     */
+    runExpression(expression, data) {
+        let value;
+        try {
+            value = new JMESPath(expression).search(data);
+        } catch (error) {
+            this.renderStatus(error.message, 'error');
+            return;
+        }
+
+        this.renderStatus(this.describeResult(value), value === null ? 'info' : 'success');
+
+        const results = document.getElementById('queryResults');
+        if (!results) return;
+
+        // The result is not in the editor, so its nodes get no line numbers
+        const tree = document.createElement('div');
+        tree.className = 'tree-view query-tree';
+        tree.innerHTML = this.ui.treeManager.createTreeHTML(value, null, 0, [], new Map());
+        results.appendChild(tree);
+        this.ui.treeManager.bindTreeEvents(tree);
+    }
+
+    /**
+     * Summarize a JMESPath result for the status line
+     */
+    describeResult(value) {
+        if (value === null) return 'null (nothing matched)';
+        if (Array.isArray(value)) return `Array of ${value.length} item${value.length === 1 ? '' : 's'}`;
+        if (typeof value === 'object' && !(value instanceof LosslessNumber)) {
+            const count = Object.keys(value).length;
+            return `Object with ${count} key${count === 1 ? '' : 's'}`;
+        }
+        return `${value instanceof LosslessNumber ? 'number' : typeof value} result`;
+    }
+
+    /**
+     * Run a jq filter and list its outputs
+     */
+    runFilter(filter, data) {
+        let outputs;
+        try {
+            outputs = new JQFilter(filter).run(data);
+        } catch (error) {
+            this.renderStatus(error.message, 'error');
+            return;
+        }
+
+        this.outputs = outputs;
+        const count = `${outputs.length} output${outputs.length === 1 ? '' : 's'}`;
+        const shown = outputs.slice(0, this.maxResults);
+        this.renderStatus(outputs.length > shown.length ? `${count} (showing the first ${shown.length})` : count,
+            outputs.length ? 'success' : 'info');
+
+        const results = document.getElementById('queryResults');
+        const replaceBtn = document.getElementById('queryReplaceBtn');
+        if (!results || !replaceBtn) return;
+
+        const serializer = new JSONSerializer(this.ui.formatOptionsManager.getSerializerOptions());
+        shown.forEach(output => {
+            const item = document.createElement('pre');
+            item.className = 'query-output';
+            item.textContent = serializer.stringify(output);
+            results.appendChild(item);
+        });
+        replaceBtn.disabled = outputs.length === 0;
+    }
+
+    /**
+     * Replace the editor content with the jq output; several outputs are collected into an array.
+     * The previous content can be restored with the undo button, as after a conversion
+     */
+    replaceEditorContent() {
+        if (!this.outputs || this.outputs.length === 0) {
+            this.ui.showToast('The filter has no output to replace the content with', 'warning');
+            return;
+        }
+
+        const serializer = new JSONSerializer(this.ui.formatOptionsManager.getSerializerOptions());
+        const several = this.outputs.length > 1;
+        const content = serializer.stringify(several ? this.outputs : this.outputs[0]);
+
+        this.ui.conversionManager.replaceContent(content, several
+            ? `Replaced with the ${this.outputs.length} jq outputs, collected into an array`
+            : 'Replaced with the jq output');
+    }
+
+    /**
+     * Show the query status and the list of matches
+     */
+    renderStatus(message, type, matches = [], pointers = null) {
+        const status = document.getElementById('queryStatus');
+        const results = document.getElementById('queryResults');
+        if (!status || !results) return;
+
+        status.textContent = message;
+        status.className = `query-status ${type}`;
+        results.innerHTML = '';
+
+        const replaceBtn = document.getElementById('queryReplaceBtn');
+        if (replaceBtn) {
+            replaceBtn.disabled = true;
+        }
+
+        const serializer = new JSONSerializer({ indent: 0 });
+        matches.forEach(match => {
+            results.appendChild(this.createMatchItem(match, serializer, pointers));
+        });
+    }
+
+    /**
+     * Create a match entry; clicking it highlights the line in the editor and the node in the tree view
+     */
+    createMatchItem(match, serializer, pointers) {
+        const item = document.createElement('div');
+        item.className = 'query-match';
+
+        const path = document.createElement('div');
+        path.className = 'query-match-path';
+        path.textContent = JSONPath.toNormalizedPath(match.path);
+        item.appendChild(path);
+
+        const value = document.createElement('div');
+        value.className = 'query-match-value';
+        const serialized = serializer.stringify(match.value);
+        value.textContent = serialized.length > 200 ? `${serialized.slice(0, 199)}…` : serialized;
+        item.appendChild(value);
+
+        const treeButton = document.createElement('button');
+        treeButton.className = 'btn btn-icon query-tree-btn';
+        treeButton.title = 'Show in tree view';
+        treeButton.textContent = '🌳';
+        treeButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showInTree(match.path);
+        });
+        item.appendChild(treeButton);
+
+        // The key's line, so members show up where their name is
+        const location = pointers && pointers.get(JSONPath.toPointer(match.path));
+        const line = location ? (location.key || location).start.line - 1 : null;
+
+        item.addEventListener('click', () => {
+            document.querySelectorAll('.query-match.selected').forEach(el => el.classList.remove('selected'));
+            item.classList.add('selected');
+
+            if (line !== null) {
+                this.ui.editorManager.highlightLine(line);
+            }
+            if (this.ui.treeMode) {
+                this.ui.treeManager.selectNode(match.path);
+            }
+        });
+
+        return item;
+    }
+
+    /**
+     * Open the tree view if needed and select the node of a match
+     */
+    showInTree(path) {
+        if (!this.ui.treeMode) {
+            this.ui.treeManager.toggleTreeMode();
+            const treeModeToggle = document.getElementById('treeModeToggle');
+            if (treeModeToggle) {
+                treeModeToggle.checked = true;
+            }
+        }
+
+        if (!this.ui.treeManager.selectNode(path)) {
+            this.ui.showToast('This match is not in the tree view; is the document valid JSON?', 'warning');
+        }
+    }
+}
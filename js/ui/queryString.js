@@ -0,0 +1,231 @@
+/**
+ * Query String Manager - Handles the query string dialog: key style and encoding options, with a preview
+ * of the encoded string, its decoded pairs and what a server framework parses back from it
+ */
+
+class QueryStringManager {
+    constructor(uiManager) {
+        this.ui = uiManager;
+        this.isModalOpen = false;
+        this.defaults = {
+            style: 'brackets',
+            encodeBrackets: true,
+            spaceAsPlus: true
+        };
+        this.options = { ...this.defaults };
+        this.data = null;
+    }
+
+    /**
+     * Initialize query string options from localStorage
+     */
+    initialize() {
+        const savedOptions = localStorage.getItem('json-lint-query-string-options');
+        if (savedOptions) {
+            try {
+                this.options = { ...this.defaults, ...JSON.parse(savedOptions) };
+            } catch (error) {
+                localStorage.removeItem('json-lint-query-string-options');
+            }
+        }
+    }
+
+    /**
+     * Save options to localStorage
+     */
+    saveOptions(options) {
+        this.options = { ...this.options, ...options };
+        localStorage.setItem('json-lint-query-string-options', JSON.stringify(this.options));
+    }
+
+    /**
+     * Create a converter with the current options
+     */
+    createConverter() {
+        return new QueryStringConverter(this.options);
+    }
+
+    /**
+     * Options used to read query strings back, for the importer
+     */
+    getParserOptions() {
+        return { style: this.options.style };
+    }
+
+    /**
+     * Show the query string modal for the JSON in the editor
+     */
+    showOptionsModal() {
+        if (this.isModalOpen) return;
+
+        const linter = new JSONLinter();
+        const result = linter.validate(this.ui.getValue(), { losslessNumbers: true, dialect: this.ui.dialect });
+        if (!result.isValid) {
+            this.ui.showToast('Cannot convert invalid JSON. Please fix validation errors first.', 'error');
+            this.resetDropdown();
+            return;
+        }
+
+        this.data = result.data;
+        this.createModal();
+        this.isModalOpen = true;
+    }
+
+    /**
+     * Create the query string modal
+     */
+    createModal() {
+        this.removeModal();
+
+        const styles = Object.keys(QueryStringConverter.STYLES)
+            .map(style => `<option value="${style}">${QueryStringConverter.STYLES[style]}</option>`)
+            .join('');
+
+        const modal = document.createElement('div');
+        modal.id = 'queryStringModal';
+        modal.className = 'format-options-modal';
+        modal.innerHTML = `
+            <div class="format-options-content">
+                <div class="format-options-header">
+                    <h3>Convert to Query String</h3>
+                    <button id="closeQueryStringBtn" class="btn btn-icon" title="Close">✕</button>
+                </div>
+                <div class="format-options-body">
+                    <label class="format-option">
+                        <span>Key style</span>
+                        <select id="queryStyleOption" class="convert-dropdown">
+                            ${styles}
+                        </select>
+                    </label>
+                    <label class="checkbox-container">
+                        <input type="checkbox" id="queryEncodeBracketsOption">
+                        <span class="checkbox-label">Percent-encode [ and ] in keys</span>
+                    </label>
+                    <label class="checkbox-container">
+                        <input type="checkbox" id="querySpaceAsPlusOption">
+                        <span class="checkbox-label">Write spaces as +</span>
+                    </label>
+                    <div class="format-option query-preview-option">
+                        <span>Encoded</span>
+                        <pre id="queryEncodedPreview" class="query-preview"></pre>
+                    </div>
+                    <div class="format-option query-preview-option">
+                        <span>Decoded</span>
+                        <pre id="queryDecodedPreview" class="query-preview"></pre>
+                    </div>
+                    <div class="format-option query-preview-option">
+                        <span>Server sees</span>
+                        <pre id="queryParsedPreview" class="query-preview"></pre>
+                    </div>
+                    <p class="import-note">Servers read every value as a string: numbers and booleans come back as text, null as an empty string, and empty arrays and objects are left out. "Server sees" is what qs (Express) parses with this key style.</p>
+                </div>
+                <div class="format-options-footer">
+                    <button id="cancelQueryStringBtn" class="btn btn-secondary">Cancel</button>
+                    <button id="convertQueryStringBtn" class="btn btn-primary">Convert</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('queryStyleOption').value = this.options.style;
+        document.getElementById('queryEncodeBracketsOption').checked = this.options.encodeBrackets;
+        document.getElementById('querySpaceAsPlusOption').checked = this.options.spaceAsPlus;
+        this.updatePreview();
+
+        this.bindModalEvents();
+    }
+
+    /**
+     * Show the encoded string, its decoded pairs and the parsed result for the options in the form
+     */
+    updatePreview() {
+        const encoded = document.getElementById('queryEncodedPreview');
+        const decoded = document.getElementById('queryDecodedPreview');
+        const parsed = document.getElementById('queryParsedPreview');
+        if (!encoded) return;
+
+        try {
+            const converter = new QueryStringConverter(this.readForm());
+            const text = converter.stringify(this.data);
+            encoded.textContent = text || '(empty)';
+            decoded.textContent = converter.getPairs(this.data).map(([key, value]) => `${key} = ${value}`).join('\n') || '(empty)';
+            parsed.textContent = JSON.stringify(converter.parse(text), null, 2);
+        } catch (error) {
+            encoded.textContent = error.message;
+            decoded.textContent = '';
+            parsed.textContent = '';
+        }
+    }
+
+    /**
+     * Bind events for the modal
+     */
+    bindModalEvents() {
+        const modal = document.getElementById('queryStringModal');
+
+        document.getElementById('closeQueryStringBtn').addEventListener('click', () => this.closeModal());
+        document.getElementById('cancelQueryStringBtn').addEventListener('click', () => this.closeModal());
+        ['queryStyleOption', 'queryEncodeBracketsOption', 'querySpaceAsPlusOption'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updatePreview());
+        });
+        document.getElementById('convertQueryStringBtn').addEventListener('click', () => {
+            this.saveOptions(this.readForm());
+            this.closeModal();
+            this.ui.conversionManager.handleConversion('query');
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeModal();
+            }
+        });
+
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeModal();
+            }
+        });
+    }
+
+    /**
+     * Read the options from the modal form
+     */
+    readForm() {
+        return {
+            style: document.getElementById('queryStyleOption').value,
+            encodeBrackets: document.getElementById('queryEncodeBracketsOption').checked,
+            spaceAsPlus: document.getElementById('querySpaceAsPlusOption').checked
+        };
+    }
+
+    /**
+     * Close the modal and reset the conversion dropdown
+     */
+    closeModal() {
+        this.removeModal();
+        this.isModalOpen = false;
+        this.data = null;
+        this.resetDropdown();
+    }
+
+    /**
+     * Reset the conversion dropdown
+     */
+    resetDropdown() {
+        const dropdown = document.getElementById('convertDropdown');
+        if (dropdown) {
+            dropdown.value = '';
+        }
+    }
+
+    /**
+     * Remove modal from DOM
+     */
+    removeModal() {
+        const modal = document.getElementById('queryStringModal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+}
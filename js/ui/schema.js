@@ -0,0 +1,307 @@
+/**
+ * Schema Manager - Handles the JSON Schema pane: editing/loading a schema and live validation of the document
+ */
+
+class SchemaManager {
+    constructor(uiManager) {
+        this.ui = uiManager;
+        this.schemaText = '';
+        this.validator = null;
+        this.schemaError = null;
+        this.debounceTimer = null;
+    }
+
+    /**
+     * Restore the last schema from localStorage
+     */
+    initialize() {
+        this.schemaText = localStorage.getItem('json-lint-schema') || '';
+        this.compileSchema();
+    }
+
+    /**
+     * Toggle the schema pane next to the editor
+     */
+    toggleSchemaMode() {
+        this.ui.schemaMode = !this.ui.schemaMode;
+
+        const editorContainer = document.getElementById('editorContainer');
+
+        if (this.ui.schemaMode) {
+            editorContainer.classList.add('schema-mode');
+            this.createPanel();
+            this.validateDocument();
+        } else {
+            editorContainer.classList.remove('schema-mode');
+            this.removePanel();
+            this.ui.editorManager.clearSchemaHighlights();
+        }
+
+        const schemaModeToggle = document.getElementById('schemaModeToggle');
+        if (schemaModeToggle) {
+            schemaModeToggle.checked = this.ui.schemaMode;
+        }
+
+        this.ui.editorManager.refresh();
+    }
+
+    /**
+     * Create the schema pane; it is built here rather than in index.html because diff mode
+     * replaces the editor container's markup
+     */
+    createPanel() {
+        this.removePanel();
+
+        const panel = document.createElement('div');
+        panel.id = 'schemaPanel';
+        panel.className = 'schema-panel';
+        panel.innerHTML = `
+            <div class="schema-toolbar">
+                <span class="schema-title">JSON Schema</span>
+                <button id="schemaFromDocumentBtn" class="btn btn-secondary" title="Generate a schema from the document">From document</button>
+                <button id="schemaLoadBtn" class="btn btn-secondary" title="Load a schema file">Load</button>
+                <input type="file" id="schemaFileInput" class="schema-file-input" accept=".json,application/json,application/schema+json">
+            </div>
+            <textarea id="schemaInput" class="schema-input" spellcheck="false" placeholder="Paste a JSON Schema here..."></textarea>
+            <div id="schemaStatus" class="schema-status"></div>
+            <div id="schemaResults" class="schema-results"></div>
+        `;
+
+        document.getElementById('editorContainer').appendChild(panel);
+        document.getElementById('schemaInput').value = this.schemaText;
+
+        this.bindPanelEvents();
+    }
+
+    /**
+     * Bind events for the schema pane
+     */
+    bindPanelEvents() {
+        const schemaInput = document.getElementById('schemaInput');
+        const loadBtn = document.getElementById('schemaLoadBtn');
+        const fileInput = document.getElementById('schemaFileInput');
+        const fromDocumentBtn = document.getElementById('schemaFromDocumentBtn');
+
+        schemaInput.addEventListener('input', () => this.handleSchemaInput());
+        loadBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', (e) => {
+            this.loadSchemaFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        fromDocumentBtn.addEventListener('click', () => this.generateFromDocument());
+    }
+
+    /**
+     * Remove the schema pane from the DOM
+     */
+    removePanel() {
+        const panel = document.getElementById('schemaPanel');
+        if (panel) {
+            panel.remove();
+        }
+    }
+
+    /**
+     * Re-compile and re-validate shortly after the schema text stops changing
+     */
+    handleSchemaInput() {
+        if (this.debounceTimer) {
+            clearTimeout(this.debounceTimer);
+        }
+
+        this.debounceTimer = setTimeout(() => {
+            const schemaInput = document.getElementById('schemaInput');
+            if (schemaInput) {
+                this.updateSchema(schemaInput.value);
+            }
+        }, this.ui.debounceDelay);
+    }
+
+    /**
+     * Replace the schema text in the pane and validate against it right away
+     */
+    setSchemaText(text) {
+        const schemaInput = document.getElementById('schemaInput');
+        if (schemaInput) {
+            schemaInput.value = text;
+        }
+        this.updateSchema(text);
+    }
+
+    /**
+     * Save new schema text to localStorage, compile it and re-validate the document
+     */
+    updateSchema(text) {
+        this.schemaText = text;
+
+        if (text.trim()) {
+            localStorage.setItem('json-lint-schema', text);
+        } else {
+            localStorage.removeItem('json-lint-schema');
+        }
+
+        this.compileSchema();
+        this.validateDocument();
+    }
+
+    /**
+     * Parse the schema text and build a validator; on failure, keep the reason in this.schemaError
+     */
+    compileSchema() {
+        const text = this.schemaText;
+        this.validator = null;
+        this.schemaError = null;
+
+        if (!text.trim()) return;
+
+        const result = new JSONLinter().validate(text);
+        if (!result.isValid) {
+            const error = result.errors[0];
+            this.schemaError = `Schema is not valid JSON: ${error.message} (line ${error.start.line})`;
+            return;
+        }
+
+        try {
+            this.validator = new JSONSchemaValidator(result.data);
+        } catch (error) {
+            this.schemaError = error.message;
+        }
+    }
+
+    /**
+     * Validate the editor content against the schema, listing and highlighting every violation
+     */
+    validateDocument() {
+        if (!this.ui.schemaMode) return;
+
+        this.ui.editorManager.clearSchemaHighlights();
+
+        if (this.schemaError) {
+            this.renderStatus(this.schemaError, 'error');
+            return;
+        }
+        if (!this.validator) {
+            this.renderStatus('Paste a schema, load a file, or generate one from the document', 'info');
+            return;
+        }
+        if (this.ui.currentFormat !== 'json') {
+            this.renderStatus('Schema validation applies to JSON content; undo the conversion first', 'info');
+            return;
+        }
+
+        const content = this.ui.getValue();
+        const result = new JSONLinter().validate(content, { dialect: this.ui.dialect, trackPointers: true });
+        if (!result.isValid) {
+            this.renderStatus('The document has syntax errors; fix them to validate against the schema', 'error');
+            return;
+        }
+
+        const violations = this.validator.validate(result.data).map(violation => ({
+            ...violation,
+            ...this.locate(violation, result.pointers)
+        }));
+
+        if (violations.length === 0) {
+            this.renderStatus('✓ The document matches the schema', 'success');
+            return;
+        }
+
+        this.renderStatus(`${violations.length} schema violation${violations.length === 1 ? '' : 's'}`, 'error', violations);
+        this.ui.editorManager.highlightSchemaViolations(violations);
+    }
+
+    /**
+     * Find the source range of a violation; properties that should not exist are marked on their key
+     * @returns {Object} - start and end positions, or nothing if the path is not in the document
+     */
+    locate(violation, pointers) {
+        let pointer = violation.instancePath;
+        while (!pointers.has(pointer) && pointer) {
+            pointer = pointer.slice(0, pointer.lastIndexOf('/'));
+        }
+
+        const location = pointers.get(pointer);
+        if (!location) return {};
+
+        const onKey = ['additionalProperties', 'propertyNames'].includes(violation.keyword) && location.key;
+        return onKey ? { start: location.key.start, end: location.key.end } : { start: location.start, end: location.end };
+    }
+
+    /**
+     * Show the validation status and the list of violations
+     */
+    renderStatus(message, type, violations = []) {
+        const status = document.getElementById('schemaStatus');
+        const results = document.getElementById('schemaResults');
+        if (!status || !results) return;
+
+        status.textContent = message;
+        status.className = `schema-status ${type}`;
+        results.innerHTML = '';
+
+        violations.forEach(violation => {
+            results.appendChild(this.createViolationItem(violation));
+        });
+    }
+
+    /**
+     * Create a violation entry; clicking it jumps to the value in the editor
+     */
+    createViolationItem(violation) {
+        const item = document.createElement('div');
+        item.className = 'schema-violation';
+
+        const path = document.createElement('div');
+        path.className = 'schema-instance-path';
+        path.textContent = violation.instancePath || '(root)';
+        item.appendChild(path);
+
+        const message = document.createElement('div');
+        message.className = 'schema-message';
+        message.textContent = violation.message;
+        item.appendChild(message);
+
+        const schemaPath = document.createElement('div');
+        schemaPath.className = 'schema-path';
+        schemaPath.textContent = violation.schemaPath;
+        item.appendChild(schemaPath);
+
+        if (violation.start) {
+            item.title = `Line ${violation.start.line}, column ${violation.start.column}`;
+            item.classList.add('clickable');
+            item.addEventListener('click', () => this.ui.editorManager.goToPosition(violation.start));
+        }
+
+        return item;
+    }
+
+    /**
+     * Load a schema from a file
+     * @param {File} file - The selected file
+     */
+    async loadSchemaFile(file) {
+        if (!file) return;
+
+        try {
+            this.setSchemaText(await file.text());
+            this.ui.showToast(`Loaded schema from ${file.name}`);
+        } catch (error) {
+            this.ui.showToast('Failed to read the schema file', 'error');
+        }
+    }
+
+    /**
+     * Generate a schema from the current document as a starting point
+     */
+    generateFromDocument() {
+        const result = new JSONLinter().validate(this.ui.getValue(), { losslessNumbers: true, dialect: this.ui.dialect });
+        if (!result.isValid) {
+            this.ui.showToast('Cannot generate a schema: the document is not valid', 'error');
+            return;
+        }
+
+        const model = new TypeModel(new TypeInference().infer([result.data]));
+        this.setSchemaText(new JsonSchemaGenerator().generate(model));
+        this.ui.showToast('Schema generated from the document');
+    }
+}
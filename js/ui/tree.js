@@ -35,307 +35,66 @@ class TreeManager {
     }
 
     /**
-     * Generate tree view from JSON
+     * Generate tree view from the editor content, in the current dialect
      */
     generateTreeView() {
         const content = this.ui.getValue();
         const treeView = document.getElementById('jsonTreeView');
         
         if (!treeView) return;
-        
-        try {
-            const jsonData = JSON.parse(content);
-            
-            // Create line mapping for tree nodes
-            this.ui.treeNodeMap = new Map();
-            this.createLineMapping(content);
-            
-            const treeHTML = this.createTreeHTML(jsonData);
-            treeView.innerHTML = treeHTML;
-            this.bindTreeEvents();
-        } catch (error) {
-            treeView.innerHTML = '<div class="tree-error">Invalid JSON - cannot generate tree view</div>';
-        }
-    }
 
-    /**
-     * Create mapping between JSON paths and line numbers
-     */
-    createLineMapping(content) {
-        const lines = content.split('\n');
-        const pathToLine = new Map();
-        
-        try {
-            // Parse JSON to understand structure
-            const jsonData = JSON.parse(content);
-            
-            // Create comprehensive mapping using both structure analysis and line scanning
-            this.mapJsonStructureToLines(jsonData, lines, pathToLine, []);
-            
-            // Also scan lines for additional patterns
-            lines.forEach((line, index) => {
-                const trimmed = line.trim();
-                
-                // Match JSON keys (quoted strings followed by colon)
-                const keyMatch = trimmed.match(/^"([^"]+)"\s*:/);
-                if (keyMatch) {
-                    const key = keyMatch[1];
-                    if (!pathToLine.has(key)) {
-                        pathToLine.set(key, index);
-                    }
-                }
-                
-                // Match array elements and object starts
-                if (trimmed === '{' || trimmed === '[') {
-                    pathToLine.set(`__line_${index}`, index);
-                }
-            });
-            
-        } catch (error) {
-            // Fallback to simple line scanning if JSON parsing fails
-            lines.forEach((line, index) => {
-                const trimmed = line.trim();
-                const keyMatch = trimmed.match(/^"([^"]+)"\s*:/);
-                if (keyMatch) {
-                    const key = keyMatch[1];
-                    pathToLine.set(key, index);
-                }
-            });
+        if (this.ui.dialect === 'ndjson') {
+            this.generateRecordsTreeView(content, treeView);
+            return;
         }
         
-        this.ui.treeNodeMap = pathToLine;
-        console.log('Line mapping created:', pathToLine);
-    }
-
-    /**
-     * Map JSON structure to line numbers recursively
-     */
-    mapJsonStructureToLines(data, lines, pathToLine, currentPath) {
-        if (Array.isArray(data)) {
-            // For arrays, find the line where each element starts
-            data.forEach((item, index) => {
-                const elementPath = [...currentPath, index];
-                const elementKey = `${currentPath.join('.')}.${index}`;
-                
-                // Find the line number for this array element
-                const lineNumber = this.findArrayElementLine(lines, currentPath, index);
-                if (lineNumber !== -1) {
-                    pathToLine.set(elementKey, lineNumber);
-                    // Use full path for array elements to avoid conflicts
-                    pathToLine.set(`${currentPath.join('.')}.${index}`, lineNumber);
-                }
-                
-                // Recursively map nested structures
-                if (typeof item === 'object' && item !== null) {
-                    this.mapJsonStructureToLines(item, lines, pathToLine, elementPath);
-                }
-            });
-        } else if (typeof data === 'object' && data !== null) {
-            // For objects, map each key with full path to avoid conflicts
-            Object.entries(data).forEach(([key, value]) => {
-                const keyPath = [...currentPath, key];
-                const fullKey = keyPath.join('.');
-                
-                // Find the line number for this key considering its context
-                const lineNumber = this.findObjectKeyLineWithContext(lines, key, currentPath);
-                if (lineNumber !== -1) {
-                    // Use full path as primary key to avoid conflicts with duplicate keys
-                    pathToLine.set(fullKey, lineNumber);
-                    // Only set simple key if it doesn't exist (first occurrence)
-                    if (!pathToLine.has(key)) {
-                        pathToLine.set(key, lineNumber);
-                    }
-                }
-                
-                // Recursively map nested structures
-                if (typeof value === 'object' && value !== null) {
-                    this.mapJsonStructureToLines(value, lines, pathToLine, keyPath);
-                }
-            });
+        const result = new JSONLinter().validate(content, { dialect: this.ui.dialect, losslessNumbers: true, trackPointers: true });
+        if (!result.isValid) {
+            treeView.innerHTML = '<div class="tree-error">Invalid JSON - cannot generate tree view</div>';
+            return;
         }
-    }
 
-    /**
-     * Find the line number where an array element starts
-     */
-    findArrayElementLine(lines, parentPath, elementIndex) {
-        // For arrays nested under a parent key, find the parent first
-        if (parentPath.length > 0) {
-            const parentKey = parentPath[parentPath.length - 1];
-            const parentLine = this.findObjectKeyLine(lines, parentKey, parentPath.slice(0, -1));
-            if (parentLine === -1) return -1;
-            
-            // Look for array elements starting from the parent line
-            let elementCount = 0;
-            let inArray = false;
-            let bracketDepth = 0;
-            let foundArrayStart = false;
-            
-            for (let i = parentLine; i < lines.length; i++) {
-                const line = lines[i];
-                const trimmed = line.trim();
-                
-                // Track bracket depth
-                for (let char of line) {
-                    if (char === '[') {
-                        bracketDepth++;
-                        if (bracketDepth === 1) {
-                            inArray = true;
-                            foundArrayStart = true;
-                        }
-                    } else if (char === ']') {
-                        bracketDepth--;
-                        if (bracketDepth === 0) {
-                            inArray = false;
-                            break;
-                        }
-                    }
-                }
-                
-                // Only start counting elements after we've found the array opening bracket
-                if (inArray && foundArrayStart && bracketDepth === 1) {
-                    // Skip the line that contains the opening bracket
-                    if (trimmed.includes('[') && !trimmed.match(/^\s*\[.*".*"\s*,?\s*$/)) {
-                        continue;
-                    }
-                    
-                    // Look for lines that contain array elements (quoted strings)
-                    if (trimmed.match(/^\s*"[^"]*"\s*,?\s*$/)) {
-                        if (elementCount === elementIndex) {
-                            return i;
-                        }
-                        elementCount++;
-                    }
-                }
-                
-                if (!inArray && bracketDepth === 0 && i > parentLine) {
-                    break;
-                }
-            }
-        } else {
-            // For root level arrays, use a simpler approach
-            let elementCount = 0;
-            let inArray = false;
-            let bracketDepth = 0;
-            let foundArrayStart = false;
-            
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i];
-                const trimmed = line.trim();
-                
-                // Track bracket depth
-                for (let char of line) {
-                    if (char === '[') {
-                        bracketDepth++;
-                        if (bracketDepth === 1) {
-                            inArray = true;
-                            foundArrayStart = true;
-                        }
-                    } else if (char === ']') {
-                        bracketDepth--;
-                        if (bracketDepth === 0) {
-                            inArray = false;
-                            break;
-                        }
-                    }
-                }
-                
-                // Only start counting elements after we've found the array opening bracket
-                if (inArray && foundArrayStart && bracketDepth === 1) {
-                    // Skip the line that contains the opening bracket
-                    if (trimmed.includes('[') && !trimmed.match(/^\s*\[.*".*"\s*,?\s*$/)) {
-                        continue;
-                    }
-                    
-                    // Look for lines that contain array elements (quoted strings)
-                    if (trimmed.match(/^\s*"[^"]*"\s*,?\s*$/)) {
-                        if (elementCount === elementIndex) {
-                            return i;
-                        }
-                        elementCount++;
-                    }
-                }
-                
-                if (!inArray && bracketDepth === 0 && i > 0) {
-                    break;
-                }
-            }
-        }
-        
-        return -1;
+        this.createLineMapping(result.pointers);
+        treeView.innerHTML = this.createTreeHTML(result.data);
+        this.bindTreeEvents();
     }
 
     /**
-     * Find the line number where an object key is defined
+     * Show each NDJSON record as a top-level node, linked to its line
      */
-    findObjectKeyLine(lines, key, parentPath) {
-        const keyPattern = new RegExp(`^\\s*"${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"\\s*:`);
-        
-        for (let i = 0; i < lines.length; i++) {
-            if (keyPattern.test(lines[i])) {
-                return i;
-            }
+    generateRecordsTreeView(content, treeView) {
+        const result = new JSONLinter().validate(content, { dialect: 'ndjson', losslessNumbers: true, trackPointers: true });
+        if (!result.isValid) {
+            treeView.innerHTML = '<div class="tree-error">Invalid NDJSON - cannot generate tree view</div>';
+            return;
         }
-        
-        return -1;
+
+        this.createLineMapping(result.pointers);
+        treeView.innerHTML = result.data.map((record, index) => this.createTreeHTML(record, index, 0, [])).join('');
+        this.bindTreeEvents();
     }
 
     /**
-     * Find the line number where an object key is defined with context awareness
+     * Map dotted tree paths to editor lines (0-based); the parser knows where every value starts, keyed by
+     * JSON Pointer, and members point at the line of their key
+     * @param {Map} pointers - Locations by JSON Pointer, from a validation with trackPointers
      */
-    findObjectKeyLineWithContext(lines, key, parentPath) {
-        const keyPattern = new RegExp(`^\\s*"${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"\\s*:`);
-        
-        if (parentPath.length === 0) {
-            // Root level - find first occurrence
-            for (let i = 0; i < lines.length; i++) {
-                if (keyPattern.test(lines[i])) {
-                    return i;
-                }
-            }
-        } else {
-            // Nested - find parent context first
-            const parentKey = parentPath[parentPath.length - 1];
-            const parentLine = this.findObjectKeyLineWithContext(lines, parentKey, parentPath.slice(0, -1));
-            
-            if (parentLine === -1) return -1;
-            
-            // Look for the key within the parent object scope
-            let braceDepth = 0;
-            let inParentObject = false;
-            
-            for (let i = parentLine; i < lines.length; i++) {
-                const line = lines[i];
-                
-                // Track brace depth to stay within parent object
-                for (let char of line) {
-                    if (char === '{') {
-                        braceDepth++;
-                        if (i === parentLine || (i > parentLine && braceDepth === 1)) {
-                            inParentObject = true;
-                        }
-                    } else if (char === '}') {
-                        braceDepth--;
-                        if (braceDepth === 0 && inParentObject) {
-                            return -1; // End of parent object, key not found
-                        }
-                    }
-                }
-                
-                // Look for the key within the parent object
-                if (inParentObject && braceDepth >= 1 && keyPattern.test(line)) {
-                    return i;
-                }
-            }
-        }
-        
-        return -1;
+    createLineMapping(pointers) {
+        this.ui.treeNodeMap = new Map();
+        pointers.forEach((location, pointer) => {
+            const path = pointer.split('/').slice(1)
+                .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+                .join('.');
+            const start = location.key ? location.key.start : location.start;
+            this.ui.treeNodeMap.set(path, start.line - 1);
+        });
     }
 
     /**
      * Create HTML for tree structure
+     * @param {Map} lineMap - Paths to editor lines; pass an empty map for values that are not in the editor
      */
-    createTreeHTML(data, key = null, level = 0, parentPath = []) {
+    createTreeHTML(data, key = null, level = 0, parentPath = [], lineMap = this.ui.treeNodeMap) {
         let html = '';
         const currentPath = key !== null ? [...parentPath, key] : parentPath;
         
@@ -344,68 +103,68 @@ class TreeManager {
         if (key !== null) {
             // Try full path mapping first (most accurate)
             const fullPath = currentPath.join('.');
-            lineNumber = this.ui.treeNodeMap.get(fullPath);
+            lineNumber = lineMap.get(fullPath);
             
             // For array elements, try the specific array element path
             if (lineNumber === undefined && typeof key === 'number') {
                 const arrayElementPath = `${parentPath.join('.')}.${key}`;
-                lineNumber = this.ui.treeNodeMap.get(arrayElementPath);
+                lineNumber = lineMap.get(arrayElementPath);
             }
             
             // Fallback to direct key mapping (less accurate for nested objects)
             if (lineNumber === undefined) {
-                lineNumber = this.ui.treeNodeMap.get(key);
+                lineNumber = lineMap.get(key);
             }
             
             // Try string version of numeric keys (for arrays)
             if (lineNumber === undefined && typeof key === 'number') {
-                lineNumber = this.ui.treeNodeMap.get(key.toString());
+                lineNumber = lineMap.get(key.toString());
             }
         }
         
+        // Keys and paths are data, so they are escaped wherever they go into the markup
+        const nodeAttributes = `data-level="${level}" data-key="${this.escapeHTML(String(key))}" data-line="${lineNumber}" data-path="${this.escapeHTML(currentPath.join('.'))}"`;
+        const keyHTML = key !== null
+            ? `<span class="tree-key">"${this.escapeHTML(String(key))}"</span><span class="tree-colon">:</span> `
+            : '';
+
         if (Array.isArray(data)) {
-            html += `<div class="tree-node array-node" data-level="${level}" data-key="${key}" data-line="${lineNumber}" data-path="${currentPath.join('.')}">`;
+            html += `<div class="tree-node array-node" ${nodeAttributes}>`;
             html += `<div class="tree-node-content" data-clickable="true">`;
             html += `<span class="tree-toggle">▼</span>`;
-            if (key !== null) {
-                html += `<span class="tree-key">"${key}"</span><span class="tree-colon">:</span> `;
-            }
+            html += keyHTML;
             html += `<span class="tree-value tree-value-array">[${data.length} items]</span>`;
             html += `</div>`;
             html += `<div class="tree-children">`;
             
             data.forEach((item, index) => {
-                html += this.createTreeHTML(item, index, level + 1, currentPath);
+                html += this.createTreeHTML(item, index, level + 1, currentPath, lineMap);
             });
             
             html += `</div>`;
             html += `</div>`;
-        } else if (typeof data === 'object' && data !== null) {
+        } else if (typeof data === 'object' && data !== null && !(data instanceof LosslessNumber)) {
             const keys = Object.keys(data);
-            html += `<div class="tree-node object-node" data-level="${level}" data-key="${key}" data-line="${lineNumber}" data-path="${currentPath.join('.')}">`;
+            html += `<div class="tree-node object-node" ${nodeAttributes}>`;
             html += `<div class="tree-node-content" data-clickable="true">`;
             html += `<span class="tree-toggle">▼</span>`;
-            if (key !== null) {
-                html += `<span class="tree-key">"${key}"</span><span class="tree-colon">:</span> `;
-            }
+            html += keyHTML;
             html += `<span class="tree-value tree-value-object">{${keys.length} keys}</span>`;
             html += `</div>`;
             html += `<div class="tree-children">`;
             
             Object.entries(data).forEach(([objKey, value]) => {
-                html += this.createTreeHTML(value, objKey, level + 1, currentPath);
+                html += this.createTreeHTML(value, objKey, level + 1, currentPath, lineMap);
             });
             
             html += `</div>`;
             html += `</div>`;
         } else {
             // Leaf node
-            html += `<div class="tree-node leaf-node" data-level="${level}" data-key="${key}" data-line="${lineNumber}" data-path="${currentPath.join('.')}">`;
+            html += `<div class="tree-node leaf-node" ${nodeAttributes}>`;
             html += `<div class="tree-node-content" data-clickable="true">`;
             html += `<span class="tree-toggle" style="visibility: hidden;">▼</span>`;
-            if (key !== null) {
-                html += `<span class="tree-key">"${key}"</span><span class="tree-colon">:</span> `;
-            }
+            html += keyHTML;
             html += `<span class="tree-value tree-value-${this.getValueType(data)}">${this.formatValue(data)}</span>`;
             html += `</div>`;
             html += `</div>`;
@@ -420,17 +179,17 @@ class TreeManager {
     getValueType(value) {
         if (value === null) return 'null';
         if (typeof value === 'string') return 'string';
-        if (typeof value === 'number') return 'number';
+        if (typeof value === 'number' || value instanceof LosslessNumber) return 'number';
         if (typeof value === 'boolean') return 'boolean';
         return 'unknown';
     }
 
     /**
-     * Format value for display
+     * Format value for display as HTML
      */
     formatValue(value) {
         if (typeof value === 'string') {
-            return `"${value}"`;
+            return `"${this.escapeHTML(value)}"`;
         } else if (value === null) {
             return 'null';
         } else if (typeof value === 'boolean') {
@@ -440,11 +199,19 @@ class TreeManager {
         }
     }
 
+    /**
+     * Escape text for use in HTML content and attribute values
+     */
+    escapeHTML(text) {
+        return text.replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[ch]);
+    }
+
     /**
      * Bind tree interaction events
+     * @param {HTMLElement} container - The element holding the tree (the tree view by default)
      */
-    bindTreeEvents() {
-        const toggles = document.querySelectorAll('.tree-toggle');
+    bindTreeEvents(container = document.getElementById('jsonTreeView')) {
+        const toggles = container.querySelectorAll('.tree-toggle');
         toggles.forEach(toggle => {
             toggle.addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -460,7 +227,7 @@ class TreeManager {
         });
 
         // Bind click events for line highlighting
-        const nodeContents = document.querySelectorAll('.tree-node-content[data-clickable="true"]');
+        const nodeContents = container.querySelectorAll('.tree-node-content[data-clickable="true"]');
         console.log('Found tree node contents:', nodeContents.length);
         
         nodeContents.forEach(content => {
@@ -495,4 +262,42 @@ class TreeManager {
             });
         });
     }
+
+    /**
+     * Select the node at a path (keys and indexes), expanding its ancestors and scrolling it into view
+     * @param {Array<string|number>} path - Path from the root
+     * @returns {boolean} - Whether the node was found
+     */
+    selectNode(path) {
+        const dottedPath = path.join('.');
+        const findNode = () => Array.from(document.querySelectorAll('#jsonTreeView .tree-node'))
+            .find(node => node.getAttribute('data-path') === dottedPath);
+
+        // The tree is built when tree mode is turned on, so it may predate the latest edits
+        let node = findNode();
+        if (!node) {
+            this.generateTreeView();
+            node = findNode();
+        }
+        if (!node) return false;
+
+        for (let children = node.parentElement.closest('.tree-children'); children; children = children.parentElement.closest('.tree-children')) {
+            if (children.style.display === 'none') {
+                children.style.display = 'block';
+                const toggle = children.parentElement.querySelector(':scope > .tree-node-content .tree-toggle');
+                if (toggle) {
+                    toggle.textContent = '▼';
+                }
+            }
+        }
+
+        document.querySelectorAll('.tree-node-content.selected').forEach(el => {
+            el.classList.remove('selected');
+        });
+
+        const content = node.querySelector(':scope > .tree-node-content');
+        content.classList.add('selected');
+        content.scrollIntoView({ block: 'nearest' });
+        return true;
+    }
 }
@@ -1,5 +1,7 @@
 /**
  * Type Generator Manager - Handles type generation for multiple languages
+ * The editor content is inferred once (TypeInference, over every array item and every NDJSON record) and
+ * built into a TypeModel, which each language generator renders
  */
 
 class TypeGeneratorManager {
@@ -8,9 +10,15 @@ class TypeGeneratorManager {
         this.generators = new Map();
         this.currentLanguage = 'typescript';
         this.isModalOpen = false;
+        // Model of the content it was built from, reused when only the language changes
+        this.model = null;
+        this.modelContent = null;
+        // Package or namespace of each language that has one, e.g. { java: 'com.example.model' }
+        this.namespaces = {};
         
         // Initialize language generators
         this.initializeGenerators();
+        this.loadNamespaces();
     }
 
     /**
@@ -21,10 +29,70 @@ class TypeGeneratorManager {
         this.generators.set('typescript-combined', new TypeScriptCombinedGenerator());
         this.generators.set('go', new GoGenerator());
         this.generators.set('kotlin', new KotlinGenerator());
+        this.generators.set('java-pojo', new JavaGenerator({ style: 'pojo' }));
+        this.generators.set('java-record', new JavaGenerator({ style: 'record' }));
+        this.generators.set('java-lombok', new JavaGenerator({ style: 'lombok' }));
+        this.generators.set('csharp-class', new CSharpGenerator({ kind: 'class' }));
+        this.generators.set('csharp-record', new CSharpGenerator({ kind: 'record' }));
+        this.generators.set('csharp-class-newtonsoft', new CSharpGenerator({ kind: 'class', serializer: 'newtonsoft' }));
+        this.generators.set('csharp-record-newtonsoft', new CSharpGenerator({ kind: 'record', serializer: 'newtonsoft' }));
         this.generators.set('rust', new RustGenerator());
+        this.generators.set('swift', new SwiftGenerator());
+        this.generators.set('dart', new DartGenerator());
+        this.generators.set('python-dataclass', new PythonGenerator({ style: 'dataclass' }));
+        this.generators.set('python-pydantic', new PythonGenerator({ style: 'pydantic' }));
+        this.generators.set('python-typeddict', new PythonGenerator({ style: 'typeddict' }));
         this.generators.set('json-schema', new JsonSchemaGenerator());
     }
 
+    /**
+     * Load the packages and namespaces from localStorage
+     */
+    loadNamespaces() {
+        const savedNamespaces = localStorage.getItem('json-lint-type-namespaces');
+        if (savedNamespaces) {
+            try {
+                this.namespaces = JSON.parse(savedNamespaces);
+            } catch (error) {
+                localStorage.removeItem('json-lint-type-namespaces');
+            }
+        }
+    }
+
+    /**
+     * Save the package or namespace of a language
+     */
+    saveNamespace(language, namespace) {
+        this.namespaces[language] = namespace;
+        localStorage.setItem('json-lint-type-namespaces', JSON.stringify(this.namespaces));
+    }
+
+    /**
+     * The language of the current generator, if it takes a package or namespace (java-record → java)
+     */
+    getNamespaceLanguage() {
+        const language = this.currentLanguage.split('-')[0];
+        return TypeGeneratorManager.NAMESPACES[language] ? language : null;
+    }
+
+    /**
+     * Show the package or namespace input for the languages that take one
+     */
+    updateNamespaceInput() {
+        const input = document.getElementById('typeNamespaceInput');
+        if (!input) return;
+
+        const language = this.getNamespaceLanguage();
+        input.style.display = language ? '' : 'none';
+        if (language) {
+            const { label, placeholder } = TypeGeneratorManager.NAMESPACES[language];
+            input.placeholder = placeholder;
+            input.title = label;
+            input.setAttribute('aria-label', label);
+            input.value = this.namespaces[language] || '';
+        }
+    }
+
     /**
      * Show type generation modal
      */
@@ -37,9 +105,7 @@ class TypeGeneratorManager {
             return;
         }
 
-        try {
-            JSON.parse(jsonContent);
-        } catch (error) {
+        if (!this.parseSamples(jsonContent)) {
             this.ui.showToast('Please fix JSON syntax errors before generating types', 'error');
             return;
         }
@@ -71,9 +137,22 @@ class TypeGeneratorManager {
                         <option value="typescript-combined">TypeScript (combined)</option>
                         <option value="go">Go</option>
                         <option value="kotlin">Kotlin</option>
+                        <option value="java-pojo">Java (POJO)</option>
+                        <option value="java-record">Java (record)</option>
+                        <option value="java-lombok">Java (Lombok)</option>
+                        <option value="csharp-class">C# (class, System.Text.Json)</option>
+                        <option value="csharp-record">C# (record, System.Text.Json)</option>
+                        <option value="csharp-class-newtonsoft">C# (class, Newtonsoft)</option>
+                        <option value="csharp-record-newtonsoft">C# (record, Newtonsoft)</option>
                         <option value="rust">Rust</option>
+                        <option value="swift">Swift</option>
+                        <option value="dart">Dart</option>
+                        <option value="python-dataclass">Python (dataclass)</option>
+                        <option value="python-pydantic">Python (Pydantic)</option>
+                        <option value="python-typeddict">Python (TypedDict)</option>
                         <option value="json-schema">JSON Schema</option>
                     </select>
+                    <input type="text" id="typeNamespaceInput" class="type-namespace-input" spellcheck="false">
                     <button id="copyGeneratedTypeBtn" class="btn btn-secondary" title="Copy to clipboard">
                         <span class="btn-icon">📋</span>
                     </button>
@@ -94,6 +173,7 @@ class TypeGeneratorManager {
     bindModalEvents() {
         const closeBtn = document.getElementById('closeTypeGeneratorBtn');
         const languageSelector = document.getElementById('languageSelector');
+        const namespaceInput = document.getElementById('typeNamespaceInput');
         const copyBtn = document.getElementById('copyGeneratedTypeBtn');
         const modal = document.getElementById('typeGeneratorModal');
 
@@ -102,8 +182,18 @@ class TypeGeneratorManager {
         }
 
         if (languageSelector) {
+            languageSelector.value = this.currentLanguage;
             languageSelector.addEventListener('change', (e) => {
                 this.currentLanguage = e.target.value;
+                this.updateNamespaceInput();
+                this.generateTypes(this.ui.getValue());
+            });
+        }
+
+        if (namespaceInput) {
+            this.updateNamespaceInput();
+            namespaceInput.addEventListener('input', (e) => {
+                this.saveNamespace(this.getNamespaceLanguage(), e.target.value.trim());
                 this.generateTypes(this.ui.getValue());
             });
         }
@@ -128,19 +218,48 @@ class TypeGeneratorManager {
         });
     }
 
+    /**
+     * Parse the editor content into samples: the records of an NDJSON document, or the one JSON value
+     * @returns {Array|null} - The samples, or null if the content is invalid
+     */
+    parseSamples(jsonContent) {
+        const dialect = this.ui.dialect || 'json';
+        const result = new JSONLinter().validate(jsonContent, { losslessNumbers: true, dialect });
+        if (!result.isValid) return null;
+
+        return dialect === 'ndjson' ? result.data : [result.data];
+    }
+
+    /**
+     * Build the type model of the content, or reuse the one built for the same content
+     */
+    getModel(jsonContent) {
+        if (this.modelContent !== jsonContent) {
+            const samples = this.parseSamples(jsonContent);
+            if (!samples) {
+                throw new Error('Invalid JSON');
+            }
+
+            this.model = new TypeModel(new TypeInference().infer(samples));
+            this.modelContent = jsonContent;
+        }
+        return this.model;
+    }
+
     /**
      * Generate types for the current language
      */
     generateTypes(jsonContent) {
         try {
-            const jsonData = JSON.parse(jsonContent);
             const generator = this.generators.get(this.currentLanguage);
             
             if (!generator) {
                 throw new Error(`Generator for ${this.currentLanguage} not found`);
             }
 
-            const generatedCode = generator.generate(jsonData);
+            const language = this.getNamespaceLanguage();
+            const namespace = language ? this.namespaces[language] || '' : '';
+            const generatedCode = generator.generate(this.getModel(jsonContent), { namespace });
             this.displayGeneratedCode(generatedCode);
         } catch (error) {
             this.displayError(error.message);
@@ -189,6 +308,8 @@ class TypeGeneratorManager {
     closeModal() {
         this.removeModal();
         this.isModalOpen = false;
+        this.model = null;
+        this.modelContent = null;
     }
 
     /**
@@ -201,3 +322,9 @@ class TypeGeneratorManager {
         }
     }
 }
+
+// Languages that take a package or namespace, with the label and example of its input
+TypeGeneratorManager.NAMESPACES = {
+    java: { label: 'Package', placeholder: 'com.example.model' },
+    csharp: { label: 'Namespace', placeholder: 'Example.Models' }
+};
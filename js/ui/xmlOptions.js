@@ -0,0 +1,208 @@
+/**
+ * XML Options Manager - Handles the XML options dialog shown before converting to XML, and the options
+ * shared by XML conversion and XML import
+ */
+
+class XMLOptionsManager {
+    constructor(uiManager) {
+        this.ui = uiManager;
+        this.isModalOpen = false;
+        this.defaults = {
+            convention: 'attributes',
+            rootName: 'root',
+            itemName: 'item',
+            attributePrefix: '@',
+            textKey: '#text',
+            typeHints: true
+        };
+        this.options = { ...this.defaults };
+    }
+
+    /**
+     * Initialize XML options from localStorage
+     */
+    initialize() {
+        const savedOptions = localStorage.getItem('json-lint-xml-options');
+        if (savedOptions) {
+            try {
+                this.options = { ...this.defaults, ...JSON.parse(savedOptions) };
+            } catch (error) {
+                localStorage.removeItem('json-lint-xml-options');
+            }
+        }
+    }
+
+    /**
+     * Get the options in the shape XMLConverter expects
+     */
+    getConverterOptions() {
+        return { ...this.options };
+    }
+
+    /**
+     * Create a converter with the current options
+     */
+    createConverter() {
+        return new XMLConverter(this.getConverterOptions());
+    }
+
+    /**
+     * Save options to localStorage
+     */
+    saveOptions(options) {
+        this.options = { ...this.options, ...options };
+        localStorage.setItem('json-lint-xml-options', JSON.stringify(this.options));
+    }
+
+    /**
+     * Show the XML options modal; converting from it runs the conversion
+     */
+    showOptionsModal() {
+        if (this.isModalOpen) return;
+
+        this.createModal();
+        this.isModalOpen = true;
+    }
+
+    /**
+     * Create the XML options modal
+     */
+    createModal() {
+        this.removeModal();
+
+        const conventions = Object.keys(XMLConverter.CONVENTIONS)
+            .map(convention => `<option value="${convention}">${XMLConverter.CONVENTIONS[convention]}</option>`)
+            .join('');
+
+        const modal = document.createElement('div');
+        modal.id = 'xmlOptionsModal';
+        modal.className = 'format-options-modal';
+        modal.innerHTML = `
+            <div class="format-options-content">
+                <div class="format-options-header">
+                    <h3>Convert to XML</h3>
+                    <button id="closeXmlOptionsBtn" class="btn btn-icon" title="Close">✕</button>
+                </div>
+                <div class="format-options-body">
+                    <label class="format-option">
+                        <span>Convention</span>
+                        <select id="xmlConventionOption" class="convert-dropdown">
+                            ${conventions}
+                        </select>
+                    </label>
+                    <label class="format-option">
+                        <span>Root element</span>
+                        <input type="text" id="xmlRootNameOption" class="format-option-text" placeholder="Single key of the data" title="Element wrapping the document; leave empty when the data is an object with one key">
+                    </label>
+                    <label class="format-option">
+                        <span>Item element</span>
+                        <input type="text" id="xmlItemNameOption" class="format-option-text" placeholder="item" title="Element for items of arrays without a key, such as nested arrays">
+                    </label>
+                    <label class="format-option">
+                        <span>Attribute prefix</span>
+                        <input type="text" id="xmlAttributePrefixOption" class="format-option-text" placeholder="No attributes" title="Keys with this prefix become attributes, e.g. @id">
+                    </label>
+                    <label class="format-option">
+                        <span>Text key</span>
+                        <input type="text" id="xmlTextKeyOption" class="format-option-text" placeholder="#text" title="Key holding the text of an element that has attributes or children">
+                    </label>
+                    <label class="checkbox-container">
+                        <input type="checkbox" id="xmlTypeHintsOption">
+                        <span class="checkbox-label">Keep JSON types (json:type hints)</span>
+                    </label>
+                    <p class="import-note">Keys that are not valid element names are renamed. With JSON types kept, importing the XML gives back the original JSON.</p>
+                </div>
+                <div class="format-options-footer">
+                    <button id="cancelXmlOptionsBtn" class="btn btn-secondary">Cancel</button>
+                    <button id="convertXmlBtn" class="btn btn-primary">Convert</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('xmlConventionOption').value = this.options.convention;
+        document.getElementById('xmlRootNameOption').value = this.options.rootName;
+        document.getElementById('xmlItemNameOption').value = this.options.itemName;
+        document.getElementById('xmlAttributePrefixOption').value = this.options.attributePrefix;
+        document.getElementById('xmlTextKeyOption').value = this.options.textKey;
+        document.getElementById('xmlTypeHintsOption').checked = this.options.typeHints;
+        this.updateFieldStates();
+
+        this.bindModalEvents();
+    }
+
+    /**
+     * Bind events for the modal
+     */
+    bindModalEvents() {
+        const modal = document.getElementById('xmlOptionsModal');
+
+        document.getElementById('closeXmlOptionsBtn').addEventListener('click', () => this.closeModal());
+        document.getElementById('cancelXmlOptionsBtn').addEventListener('click', () => this.closeModal());
+        document.getElementById('xmlConventionOption').addEventListener('change', () => this.updateFieldStates());
+        document.getElementById('convertXmlBtn').addEventListener('click', () => {
+            this.saveOptions(this.readForm());
+            this.closeModal();
+            this.ui.conversionManager.handleConversion('xml');
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeModal();
+            }
+        });
+
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeModal();
+            }
+        });
+    }
+
+    /**
+     * Attribute prefix and text key only apply to the @attr/#text convention
+     */
+    updateFieldStates() {
+        const isAttributes = document.getElementById('xmlConventionOption').value === 'attributes';
+        document.getElementById('xmlAttributePrefixOption').disabled = !isAttributes;
+        document.getElementById('xmlTextKeyOption').disabled = !isAttributes;
+    }
+
+    /**
+     * Read the options from the modal form
+     */
+    readForm() {
+        return {
+            convention: document.getElementById('xmlConventionOption').value,
+            rootName: document.getElementById('xmlRootNameOption').value.trim(),
+            itemName: document.getElementById('xmlItemNameOption').value.trim() || this.defaults.itemName,
+            attributePrefix: document.getElementById('xmlAttributePrefixOption').value,
+            textKey: document.getElementById('xmlTextKeyOption').value.trim() || this.defaults.textKey,
+            typeHints: document.getElementById('xmlTypeHintsOption').checked
+        };
+    }
+
+    /**
+     * Close the modal and reset the conversion dropdown
+     */
+    closeModal() {
+        this.removeModal();
+        this.isModalOpen = false;
+
+        const dropdown = document.getElementById('convertDropdown');
+        if (dropdown) {
+            dropdown.value = '';
+        }
+    }
+
+    /**
+     * Remove modal from DOM
+     */
+    removeModal() {
+        const modal = document.getElementById('xmlOptionsModal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+}
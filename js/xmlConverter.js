@@ -0,0 +1,491 @@
+/**
+ * XML Converter - Writes JSON as XML and reads it back, with a choice of mapping conventions:
+ * - attributes: keys with a prefix (default '@') are attributes and a text key (default '#text') holds text
+ * - badgerfish: '@name' keys are attributes, '$' holds text, and every element becomes an object
+ * - parker: attributes are dropped and text is typed (numbers, booleans, empty elements as null)
+ * Invalid element names are sanitized, and type hints in the urn:json-tool:xml namespace
+ * (json:type, json:array, json:name) record what XML cannot, so JSON -> XML -> JSON returns the same data
+ */
+
+class XMLConverter {
+    /**
+     * Create a converter
+     * @param {Object} options - Options
+     * @param {string} options.convention - 'attributes', 'badgerfish' or 'parker' (default 'attributes')
+     * @param {string} options.rootName - Element wrapping the document; empty to use the single key of the data (default 'root')
+     * @param {string} options.itemName - Element for items of arrays that have no key, e.g. nested arrays (default 'item')
+     * @param {string} options.attributePrefix - Prefix of keys written as attributes in the attributes convention (default '@')
+     * @param {string} options.textKey - Key holding the text of an element in the attributes convention (default '#text')
+     * @param {boolean} options.typeHints - Write the json:* attributes needed to read the data back exactly (default true)
+     * @param {string} options.indent - Indentation of nested elements (default two spaces)
+     */
+    constructor(options = {}) {
+        this.convention = options.convention || 'attributes';
+        this.rootName = options.rootName !== undefined ? options.rootName : 'root';
+        this.itemName = options.itemName || 'item';
+        this.attributePrefix = options.attributePrefix !== undefined ? options.attributePrefix : '@';
+        this.textKey = options.textKey || '#text';
+        this.typeHints = options.typeHints !== false;
+        this.indent = options.indent !== undefined ? options.indent : '  ';
+
+        if (!XMLConverter.CONVENTIONS[this.convention]) {
+            throw new Error(`Unknown XML convention: ${this.convention}`);
+        }
+    }
+
+    /**
+     * Write data as an XML document
+     * @param {*} data - Parsed JSON; LosslessNumber values keep their lexemes
+     * @returns {string} - XML text
+     */
+    stringify(data) {
+        let root;
+        if (this.rootName) {
+            root = this.createElement(this.getRootElementName(), data, new Set(['xml']));
+        } else {
+            const keys = data !== null && typeof data === 'object' && !Array.isArray(data) && !(data instanceof LosslessNumber) ? Object.keys(data) : [];
+            if (keys.length !== 1) {
+                throw new Error('Without a root element name the data must be an object with exactly one key');
+            }
+            root = this.createElement(keys[0], data[keys[0]], new Set(['xml']));
+        }
+
+        if (this.usesTypeHints(root)) {
+            root.attributes.unshift(['xmlns:json', XMLConverter.NAMESPACE]);
+        }
+
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${this.serializeNode(root, '')}\n`;
+    }
+
+    /**
+     * Read an XML document as JSON data; the root element is unwrapped when it has the root name
+     * @param {string} text - XML text
+     * @returns {*} - Data; typed numbers are LosslessNumber instances
+     */
+    parse(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        const parserError = doc.getElementsByTagName('parsererror')[0];
+        if (parserError) {
+            const message = parserError.textContent.split('\n').map(line => line.trim()).find(Boolean);
+            throw new Error(message || 'Invalid XML');
+        }
+
+        const root = this.toNode(doc.documentElement);
+        const value = this.readNode(root);
+        if (this.rootName && root.name === this.getRootElementName()) {
+            return value;
+        }
+
+        const result = {};
+        Object.defineProperty(result, this.getAttribute(root, 'json:name') || root.name, { value, writable: true, enumerable: true, configurable: true });
+        return result;
+    }
+
+    /**
+     * Name of the root element: the root name, made a valid XML name as the writer does
+     */
+    getRootElementName() {
+        return this.sanitizeName(this.rootName, new Set(['xml']));
+    }
+
+    /**
+     * Convert a DOM element to the plain node shape shared by the writer and the reader:
+     * { name, attributes: [[name, value]], children: [node], text }
+     */
+    toNode(element) {
+        const node = { name: element.nodeName, attributes: [], children: [], text: '' };
+
+        Array.from(element.attributes).forEach(attribute => {
+            // Type hints are recognized by namespace, whatever prefix the document uses
+            const name = attribute.namespaceURI === XMLConverter.NAMESPACE ? `json:${attribute.localName}` : attribute.name;
+            node.attributes.push([name, attribute.value]);
+        });
+
+        Array.from(element.childNodes).forEach(child => {
+            if (child.nodeType === 1) {
+                node.children.push(this.toNode(child));
+            } else if (child.nodeType === 3 || child.nodeType === 4) {
+                node.text += child.nodeValue;
+            }
+        });
+
+        return node;
+    }
+
+    /**
+     * Get an attribute of a node, or null
+     */
+    getAttribute(node, name) {
+        const attribute = node.attributes.find(([attributeName]) => attributeName === name);
+        return attribute ? attribute[1] : null;
+    }
+
+    /**
+     * Whether an attribute is markup of this converter or of XML itself rather than data
+     */
+    isReservedAttribute(name, value) {
+        return name.startsWith('json:') ||
+            (name === 'xmlns:json' && value === XMLConverter.NAMESPACE) ||
+            name === 'xml:space' ||
+            name === 'xsi:nil' ||
+            name === 'xmlns:xsi';
+    }
+
+    /**
+     * Read a node as a JSON value, following its json:type hint or else the convention
+     */
+    readNode(node) {
+        const type = this.getAttribute(node, 'json:type');
+        const text = this.getAttribute(node, 'xml:space') === 'preserve' ? node.text : node.text.trim();
+
+        switch (type) {
+            case 'null':
+                return null;
+            case 'string':
+                return text;
+            case 'number':
+                if (!XMLConverter.NUMBER.test(text)) {
+                    throw new Error(`<${node.name}> is marked as a number but contains "${text}"`);
+                }
+                return new LosslessNumber(text);
+            case 'boolean':
+                if (text !== 'true' && text !== 'false') {
+                    throw new Error(`<${node.name}> is marked as a boolean but contains "${text}"`);
+                }
+                return text === 'true';
+            case 'array':
+                return node.children.map(child => this.readNode(child));
+            case null:
+            case 'object':
+                break;
+            default:
+                throw new Error(`<${node.name}> has an unknown json:type "${type}"`);
+        }
+
+        const isEmpty = node.children.length === 0 && !text;
+        if (type !== 'object' && isEmpty && this.getAttribute(node, 'xsi:nil') === 'true') {
+            return null;
+        }
+
+        const result = {};
+        const repeated = new Set();
+        let hasAttributes = false;
+
+        if (this.convention !== 'parker') {
+            node.attributes.forEach(([name, value]) => {
+                if (this.isReservedAttribute(name, value)) return;
+
+                if (this.convention === 'badgerfish' && (name === 'xmlns' || name.startsWith('xmlns:'))) {
+                    if (!result['@xmlns']) {
+                        this.addMember(result, '@xmlns', {}, repeated, false);
+                    }
+                    this.addMember(result['@xmlns'], name === 'xmlns' ? '$' : name.slice(6), value, new Set(), false);
+                } else {
+                    this.addMember(result, `${this.convention === 'badgerfish' ? '@' : this.attributePrefix}${name}`, value, repeated, false);
+                }
+                hasAttributes = true;
+            });
+        }
+
+        if (type !== 'object') {
+            if (this.convention === 'parker' && node.children.length === 0) {
+                return this.inferScalar(text);
+            }
+            if (this.convention === 'attributes' && node.children.length === 0 && !hasAttributes) {
+                return text;
+            }
+        }
+
+        if (text && this.convention !== 'parker') {
+            this.addMember(result, this.convention === 'badgerfish' ? '$' : this.textKey, text, repeated, false);
+        }
+
+        node.children.forEach(child => {
+            const key = this.getAttribute(child, 'json:name') || child.name;
+            this.addMember(result, key, this.readNode(child), repeated, this.getAttribute(child, 'json:array') === 'true');
+        });
+
+        return result;
+    }
+
+    /**
+     * Type the text of a Parker element: numbers, booleans, and null for an empty element
+     */
+    inferScalar(text) {
+        if (text === '') return null;
+        if (text === 'true' || text === 'false') return text === 'true';
+        if (XMLConverter.NUMBER.test(text)) return new LosslessNumber(text);
+        return text;
+    }
+
+    /**
+     * Add a member to an object; a name that repeats collects its values into an array
+     * @param {Set} repeated - Names already collected into arrays in this object
+     * @param {boolean} isItem - The value is an item of an array even if it is the only one
+     */
+    addMember(object, name, value, repeated, isItem) {
+        if (!Object.prototype.hasOwnProperty.call(object, name)) {
+            Object.defineProperty(object, name, { value: isItem ? [value] : value, writable: true, enumerable: true, configurable: true });
+            if (isItem) {
+                repeated.add(name);
+            }
+        } else if (repeated.has(name)) {
+            object[name].push(value);
+        } else {
+            object[name] = [object[name], value];
+            repeated.add(name);
+        }
+    }
+
+    /**
+     * Create the element for a key and its value; a json:type hint is added when reading the element
+     * back would not give the same value
+     * @param {string} key - JSON key, sanitized into the element name
+     * @param {*} value - The value
+     * @param {Set} scope - Namespace prefixes declared on the ancestors
+     */
+    createElement(key, value, scope) {
+        const name = this.sanitizeName(key, scope);
+        const node = { name, attributes: [], children: [], text: '' };
+        if (name !== key && this.typeHints) {
+            node.attributes.push(['json:name', key]);
+        }
+
+        if (value instanceof LosslessNumber) {
+            node.text = value.raw;
+        } else if (typeof value === 'number') {
+            if (!Number.isFinite(value)) {
+                throw new Error(`${key} is ${value}, which JSON cannot represent`);
+            }
+            node.text = String(value);
+        } else if (typeof value === 'string' || typeof value === 'boolean') {
+            node.text = String(value);
+        } else if (Array.isArray(value)) {
+            value.forEach(item => node.children.push(this.createElement(this.itemName, item, scope)));
+        } else if (value !== null) {
+            this.fillElement(node, value, scope);
+        }
+
+        if (node.text !== node.text.trim()) {
+            node.attributes.push(['xml:space', 'preserve']);
+        }
+        if (this.typeHints && !this.isSameValue(this.readNode(node), value)) {
+            node.attributes.push(['json:type', this.getType(value)]);
+        }
+        return node;
+    }
+
+    /**
+     * Write the members of an object as attributes, text and child elements
+     */
+    fillElement(node, object, scope) {
+        const elementKeys = [];
+        const innerScope = new Set(scope);
+        const canInline = value => typeof value === 'string' ||
+            (!this.typeHints && value !== null && (typeof value !== 'object' || value instanceof LosslessNumber));
+
+        // Namespace declarations come first so the names below can use their prefixes
+        Object.keys(object).forEach(key => {
+            const declarations = this.getNamespaceDeclarations(key, object[key]);
+            if (declarations) {
+                declarations.forEach(([name, uri]) => {
+                    node.attributes.push([name, uri]);
+                    if (name !== 'xmlns') innerScope.add(name.slice(6));
+                });
+            } else {
+                elementKeys.push(key);
+            }
+        });
+
+        const attributePrefix = this.convention === 'badgerfish' ? '@' : this.attributePrefix;
+        const textKey = this.convention === 'badgerfish' ? '$' : this.textKey;
+
+        elementKeys.forEach(key => {
+            const value = object[key];
+
+            if (this.convention !== 'parker' && attributePrefix && key.startsWith(attributePrefix) && canInline(value)) {
+                const attributeName = key.slice(attributePrefix.length);
+                if (this.isValidName(attributeName, innerScope) && !this.isReservedAttribute(attributeName, '')) {
+                    node.attributes.push([attributeName, value instanceof LosslessNumber ? value.raw : String(value)]);
+                    return;
+                }
+            }
+
+            if (this.convention !== 'parker' && key === textKey && canInline(value)) {
+                node.text = value instanceof LosslessNumber ? value.raw : String(value);
+                return;
+            }
+
+            if (Array.isArray(value) && value.length > 0) {
+                value.forEach(item => {
+                    const child = this.createElement(key, item, innerScope);
+                    if (value.length === 1 && this.typeHints) {
+                        child.attributes.push(['json:array', 'true']);
+                    }
+                    node.children.push(child);
+                });
+            } else {
+                node.children.push(this.createElement(key, value, innerScope));
+            }
+        });
+    }
+
+    /**
+     * Namespace declarations written for a key: '@xmlns:p' in the attributes convention,
+     * '@xmlns' ({ "$": uri, p: uri }) in BadgerFish
+     * @returns {Array|null} - [attribute name, URI] pairs, or null if the key is not a declaration
+     */
+    getNamespaceDeclarations(key, value) {
+        if (this.convention === 'badgerfish') {
+            if (key !== '@xmlns' || value === null || typeof value !== 'object' || Array.isArray(value)) return null;
+            const prefixes = Object.keys(value);
+            if (!prefixes.every(prefix => typeof value[prefix] === 'string' && (prefix === '$' || this.isNCName(prefix)))) return null;
+            return prefixes.map(prefix => [prefix === '$' ? 'xmlns' : `xmlns:${prefix}`, value[prefix]]);
+        }
+
+        if (this.convention === 'attributes' && this.attributePrefix && key.startsWith(this.attributePrefix) && typeof value === 'string') {
+            const name = key.slice(this.attributePrefix.length);
+            if (name === 'xmlns' || (name.startsWith('xmlns:') && this.isNCName(name.slice(6)) && name !== 'xmlns:json')) {
+                return [[name, value]];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Whether a string is a valid XML name without a colon
+     */
+    isNCName(name) {
+        return XMLConverter.NAME.test(name);
+    }
+
+    /**
+     * Whether a string is a valid element or attribute name whose prefix, if any, is declared
+     * @param {Set} scope - Declared namespace prefixes
+     */
+    isValidName(name, scope) {
+        const colon = name.indexOf(':');
+        if (colon === -1) return this.isNCName(name);
+        return scope.has(name.slice(0, colon)) && this.isNCName(name.slice(0, colon)) && this.isNCName(name.slice(colon + 1));
+    }
+
+    /**
+     * Turn a key into a valid element name: invalid characters become '_' and a name that cannot
+     * start an element gets a leading '_'
+     */
+    sanitizeName(key, scope) {
+        if (this.isValidName(key, scope)) return key;
+
+        let name = Array.from(key, char => XMLConverter.NAME_CHAR.test(char) ? char : '_').join('');
+        if (!XMLConverter.NAME_START.test(name)) {
+            name = `_${name}`;
+        }
+        return name;
+    }
+
+    /**
+     * Whether any node in a tree carries a type hint
+     */
+    usesTypeHints(node) {
+        return node.attributes.some(([name]) => name.startsWith('json:')) || node.children.some(child => this.usesTypeHints(child));
+    }
+
+    /**
+     * Get the json:type name of a value
+     */
+    getType(value) {
+        if (value === null) return 'null';
+        if (value instanceof LosslessNumber) return 'number';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    /**
+     * Compare JSON values; numbers compare by lexeme and key order is ignored
+     */
+    isSameValue(a, b) {
+        const typeA = this.getType(a);
+        if (typeA !== this.getType(b)) return false;
+
+        switch (typeA) {
+            case 'number':
+                return String(a) === String(b);
+            case 'array':
+                return a.length === b.length && a.every((item, index) => this.isSameValue(item, b[index]));
+            case 'object': {
+                const keys = Object.keys(a);
+                return keys.length === Object.keys(b).length &&
+                    keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && this.isSameValue(a[key], b[key]));
+            }
+            default:
+                return a === b;
+        }
+    }
+
+    /**
+     * Serialize a node; elements with text keep their content on one line so no whitespace is added to it
+     * @param {string|null} indent - Indentation of this element, or null to write it on one line
+     */
+    serializeNode(node, indent) {
+        const pad = indent === null ? '' : indent;
+        const attributes = node.attributes.map(([name, value]) => ` ${name}="${this.escape(value, true)}"`).join('');
+        const open = `${pad}<${node.name}${attributes}`;
+
+        if (node.children.length === 0) {
+            return node.text ? `${open}>${this.escape(node.text, false)}</${node.name}>` : `${open}/>`;
+        }
+        if (node.text || indent === null) {
+            return `${open}>${this.escape(node.text, false)}${node.children.map(child => this.serializeNode(child, null)).join('')}</${node.name}>`;
+        }
+
+        const children = node.children.map(child => this.serializeNode(child, pad + this.indent)).join('\n');
+        return `${open}>\n${children}\n${pad}</${node.name}>`;
+    }
+
+    /**
+     * Escape text or an attribute value; characters XML 1.0 cannot hold are an error
+     */
+    escape(text, isAttribute) {
+        const invalid = text.match(XMLConverter.INVALID_CHAR);
+        if (invalid) {
+            const code = invalid[0].charCodeAt(0).toString(16).toUpperCase().padStart(4, '0');
+            throw new Error(`XML cannot represent the character U+${code}`);
+        }
+
+        let escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\r/g, '&#13;');
+        if (isAttribute) {
+            // Attribute values would otherwise have their whitespace normalized to spaces
+            escaped = escaped.replace(/"/g, '&quot;').replace(/\n/g, '&#10;').replace(/\t/g, '&#9;');
+        }
+        return escaped;
+    }
+}
+
+// Namespace of the json:type, json:array and json:name hints
+XMLConverter.NAMESPACE = 'urn:json-tool:xml';
+
+// Names of the conventions for menus
+XMLConverter.CONVENTIONS = {
+    attributes: '@attr / #text',
+    badgerfish: 'BadgerFish',
+    parker: 'Parker'
+};
+
+// JSON number lexeme
+XMLConverter.NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+// XML 1.0 name characters, without the colon
+XMLConverter.NAME_START_CHARS = 'A-Za-z_\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C\\u200D' +
+    '\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD\\u{10000}-\\u{EFFFF}';
+XMLConverter.NAME_CHARS = `${XMLConverter.NAME_START_CHARS}\\-.0-9\\u00B7\\u0300-\\u036F\\u203F\\u2040`;
+XMLConverter.NAME_START = new RegExp(`^[${XMLConverter.NAME_START_CHARS}]`, 'u');
+XMLConverter.NAME_CHAR = new RegExp(`^[${XMLConverter.NAME_CHARS}]$`, 'u');
+XMLConverter.NAME = new RegExp(`^[${XMLConverter.NAME_START_CHARS}][${XMLConverter.NAME_CHARS}]*$`, 'u');
+
+// Characters outside the XML 1.0 Char production, including unpaired surrogates
+XMLConverter.INVALID_CHAR = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XMLConverter;
+}